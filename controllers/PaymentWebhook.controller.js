@@ -1,241 +1,641 @@
 const SpecialCourse = require('../models/SpecialCourse.model');
 const SpecialCoursePayment = require('../models/SpecialCoursePayment.model');
+const Student = require('../models/student.model');
+const FeeRecord = require('../models/FeeRecord.model');
+const PaymentWebhookEvent = require('../models/PaymentWebhookEvent.model');
+const PendingEnrollment = require('../models/PendingEnrollment.model');
 const emailService = require('../services/email.service');
+const razorpayService = require('../services/razorpay.service');
+const { markFeeRecordPaid, markHouseholdPaymentPaid } = require('../services/feePayment.service');
+const { syncStudentPaymentStatus } = require('../services/syncFeeStatus.service');
+const { redeemDiscount } = require('../services/discount.service');
+const { updateRefundStatus, getCancellationToken } = require('../services/workshopRefund.service');
+const workshopWaitlistService = require('../services/workshopWaitlist.service');
+const {
+    issueEnrollmentReceipt,
+    issueSpecialCourseReceipt,
+    getReceiptAttachment
+} = require('../services/receipt.service');
 const crypto = require('crypto');
 
 // Razorpay webhook secret from environment
 const WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
 
-// Verify webhook signature
-const verifyWebhookSignature = (body, signature) => {
+// Verify webhook signature against the raw request bytes.
+// Re-serialising the parsed JSON does not reproduce Razorpay's body byte-for-byte.
+const verifyWebhookSignature = (rawBody, signature) => {
     try {
         const expectedSignature = crypto
             .createHmac('sha256', WEBHOOK_SECRET)
-            .update(body)
+            .update(rawBody)
             .digest('hex');
-        
-        return expectedSignature === signature;
+
+        const expected = Buffer.from(expectedSignature, 'utf8');
+        const received = Buffer.from(String(signature), 'utf8');
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
     } catch (error) {
         console.error('Webhook signature verification error:', error);
         return false;
     }
 };
 
-// Handle Razorpay webhooks
+// Work out which payment flow an order belongs to.
+// Orders created by this backend carry notes.purpose; older orders are
+// matched by looking the order id up in each collection.
+const resolvePaymentFlow = async (payment) => {
+    const orderId = payment.order_id;
+
+    const registration = orderId
+        ? await SpecialCourse.findOne({ 'payment.razorpay_order_id': orderId })
+        : null;
+    if (registration) {
+        return { flow: 'special_course', notes: payment.notes || {} };
+    }
+
+    let notes = payment.notes || {};
+    if (!notes.purpose && orderId) {
+        const orderResult = await razorpayService.fetchOrder(orderId);
+        if (orderResult.success && orderResult.order.notes) {
+            notes = { ...orderResult.order.notes, ...notes };
+        }
+    }
+
+    if (notes.purpose === 'special_course') return { flow: 'special_course', notes };
+    if (notes.purpose === 'monthly_fee') return { flow: 'monthly_fee', notes };
+    if (notes.purpose === 'household_fee') return { flow: 'household_fee', notes };
+    if (notes.purpose === 'enrollment') return { flow: 'enrollment', notes };
+
+    // Legacy orders without a purpose note
+    if (notes.studentId && notes.month && notes.year) {
+        return { flow: 'monthly_fee', notes };
+    }
+    if (orderId && await Student.exists({ razorpayOrderId: orderId })) {
+        return { flow: 'enrollment', notes };
+    }
+    if (orderId && await FeeRecord.exists({ razorpayOrderId: orderId })) {
+        return { flow: 'monthly_fee', notes };
+    }
+
+    return { flow: 'unknown', notes };
+};
+
+/**
+ * POST /api/payments/webhook
+ * Razorpay webhook. Mounted with express.raw() so req.body is the raw Buffer.
+ * Events are deduplicated by x-razorpay-event-id; a non-2xx response makes
+ * Razorpay retry, so handler failures return 500.
+ */
 exports.handleWebhook = async (req, res) => {
+    let eventDoc = null;
+
     try {
+        if (!WEBHOOK_SECRET) {
+            console.error('RAZORPAY_WEBHOOK_SECRET is not configured');
+            return res.status(500).send('Webhook not configured');
+        }
+
         // Get the signature from the header
         const signature = req.headers['x-razorpay-signature'];
-        
+
         if (!signature) {
             return res.status(400).send('No signature provided');
         }
 
-        // Verify webhook signature
-        const body = JSON.stringify(req.body);
-        const isValidSignature = verifyWebhookSignature(body, signature);
-        
+        const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from(req.body || '');
+        const isValidSignature = verifyWebhookSignature(rawBody, signature);
+
         if (!isValidSignature) {
             console.error('Invalid webhook signature');
             return res.status(400).send('Invalid signature');
         }
 
-        const event = req.body.event;
-        const payment = req.body.payload.payment.entity;
+        let body;
+        try {
+            body = JSON.parse(rawBody.toString('utf8'));
+        } catch (parseError) {
+            return res.status(400).send('Invalid JSON payload');
+        }
+
+        const event = body.event;
+        const payment = body.payload?.payment?.entity;
+        const eventId = req.headers['x-razorpay-event-id']
+            || crypto.createHash('sha256').update(rawBody).digest('hex');
+
+        // ─── Deduplicate by event id ──────────────────────────────────────
+        eventDoc = await PaymentWebhookEvent.findOne({ eventId });
+        if (eventDoc && ['processed', 'unmatched'].includes(eventDoc.status)) {
+            console.log(`📩 Duplicate webhook ignored: ${event} (${eventId})`);
+            return res.status(200).send('Duplicate event');
+        }
+
+        if (!eventDoc) {
+            try {
+                eventDoc = await PaymentWebhookEvent.create({
+                    eventId,
+                    event,
+                    razorpayOrderId: payment?.order_id || null,
+                    razorpayPaymentId: payment?.id || null,
+                    payload: body.payload || {}
+                });
+            } catch (createError) {
+                // A concurrent delivery of the same event won the insert
+                if (createError.code === 11000) {
+                    return res.status(200).send('Duplicate event');
+                }
+                throw createError;
+            }
+        }
+
+        eventDoc.attempts += 1;
+
+        if (!payment) {
+            console.log(`Unhandled event type: ${event}`);
+            eventDoc.status = 'processed';
+            eventDoc.processedAt = new Date();
+            await eventDoc.save();
+            return res.status(200).send('Webhook processed');
+        }
 
         console.log(`📩 Webhook received: ${event}`, payment.id);
 
+        const { flow, notes } = await resolvePaymentFlow(payment);
+        eventDoc.flow = flow;
+
+        let outcome = 'processed';
         switch (event) {
             case 'payment.authorized':
-                await handlePaymentAuthorized(payment);
+                outcome = await handlePaymentAuthorized(flow, payment);
                 break;
-                
+
             case 'payment.captured':
-                await handlePaymentCaptured(payment);
+            case 'order.paid':
+                outcome = await handlePaymentCaptured(flow, payment, notes);
                 break;
-                
+
             case 'payment.failed':
-                await handlePaymentFailed(payment);
+                outcome = await handlePaymentFailed(flow, payment);
                 break;
-                
+
             case 'payment.refunded':
-                await handlePaymentRefunded(payment);
+                outcome = await handlePaymentRefunded(flow, payment);
+                break;
+
+            case 'refund.processed':
+            case 'refund.failed':
+                outcome = await handleRefundStatus(
+                    flow,
+                    payment,
+                    body.payload?.refund?.entity,
+                    event === 'refund.processed' ? 'processed' : 'failed'
+                );
                 break;
-                
+
             default:
                 console.log(`Unhandled event type: ${event}`);
         }
 
-        // Always send 200 OK to Razorpay
+        eventDoc.status = outcome;
+        eventDoc.error = null;
+        eventDoc.processedAt = new Date();
+        await eventDoc.save();
+
+        // Always send 200 OK to Razorpay once the event is handled
         res.status(200).send('Webhook processed');
 
     } catch (error) {
         console.error('Webhook processing error:', error);
+        if (eventDoc) {
+            eventDoc.status = 'failed';
+            eventDoc.error = error.message;
+            await eventDoc.save().catch(() => {});
+        }
         res.status(500).send('Webhook processing failed');
     }
 };
 
-// Handle payment authorized event
-const handlePaymentAuthorized = async (payment) => {
+/**
+ * GET /api/payments/webhook-events
+ * Admin: list received webhook events, e.g. ?status=unmatched for payments
+ * that could not be tied to a registration, fee or enrollment.
+ */
+exports.getWebhookEvents = async (req, res) => {
     try {
-        // Find registration by order ID
-        const registration = await SpecialCourse.findOne({
-            'payment.razorpay_order_id': payment.order_id
-        });
-
-        if (!registration) {
-            console.error('Registration not found for order:', payment.order_id);
-            return;
-        }
-
-        // Update payment status
-        registration.payment_status = 'pending';
-        registration.payment.razorpay_payment_id = payment.id;
-        await registration.save();
-
-        // Log payment event
-        await SpecialCoursePayment.create({
-            registrationId: registration.registrationId,
-            razorpay_payment_id: payment.id,
-            razorpay_order_id: payment.order_id,
-            amount: payment.amount / 100,
-            currency: payment.currency,
-            status: 'authorized',
-            method: payment.method,
-            bank: payment.bank,
-            wallet: payment.wallet,
-            card_id: payment.card_id,
-            vpa: payment.vpa,
-            webhook_data: payment
+        const { status, flow, page = 1, limit = 50 } = req.query;
+        const query = {};
+        if (status) query.status = status;
+        if (flow) query.flow = flow;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const [events, total] = await Promise.all([
+            PaymentWebhookEvent.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            PaymentWebhookEvent.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            data: events,
+            pagination: {
+                total,
+                page: parseInt(page),
+                pages: Math.ceil(total / parseInt(limit))
+            }
         });
-
-        console.log(`Payment authorized: ${payment.id} for registration: ${registration.registrationId}`);
-
     } catch (error) {
-        console.error('Handle payment authorized error:', error);
+        console.error('Get Webhook Events Error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch webhook events' });
     }
 };
 
+// Handle payment authorized event
+const handlePaymentAuthorized = async (flow, payment) => {
+    // Orders are created with payment_capture: 1, so only special-course
+    // registrations track the intermediate authorized state
+    if (flow !== 'special_course') return 'processed';
+
+    const registration = await SpecialCourse.findOne({
+        'payment.razorpay_order_id': payment.order_id
+    });
+
+    if (!registration) {
+        console.error('Registration not found for order:', payment.order_id);
+        return 'unmatched';
+    }
+
+    if (registration.payment_status === 'paid') return 'processed';
+
+    // Update payment status
+    registration.payment_status = 'pending';
+    registration.payment.razorpay_payment_id = payment.id;
+    await registration.save();
+
+    // Log payment event
+    await SpecialCoursePayment.findOneAndUpdate(
+        { razorpay_payment_id: payment.id },
+        {
+            $setOnInsert: {
+                registrationId: registration.registrationId,
+                razorpay_order_id: payment.order_id,
+                amount: payment.amount / 100,
+                currency: payment.currency,
+                status: 'authorized',
+                method: payment.method,
+                bank: payment.bank,
+                wallet: payment.wallet,
+                card_id: payment.card_id,
+                vpa: payment.vpa,
+                webhook_data: payment
+            }
+        },
+        { upsert: true }
+    );
+
+    console.log(`Payment authorized: ${payment.id} for registration: ${registration.registrationId}`);
+    return 'processed';
+};
+
 // Handle payment captured event
-const handlePaymentCaptured = async (payment) => {
-    try {
-        // Find registration by order ID
-        const registration = await SpecialCourse.findOne({
-            'payment.razorpay_order_id': payment.order_id
-        });
+const handlePaymentCaptured = async (flow, payment, notes) => {
+    switch (flow) {
+        case 'special_course':
+            return captureSpecialCoursePayment(payment);
+        case 'monthly_fee':
+            return captureFeePayment(payment, notes);
+        case 'household_fee':
+            return captureHouseholdFeePayment(payment);
+        case 'enrollment':
+            return captureEnrollmentPayment(payment);
+        default:
+            console.error('No payment flow found for order:', payment.order_id);
+            return 'unmatched';
+    }
+};
 
-        if (!registration) {
+// Special course: confirm the registration unless the browser already did
+const captureSpecialCoursePayment = async (payment) => {
+    const now = new Date();
+    const redemption = await redeemDiscount(payment.order_id);
+    const amount = payment.amount / 100;
+
+    // Guard on payment_status so the frontend verification and the webhook
+    // cannot both confirm (and email) the same registration
+    const registration = await SpecialCourse.findOneAndUpdate(
+        {
+            'payment.razorpay_order_id': payment.order_id,
+            payment_status: { $ne: 'paid' }
+        },
+        {
+            $set: {
+                payment_status: 'paid',
+                status: 'registered',
+                payment_confirmed_at: now,
+                'payment.razorpay_payment_id': payment.id,
+                'payment.amount': amount,
+                'payment.gross_amount': redemption ? redemption.grossAmount : amount,
+                'payment.discount_amount': redemption ? redemption.discountAmount : 0,
+                'payment.coupon_code': redemption ? redemption.couponCode : null,
+                'payment.discounts': redemption ? redemption.discounts : [],
+                'payment.currency': payment.currency,
+                'payment.status': 'paid',
+                'payment.payment_date': now,
+                'payment.method': payment.method,
+                'payment.bank': payment.bank || '',
+                'payment.wallet': payment.wallet || '',
+                'payment.vpa': payment.vpa || ''
+            }
+        },
+        { new: true }
+    );
+
+    if (!registration) {
+        const existing = await SpecialCourse.exists({ 'payment.razorpay_order_id': payment.order_id });
+        if (!existing) {
             console.error('Registration not found for order:', payment.order_id);
-            return;
+            return 'unmatched';
         }
+        console.log(`Payment ${payment.id} already confirmed for order: ${payment.order_id}`);
+        return 'processed';
+    }
 
-        // Update registration with captured payment
-        registration.payment_status = 'paid';
-        registration.status = 'registered';
-        registration.payment = {
-            razorpay_payment_id: payment.id,
-            razorpay_order_id: payment.order_id,
-            amount: payment.amount / 100,
-            currency: payment.currency,
-            status: 'paid',
-            payment_date: new Date()
-        };
-
-        await registration.save();
-
-        // Update payment log
-        await SpecialCoursePayment.findOneAndUpdate(
-            { razorpay_payment_id: payment.id },
-            { status: 'captured' },
-            { upsert: true }
-        );
+    // Update payment log
+    await SpecialCoursePayment.findOneAndUpdate(
+        { razorpay_payment_id: payment.id },
+        {
+            $set: { status: 'captured' },
+            $setOnInsert: {
+                registrationId: registration.registrationId,
+                razorpay_order_id: payment.order_id,
+                amount: payment.amount / 100,
+                currency: payment.currency,
+                method: payment.method,
+                webhook_data: payment
+            }
+        },
+        { upsert: true }
+    );
+
+    let attachments = [];
+    try {
+        const receipt = await issueSpecialCourseReceipt(registration);
+        attachments = [await getReceiptAttachment(receipt)];
+    } catch (receiptError) {
+        console.warn('⚠️ Webhook receipt generation failed:', receiptError.message);
+    }
 
-        // Send confirmation email
+    // Send confirmation email
+    try {
         await emailService.sendRegistrationConfirmation(registration.email, {
+            carnivalName: registration.carnivalName,
             parentName: registration.parentName,
             childName: registration.childName,
             batch: registration.selectedBatch,
+            batchTime: registration.batchTime,
             registrationId: registration.registrationId,
             paymentId: payment.id,
-            amount: payment.amount / 100
+            amount: payment.amount / 100,
+            cancellationToken: getCancellationToken(registration),
+            attachments
         });
 
         // Send admin notification
         await emailService.sendAdminNotification(registration);
+    } catch (emailError) {
+        console.warn('⚠️ Webhook confirmation email failed:', emailError.message);
+    }
 
-        console.log(`Payment captured: ${payment.id} for registration: ${registration.registrationId}`);
+    console.log(`Payment captured: ${payment.id} for registration: ${registration.registrationId}`);
+    return 'processed';
+};
 
-    } catch (error) {
-        console.error('Handle payment captured error:', error);
+// Monthly fee: create/mark the FeeRecord paid from the order notes
+const captureFeePayment = async (payment, notes) => {
+    if (!notes.studentId || !notes.month || !notes.year) {
+        console.error('Fee payment order is missing student/month notes:', payment.order_id);
+        return 'unmatched';
+    }
+
+    const result = await markFeeRecordPaid({
+        studentId: notes.studentId,
+        month: notes.month,
+        year: notes.year,
+        amount: payment.amount / 100,
+        razorpayOrderId: payment.order_id,
+        razorpayPaymentId: payment.id
+    });
+
+    if (!result) {
+        console.error('Student not found for fee payment:', notes.studentId);
+        return 'unmatched';
     }
+
+    if (result.error) {
+        console.error(`Fee payment ${payment.id} not applied to ${notes.month} ${notes.year}: ${result.error}`);
+        return 'unmatched';
+    }
+
+    console.log(`Fee payment captured: ${payment.id} for ${result.student.enrollmentId} (${notes.month} ${notes.year})${result.alreadyPaid ? ' — already paid' : ''}`);
+    return 'processed';
 };
 
-// Handle payment failed event
-const handlePaymentFailed = async (payment) => {
-    try {
-        // Find registration by order ID
-        const registration = await SpecialCourse.findOne({
-            'payment.razorpay_order_id': payment.order_id
-        });
+// Household fee: mark every child/month covered by the order as paid
+const captureHouseholdFeePayment = async (payment) => {
+    const result = await markHouseholdPaymentPaid({
+        razorpayOrderId: payment.order_id,
+        razorpayPaymentId: payment.id
+    });
 
-        if (!registration) {
-            console.error('Registration not found for order:', payment.order_id);
-            return;
+    if (!result) {
+        console.error('Household payment not found for order:', payment.order_id);
+        return 'unmatched';
+    }
+
+    console.log(`Household fee payment captured: ${payment.id} (${result.results.length} months)${result.alreadyPaid ? ' — already paid' : ''}`);
+    return 'processed';
+};
+
+// Enrollment: the Student document only exists once the form was submitted.
+// If the parent closed the browser before that, the pending enrollment saved
+// with the order is marked paid and listed for the admin to follow up
+// (GET /api/enrollment/pending-payments); a later submit still completes it.
+const captureEnrollmentPayment = async (payment) => {
+    const student = await Student.findOne({ razorpayOrderId: payment.order_id });
+
+    if (!student) {
+        const pending = await PendingEnrollment.findOneAndUpdate(
+            { razorpayOrderId: payment.order_id, status: { $in: ['created', 'paid'] } },
+            { $set: { status: 'paid', razorpayPaymentId: payment.id, paidAt: new Date() } },
+            { new: true }
+        );
+        if (!pending) {
+            console.error('Enrollment not submitted for paid order:', payment.order_id);
+            return 'unmatched';
         }
 
-        // Update registration status
-        registration.payment_status = 'pending';
-        registration.status = 'pending_payment';
-        await registration.save();
+        console.warn(`⚠️ Enrollment paid but not submitted: ${payment.order_id} (${pending.childName || 'no name'}, ${pending.contact1 || 'no contact'}) — awaiting the form or an admin`);
+        return 'processed';
+    }
 
-        // Log failed payment
-        await SpecialCoursePayment.create({
-            registrationId: registration.registrationId,
-            razorpay_payment_id: payment.id,
-            razorpay_order_id: payment.order_id,
+    if (student.paymentStatus !== 'Completed') {
+        student.paymentStatus = 'Completed';
+        student.paymentMethod = 'Razorpay';
+        student.razorpayPaymentId = payment.id;
+        if (!student.amountPaid) student.amountPaid = payment.amount / 100;
+        if (student.feeCoverage === 'pending_first_month') student.feeCoverage = 'first_month';
+        await student.save();
+    }
+
+    let receipt = null;
+    try {
+        receipt = await issueEnrollmentReceipt(student);
+    } catch (receiptError) {
+        console.warn('⚠️ Enrollment receipt generation failed:', receiptError.message);
+    }
+
+    // The enrollment payment covers the first billed month
+    const [month, year] = String(student.feeStartMonth || '').split(' ');
+    if (month && year) {
+        await markFeeRecordPaid({
+            studentId: student._id,
+            month,
+            year,
             amount: payment.amount / 100,
-            currency: payment.currency,
-            status: 'failed',
-            error_code: payment.error_code,
-            error_description: payment.error_description,
-            webhook_data: payment
+            razorpayOrderId: payment.order_id,
+            razorpayPaymentId: payment.id,
+            receipt
         });
+    } else {
+        await syncStudentPaymentStatus(student._id);
+    }
+
+    console.log(`Enrollment payment captured: ${payment.id} for ${student.enrollmentId}`);
+    return 'processed';
+};
 
-        console.log(`Payment failed: ${payment.id} for registration: ${registration.registrationId}`);
+// Handle payment failed event
+const handlePaymentFailed = async (flow, payment) => {
+    if (flow !== 'special_course') {
+        console.log(`Payment failed: ${payment.id} (${flow}) — ${payment.error_description || 'no description'}`);
+        return 'processed';
+    }
 
-    } catch (error) {
-        console.error('Handle payment failed error:', error);
+    // Find registration by order ID
+    const registration = await SpecialCourse.findOne({
+        'payment.razorpay_order_id': payment.order_id
+    });
+
+    if (!registration) {
+        console.error('Registration not found for order:', payment.order_id);
+        return 'unmatched';
+    }
+
+    // A later attempt on the same order may already have succeeded
+    if (registration.payment_status !== 'paid') {
+        registration.payment_status = 'pending';
+        registration.status = 'pending_payment';
+        await registration.save();
     }
+
+    // Log failed payment
+    await SpecialCoursePayment.findOneAndUpdate(
+        { razorpay_payment_id: payment.id },
+        {
+            $set: {
+                status: 'failed',
+                error_code: payment.error_code,
+                error_description: payment.error_description
+            },
+            $setOnInsert: {
+                registrationId: registration.registrationId,
+                razorpay_order_id: payment.order_id,
+                amount: payment.amount / 100,
+                currency: payment.currency,
+                webhook_data: payment
+            }
+        },
+        { upsert: true }
+    );
+
+    console.log(`Payment failed: ${payment.id} for registration: ${registration.registrationId}`);
+    return 'processed';
 };
 
 // Handle payment refunded event
-const handlePaymentRefunded = async (payment) => {
-    try {
-        // Find registration by payment ID
-        const registration = await SpecialCourse.findOne({
-            'payment.razorpay_payment_id': payment.id
-        });
+// Refund created from the admin panel settled (or failed) at Razorpay
+const handleRefundStatus = async (flow, payment, refund, status) => {
+    if (!refund) return 'processed';
 
-        if (!registration) {
-            console.error('Registration not found for payment:', payment.id);
-            return;
-        }
+    const paymentLog = await updateRefundStatus(refund, status);
+    if (paymentLog) {
+        console.log(`Refund ${refund.id} ${status} for registration: ${paymentLog.registrationId}`);
+    }
 
-        // Update registration status
-        registration.status = 'refunded';
-        registration.payment.status = 'refunded';
-        await registration.save();
+    if (status === 'processed' && flow === 'special_course') {
+        return handlePaymentRefunded(flow, payment);
+    }
+    return 'processed';
+};
 
-        // Update payment log
-        await SpecialCoursePayment.findOneAndUpdate(
-            { razorpay_payment_id: payment.id },
-            { status: 'refunded' },
-            { upsert: true }
-        );
+const handlePaymentRefunded = async (flow, payment) => {
+    if (flow !== 'special_course') {
+        console.log(`Refund received for ${flow} payment ${payment.id} — no automatic action`);
+        return 'processed';
+    }
 
-        console.log(`Payment refunded: ${payment.id} for registration: ${registration.registrationId}`);
+    // Find registration by payment ID
+    const registration = await SpecialCourse.findOne({
+        'payment.razorpay_payment_id': payment.id
+    });
 
-    } catch (error) {
-        console.error('Handle payment refunded error:', error);
+    if (!registration) {
+        console.error('Registration not found for payment:', payment.id);
+        return 'unmatched';
+    }
+
+    // Refunds issued from the admin panel are already applied; this also
+    // catches refunds made from the Razorpay dashboard
+    const refundedAmount = (payment.amount_refunded || 0) / 100;
+    const paidAmount = registration.payment?.amount || payment.amount / 100;
+    const fullyRefunded = payment.refund_status === 'full' || refundedAmount >= paidAmount;
+
+    if (refundedAmount > (registration.refunded_amount || 0)) {
+        registration.refunded_amount = refundedAmount;
+        registration.refunded_at = new Date();
+    }
+    if (fullyRefunded) {
+        registration.status = 'refunded';
+        registration.payment_status = 'refunded';
+        registration.payment.status = 'refunded';
+        if (!registration.cancelled_at) registration.cancelled_at = new Date();
+    }
+    await registration.save();
+
+    // Update payment log
+    await SpecialCoursePayment.findOneAndUpdate(
+        { razorpay_payment_id: payment.id },
+        {
+            $set: {
+                status: fullyRefunded ? 'refunded' : 'partially_refunded',
+                amount_refunded: refundedAmount
+            },
+            $setOnInsert: {
+                registrationId: registration.registrationId,
+                razorpay_order_id: payment.order_id,
+                amount: payment.amount / 100,
+                currency: payment.currency,
+                method: payment.method
+            }
+        },
+        { upsert: true }
+    );
+
+    // A fully refunded registration gives its seat back to the waitlist
+    if (fullyRefunded) {
+        workshopWaitlistService.offerFreedSeats(registration)
+            .catch(err => console.warn('⚠️ Could not offer refunded seat to the waitlist:', err.message));
     }
-};
\ No newline at end of file
+
+    console.log(`Payment refunded: ${payment.id} for registration: ${registration.registrationId}`);
+    return 'processed';
+};
@@ -1,8 +1,14 @@
 const SpecialCourse = require('../models/SpecialCourse.model');
 const SpecialCoursePayment = require('../models/SpecialCoursePayment.model');
+const WorkshopWaitlist = require('../models/WorkshopWaitlist.model');
 const emailService = require('../services/email.service');
 const validationService = require('../services/validation.service');
-const workshopRuntimeConfig = require('../services/workshopRuntimeConfig.service');
+const workshopConfigService = require('../services/workshopConfig.service');
+const { applyDiscounts, recordPendingDiscount, redeemDiscount } = require('../services/discount.service');
+const { issueSpecialCourseReceipt, getReceiptAttachment } = require('../services/receipt.service');
+const workshopRefundService = require('../services/workshopRefund.service');
+const workshopWaitlistService = require('../services/workshopWaitlist.service');
+const idSequenceService = require('../services/idSequence.service');
 const crypto = require('crypto');
 const Razorpay = require('razorpay');
 
@@ -15,76 +21,28 @@ const razorpay = new Razorpay({
 // ==================== CONSTANTS ====================
 const DEFAULT_BATCH_CAPACITY = 30;
 const MAX_PENDING_MINUTES = 15;
-const DELETE_PENDING_AFTER_MINUTES = 10;
+// Shared with the waitlist, which counts unpaid registrations as held seats
+const DELETE_PENDING_AFTER_MINUTES = workshopWaitlistService.PENDING_HOLD_MINUTES;
 const CLEANUP_INTERVAL_MINUTES = 5;
 
-const WORKSHOP_CONFIG = {
-    "Strawberry Cottage Workshop": {
-        fee: 699,
-        capacity: 8,
-        prefix: "LS-WS26",
-        dates: ["2026-08-08"]
-    },
-    "Koi Fish Frame Art": {
-        fee: 599,
-        capacity: 8,
-        prefix: "LS-KF26",
-        dates: ["2026-08-08"]
-    },
-    "Kids Fruit & Vegetable Clay Mirror Workshop": {
-        fee: 750,
-        capacity: 30,
-        prefix: "LS-KM26",
-        dates: ["2026-08-02"]
-    },
-    "Up, Up & Away! 3D Clay Canvas Workshop": {
-        fee: 699,
-        capacity: 30,
-        prefix: "LS-UA26",
-        dates: ["2026-08-01"]
-    }
-};
+// Used for registrations whose workshop no longer exists (statistics, legacy payments)
+const DEFAULT_WORKSHOP_CONFIG = { fee: 399, capacity: DEFAULT_BATCH_CAPACITY, prefix: "LS-WS26", sessions: [], dates: [], batches: [] };
 
-const getWorkshopConfig = (carnivalName) => {
-    const staticConfig = WORKSHOP_CONFIG[carnivalName];
-    if (staticConfig) return staticConfig;
-    // Dynamically created workshops (admin panel) are registered at runtime
-    const dynamicConfig = workshopRuntimeConfig.get(carnivalName);
-    if (dynamicConfig) return dynamicConfig;
-    // Fallback for unknown workshops
-    return { fee: 399, capacity: DEFAULT_BATCH_CAPACITY, prefix: "LS-WS26", dates: [] };
+// Fee, capacity, prefix, dates and batches come from the Workshop collection (cached)
+const getWorkshopConfig = async (carnivalName) =>
+    (await workshopConfigService.getWorkshopConfig(carnivalName)) || DEFAULT_WORKSHOP_CONFIG;
+
+// Fee for a registration's session (sessions may override the workshop price)
+const getSessionFee = (workshopConfig, registration) => {
+    const session = workshopConfigService.findSession(workshopConfig, registration.selectedDate, registration.selectedBatch);
+    return session ? session.fee : workshopConfig.fee;
 };
 
 // ==================== HELPER FUNCTIONS ====================
 
-// Generate unique registration ID with workshop-specific prefix
-const generateRegistrationId = async (carnivalName) => {
-    try {
-        const config = getWorkshopConfig(carnivalName);
-        const prefix = config.prefix;
-        const regex = new RegExp(`^${prefix}-\\d{5}$`);
-        
-        const latestRegistration = await SpecialCourse.findOne({
-            registrationId: regex
-        }).sort({ registrationId: -1 }).select('registrationId');
-
-        let nextNumber = 1;
-        
-        if (latestRegistration && latestRegistration.registrationId) {
-            const match = latestRegistration.registrationId.match(new RegExp(`${prefix}-(\\d{5})$`));
-            if (match) {
-                nextNumber = parseInt(match[1], 10) + 1;
-            }
-        }
-
-        const paddedNumber = String(nextNumber).padStart(5, '0');
-        return `${prefix}-${paddedNumber}`;
-    } catch (error) {
-        console.error('❌ Error generating registration ID:', error);
-        const config = getWorkshopConfig(carnivalName);
-        return config.prefix + '-' + Date.now().toString().slice(-5);
-    }
-};
+// Generate unique registration ID with workshop-specific prefix (PREFIX-00001),
+// from an atomic counter per prefix
+const generateRegistrationId = (prefix) => idSequenceService.nextId('workshop', { prefix });
 
 // Extract time from batch string
 const extractBatchTime = (batchString) => {
@@ -192,7 +150,10 @@ const checkSlotAvailability = async (carnivalName, batchName, selectedDate) => {
             }
         }
 
-        // Query for paid registrations
+        const session = { carnivalName: carnivalName, selectedDate: queryDate, selectedBatch: batchName };
+
+        // Query for paid registrations. Cancelled/refunded registrations
+        // leave 'registered', so their seats are available again.
         const paidCount = await SpecialCourse.countDocuments({
             carnivalName: carnivalName,
             selectedBatch: batchName,
@@ -227,16 +188,27 @@ const checkSlotAvailability = async (carnivalName, batchName, selectedDate) => {
 
         console.log(`⌛ Expired pending registrations count: ${expiredPendingCount}`);
 
+        // Seats held for waitlisted families until their offer runs out
+        const offeredCount = await workshopWaitlistService.countActiveOffers(session);
+        if (offeredCount > 0) console.log(`🎟️ Seats held by waitlist offers: ${offeredCount}`);
+
         const dateString = displayDate.toISOString().split('T')[0];
         const isOnline = carnivalName.includes('Online');
-        const workshopConfig = getWorkshopConfig(carnivalName);
-        const effectiveCapacity = isOnline ? 9999 : workshopConfig.capacity;
+        const workshopConfig = await getWorkshopConfig(carnivalName);
+        const configSession = workshopConfigService.findSession(workshopConfig, dateString, batchName);
+        const sessionCapacity = configSession ? configSession.capacity : workshopConfig.capacity;
+        const effectiveCapacity = isOnline ? 9999 : sessionCapacity;
 
-        // Total registered count (paid + active pending)
-        const registeredCount = paidCount + activePendingCount;
-        console.log(`📊 Total registered count (paid + active pending): ${registeredCount}`);
+        // Freed seats go to families still waiting before anyone else; the
+        // cleanup job offers them (a lookup never sends offers itself)
+        const waitingCount = isOnline ? 0 : await workshopWaitlistService.countWaiting(session);
+        if (waitingCount > 0) console.log(`📋 Families waiting for a seat: ${waitingCount}`);
 
-        const availableSlots = Math.max(0, effectiveCapacity - registeredCount);
+        // Total registered count (paid + active pending + waitlist offers)
+        const registeredCount = paidCount + activePendingCount + offeredCount;
+        console.log(`📊 Total registered count (paid + active pending + offers): ${registeredCount}`);
+
+        const availableSlots = Math.max(0, effectiveCapacity - registeredCount - waitingCount);
         
         console.log(`🎫 DATE: ${dateString} (${isOnline ? 'ONLINE' : 'OFFLINE'})`);
         console.log(`🎫 EFFECTIVE CAPACITY: ${effectiveCapacity}`);
@@ -262,6 +234,8 @@ const checkSlotAvailability = async (carnivalName, batchName, selectedDate) => {
             carnivalName: carnivalName,
             batch: batchName,
             batchTime: extractBatchTime(batchName),
+            sessionId: configSession ? configSession.id : null,
+            fee: configSession ? configSession.fee : workshopConfig.fee,
             date: displayDate,
             dateString: dateString,
             isOnline: isOnline,
@@ -287,6 +261,7 @@ const checkSlotAvailability = async (carnivalName, batchName, selectedDate) => {
                 paidCount: paidCount,
                 activePendingCount: activePendingCount,
                 expiredPendingCount: expiredPendingCount,
+                waitlistOfferCount: offeredCount,
                 oldPendingDeleted: oldPendingCount,
                 totalCount: paidCount + activePendingCount + expiredPendingCount
             },
@@ -300,9 +275,9 @@ const checkSlotAvailability = async (carnivalName, batchName, selectedDate) => {
             batch: batchName,
             date: selectedDate,
             registeredCount: 0,
-            availableSlots: getWorkshopConfig(carnivalName).capacity,
+            availableSlots: DEFAULT_BATCH_CAPACITY,
             isFull: false,
-            capacity: getWorkshopConfig(carnivalName).capacity,
+            capacity: DEFAULT_BATCH_CAPACITY,
             status: 'error',
             statusEmoji: '❌',
             statusColor: 'red',
@@ -386,6 +361,7 @@ const cleanupExpiredRegistrations = async () => {
                 deletedCount: 0,
                 pendingTotal: allPending.length,
                 message: 'No registrations to delete',
+                waitlist: await processWaitlistSafely(),
                 timestamp: now.toISOString()
             };
         }
@@ -417,11 +393,15 @@ const cleanupExpiredRegistrations = async () => {
             console.warn('⚠️ Could not delete payment records:', paymentError.message);
         }
 
+        // The freed seats go to families on the waitlist first
+        const waitlist = await processWaitlistSafely();
+
         return {
             success: true,
             deletedCount: deleteResult.deletedCount,
             pendingTotal: allPending.length,
             pendingRemaining: allPending.length - deleteResult.deletedCount,
+            waitlist,
             timestamp: now.toISOString(),
             deleteThresholdMinutes: DELETE_PENDING_AFTER_MINUTES,
             deleteThresholdTime: deleteThreshold.toISOString(),
@@ -445,52 +425,83 @@ const cleanupExpiredRegistrations = async () => {
     }
 };
 
-// ==================== AUTOMATIC CLEANUP SCHEDULER ====================
+// Price a registration (session fee less any coupon/concession), open its
+// Razorpay order and store the order on the registration
+const createRegistrationOrder = async (registration, workshopConfig, couponCode) => {
+    const { registrationId } = registration;
+    const pricing = await applyDiscounts({
+        grossAmount: getSessionFee(workshopConfig, registration),
+        context: 'special_course',
+        couponCode
+    });
 
-// Start automatic cleanup scheduler
-const startAutoCleanupScheduler = () => {
-    console.log('🚀 Starting automatic cleanup scheduler...');
-    console.log(`⏰ Delete pending after: ${DELETE_PENDING_AFTER_MINUTES} minutes`);
-    console.log(`🔄 Cleanup interval: ${CLEANUP_INTERVAL_MINUTES} minutes`);
-    
-    // Run initial cleanup 10 seconds after server starts
-    setTimeout(async () => {
-        try {
-            console.log('🔍 Running initial cleanup check...');
-            const result = await cleanupExpiredRegistrations();
-            console.log(`✅ Initial cleanup: ${result.deletedCount} registrations deleted`);
-        } catch (error) {
-            console.error('❌ Initial cleanup failed:', error.message);
+    if (pricing.error) {
+        return { error: pricing.error };
+    }
+
+    let amount = pricing.netAmount;
+    if (amount <= 0) {
+        return { error: 'This coupon cannot cover the full workshop fee' };
+    }
+
+    console.log(`💰 Creating order for ${registrationId}: ₹${amount} (${registration.carnivalName})${pricing.discountAmount ? ` after ₹${pricing.discountAmount} discount` : ''}`);
+
+    const options = {
+        amount: amount * 100, // amount in the smallest currency unit
+        currency: "INR",
+        receipt: registrationId,
+        notes: {
+            purpose: 'special_course',
+            registrationId: registrationId,
+            childName: registration.childName,
+            carnivalName: registration.carnivalName,
+            couponCode: pricing.coupon ? pricing.coupon.code : ''
         }
-    }, 10000);
+    };
+
+    const order = await razorpay.orders.create(options);
     
-    // Schedule cleanup to run every CLEANUP_INTERVAL_MINUTES
-    setInterval(async () => {
-        try {
-            const now = new Date();
-            console.log(`⏰ [${now.toLocaleTimeString()}] Running scheduled cleanup...`);
-            const result = await cleanupExpiredRegistrations();
-            
-            if (result.deletedCount > 0) {
-                console.log(`✅ Scheduled cleanup: ${result.deletedCount} registrations deleted`);
-            } else {
-                console.log(`✅ Scheduled cleanup: No registrations to delete`);
-            }
-        } catch (error) {
-            console.error('❌ Scheduled cleanup failed:', error.message);
+    console.log(`✅ Order created: ${order.id}`);
+
+    await recordPendingDiscount({
+        razorpayOrderId: order.id,
+        context: 'special_course',
+        registrationId,
+        pricing
+    });
+
+    // Update registration with order ID and price breakdown
+    registration.payment = registration.payment || {};
+    registration.payment.razorpay_order_id = order.id;
+    registration.payment.amount = amount;
+    registration.payment.gross_amount = pricing.grossAmount;
+    registration.payment.discount_amount = pricing.discountAmount;
+    registration.payment.coupon_code = pricing.coupon ? pricing.coupon.code : null;
+    registration.payment.discounts = pricing.discounts;
+    await registration.save();
+
+    return {
+        data: {
+            orderId: order.id,
+            amount: amount,
+            grossAmount: pricing.grossAmount,
+            discountAmount: pricing.discountAmount,
+            discounts: pricing.discounts,
+            currency: "INR",
+            key_id: process.env.RAZORPAY_KEY_ID
         }
-    }, CLEANUP_INTERVAL_MINUTES * 60 * 1000);
-    
-    console.log(`✅ Auto-cleanup scheduled to run every ${CLEANUP_INTERVAL_MINUTES} minutes`);
+    };
 };
 
-// Start the scheduler when module loads (only if not in test environment)
-if (process.env.NODE_ENV !== 'test') {
-    // Use setTimeout to ensure server is fully started
-    setTimeout(() => {
-        startAutoCleanupScheduler();
-    }, 5000);
-}
+// Expire lapsed waitlist offers and offer freed seats (never fails the cleanup)
+const processWaitlistSafely = async () => {
+    try {
+        return await workshopWaitlistService.processWaitlist();
+    } catch (error) {
+        console.error('❌ Waitlist processing error:', error.message);
+        return null;
+    }
+};
 
 // ==================== CONTROLLER METHODS ====================
 
@@ -500,11 +511,43 @@ exports.checkSlots = async (req, res) => {
         const { carnivalName, batch, date } = req.query;
         console.log(`🎯 Checking slots for ${carnivalName}, batch: ${batch} on ${date}`);
 
-        if (!carnivalName || !batch || !date) {
-            console.log(`❌ Carnival name, batch, and date are required`);
+        if (!carnivalName) {
+            console.log(`❌ Carnival name is required`);
+            return res.status(400).json({
+                success: false,
+                message: 'Carnival name is required'
+            });
+        }
+
+        // Without a batch: availability of every session (optionally on one date)
+        if (!batch) {
+            const workshopConfig = await getWorkshopConfig(carnivalName);
+            const dateString = date ? String(date).split('T')[0] : null;
+            const sessions = workshopConfig.sessions.filter(s => !dateString || s.date === dateString);
+
+            const slots = [];
+            for (const session of sessions) {
+                const slotInfo = await checkSlotAvailability(carnivalName, session.batch, session.date);
+                if (!slotInfo.error) slots.push(slotInfo);
+            }
+
+            return res.json({
+                success: true,
+                data: {
+                    carnivalName: carnivalName,
+                    date: dateString,
+                    sessions: slots,
+                    hasAvailableSlots: slots.some(slot => !slot.isFull)
+                },
+                lastUpdated: new Date().toISOString()
+            });
+        }
+
+        if (!date) {
+            console.log(`❌ Date is required when checking a batch`);
             return res.status(400).json({
                 success: false,
-                message: 'Carnival name, batch, and date are required'
+                message: 'Date is required when checking a batch'
             });
         }
 
@@ -525,6 +568,8 @@ exports.checkSlots = async (req, res) => {
                 carnivalName: carnivalName,
                 batch: slotInfo.batch,
                 batchTime: slotInfo.batchTime,
+                sessionId: slotInfo.sessionId,
+                fee: slotInfo.fee,
                 date: slotInfo.dateString,
                 formattedDate: new Date(slotInfo.date).toLocaleDateString('en-IN', {
                     weekday: 'long',
@@ -561,17 +606,25 @@ exports.checkSlots = async (req, res) => {
 // 2. CHECK MULTIPLE SLOTS AVAILABILITY
 exports.checkMultipleSlots = async (req, res) => {
     try {
-        const { carnivalName, date, batches } = req.body;
+        const { carnivalName, date } = req.body;
+        let { batches } = req.body;
         console.log(`🎯 Checking multiple slots for ${carnivalName} on ${date}`);
 
-        if (!carnivalName || !date || !batches || !Array.isArray(batches)) {
-            console.log(`❌ Carnival name, date, and batches array are required`);
+        if (!carnivalName || !date || (batches !== undefined && !Array.isArray(batches))) {
+            console.log(`❌ Carnival name and date are required (batches must be an array)`);
             return res.status(400).json({
                 success: false,
-                message: 'Carnival name, date, and batches array are required'
+                message: 'Carnival name and date are required, and batches must be an array'
             });
         }
 
+        // Default to every session the workshop runs on that date
+        if (!batches) {
+            const workshopConfig = await getWorkshopConfig(carnivalName);
+            const dateString = String(date).split('T')[0];
+            batches = workshopConfig.sessions.filter(s => s.date === dateString).map(s => s.batch);
+        }
+
         const slotAvailability = await checkMultipleSlotsAvailability(carnivalName, date, batches);
         
         const hasAvailableSlots = slotAvailability.some(slot => !slot.isFull);
@@ -641,8 +694,27 @@ exports.register = async (req, res) => {
             });
         }
 
+        const workshopConfig = await workshopConfigService.getWorkshopConfig(carnivalName);
+        if (!workshopConfig) {
+            console.log(`❌ Unknown workshop: ${carnivalName}`);
+            return res.status(400).json({
+                success: false,
+                message: 'This workshop is not available for registration'
+            });
+        }
+        if (workshopConfig.status !== 'active') {
+            return res.status(400).json({
+                success: false,
+                message: 'Registrations for this workshop are closed'
+            });
+        }
+
+        // The workshop's own dates win over what the page sends
         console.log(`🔍 Validating date: ${selectedDate}`);
-        const dateValidation = validationService.validateDate(selectedDate, availableDates);
+        const dateValidation = validationService.validateDate(
+            selectedDate,
+            workshopConfig.dates.length ? workshopConfig.dates : availableDates
+        );
         
         if (!dateValidation.isValid) {
             console.log(`❌ Invalid date for ${carnivalName}: ${selectedDate} - ${dateValidation.error}`);
@@ -661,6 +733,14 @@ exports.register = async (req, res) => {
             });
         }
 
+        if (!workshopConfigService.findSession(workshopConfig, dateValidation.dateString, selectedBatch)) {
+            console.log(`❌ No session for ${carnivalName}: ${selectedBatch} on ${dateValidation.dateString}`);
+            return res.status(400).json({
+                success: false,
+                message: 'Please select one of the sessions offered for this workshop.'
+            });
+        }
+
         // Check for duplicate PAID registration
         const duplicateCheck = await checkDuplicateRegistration(
             carnivalName,
@@ -687,17 +767,21 @@ exports.register = async (req, res) => {
         
         if (slotInfo.isFull) {
             console.log(`❌ Registration blocked: Batch ${selectedBatch} on ${selectedDate} for ${carnivalName} is full`);
+            const waitlistPolicy = await workshopWaitlistService.getWaitlistPolicy();
             
             return res.status(400).json({
                 success: false,
-                message: 'Sorry, this batch on the selected date is currently full. Please select another time slot or date.',
+                message: waitlistPolicy.enabled
+                    ? 'Sorry, this batch on the selected date is currently full. You can join the waitlist and we will email you if a seat frees up.'
+                    : 'Sorry, this batch on the selected date is currently full. Please select another time slot or date.',
                 data: {
                     carnivalName: carnivalName,
                     batch: selectedBatch,
                     date: dateValidation.dateString,
                     availableSlots: slotInfo.availableSlots,
                     capacity: slotInfo.capacity,
-                    registeredCount: slotInfo.registeredCount
+                    registeredCount: slotInfo.registeredCount,
+                    waitlistAvailable: waitlistPolicy.enabled
                 }
             });
         }
@@ -709,7 +793,7 @@ exports.register = async (req, res) => {
         const batchTime = extractBatchTime(selectedBatch);
 
         // Create registration
-        const registrationId = await generateRegistrationId(carnivalName);
+        const registrationId = await generateRegistrationId(workshopConfig.prefix);
         const now = new Date();
         const paymentExpiresAt = new Date(now.getTime() + (MAX_PENDING_MINUTES * 60 * 1000));
         
@@ -735,9 +819,9 @@ exports.register = async (req, res) => {
             source: 'website_form'
         });
 
-        await registration.save();
+        await idSequenceService.retryOnDuplicateId('workshop', registration, () => registration.save(), { prefix: workshopConfig.prefix });
 
-        console.log(`✅ Registration saved successfully: ${registrationId}`);
+        console.log(`✅ Registration saved successfully: ${registration.registrationId}`);
         console.log(`👤 Child: ${registration.childName}`);
         console.log(`🎯 Batch: ${registration.selectedBatch}`);
         console.log(`⏰ Batch Time: ${registration.batchTime}`);
@@ -751,7 +835,7 @@ exports.register = async (req, res) => {
             success: true,
             message: 'Registration saved successfully',
             data: {
-                registrationId: registrationId,
+                registrationId: registration.registrationId,
                 carnivalName: carnivalName,
                 parentName: registration.parentName,
                 childName: registration.childName,
@@ -797,7 +881,7 @@ exports.register = async (req, res) => {
 exports.createOrder = async (req, res) => {
     try {
         console.log('\n📦 ============ CREATE ORDER REQUEST ============');
-        const { registrationId } = req.body;
+        const { registrationId, couponCode } = req.body;
 
         if (!registrationId) {
             return res.status(400).json({
@@ -815,40 +899,24 @@ exports.createOrder = async (req, res) => {
         }
 
         // Calculate amount based on carnival
-        const workshopConfig = getWorkshopConfig(registration.carnivalName);
-        let amount = workshopConfig.fee;
-        
-        console.log(`💰 Creating order for ${registrationId}: ₹${amount} (${registration.carnivalName})`);
-
-        const options = {
-            amount: amount * 100, // amount in the smallest currency unit
-            currency: "INR",
-            receipt: registrationId,
-            notes: {
-                registrationId: registrationId,
-                childName: registration.childName,
-                carnivalName: registration.carnivalName
-            }
-        };
-
-        const order = await razorpay.orders.create(options);
-        
-        console.log(`✅ Order created: ${order.id}`);
-
-        // Update registration with order ID
-        registration.payment = registration.payment || {};
-        registration.payment.razorpay_order_id = order.id;
-        registration.payment.amount = amount;
-        await registration.save();
+        const workshopConfig = await workshopConfigService.getWorkshopConfig(registration.carnivalName);
+        if (!workshopConfig) {
+            return res.status(400).json({
+                success: false,
+                message: 'This workshop is no longer available'
+            });
+        }
+        const result = await createRegistrationOrder(registration, workshopConfig, couponCode);
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
 
         res.json({
             success: true,
-            data: {
-                orderId: order.id,
-                amount: amount,
-                currency: "INR",
-                key_id: process.env.RAZORPAY_KEY_ID
-            }
+            data: result.data
         });
 
     } catch (error) {
@@ -998,7 +1066,10 @@ exports.verifyPayment = async (req, res) => {
             registration.selectedDate
         );
         
-        if (slotInfo.isFull) {
+        // This registration is one of the counted seats, so only more than
+        // capacity means someone else took it (e.g. the last seat, offered
+        // from the waitlist, is exactly full)
+        if (!slotInfo.isOnline && slotInfo.registeredCount > slotInfo.capacity) {
             console.log(`❌ Slot no longer available for: ${registrationId} on ${slotInfo.dateString}`);
             
             return res.status(400).json({
@@ -1037,9 +1108,17 @@ exports.verifyPayment = async (req, res) => {
             console.warn('⚠️ Skipping signature verification for direct payment (legacy)');
         }
 
-        // Calculate amount dynamically
-        const workshopConfig = getWorkshopConfig(registration.carnivalName);
-        let amount = workshopConfig.fee;
+        // Amount is what the order was priced at (after any coupon); legacy
+        // registrations without an order fall back to the workshop fee
+        const workshopConfig = await getWorkshopConfig(registration.carnivalName);
+        const orderId = razorpay_order_id || registration.payment?.razorpay_order_id;
+        const redemption = await redeemDiscount(orderId);
+        const storedPayment = registration.payment || {};
+        let amount = redemption
+            ? redemption.netAmount
+            : (storedPayment.razorpay_order_id === orderId && storedPayment.amount) || getSessionFee(workshopConfig, registration);
+        const grossAmount = redemption ? redemption.grossAmount : (storedPayment.gross_amount || amount);
+        const discountAmount = redemption ? redemption.discountAmount : 0;
         console.log(`💰 Final amount verified: ₹${amount} (${registration.carnivalName})`);
 
         // --- FETCH ACTUAL PAYMENT DETAILS FROM RAZORPAY ---
@@ -1085,6 +1164,10 @@ exports.verifyPayment = async (req, res) => {
                         razorpay_order_id: razorpay_order_id || registration.payment?.razorpay_order_id || 'direct_payment',
                         razorpay_signature: razorpay_signature || 'direct_payment',
                         amount: amount,
+                        gross_amount: grossAmount,
+                        discount_amount: discountAmount,
+                        coupon_code: redemption ? redemption.couponCode : null,
+                        discounts: redemption ? redemption.discounts : [],
                         currency: "INR",
                         status: 'paid',
                         payment_date: now,
@@ -1138,6 +1221,17 @@ exports.verifyPayment = async (req, res) => {
             console.warn('⚠️ Could not create payment log:', paymentLogError.message);
         }
 
+        // Numbered receipt, attached to the confirmation email
+        let receipt = null;
+        let attachments = [];
+        try {
+            receipt = await issueSpecialCourseReceipt(updatedRegistration);
+            attachments = [await getReceiptAttachment(receipt)];
+            console.log(`🧾 Receipt issued: ${receipt.receiptNumber}`);
+        } catch (receiptError) {
+            console.warn('⚠️ Could not generate receipt:', receiptError.message);
+        }
+
         // Send confirmation email
         let emailResult = { success: false };
         try {
@@ -1165,7 +1259,9 @@ exports.verifyPayment = async (req, res) => {
                     paymentId: razorpay_payment_id,
                     amount: registration.payment?.amount || amount,
                     paymentDate: now.toLocaleDateString('en-IN'),
-                    paymentTime: now.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })
+                    paymentTime: now.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' }),
+                    cancellationToken: workshopRefundService.getCancellationToken(registration),
+                    attachments
                 }
             );
             
@@ -1198,6 +1294,7 @@ exports.verifyPayment = async (req, res) => {
                 registrationId: registration.registrationId,
                 carnivalName: registration.carnivalName,
                 paymentId: razorpay_payment_id,
+                cancellationToken: workshopRefundService.getCancellationToken(registration),
                 date: registration.selectedDate ? registration.selectedDate.toISOString().split('T')[0] : null,
                 formattedDate: registration.selectedDate ? registration.selectedDate.toLocaleDateString('en-IN', {
                     weekday: 'long',
@@ -1214,10 +1311,11 @@ exports.verifyPayment = async (req, res) => {
                 batchTime: registration.batchTime,
                 childName: registration.childName,
                 emailSent: emailResult.success,
+                receiptNumber: receipt ? receipt.receiptNumber : null,
                 timestamp: now.toISOString(),
                 slotInfo: {
                     currentAvailable: slotInfo.availableSlots - 1,
-                    capacity: workshopConfig.capacity,
+                    capacity: slotInfo.capacity,
                     registeredCount: slotInfo.registeredCount + 1
                 }
             }
@@ -1351,8 +1449,6 @@ exports.getRegistration = async (req, res) => {
                 month: 'short',
                 year: 'numeric'
             }) : null,
-            email: registration.email,
-            phone: registration.phone,
             status: registration.status,
             payment_status: registration.payment_status,
             payment: registration.payment ? {
@@ -1363,6 +1459,13 @@ exports.getRegistration = async (req, res) => {
                 method: registration.payment.method
             } : null,
             payment_expires_at: registration.payment_expires_at,
+            refunded_amount: registration.refunded_amount || 0,
+            cancellation: registration.cancellation?.status ? {
+                status: registration.cancellation.status,
+                requested_at: registration.cancellation.requested_at,
+                quoted_refund_amount: registration.cancellation.quoted_refund_amount,
+                review_note: registration.cancellation.review_note
+            } : null,
             createdAt: registration.createdAt,
             updatedAt: registration.updatedAt,
             ageMinutes: ageMinutes,
@@ -1586,7 +1689,7 @@ exports.getStatistics = async (req, res) => {
         // Calculate total revenue from paid registrations across all carnivals
         let totalRevenue = 0;
         for (const carnival of carnivalStats) {
-            const config = getWorkshopConfig(carnival._id);
+            const config = await getWorkshopConfig(carnival._id);
             totalRevenue += carnival.paid * config.fee;
         }
 
@@ -1714,7 +1817,7 @@ exports.getCarnivalStatistics = async (req, res) => {
                     paidRegistrations: paidForCarnival,
                     pendingRegistrations: pendingForCarnival,
                     expiredRegistrations: expiredForCarnival,
-                    revenue: paidForCarnival * getWorkshopConfig(carnivalName).fee
+                    revenue: paidForCarnival * (await getWorkshopConfig(carnivalName)).fee
                 },
                 dateStatistics: dateStats,
                 uniqueDates: dateStats.length,
@@ -1790,6 +1893,9 @@ exports.expireRegistration = async (req, res) => {
             console.log(`✅ Manually DELETED: ${registrationId}`);
             console.log(`🔄 Status changed from '${oldStatus}' to DELETED`);
 
+            workshopWaitlistService.offerFreedSeats(registration)
+                .catch(err => console.warn('⚠️ Could not offer freed seat to the waitlist:', err.message));
+
             res.json({
                 success: true,
                 message: 'Registration deleted successfully',
@@ -2103,8 +2209,13 @@ exports.getRegistrationById = async (req, res) => {
         bank: payment.bank,
         wallet: payment.wallet,
         vpa: payment.vpa,
+        amount_refunded: payment.amount_refunded || 0,
+        refunds: payment.refunds || [],
         created_at: payment.created_at
-      } : null
+      } : null,
+      refundQuote: registration.status === 'registered' && registration.payment_status === 'paid'
+        ? workshopRefundService.getRefundQuote(registration, await workshopRefundService.getCancellationPolicy())
+        : null
     };
     
     console.log(`✅ Returning detailed registration: ${registrationId}`);
@@ -2123,6 +2234,619 @@ exports.getRegistrationById = async (req, res) => {
   }
 };
 
+// ==================== REFUNDS & CANCELLATION ====================
+
+/**
+ * Parent asks to cancel a paid registration. The refund is quoted from the
+ * cancellation policy now and paid once an admin approves it.
+ * POST /api/special-course/:registrationId/cancel-request
+ * Body: { token, reason } - token is the cancellation token sent with the
+ * payment confirmation
+ */
+exports.requestCancellation = async (req, res) => {
+    try {
+        const { registrationId } = req.params;
+        const { token, reason } = req.body || {};
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cancellation token from your confirmation email is required'
+            });
+        }
+
+        const policy = await workshopRefundService.getCancellationPolicy();
+        if (!policy.allowParentRequests) {
+            return res.status(403).json({
+                success: false,
+                message: 'Online cancellation is not available. Please contact us on WhatsApp.'
+            });
+        }
+
+        const registration = await SpecialCourse.findOne({ registrationId });
+        if (!registration || !workshopRefundService.verifyCancellationToken(registration, token)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registration not found'
+            });
+        }
+
+        if (registration.status !== 'registered' || registration.payment_status !== 'paid') {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot cancel a registration with status: ${registration.status}`
+            });
+        }
+
+        if (registration.cancellation?.status === 'requested') {
+            return res.json({
+                success: true,
+                message: 'Cancellation already requested',
+                data: {
+                    registrationId,
+                    quotedRefundAmount: registration.cancellation.quoted_refund_amount,
+                    requestedAt: registration.cancellation.requested_at
+                }
+            });
+        }
+
+        const now = new Date();
+        const start = workshopRefundService.getWorkshopStart(registration);
+        if (start && start <= now) {
+            return res.status(400).json({
+                success: false,
+                message: 'This workshop has already started and can no longer be cancelled'
+            });
+        }
+
+        const quote = workshopRefundService.getRefundQuote(registration, policy, now);
+        registration.cancellation = {
+            status: 'requested',
+            requested_by: 'parent',
+            requested_at: now,
+            reason: reason || '',
+            quoted_refund_amount: quote.amount,
+            quoted_refund_percent: quote.percent
+        };
+        await registration.save();
+
+        console.log(`📝 Cancellation requested for ${registrationId} (refund quote ₹${quote.amount}, ${quote.hoursBeforeStart}h before start)`);
+
+        res.json({
+            success: true,
+            message: quote.amount > 0
+                ? `Cancellation requested. You are eligible for a refund of ₹${quote.amount}.`
+                : 'Cancellation requested. As per our policy this cancellation is not eligible for a refund.',
+            data: {
+                registrationId,
+                quotedRefundAmount: quote.amount,
+                refundPercent: quote.percent,
+                hoursBeforeStart: quote.hoursBeforeStart
+            }
+        });
+    } catch (error) {
+        console.error('❌ Cancellation request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to request cancellation'
+        });
+    }
+};
+
+/**
+ * List cancellation requests
+ * GET /api/special-course/admin/cancellation-requests?status=requested
+ */
+exports.getCancellationRequests = async (req, res) => {
+    try {
+        const status = req.query.status || 'requested';
+        const query = status === 'all'
+            ? { 'cancellation.status': { $exists: true } }
+            : { 'cancellation.status': status };
+
+        const registrations = await SpecialCourse.find(query)
+            .select('registrationId carnivalName parentName childName email phone selectedDate selectedBatch status payment_status payment.amount refunded_amount cancellation')
+            .sort({ 'cancellation.requested_at': -1 })
+            .limit(200);
+
+        res.json({ success: true, count: registrations.length, data: registrations });
+    } catch (error) {
+        console.error('❌ Get cancellation requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch cancellation requests'
+        });
+    }
+};
+
+/**
+ * Refund a registration (full or partial). Cancels it and frees the seat
+ * unless cancel is false; without an amount the cancellation policy decides.
+ * POST /api/special-course/admin/registrations/:registrationId/refund
+ * Body: { amount?, reason, cancel?: boolean (default true), manual?: boolean }
+ */
+exports.refundRegistration = async (req, res) => {
+    try {
+        const { registrationId } = req.params;
+        const { amount, reason, cancel = true, manual = false } = req.body;
+
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required for refunds'
+            });
+        }
+
+        const result = await workshopRefundService.refundRegistration(registrationId, {
+            amount,
+            reason: String(reason).trim(),
+            cancel: cancel !== false && cancel !== 'false',
+            manual: manual === true || manual === 'true',
+            initiatedBy: req.admin.email
+        });
+
+        if (result.error) {
+            return res.status(result.status || 400).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            message: result.refund.amount > 0
+                ? `Refund of ₹${result.refund.amount} ${result.refund.status === 'processed' ? 'processed' : 'initiated'}`
+                : 'Registration cancelled without refund',
+            data: {
+                registrationId,
+                status: result.registration.status,
+                payment_status: result.registration.payment_status,
+                refunded_amount: result.registration.refunded_amount,
+                refund: result.refund
+            }
+        });
+    } catch (error) {
+        console.error('❌ Refund error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process refund'
+        });
+    }
+};
+
+/**
+ * Turn down a parent's cancellation request (the registration stays active)
+ * POST /api/special-course/admin/registrations/:registrationId/cancellation/reject
+ * Body: { note }
+ */
+exports.rejectCancellation = async (req, res) => {
+    try {
+        const { registrationId } = req.params;
+
+        const registration = await SpecialCourse.findOneAndUpdate(
+            { registrationId, 'cancellation.status': 'requested' },
+            {
+                $set: {
+                    'cancellation.status': 'rejected',
+                    'cancellation.reviewed_at': new Date(),
+                    'cancellation.reviewed_by': req.admin.email,
+                    'cancellation.review_note': req.body.note || ''
+                }
+            },
+            { new: true }
+        );
+
+        if (!registration) {
+            return res.status(404).json({
+                success: false,
+                message: 'No pending cancellation request for this registration'
+            });
+        }
+
+        res.json({ success: true, data: registration.cancellation });
+    } catch (error) {
+        console.error('❌ Reject cancellation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reject cancellation'
+        });
+    }
+};
+
+/**
+ * GET /api/special-course/admin/cancellation-policy
+ */
+exports.getCancellationPolicy = async (req, res) => {
+    try {
+        const policy = await workshopRefundService.getCancellationPolicy();
+        res.json({ success: true, data: policy });
+    } catch (error) {
+        console.error('❌ Get cancellation policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch cancellation policy'
+        });
+    }
+};
+
+/**
+ * PUT /api/special-course/admin/cancellation-policy
+ * Body: { fullRefundHours?, partialRefundHours?, partialRefundPercent?, allowParentRequests? }
+ */
+exports.updateCancellationPolicy = async (req, res) => {
+    try {
+        const changes = {};
+        ['fullRefundHours', 'partialRefundHours', 'partialRefundPercent'].forEach(field => {
+            if (req.body[field] !== undefined) changes[field] = Number(req.body[field]);
+        });
+        if (req.body.allowParentRequests !== undefined) {
+            changes.allowParentRequests = req.body.allowParentRequests === true || req.body.allowParentRequests === 'true';
+        }
+
+        const result = await workshopRefundService.saveCancellationPolicy(changes);
+        if (result.error) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+
+        res.json({ success: true, data: result.policy });
+    } catch (error) {
+        console.error('❌ Update cancellation policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update cancellation policy'
+        });
+    }
+};
+
+// ==================== WORKSHOP WAITLIST ====================
+
+const toWaitlistData = (entry, position) => ({
+    token: entry.token,
+    status: entry.status,
+    position: position,
+    carnivalName: entry.carnivalName,
+    childName: entry.childName,
+    batch: entry.selectedBatch,
+    date: entry.selectedDate.toISOString().split('T')[0],
+    offerExpiresAt: entry.status === 'offered' ? entry.offer_expires_at : null,
+    registrationId: entry.registrationId || null
+});
+
+/**
+ * Join the waitlist of a full session. The token in the response identifies
+ * the entry in the offer and leave links.
+ * POST /api/special-course/waitlist
+ * Body: same as /register
+ */
+exports.joinWaitlist = async (req, res) => {
+    try {
+        const validation = validationService.validateRegistrationData(req.body);
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                errors: validation.errors
+            });
+        }
+
+        const { carnivalName, selectedDate, selectedBatch } = req.body;
+        const workshopConfig = await workshopConfigService.getWorkshopConfig(carnivalName);
+        if (!workshopConfig || workshopConfig.status !== 'active') {
+            return res.status(400).json({
+                success: false,
+                message: 'This workshop is not available for registration'
+            });
+        }
+
+        const dateValidation = validationService.validateDate(selectedDate, workshopConfig.dates);
+        if (!dateValidation.isValid) {
+            return res.status(400).json({
+                success: false,
+                message: dateValidation.error
+            });
+        }
+
+        if (!workshopConfigService.findSession(workshopConfig, dateValidation.dateString, selectedBatch)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please select one of the sessions offered for this workshop.'
+            });
+        }
+
+        // Only full sessions have a waitlist
+        const slotInfo = await checkSlotAvailability(carnivalName, selectedBatch, selectedDate);
+        if (!slotInfo.isFull) {
+            return res.status(400).json({
+                success: false,
+                message: 'Seats are still available for this session. Please register directly.',
+                data: { availableSlots: slotInfo.availableSlots }
+            });
+        }
+
+        const sanitizedData = validationService.sanitizeInput(req.body);
+        const result = await workshopWaitlistService.joinWaitlist({
+            carnivalName: carnivalName,
+            selectedDate: dateValidation.date,
+            selectedBatch: sanitizedData.selectedBatch.trim(),
+            parentName: sanitizedData.parentName.trim(),
+            email: sanitizedData.email.toLowerCase().trim(),
+            phone: sanitizedData.phone.trim(),
+            childName: sanitizedData.childName.trim(),
+            childAge: sanitizedData.childAge.trim(),
+            materialType: req.body.materialType || false
+        });
+
+        if (result.error) {
+            return res.status(result.status || 400).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(result.alreadyWaiting ? 200 : 201).json({
+            success: true,
+            message: result.alreadyWaiting
+                ? 'This child is already on the waitlist for this session'
+                : `Added to the waitlist at position #${result.position}`,
+            data: toWaitlistData(result.entry, result.position)
+        });
+    } catch (error) {
+        console.error('❌ Join waitlist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to join the waitlist'
+        });
+    }
+};
+
+/**
+ * Waitlist entry / seat offer by token (the page the offer email links to)
+ * GET /api/special-course/waitlist/:token
+ */
+exports.getWaitlistEntry = async (req, res) => {
+    try {
+        const offer = await workshopWaitlistService.getOffer(req.params.token);
+        if (!offer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Waitlist entry not found'
+            });
+        }
+
+        const { entry } = offer;
+        res.json({
+            success: true,
+            data: {
+                ...toWaitlistData(entry, await workshopWaitlistService.getPosition(entry)),
+                status: offer.expired ? 'expired' : entry.status,
+                parentName: entry.parentName,
+                amount: offer.amount
+            }
+        });
+    } catch (error) {
+        console.error('❌ Get waitlist entry error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch waitlist entry'
+        });
+    }
+};
+
+/**
+ * Take up a seat offer: creates the registration and its Razorpay order.
+ * The page then opens checkout and calls /verify-payment as usual.
+ * POST /api/special-course/waitlist/:token/accept
+ * Body: { couponCode? }
+ */
+exports.acceptWaitlistOffer = async (req, res) => {
+    try {
+        const claim = await workshopWaitlistService.claimOffer(req.params.token);
+        if (claim.error) {
+            return res.status(claim.status || 400).json({
+                success: false,
+                message: claim.error,
+                data: claim.entry && claim.entry.registrationId
+                    ? { registrationId: claim.entry.registrationId }
+                    : undefined
+            });
+        }
+
+        const { entry } = claim;
+        const workshopConfig = await workshopConfigService.getWorkshopConfig(entry.carnivalName);
+        if (!workshopConfig || workshopConfig.status !== 'active') {
+            await workshopWaitlistService.releaseClaim(entry);
+            return res.status(400).json({
+                success: false,
+                message: 'This workshop is no longer available'
+            });
+        }
+
+        let registration;
+        try {
+            const now = new Date();
+            registration = new SpecialCourse({
+                registrationId: await generateRegistrationId(workshopConfig.prefix),
+                carnivalName: entry.carnivalName,
+                parentName: entry.parentName,
+                email: entry.email,
+                phone: entry.phone,
+                childName: entry.childName,
+                childAge: entry.childAge,
+                selectedBatch: entry.selectedBatch,
+                batchTime: extractBatchTime(entry.selectedBatch),
+                selectedDate: entry.selectedDate,
+                materialType: entry.materialType,
+                status: 'pending_payment',
+                payment_status: 'pending',
+                payment_expires_at: new Date(now.getTime() + (MAX_PENDING_MINUTES * 60 * 1000)),
+                ip_address: req.ip || req.headers['x-forwarded-for'] || req.connection.remoteAddress,
+                user_agent: req.headers['user-agent'],
+                source: 'waitlist_offer'
+            });
+            await idSequenceService.retryOnDuplicateId('workshop', registration, () => registration.save(), { prefix: workshopConfig.prefix });
+        } catch (createError) {
+            await workshopWaitlistService.releaseClaim(entry);
+            throw createError;
+        }
+
+        entry.registrationId = registration.registrationId;
+        await entry.save();
+
+        console.log(`🎟️ Waitlist offer accepted: ${registration.registrationId} for ${entry.childName}`);
+
+        // The registration now holds the seat; if the order fails the page can
+        // retry /create-order with the registrationId
+        const order = await createRegistrationOrder(registration, workshopConfig, req.body.couponCode);
+        if (order.error) {
+            return res.status(400).json({
+                success: false,
+                message: order.error,
+                data: { registrationId: registration.registrationId }
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Seat reserved. Please complete the payment.',
+            data: {
+                ...order.data,
+                registrationId: registration.registrationId,
+                carnivalName: registration.carnivalName,
+                childName: registration.childName,
+                batch: registration.selectedBatch,
+                date: registration.selectedDate.toISOString().split('T')[0],
+                deleteAfterMinutes: DELETE_PENDING_AFTER_MINUTES
+            }
+        });
+    } catch (error) {
+        console.error('❌ Accept waitlist offer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reserve the seat. Please try again.'
+        });
+    }
+};
+
+/**
+ * Leave the waitlist, or turn down an offer (the seat goes to the next family)
+ * POST /api/special-course/waitlist/:token/leave
+ */
+exports.leaveWaitlist = async (req, res) => {
+    try {
+        const entry = await workshopWaitlistService.leaveWaitlist(req.params.token);
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'No active waitlist entry found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'You have been removed from the waitlist',
+            data: toWaitlistData(entry, null)
+        });
+    } catch (error) {
+        console.error('❌ Leave waitlist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to leave the waitlist'
+        });
+    }
+};
+
+/**
+ * List waitlist entries
+ * GET /api/special-course/admin/waitlist?carnivalName=&date=&batch=&status=waiting
+ */
+exports.getWaitlist = async (req, res) => {
+    try {
+        const { carnivalName, date, batch, status = 'waiting' } = req.query;
+        const query = {};
+        if (carnivalName) query.carnivalName = carnivalName;
+        if (date) query.selectedDate = parseDateForQuery(date);
+        if (batch) query.selectedBatch = batch;
+        if (status !== 'all') query.status = status;
+
+        const entries = await WorkshopWaitlist.find(query)
+            .select('-token')
+            .sort({ selectedDate: 1, selectedBatch: 1, createdAt: 1 })
+            .limit(500);
+
+        res.json({ success: true, count: entries.length, data: entries });
+    } catch (error) {
+        console.error('❌ Get waitlist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch waitlist'
+        });
+    }
+};
+
+/**
+ * Expire lapsed offers and offer free seats now (the cleanup job does this
+ * every few minutes)
+ * POST /api/special-course/admin/waitlist/process
+ */
+exports.processWaitlist = async (req, res) => {
+    try {
+        const result = await workshopWaitlistService.processWaitlist();
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('❌ Process waitlist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process waitlist'
+        });
+    }
+};
+
+/**
+ * GET /api/special-course/admin/waitlist-policy
+ */
+exports.getWaitlistPolicy = async (req, res) => {
+    try {
+        const policy = await workshopWaitlistService.getWaitlistPolicy();
+        res.json({ success: true, data: policy });
+    } catch (error) {
+        console.error('❌ Get waitlist policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch waitlist policy'
+        });
+    }
+};
+
+/**
+ * PUT /api/special-course/admin/waitlist-policy
+ * Body: { enabled?, offerMinutes?, maxWaitingPerSession? }
+ */
+exports.updateWaitlistPolicy = async (req, res) => {
+    try {
+        const changes = {};
+        ['offerMinutes', 'maxWaitingPerSession'].forEach(field => {
+            if (req.body[field] !== undefined) changes[field] = Number(req.body[field]);
+        });
+        if (req.body.enabled !== undefined) {
+            changes.enabled = req.body.enabled === true || req.body.enabled === 'true';
+        }
+
+        const result = await workshopWaitlistService.saveWaitlistPolicy(changes);
+        if (result.error) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+
+        res.json({ success: true, data: result.policy });
+    } catch (error) {
+        console.error('❌ Update waitlist policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update waitlist policy'
+        });
+    }
+};
+
 // Export helper functions for testing
 exports.cleanupExpiredRegistrations = cleanupExpiredRegistrations;
+// The cleanup runs as the special-course-cleanup job (cron/jobs.js)
+exports.CLEANUP_INTERVAL_MINUTES = CLEANUP_INTERVAL_MINUTES;
 exports.checkSlotAvailability = checkSlotAvailability;
\ No newline at end of file
@@ -0,0 +1,85 @@
+const attendanceSessionService = require('../services/attendanceSession.service');
+
+/**
+ * Sessions meeting on a date (generated if needed) with roster counts
+ * GET /api/attendance/sessions?date=YYYY-MM-DD
+ */
+exports.getSessions = async (req, res) => {
+  try {
+    const date = req.query.date || attendanceSessionService.today();
+    if (!attendanceSessionService.isValidDate(date)) {
+      return res.status(400).json({ success: false, error: 'date must be in YYYY-MM-DD format' });
+    }
+
+    const sessions = await attendanceSessionService.listSessions(date);
+    res.json({ success: true, date, count: sessions.length, data: sessions });
+  } catch (error) {
+    console.error('Get Attendance Sessions Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch attendance sessions' });
+  }
+};
+
+/**
+ * Generate sessions for a date range from the batch and flexi schedules
+ * POST /api/attendance/sessions/generate
+ * Body: { from: 'YYYY-MM-DD', to?: 'YYYY-MM-DD' }
+ */
+exports.generateSessions = async (req, res) => {
+  try {
+    const { from, to } = req.body || {};
+    const result = await attendanceSessionService.generateSessionsForRange(from, to || from);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, message: `${result.sessions} session(s) ready`, data: result });
+  } catch (error) {
+    console.error('Generate Attendance Sessions Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate attendance sessions' });
+  }
+};
+
+/**
+ * Expected students of a session (regular + booked make-ups) and their marks
+ * GET /api/attendance/sessions/:id/roster
+ */
+exports.getRoster = async (req, res) => {
+  try {
+    const roster = await attendanceSessionService.getRoster(req.params.id);
+    if (!roster) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    res.json({ success: true, data: roster });
+  } catch (error) {
+    console.error('Get Session Roster Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch session roster' });
+  }
+};
+
+/**
+ * Mark attendance for a session
+ * POST /api/attendance/sessions/:id/marks
+ * Body: { marks: [{ studentId, status: 'P' | 'A' | 'none' }] }
+ */
+exports.markSession = async (req, res) => {
+  try {
+    const result = await attendanceSessionService.markSession(req.params.id, req.body.marks, {
+      markedBy: req.admin.email
+    });
+    if (result.error) {
+      return res.status(result.status || 400).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: 'Attendance updated successfully',
+      tokensGenerated: result.tokensGenerated,
+      tokensReturned: result.tokensReturned,
+      data: result.roster
+    });
+  } catch (error) {
+    console.error('Mark Session Attendance Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update attendance' });
+  }
+};
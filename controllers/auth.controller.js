@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin.model');
+const { ROLE_PERMISSIONS } = require('../middleware/permissions');
 
 const MAX_ATTEMPTS = 5;
 const LOCK_DURATION_MS = 15 * 60 * 1000; // 15 minutes
@@ -88,6 +89,7 @@ exports.login = async (req, res) => {
         name: admin.name,
         email: admin.email,
         role: admin.role,
+        permissions: ROLE_PERMISSIONS[admin.role] || [],
         lastLogin: admin.lastLogin,
       },
     });
@@ -110,6 +112,7 @@ exports.getMe = async (req, res) => {
         name: req.admin.name,
         email: req.admin.email,
         role: req.admin.role,
+        permissions: ROLE_PERMISSIONS[req.admin.role] || [],
         lastLogin: req.admin.lastLogin,
       },
     });
@@ -125,3 +128,100 @@ exports.getMe = async (req, res) => {
 exports.logout = async (req, res) => {
   res.json({ success: true, message: 'Logged out successfully.' });
 };
+
+// ─── Admin accounts (superadmin only) ─────────────────────────
+
+const ADMIN_ROLES = Admin.schema.path('role').enumValues;
+
+// An admin as returned by the account endpoints (never the password hash)
+const adminSummary = (admin) => ({
+  id: admin._id,
+  name: admin.name,
+  email: admin.email,
+  role: admin.role,
+  isActive: admin.isActive,
+  lastLogin: admin.lastLogin,
+  createdAt: admin.createdAt,
+});
+
+/**
+ * GET /api/auth/admins
+ * Every admin account
+ */
+exports.getAdmins = async (req, res) => {
+  try {
+    const admins = await Admin.find().select('-password').sort({ createdAt: 1 });
+    res.json({ success: true, count: admins.length, admins: admins.map(adminSummary) });
+  } catch (error) {
+    console.error('Get Admins Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch admins.' });
+  }
+};
+
+/**
+ * POST /api/auth/admins
+ * Create an admin account with any role
+ * Body: { name, email, password, role }
+ */
+exports.createAdmin = async (req, res) => {
+  try {
+    const { name, email, password, role = 'admin' } = req.body || {};
+
+    if (!name || !email || !password) {
+      return res.status(400).json({ success: false, error: 'name, email and password are required.' });
+    }
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `role must be one of ${ADMIN_ROLES.join(', ')}.` });
+    }
+    if (String(password).length < 8) {
+      return res.status(400).json({ success: false, error: 'Password must be at least 8 characters.' });
+    }
+
+    const admin = new Admin({ name, email, password, role });
+    await admin.save();
+
+    console.log(`👤 Admin ${admin.email} (${admin.role}) created by ${req.admin.email}`);
+    res.status(201).json({ success: true, message: 'Admin created.', admin: adminSummary(admin) });
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.email) {
+      return res.status(409).json({ success: false, error: 'An admin with this email already exists.' });
+    }
+    console.error('Create Admin Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create admin.' });
+  }
+};
+
+/**
+ * PUT /api/auth/admins/:id/role
+ * Change an admin's role. Superadmins cannot change their own role, so the
+ * academy is never left without one.
+ * Body: { role }
+ */
+exports.updateAdminRole = async (req, res) => {
+  try {
+    const { role } = req.body || {};
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `role must be one of ${ADMIN_ROLES.join(', ')}.` });
+    }
+    if (String(req.admin._id) === String(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'You cannot change your own role.' });
+    }
+
+    const admin = await Admin.findByIdAndUpdate(
+      req.params.id,
+      { $set: { role } },
+      { new: true, runValidators: true }
+    ).select('-password');
+    if (!admin) {
+      return res.status(404).json({ success: false, error: 'Admin not found.' });
+    }
+
+    // Tokens carry the role, but protect reloads the admin on every request,
+    // so the new permissions apply straight away
+    console.log(`👤 Admin ${admin.email} is now ${admin.role} (changed by ${req.admin.email})`);
+    res.json({ success: true, message: 'Role updated.', admin: adminSummary(admin) });
+  } catch (error) {
+    console.error('Update Admin Role Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update role.' });
+  }
+};
@@ -2,6 +2,11 @@ const Batch = require('../models/Batch.model');
 const Student = require('../models/student.model');
 const FlexiBatch = require('../models/FlexiBatch.model');
 const CompensationToken = require('../models/CompensationToken.model');
+const TrialBooking = require('../models/TrialBooking.model');
+const attendanceSessionService = require('../services/attendanceSession.service');
+const batchOccupancyService = require('../services/batchOccupancy.service');
+const promotionService = require('../services/promotion.service');
+const { withTransaction } = require('../services/unitOfWork.service');
 
 /**
  * GET /api/batches
@@ -58,6 +63,7 @@ exports.getAllBatches = async (req, res) => {
       dayId: batch.dayId,
       time: batch.time,
       capacity: batch.capacity,
+      makeupAllowance: batch.makeupAllowance,
       status: batch.status,
       isFlexi: false,
       enrolledStudents: batch.enrolledStudents || [],
@@ -109,144 +115,47 @@ exports.createBatch = async (req, res) => {
 
 /**
  * POST /api/batches/:id/complete
- * Complete a batch and auto-advance students to next level
- * UPDATED: Proper level progression system
+ * Complete a batch in one step: proposes an outcome per student (advance,
+ * repeat, graduate, hold — see services/promotion.service.js), or takes the
+ * open draft review if there is one, applies any overrides in `outcomes` and
+ * commits. The commit can be undone for a while
+ * through /api/batches/promotion-reviews/:reviewId/undo.
+ * Body: { outcomes?: [{ studentId, decision, notes? }] }
  */
 exports.completeBatch = async (req, res) => {
   try {
-    const { id } = req.params;
-    const batch = await Batch.findById(id).populate('enrolledStudents');
-    
-    if (!batch) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Batch not found' 
-      });
-    }
-
-    // Check if batch is already completed
-    if (batch.status === 'completed' || batch.status === 'archived') {
-      return res.status(400).json({ 
-        success: false, 
-        error: `Batch is already ${batch.status}` 
-      });
+    // An admin's open draft keeps its edits rather than being re-proposed
+    const created = await promotionService.createReview(req.params.id, { createdBy: req.admin.email });
+    if (created.error && !(created.status === 409 && created.review)) {
+      return res.status(created.status || 400).json({ success: false, error: created.error });
     }
 
-    // Process each student
-    const results = {
-      advanced: [],
-      graduated: [],
-      paused: [],
-      error: [],
-      notStarted: []
-    };
-
-    for (const student of batch.enrolledStudents) {
-      try {
-        const currentLevel = student.currentLevel || 0;
-        
-        // ═══ NEW: Check if student is at level 0 (not started) ═══
-        if (currentLevel === 0) {
-          results.notStarted.push({
-            studentId: student._id,
-            name: student.childName,
-            message: 'Student has not started their level journey yet. Please start Level 1 first.'
-          });
-          continue;
-        }
-
-        // ═══ STEP 1: Mark current level as completed ═══
-        // Find the current level entry in history
-        const currentLevelEntry = student.levelHistory.find(h => 
-          h.level === currentLevel && h.completedDate === null
-        );
-
-        if (currentLevelEntry) {
-          currentLevelEntry.completedDate = new Date();
-        } else {
-          // If no entry exists, create one (backward compatibility)
-          student.levelHistory.push({
-            level: currentLevel,
-            startedDate: student.enrolledDate || new Date(),
-            completedDate: new Date(),
-            certificateIssued: false
-          });
-        }
-
-        // ═══ STEP 2: Determine next level ═══
-        const nextLevel = currentLevel + 1;
-
-        if (nextLevel <= 12) {
-          // ═══ STEP 3: Advance to next level ═══
-          student.currentLevel = nextLevel;
-          
-          // Add new level entry
-          student.levelHistory.push({
-            level: nextLevel,
-            startedDate: new Date(),
-            completedDate: null,
-            certificateIssued: false
-          });
-          
-          student.enrollmentStatus = 'active';
-          await student.save();
-          
-          results.advanced.push({
-            studentId: student._id,
-            name: student.childName,
-            oldLevel: currentLevel,
-            newLevel: nextLevel
-          });
-          
-          console.log(`✅ ${student.childName} advanced from Level ${currentLevel} to Level ${nextLevel}`);
-        } else {
-          // ═══ STEP 4: Student has completed all 12 levels ═══
-          student.enrollmentStatus = 'graduated';
-          student.currentLevel = 12;
-          await student.save();
-          
-          results.graduated.push({
-            studentId: student._id,
-            name: student.childName,
-            message: '🎉 Student has graduated from all 12 levels!'
-          });
-          
-          console.log(`🎉 ${student.childName} has graduated from Level 12!`);
-        }
-      } catch (err) {
-        console.error(`Error processing student ${student._id}:`, err);
-        results.error.push({
-          studentId: student._id,
-          name: student.childName,
-          error: err.message
-        });
+    const { outcomes } = req.body || {};
+    if (Array.isArray(outcomes) && outcomes.length) {
+      const updated = await promotionService.updateDecisions(created.review._id, outcomes);
+      if (updated.error) {
+        return res.status(updated.status || 400).json({ success: false, error: updated.error });
       }
     }
 
-    // Mark current batch as completed
-    batch.status = 'completed';
-    await batch.save();
-
-    // Generate summary
-    const summary = {
-      batchCompleted: {
-        id: batch._id,
-        totalStudents: batch.enrolledStudents.length
-      },
-      results
-    };
+    const result = await promotionService.commitReview(created.review._id, { committedBy: req.admin.email });
+    if (result.error) {
+      return res.status(result.status || 400).json({ success: false, error: result.error });
+    }
 
-    console.log(`✅ Batch ${batch._id} completed. Summary:`, {
-      advanced: results.advanced.length,
-      graduated: results.graduated.length,
-      notStarted: results.notStarted.length,
-      errors: results.error.length
-    });
-    
+    const { review, summary } = result;
     res.json({
       success: true,
-      summary,
-      message: `Batch completed. ${results.advanced.length} students advanced, ${results.graduated.length} students graduated.`
+      summary: {
+        batchCompleted: {
+          id: review.batchId,
+          totalStudents: review.outcomes.length
+        },
+        results: summary,
+        reviewId: review._id,
+        undoUntil: review.undoUntil
+      },
+      message: `Batch completed. ${summary.advanced.length} students advanced, ${summary.graduated.length} students graduated, ${summary.repeated.length} repeating, ${summary.held.length} held.`
     });
   } catch (error) {
     console.error('Complete Batch Error:', error);
@@ -257,6 +166,108 @@ exports.completeBatch = async (req, res) => {
   }
 };
 
+/**
+ * POST /api/batches/:id/promotion-review
+ * Propose an outcome per enrolled student for review. 409 (with the draft)
+ * while one is open; { replace: true } discards it and proposes afresh.
+ */
+exports.createPromotionReview = async (req, res) => {
+  try {
+    const { replace } = req.body || {};
+    const result = await promotionService.createReview(req.params.id, {
+      createdBy: req.admin.email,
+      replace: replace === true
+    });
+    if (result.error) {
+      return res.status(result.status || 400).json({ success: false, error: result.error, review: result.review });
+    }
+    res.status(201).json({ success: true, review: result.review });
+  } catch (error) {
+    console.error('Create Promotion Review Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create promotion review' });
+  }
+};
+
+/**
+ * GET /api/batches/:id/promotion-review
+ * Latest promotion review of a batch
+ */
+exports.getPromotionReview = async (req, res) => {
+  try {
+    const review = await promotionService.getLatestReview(req.params.id);
+    if (!review) {
+      return res.status(404).json({ success: false, error: 'No promotion review for this batch' });
+    }
+    res.json({ success: true, review });
+  } catch (error) {
+    console.error('Get Promotion Review Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch promotion review' });
+  }
+};
+
+/**
+ * PUT /api/batches/promotion-reviews/:reviewId
+ * Edit decisions on a draft review
+ * Body: { outcomes: [{ studentId, decision?, notes? }] }
+ */
+exports.updatePromotionReview = async (req, res) => {
+  try {
+    const result = await promotionService.updateDecisions(req.params.reviewId, (req.body || {}).outcomes);
+    if (result.error) {
+      return res.status(result.status || 400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, review: result.review });
+  } catch (error) {
+    console.error('Update Promotion Review Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update promotion review' });
+  }
+};
+
+/**
+ * POST /api/batches/promotion-reviews/:reviewId/commit
+ * Apply the reviewed decisions and complete the batch
+ */
+exports.commitPromotionReview = async (req, res) => {
+  try {
+    const result = await promotionService.commitReview(req.params.reviewId, { committedBy: req.admin.email });
+    if (result.error) {
+      return res.status(result.status || 400).json({ success: false, error: result.error });
+    }
+    res.json({
+      success: true,
+      message: `Promotions committed. Can be undone until ${result.review.undoUntil.toISOString()}.`,
+      review: result.review,
+      results: result.summary
+    });
+  } catch (error) {
+    console.error('Commit Promotion Review Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to commit promotion review' });
+  }
+};
+
+/**
+ * POST /api/batches/promotion-reviews/:reviewId/undo
+ * Revert a committed review within its undo window
+ */
+exports.undoPromotionReview = async (req, res) => {
+  try {
+    const result = await promotionService.undoReview(req.params.reviewId, { undoneBy: req.admin.email });
+    if (result.error) {
+      return res.status(result.status || 400).json({ success: false, error: result.error });
+    }
+    res.json({
+      success: true,
+      message: `Promotions undone for ${result.restored} student(s)${result.skipped ? `, ${result.skipped} skipped` : ''}${result.certificatesRevoked ? `, ${result.certificatesRevoked} certificate(s) revoked` : ''}${result.reportsRemoved ? `, ${result.reportsRemoved} level report(s) removed` : ''}`,
+      review: result.review,
+      certificatesRevoked: result.certificatesRevoked,
+      reportsRemoved: result.reportsRemoved
+    });
+  } catch (error) {
+    console.error('Undo Promotion Review Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to undo promotion review' });
+  }
+};
+
 /**
  * GET /api/batches/student/:studentId
  * Get student's current batch and progression
@@ -474,4 +485,148 @@ exports.seedBatchesHandler = async (req, res) => {
     console.error('Seed Batches Error:', error);
     res.status(500).json({ success: false, error: 'Failed to seed batches' });
   }
-};
\ No newline at end of file
+};
+/**
+ * GET /api/batches/:id/occupancy?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Per-date seats of a batch: regulars, make-ups and trials against capacity
+ */
+exports.getBatchOccupancy = async (req, res) => {
+  try {
+    const batch = await Batch.findById(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+
+    const from = req.query.from || attendanceSessionService.today();
+    const result = await batchOccupancyService.getBatchOccupancy(batch, from, req.query.to || from);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, batchId: batch._id, days: result.days });
+  } catch (error) {
+    console.error('Get Batch Occupancy Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch batch occupancy' });
+  }
+};
+
+/**
+ * GET /api/batches/:id/trials?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Trial classes booked into a batch
+ */
+exports.getTrials = async (req, res) => {
+  try {
+    const query = { batchId: req.params.id };
+    if (req.query.from || req.query.to) {
+      query.date = {};
+      if (req.query.from) query.date.$gte = req.query.from;
+      if (req.query.to) query.date.$lte = req.query.to;
+    }
+    const trials = await TrialBooking.find(query).sort({ date: 1, createdAt: 1 });
+    res.json({ success: true, count: trials.length, trials });
+  } catch (error) {
+    console.error('Get Trials Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch trial classes' });
+  }
+};
+
+/**
+ * POST /api/batches/:id/trials
+ * Book a trial class; it takes a seat in that day's class
+ */
+exports.createTrial = async (req, res) => {
+  try {
+    const { date, childName, parentName, contact1, notes } = req.body;
+    if (!date || !childName || !contact1) {
+      return res.status(400).json({ success: false, error: 'date, childName and contact1 are required' });
+    }
+    if (!attendanceSessionService.isValidDate(date)) {
+      return res.status(400).json({ success: false, error: 'date must be in YYYY-MM-DD format' });
+    }
+    if (date < attendanceSessionService.today()) {
+      return res.status(400).json({ success: false, error: 'Trial classes cannot be booked for a past date' });
+    }
+
+    const batch = await Batch.findById(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+
+    await attendanceSessionService.generateSessionsForDate(date);
+    const booked = await withTransaction(async (session) => {
+      const seat = await batchOccupancyService.reserveSeat(batch, date, 'trial', session);
+      if (!seat.ok) return { error: seat.error };
+
+      const [trial] = await TrialBooking.create([{
+        batchId: batch._id,
+        date,
+        childName,
+        parentName,
+        contact1,
+        notes,
+        createdBy: req.admin.email
+      }], { session });
+      return { trial };
+    });
+
+    if (booked.error) {
+      return res.status(409).json({ success: false, error: booked.error });
+    }
+    res.status(201).json({ success: true, trial: booked.trial });
+  } catch (error) {
+    console.error('Create Trial Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to book trial class' });
+  }
+};
+
+/**
+ * PUT /api/batches/trials/:trialId
+ * Update a trial's status (attended / no_show / cancelled) or notes.
+ * Cancelling frees the seat; reinstating a cancelled trial has to find one.
+ */
+exports.updateTrial = async (req, res) => {
+  try {
+    const { status, notes } = req.body || {};
+    const { SEAT_TAKING_TRIALS } = batchOccupancyService;
+    if (status !== undefined && !TrialBooking.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({ success: false, error: 'status must be booked, attended, no_show or cancelled' });
+    }
+
+    const current = await TrialBooking.findById(req.params.trialId);
+    if (!current) {
+      return res.status(404).json({ success: false, error: 'Trial class not found' });
+    }
+
+    const takesSeat = status !== undefined && SEAT_TAKING_TRIALS.includes(status) && !SEAT_TAKING_TRIALS.includes(current.status);
+    if (takesSeat) {
+      const batch = await Batch.findById(current.batchId);
+      if (!batch) {
+        return res.status(404).json({ success: false, error: 'Batch not found' });
+      }
+      await attendanceSessionService.generateSessionsForDate(current.date);
+    }
+
+    const updated = await withTransaction(async (session) => {
+      const trial = await TrialBooking.findById(current._id).session(session);
+      if (!trial) return { error: 'Trial class not found', status: 404 };
+
+      if (status !== undefined && SEAT_TAKING_TRIALS.includes(status) && !SEAT_TAKING_TRIALS.includes(trial.status)) {
+        const batch = await Batch.findById(trial.batchId).session(session);
+        const seat = await batchOccupancyService.reserveSeat(batch, trial.date, 'trial', session);
+        if (!seat.ok) return { error: seat.error, status: 409 };
+      }
+
+      if (status !== undefined) trial.status = status;
+      if (notes !== undefined) trial.notes = notes;
+      await trial.save({ session });
+      return { trial };
+    });
+
+    if (updated.error) {
+      return res.status(updated.status || 400).json({ success: false, error: updated.error });
+    }
+    res.json({ success: true, trial: updated.trial });
+  } catch (error) {
+    console.error('Update Trial Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update trial class' });
+  }
+};
@@ -0,0 +1,122 @@
+const Certificate = require('../models/Certificate.model');
+const certificateService = require('../services/certificate.service');
+
+/**
+ * Check a certificate by its verification code (public)
+ * GET /api/certificates/verify/:code
+ */
+exports.verifyCertificate = async (req, res) => {
+  try {
+    const certificate = await certificateService.verifyCertificate(req.params.code);
+    if (!certificate) {
+      return res.status(404).json({ success: false, valid: false, error: 'No certificate matches this code' });
+    }
+    res.json({ success: true, valid: certificate.valid, data: certificate });
+  } catch (error) {
+    console.error('Verify Certificate Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to verify certificate' });
+  }
+};
+
+/**
+ * List certificates
+ * GET /api/certificates?studentId=&type=&status=&level=
+ */
+exports.getCertificates = async (req, res) => {
+  try {
+    const { studentId, type, status, level } = req.query;
+    const filter = {};
+    if (studentId) filter.studentId = studentId;
+    if (type) filter.type = type;
+    if (status) filter.status = status;
+    if (level) filter.level = Number(level);
+
+    const certificates = await Certificate.find(filter)
+      .sort({ issuedAt: -1 })
+      .limit(200);
+
+    res.json({ success: true, count: certificates.length, data: certificates });
+  } catch (error) {
+    console.error('Get Certificates Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch certificates' });
+  }
+};
+
+/**
+ * Issue a certificate for a level the student already completed (e.g. one
+ * completed before certificates existed), or for their graduation
+ * POST /api/certificates/issue { studentId, level, type? }
+ */
+exports.issueCertificate = async (req, res) => {
+  try {
+    const { studentId, level, type = 'level' } = req.body || {};
+    if (!studentId || level === undefined) {
+      return res.status(400).json({ success: false, error: 'studentId and level are required' });
+    }
+    if (!['level', 'graduation'].includes(type)) {
+      return res.status(400).json({ success: false, error: 'type must be level or graduation' });
+    }
+
+    const result = await certificateService.issueCertificate(studentId, {
+      level: Number(level),
+      type,
+      source: 'manual',
+      issuedBy: req.admin.email
+    });
+    if (result.error) {
+      return res.status(result.status || 400).json({ success: false, error: result.error });
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.created
+        ? `Certificate ${result.certificate.verificationCode} issued and emailed`
+        : `Certificate ${result.certificate.verificationCode} was already issued`,
+      data: result.certificate
+    });
+  } catch (error) {
+    console.error('Issue Certificate Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to issue certificate' });
+  }
+};
+
+/**
+ * Download a certificate as PDF
+ * GET /api/certificates/:id/pdf
+ */
+exports.downloadCertificate = async (req, res) => {
+  try {
+    const certificate = await Certificate.findById(req.params.id);
+    if (!certificate) {
+      return res.status(404).json({ success: false, error: 'Certificate not found' });
+    }
+
+    const pdf = await certificateService.renderCertificatePdf(certificate);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${certificateService.certificateFilename(certificate)}"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Download Certificate Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate certificate PDF' });
+  }
+};
+
+/**
+ * Revoke a certificate (verification then reports it as revoked)
+ * POST /api/certificates/:id/revoke { reason? }
+ */
+exports.revokeCertificate = async (req, res) => {
+  try {
+    const result = await certificateService.revokeCertificate(req.params.id, {
+      revokedBy: req.admin.email,
+      reason: (req.body || {}).reason
+    });
+    if (result.error) {
+      return res.status(result.status || 400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, message: 'Certificate revoked', data: result.certificate });
+  } catch (error) {
+    console.error('Revoke Certificate Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke certificate' });
+  }
+};
@@ -1,8 +1,9 @@
 const CompensationRequest = require('../models/CompensationRequest.model');
-const CompensationToken = require('../models/CompensationToken.model');
 const CompensationRecord = require('../models/CompensationRecord.model');
 const Student = require('../models/student.model');
 const emailService = require('../services/email.service');
+const { withTransaction } = require('../services/unitOfWork.service');
+const { claimToken, issueToken } = require('../services/tokenPolicy.service');
 
 /**
  * POST /api/compensation-requests
@@ -200,53 +201,68 @@ exports.acceptRequest = async (req, res) => {
       });
     }
 
-    // Check if there's an available token for this student
-    const availableToken = await CompensationToken.findOne({
-      studentId: request.studentId._id,
-      status: 'available',
-      expiryDate: { $gt: new Date() }
-    }).sort({ generatedDate: 1 });
-
-    // If no token, auto-generate one (admin override)
-    let token = availableToken;
-    if (!token) {
-      token = new CompensationToken({
+    // Token, compensation record and request are written in one transaction
+    const accepted = await withTransaction(async (session) => {
+      // Another admin may have processed it in the meantime
+      const stillPending = await CompensationRequest.exists({ _id: request._id, status: 'pending' }).session(session);
+      if (!stillPending) return null;
+
+      const record = new CompensationRecord({
         studentId: request.studentId._id,
-        generatedDate: new Date(),
-        status: 'available',
-        reason: 'admin_granted',
-        expiryDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
-        notes: `Admin granted token for compensation request ${request._id}`
+        date: request.requestedDate,
+        batchType: request.requestedBatchType,
+        dayId: request.requestedDayId,
+        time: request.requestedTime,
+        status: 'Booked'
       });
-      await token.save();
-    }
 
-    // Create compensation record
-    const record = new CompensationRecord({
-      studentId: request.studentId._id,
-      date: request.requestedDate,
-      batchType: request.requestedBatchType,
-      dayId: request.requestedDayId,
-      time: request.requestedTime,
-      status: 'Booked',
-      tokenUsed: token._id
-    });
+      // Spend one of the student's tokens (token policy order)
+      let token = await claimToken(request.studentId._id, { consumedBy: record._id, session });
+
+      // If no token, grant one (admin override) — subject to the token policy
+      if (!token) {
+        const grant = await issueToken(request.studentId._id, {
+          reason: 'admin_granted',
+          notes: `Admin granted token for compensation request ${request._id}`,
+          session
+        });
+        if (!grant.token) return { denied: grant.decision };
+
+        token = grant.token;
+        token.status = 'used';
+        token.consumedBy = record._id;
+        token.consumedAt = new Date();
+        await token.save({ session });
+      }
 
-    await record.save();
+      record.tokenUsed = token._id;
+      await record.save({ session });
 
-    // Mark token as used
-    token.status = 'used';
-    token.consumedBy = record._id;
-    token.consumedAt = new Date();
-    await token.save();
+      // Update request
+      request.status = 'accepted';
+      request.adminNotes = adminNotes || '';
+      request.compensationRecordId = record._id;
+      request.processedBy = adminName || 'Admin';
+      request.processedAt = new Date();
+      await request.save({ session });
 
-    // Update request
-    request.status = 'accepted';
-    request.adminNotes = adminNotes || '';
-    request.compensationRecordId = record._id;
-    request.processedBy = adminName || 'Admin';
-    request.processedAt = new Date();
-    await request.save();
+      return { record, token };
+    });
+
+    if (!accepted) {
+      return res.status(409).json({
+        success: false,
+        error: 'Request was already processed. Please refresh.'
+      });
+    }
+    if (accepted.denied) {
+      return res.status(409).json({
+        success: false,
+        error: `No token available and the token policy does not allow a grant: ${accepted.denied.message}`
+      });
+    }
+
+    const { record, token } = accepted;
 
     // Send confirmation email to parent
     if (request.email) {
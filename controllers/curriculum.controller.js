@@ -0,0 +1,51 @@
+const curriculumService = require('../services/curriculum.service');
+
+/**
+ * Curriculum for every level 0–12
+ * GET /api/curriculum
+ */
+exports.getLevels = async (req, res) => {
+  try {
+    const levels = await curriculumService.listLevels();
+    res.json({ success: true, count: levels.length, data: levels });
+  } catch (error) {
+    console.error('Get Curriculum Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch curriculum' });
+  }
+};
+
+/**
+ * Curriculum for one level
+ * GET /api/curriculum/:level
+ */
+exports.getLevel = async (req, res) => {
+  try {
+    const level = await curriculumService.getLevel(Number(req.params.level));
+    if (!level) {
+      return res.status(404).json({ success: false, error: 'Level not found' });
+    }
+    res.json({ success: true, data: level });
+  } catch (error) {
+    console.error('Get Curriculum Level Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch level' });
+  }
+};
+
+/**
+ * Edit a level's title, projects, skills, expected sessions, materials or assessment rubric
+ * PUT /api/curriculum/:level
+ */
+exports.updateLevel = async (req, res) => {
+  try {
+    const result = await curriculumService.saveLevel(Number(req.params.level), req.body || {}, {
+      updatedBy: req.admin.email
+    });
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, message: 'Level updated', data: result.level });
+  } catch (error) {
+    console.error('Update Curriculum Level Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update level' });
+  }
+};
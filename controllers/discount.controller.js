@@ -0,0 +1,284 @@
+const Coupon = require('../models/Coupon.model');
+const Concession = require('../models/Concession.model');
+const DiscountRedemption = require('../models/DiscountRedemption.model');
+const Student = require('../models/student.model');
+const { calculateAmountOff, findValidCoupon } = require('../services/discount.service');
+
+const CONTEXTS = ['monthly_fee', 'enrollment', 'special_course'];
+
+const COUPON_FIELDS = [
+  'code', 'name', 'description', 'discountType', 'value', 'maxDiscount', 'minAmount',
+  'appliesTo', 'validFrom', 'validTo', 'usageLimit', 'perStudentLimit', 'isActive'
+];
+
+const CONCESSION_FIELDS = [
+  'name', 'reason', 'discountType', 'value', 'maxDiscount',
+  'appliesTo', 'validFrom', 'validTo', 'isActive'
+];
+
+const pickFields = (body, fields) => {
+  const data = {};
+  fields.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field] === '' ? null : body[field];
+  });
+  return data;
+};
+
+const invalidPercentage = (data) =>
+  data.discountType === 'percentage' && data.value > 100;
+
+/**
+ * Preview a coupon before paying (public — used on the payment pages)
+ * POST /api/discounts/validate
+ * Body: { code, context, amount, studentId? }
+ */
+exports.validateCoupon = async (req, res) => {
+  try {
+    const { code, context, amount, studentId } = req.body;
+
+    if (!code || !CONTEXTS.includes(context) || !(Number(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Coupon code, payment type and amount are required'
+      });
+    }
+
+    // Concessions are private to the student's record; the preview only prices the coupon
+    const grossAmount = Number(amount);
+    const result = await findValidCoupon(code, { context, amount: grossAmount, studentId });
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    const { coupon } = result;
+    const discountAmount = calculateAmountOff(coupon, grossAmount);
+
+    res.json({
+      success: true,
+      data: {
+        code: coupon.code,
+        name: coupon.name,
+        grossAmount,
+        discountAmount,
+        netAmount: grossAmount - discountAmount
+      }
+    });
+  } catch (error) {
+    console.error('Validate Coupon Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to validate coupon' });
+  }
+};
+
+/**
+ * Get all coupons
+ * GET /api/discounts/coupons?active=true
+ */
+exports.getCoupons = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active === 'true') filter.isActive = true;
+
+    const coupons = await Coupon.find(filter).sort({ isActive: -1, createdAt: -1 });
+    res.json({ success: true, data: coupons });
+  } catch (error) {
+    console.error('Get Coupons Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch coupons' });
+  }
+};
+
+/**
+ * Create a coupon
+ * POST /api/discounts/coupons
+ */
+exports.createCoupon = async (req, res) => {
+  try {
+    const data = pickFields(req.body, COUPON_FIELDS);
+
+    if (!data.code || !data.name || !data.discountType || data.value === undefined || data.value === null) {
+      return res.status(400).json({ success: false, error: 'Code, name, discount type and value are required' });
+    }
+    if (invalidPercentage(data)) {
+      return res.status(400).json({ success: false, error: 'Percentage discount cannot exceed 100' });
+    }
+
+    const existing = await Coupon.findOne({ code: String(data.code).toUpperCase().trim() });
+    if (existing) {
+      return res.status(400).json({ success: false, error: `Coupon code ${existing.code} already exists` });
+    }
+
+    const coupon = await Coupon.create(data);
+    res.status(201).json({ success: true, data: coupon });
+  } catch (error) {
+    console.error('Create Coupon Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create coupon: ' + error.message });
+  }
+};
+
+/**
+ * Update a coupon (usedCount is maintained by redemptions, not editable)
+ * PUT /api/discounts/coupons/:id
+ */
+exports.updateCoupon = async (req, res) => {
+  try {
+    const data = pickFields(req.body, COUPON_FIELDS);
+    if (invalidPercentage(data)) {
+      return res.status(400).json({ success: false, error: 'Percentage discount cannot exceed 100' });
+    }
+
+    const coupon = await Coupon.findByIdAndUpdate(
+      req.params.id,
+      { $set: data },
+      { new: true, runValidators: true }
+    );
+    if (!coupon) return res.status(404).json({ success: false, error: 'Coupon not found' });
+
+    res.json({ success: true, data: coupon });
+  } catch (error) {
+    console.error('Update Coupon Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update coupon: ' + error.message });
+  }
+};
+
+/**
+ * Deactivate a coupon (kept for redemption history)
+ * DELETE /api/discounts/coupons/:id
+ */
+exports.deactivateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndUpdate(
+      req.params.id,
+      { $set: { isActive: false } },
+      { new: true }
+    );
+    if (!coupon) return res.status(404).json({ success: false, error: 'Coupon not found' });
+
+    res.json({ success: true, message: `Coupon ${coupon.code} deactivated`, data: coupon });
+  } catch (error) {
+    console.error('Deactivate Coupon Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to deactivate coupon' });
+  }
+};
+
+/**
+ * Get concessions, optionally for one student
+ * GET /api/discounts/concessions?studentId=...&active=true
+ */
+exports.getConcessions = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.studentId) filter.studentId = req.query.studentId;
+    if (req.query.overLimit === 'true') filter.overLimit = true;
+    if (req.query.active === 'true') filter.isActive = true;
+
+    const concessions = await Concession.find(filter)
+      .populate('studentId', 'childName enrollmentId')
+      .sort({ isActive: -1, createdAt: -1 });
+
+    res.json({ success: true, data: concessions });
+  } catch (error) {
+    console.error('Get Concessions Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch concessions' });
+  }
+};
+
+/**
+ * Grant a standing concession to a student. Applies to fee records billed
+ * from now on; already-billed records keep their amount.
+ * POST /api/discounts/concessions
+ */
+exports.createConcession = async (req, res) => {
+  try {
+    const data = pickFields(req.body, CONCESSION_FIELDS);
+    const { studentId } = req.body;
+
+    if (!studentId || !data.name || !data.discountType || data.value === undefined || data.value === null) {
+      return res.status(400).json({ success: false, error: 'Student, name, discount type and value are required' });
+    }
+    if (invalidPercentage(data)) {
+      return res.status(400).json({ success: false, error: 'Percentage discount cannot exceed 100' });
+    }
+
+    const student = await Student.findById(studentId);
+    if (!student) return res.status(404).json({ success: false, error: 'Student not found' });
+
+    const concession = await Concession.create({
+      ...data,
+      studentId: student._id,
+      createdBy: req.admin?._id || null
+    });
+
+    res.status(201).json({ success: true, data: concession });
+  } catch (error) {
+    console.error('Create Concession Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create concession: ' + error.message });
+  }
+};
+
+/**
+ * Update a concession
+ * PUT /api/discounts/concessions/:id
+ */
+exports.updateConcession = async (req, res) => {
+  try {
+    const data = pickFields(req.body, CONCESSION_FIELDS);
+    if (invalidPercentage(data)) {
+      return res.status(400).json({ success: false, error: 'Percentage discount cannot exceed 100' });
+    }
+
+    const concession = await Concession.findByIdAndUpdate(
+      req.params.id,
+      { $set: data },
+      { new: true, runValidators: true }
+    );
+    if (!concession) return res.status(404).json({ success: false, error: 'Concession not found' });
+
+    res.json({ success: true, data: concession });
+  } catch (error) {
+    console.error('Update Concession Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update concession: ' + error.message });
+  }
+};
+
+/**
+ * End a concession (kept for fee record history)
+ * DELETE /api/discounts/concessions/:id
+ */
+exports.deactivateConcession = async (req, res) => {
+  try {
+    const concession = await Concession.findByIdAndUpdate(
+      req.params.id,
+      { $set: { isActive: false } },
+      { new: true }
+    );
+    if (!concession) return res.status(404).json({ success: false, error: 'Concession not found' });
+
+    res.json({ success: true, message: `Concession "${concession.name}" ended`, data: concession });
+  } catch (error) {
+    console.error('Deactivate Concession Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to end concession' });
+  }
+};
+
+/**
+ * Redeemed discounts, newest first
+ * GET /api/discounts/redemptions?couponId=...&studentId=...&overLimit=true
+ */
+exports.getRedemptions = async (req, res) => {
+  try {
+    const filter = { status: 'redeemed' };
+    if (req.query.couponId) filter.couponId = req.query.couponId;
+    if (req.query.studentId) filter.studentId = req.query.studentId;
+
+    const redemptions = await DiscountRedemption.find(filter)
+      .populate('studentId', 'childName enrollmentId')
+      .sort({ redeemedAt: -1 })
+      .limit(200);
+
+    const totalDiscount = redemptions.reduce((sum, r) => sum + (r.discountAmount || 0), 0);
+
+    res.json({ success: true, count: redemptions.length, totalDiscount, data: redemptions });
+  } catch (error) {
+    console.error('Get Redemptions Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch redemptions' });
+  }
+};
@@ -8,8 +8,20 @@ const FeeRecord = require('../models/FeeRecord.model');
 const AttendanceRecord = require('../models/AttendanceRecord.model');
 const CompensationRecord = require('../models/CompensationRecord.model');
 const FlexiBatch = require('../models/FlexiBatch.model');
+const PendingEnrollment = require('../models/PendingEnrollment.model');
+const Holiday = require('../models/Holiday.model');
 const emailService = require('../services/email.service');
 const { syncStudentPaymentStatus, ensureMonthlyFeeRecords } = require('../services/syncFeeStatus.service');
+const { linkStudentToHousehold, unlinkStudentFromHousehold } = require('../services/household.service');
+const { withTransaction } = require('../services/unitOfWork.service');
+const { nextId, retryOnDuplicateId } = require('../services/idSequence.service');
+const { issueAbsenceToken } = require('../services/attendanceSession.service');
+const { BOOKING_STATUSES, settleMakeupBooking, getMakeupPolicy, saveMakeupPolicy } = require('../services/makeup.service');
+const { getTokenPolicy, saveTokenPolicy } = require('../services/tokenPolicy.service');
+const { getMonthlyFee } = require('../services/feePlan.service');
+const { applyDiscounts, priceMonthlyFee, recordPendingDiscount, redeemDiscount } = require('../services/discount.service');
+const { resumeIfArrearsCleared } = require('../services/overdue.service');
+const { issueEnrollmentReceipt, issueFeeReceipt, getReceiptAttachment } = require('../services/receipt.service');
 
 // Initialize Razorpay
 const razorpay = new Razorpay({
@@ -31,7 +43,7 @@ const transporter = nodemailer.createTransport({
 /**
  * Send welcome email to parents
  */
-const sendWelcomeEmail = async (student) => {
+const sendWelcomeEmail = async (student, attachments = []) => {
   if (!student.email) return;
 
   const mailOptions = {
@@ -55,6 +67,7 @@ const sendWelcomeEmail = async (student) => {
         <p><strong>Lil Sculpr Academy</strong></p>
       </div>
     `,
+    attachments
   };
 
   try {
@@ -65,46 +78,26 @@ const sendWelcomeEmail = async (student) => {
 };
 
 /**
- * Generates a unique enrollment ID with automatic retry on duplicate key error.
- * Format: LS-YYYY-XXXX where XXXX is a zero-padded sequence number (4 digits).
- * Supports up to 9999 students per year. If more than 9999, padding adjusts automatically.
+ * Issue the admission receipt once the enrollment is paid and return it as
+ * email attachments (none while payment is pending or if generation fails)
  */
-const generateEnrollmentId = async (retryCount = 0) => {
-  const year = new Date().getFullYear();
-  const startOfYear = new Date(year, 0, 1);
-  const endOfYear = new Date(year, 11, 31, 23, 59, 59);
-
-  const count = await Student.countDocuments({
-    createdAt: { $gte: startOfYear, $lte: endOfYear }
-  });
-
-  // Use 4-digit padding by default (supports up to 9999 students per year)
-  // If more than 9999 students, increase padding dynamically
-  let padding = 4;
-  const nextNumber = count + 1;
-  if (nextNumber > 9999) padding = String(nextNumber).length;
-  const sequence = nextNumber.toString().padStart(padding, '0');
-  const newId = `LS-${year}-${sequence}`;
-
-  // Check for existing ID (avoid race condition)
-  const existing = await Student.findOne({ enrollmentId: newId });
-  if (existing) {
-    // If the ID exists and we haven't retried too many times, try again
-    if (retryCount < 5) {
-      console.warn(`⚠️ Duplicate enrollment ID generated: ${newId}. Retrying (attempt ${retryCount + 1})...`);
-      // Add a tiny delay to avoid tight loop
-      await new Promise(resolve => setTimeout(resolve, 10));
-      return generateEnrollmentId(retryCount + 1);
-    } else {
-      // Fallback: use timestamp-based unique ID to guarantee uniqueness
-      console.error(`❌ Failed to generate unique enrollment ID after ${retryCount} retries. Using fallback.`);
-      return `LS-${year}-${Date.now().toString(36).toUpperCase()}`;
-    }
+const getEnrollmentReceiptAttachments = async (student) => {
+  if (student.paymentStatus !== 'Completed') return [];
+  try {
+    const receipt = await issueEnrollmentReceipt(student);
+    return [await getReceiptAttachment(receipt)];
+  } catch (error) {
+    console.warn('⚠️ Could not generate enrollment receipt:', error.message);
+    return [];
   }
-
-  return newId;
 };
 
+/**
+ * Generates the next enrollment ID from the atomic enrollment counter.
+ * Default format: LS-YYYY-XXXX, restarting at 0001 each year (see idSequence.service).
+ */
+const generateEnrollmentId = () => nextId('enrollment');
+
 /**
  * Helper: Get current month/year string
  */
@@ -153,23 +146,37 @@ const parseFlexiSchedule = (rawSchedule) => {
   return { schedule };
 };
 
+/**
+ * Helper: The admission payment's Razorpay ids, for the one fee record it paid.
+ * Offline references stay in the record's notes: a payment id pays one record only.
+ */
+const admissionPaymentIds = (student) => student.paymentMethod === 'Razorpay'
+  ? { razorpayOrderId: student.razorpayOrderId || null, razorpayPaymentId: student.razorpayPaymentId || null }
+  : { razorpayOrderId: null, razorpayPaymentId: null };
+
 /**
  * Helper: Auto-create fee record for first month
+ * Pass `session` to write it as part of the enrollment transaction.
  */
-const createFirstMonthFeeRecord = async (student) => {
+const createFirstMonthFeeRecord = async (student, session = null) => {
   const monthYear = getCurrentMonthYear();
   const [month, year] = monthYear.split(' ');
   
-  // Determine base fee
-  const baseFee = student.classType === 'offline' ? 2500 : 2200;
-  const totalAmount = student.kitOptIn ? baseFee + 2000 : baseFee;
+  // Price from the student's fee plan; a coupon used on the enrollment order overrides it
+  const pricing = await priceMonthlyFee(student, { month, year });
+  const kitAmount = student.kitOptIn ? pricing.kitFee : 0;
+  const redemption = await redeemDiscount(student.razorpayOrderId, { studentId: student._id, session });
+  const amounts = redemption
+    ? { amount: redemption.netAmount, grossAmount: redemption.grossAmount, discountAmount: redemption.discountAmount, discounts: redemption.discounts }
+    : { amount: pricing.amount + kitAmount, grossAmount: pricing.grossAmount + kitAmount, discountAmount: pricing.discountAmount, discounts: pricing.discounts };
   
   // Check if fee record already exists
   const existing = await FeeRecord.findOne({
     studentId: student._id,
     month,
     year: Number(year)
-  });
+  }).session(session);
+  const paymentIds = admissionPaymentIds(student);
   
   if (!existing) {
     // ═══ FIX: Use student.paymentStatus to determine the initial status ═══
@@ -185,17 +192,17 @@ const createFirstMonthFeeRecord = async (student) => {
       contact1: student.contact1,
       month,
       year: Number(year),
-      amount: totalAmount,
+      ...amounts,
+      feePlanId: pricing.feePlan ? pricing.feePlan._id : null,
       status: isPaid ? 'Paid' : 'Pending',
       paymentMethod: isPaid ? (student.paymentMethod || 'Razorpay') : null,
       paidAt: isPaid ? new Date() : null,
-      razorpayOrderId: student.razorpayOrderId || null,
-      razorpayPaymentId: student.razorpayPaymentId || null,
+      ...(isPaid && paymentIds),
       notes: isPaid 
         ? `First month fee paid via enrollment${student.razorpayPaymentId ? ' (' + student.razorpayPaymentId + ')' : ''}` 
         : 'First month fee pending - will be collected later'
     });
-    await feeRecord.save();
+    await feeRecord.save({ session });
     console.log(`✅ First month fee record created for ${student.childName}: ${month} ${year} (${isPaid ? 'Paid' : 'Pending'})`);
   } else {
     // ═══ FIX: If fee record exists but is pending and student payment is completed, update it ═══
@@ -203,10 +210,10 @@ const createFirstMonthFeeRecord = async (student) => {
       existing.status = 'Paid';
       existing.paymentMethod = student.paymentMethod || 'Razorpay';
       existing.paidAt = new Date();
-      existing.razorpayOrderId = existing.razorpayOrderId || student.razorpayOrderId || null;
-      existing.razorpayPaymentId = existing.razorpayPaymentId || student.razorpayPaymentId || null;
+      existing.razorpayOrderId = existing.razorpayOrderId || paymentIds.razorpayOrderId;
+      existing.razorpayPaymentId = existing.razorpayPaymentId || paymentIds.razorpayPaymentId;
       existing.notes = `First month fee paid via enrollment (updated)${student.razorpayPaymentId ? ' (' + student.razorpayPaymentId + ')' : ''}`;
-      await existing.save();
+      await existing.save({ session });
       console.log(`✅ Updated fee record for ${student.childName} from Pending to Paid`);
     }
   }
@@ -217,7 +224,7 @@ const createFirstMonthFeeRecord = async (student) => {
  * This ensures that if a student's paymentStatus is 'Completed', 
  * their current month's fee record is also marked as 'Paid'
  */
-const syncPaymentStatusWithFeeRecords = async (student) => {
+const syncPaymentStatusWithFeeRecords = async (student, session = null) => {
   if (student.paymentStatus !== 'Completed') return;
 
   const now = new Date();
@@ -226,10 +233,14 @@ const syncPaymentStatusWithFeeRecords = async (student) => {
 
   // ─── Helper: ensure a paid fee record exists for a given month/year ───
   const ensurePaidRecord = async (month, year) => {
-    const existing = await FeeRecord.findOne({ studentId: student._id, month, year });
+    const existing = await FeeRecord.findOne({ studentId: student._id, month, year }).session(session);
+    // Only the enrollment month carries the admission payment's ids
+    const paymentIds = !student.feeStartMonth || student.feeStartMonth === `${month} ${year}`
+      ? admissionPaymentIds(student)
+      : { razorpayOrderId: null, razorpayPaymentId: null };
     if (!existing) {
-      const baseFee = student.classType === 'offline' ? 2500 : 2200;
-      const totalAmount = student.kitOptIn ? baseFee + 2000 : baseFee;
+      const pricing = await priceMonthlyFee(student, { month, year });
+      const kitAmount = student.kitOptIn ? pricing.kitFee : 0;
       const feeRecord = new FeeRecord({
         studentId: student._id,
         enrollmentId: student.enrollmentId,
@@ -239,24 +250,27 @@ const syncPaymentStatusWithFeeRecords = async (student) => {
         contact1: student.contact1,
         month,
         year,
-        amount: totalAmount,
+        amount: pricing.amount + kitAmount,
+        grossAmount: pricing.grossAmount + kitAmount,
+        discountAmount: pricing.discountAmount,
+        discounts: pricing.discounts,
+        feePlanId: pricing.feePlan ? pricing.feePlan._id : null,
         status: 'Paid',
         paymentMethod: student.paymentMethod || 'Razorpay',
         paidAt: new Date(),
-        razorpayOrderId: student.razorpayOrderId || null,
-        razorpayPaymentId: student.razorpayPaymentId || null,
+        ...paymentIds,
         notes: `First month fee paid via enrollment (${student.enrollmentId || 'Manual'})`
       });
-      await feeRecord.save();
+      await feeRecord.save({ session });
       console.log(`✅ Synced fee record for ${student.childName}: ${month} ${year} (Paid)`);
     } else if (existing.status === 'Pending') {
       existing.status = 'Paid';
       existing.paymentMethod = student.paymentMethod || 'Razorpay';
       existing.paidAt = new Date();
-      existing.razorpayOrderId = existing.razorpayOrderId || student.razorpayOrderId || null;
-      existing.razorpayPaymentId = existing.razorpayPaymentId || student.razorpayPaymentId || null;
+      existing.razorpayOrderId = existing.razorpayOrderId || paymentIds.razorpayOrderId;
+      existing.razorpayPaymentId = existing.razorpayPaymentId || paymentIds.razorpayPaymentId;
       existing.notes = `Marked as Paid based on admission payment (${student.enrollmentId || 'Manual'})`;
-      await existing.save();
+      await existing.save({ session });
       console.log(`✅ Updated fee record for ${student.childName}: ${month} ${year} (Pending → Paid)`);
     }
   };
@@ -285,7 +299,7 @@ const syncPaymentStatusWithFeeRecords = async (student) => {
  */
 exports.createOrder = async (req, res) => {
   try {
-    const { classType, kitOptIn, batchId } = req.body;
+    const { classType, kitOptIn, batchId, couponCode, parentName, childName, contact1, email } = req.body;
     
     if (!classType) {
       return res.status(400).json({ success: false, error: 'classType is required' });
@@ -303,22 +317,55 @@ exports.createOrder = async (req, res) => {
       }
     }
 
-    let amount = classType === 'offline' ? 2500 : 2200;
-    if (kitOptIn) { amount += 2000; }
+    const { amount: baseFee, kitFee } = await getMonthlyFee({ classType, batchId: batch ? batch._id : null });
+    let grossAmount = baseFee;
+    if (kitOptIn) { grossAmount += kitFee; }
+
+    // ═══ Apply coupon (if any) ═══
+    const pricing = await applyDiscounts({ grossAmount, context: 'enrollment', couponCode });
+    if (pricing.error) {
+      return res.status(400).json({ success: false, error: pricing.error });
+    }
+    const amount = pricing.netAmount;
     // ⚠️ TEST MODE (uncomment to test with ₹1):
-    // let amount = 1;
+    // const amount = 1;
 
     const options = {
       amount: amount * 100,
       currency: 'INR',
-      receipt: `receipt_${Date.now()}`
+      receipt: `receipt_${Date.now()}`,
+      notes: {
+        purpose: 'enrollment',
+        classType,
+        batchId: batchId ? batchId.toString() : '',
+        couponCode: pricing.coupon ? pricing.coupon.code : ''
+      }
     };
 
     const order = await razorpay.orders.create(options);
+    await recordPendingDiscount({ razorpayOrderId: order.id, context: 'enrollment', pricing });
+
+    // Kept until the form is submitted, so a paid order is never lost
+    await PendingEnrollment.create({
+      razorpayOrderId: order.id,
+      classType,
+      batchId: batch ? batch._id : null,
+      kitOptIn: kitOptIn === true || kitOptIn === 'true',
+      couponCode: pricing.coupon ? pricing.coupon.code : undefined,
+      amount,
+      parentName,
+      childName,
+      contact1,
+      email
+    });
+
     res.json({ 
       success: true, 
       order, 
       amount, 
+      grossAmount: pricing.grossAmount,
+      discountAmount: pricing.discountAmount,
+      discounts: pricing.discounts,
       key_id: process.env.RAZORPAY_KEY_ID,
       batch: batch ? { id: batch._id, type: batch.type, dayId: batch.dayId, time: batch.time } : null
     });
@@ -353,7 +400,6 @@ exports.submitEnrollment = async (req, res) => {
       time,
       slotKey,
       kitOptIn,
-      amountPaid,
       batchId, // ← CRITICAL: Accept batchId from frontend
       batchType, // 'regular' or 'flexi'
       flexiSchedule, // JSON string of selected flexi days/time
@@ -370,6 +416,18 @@ exports.submitEnrollment = async (req, res) => {
       return res.status(400).json({ success: false, error: 'Invalid payment signature' });
     }
 
+    // ═══ One enrollment per order, for the class the order was priced for ═══
+    if (await Student.exists({ razorpayOrderId })) {
+      return res.status(409).json({ success: false, error: 'This payment has already been used for an enrollment' });
+    }
+    const order = await razorpay.orders.fetch(razorpayOrderId);
+    const orderNotes = order.notes || {};
+    if (orderNotes.purpose !== 'enrollment'
+      || orderNotes.classType !== classType
+      || (orderNotes.batchId && batchType !== 'flexi' && orderNotes.batchId !== String(batchId || ''))) {
+      return res.status(400).json({ success: false, error: 'This payment was not made for the selected class' });
+    }
+
     // Process Photo
     if (!req.file) {
       return res.status(400).json({ success: false, error: 'Child photograph is required' });
@@ -409,10 +467,8 @@ exports.submitEnrollment = async (req, res) => {
         // Fallback: find by classType + dayId + time
         batchDoc = await Batch.findOne({ type: classType, dayId, time, status: { $in: ['active', 'filling'] } });
         if (!batchDoc) {
-          // Auto-create if missing (safety net)
+          // Auto-create if missing (safety net) — saved with the student below
           batchDoc = new Batch({ type: classType, dayId, time, capacity: 8, status: 'active', instructor: 'Admin' });
-          await batchDoc.save();
-          console.log(`✅ Auto-created batch: ${classType}|${dayId}|${time}`);
         }
       }
 
@@ -450,7 +506,7 @@ exports.submitEnrollment = async (req, res) => {
       paymentMethod: 'Razorpay',
       razorpayOrderId,
       razorpayPaymentId,
-      amountPaid: Number(amountPaid),
+      amountPaid: order.amount / 100,
       feeCoverage: 'first_month',
       feeStartMonth: currentMonthYear,
       feeStartDate: new Date(),
@@ -466,63 +522,88 @@ exports.submitEnrollment = async (req, res) => {
       isFlexiBatch: isFlexi
     });
 
-    await student.save();
+    // ═══ Batch seat, student, flexi-batch, fee records and household are written
+    // in one transaction, so a failure never leaves a paid enrollment half-saved ═══
+    const seated = await retryOnDuplicateId('enrollment', student, () => withTransaction(async (session) => {
+      // ═══ Add student to batch's enrolledStudents list ═══
+      if (batchDoc && batchDoc.isNew) {
+        batchDoc.enrolledStudents.addToSet(student._id);
+        await batchDoc.save({ session });
+        console.log(`✅ Auto-created batch: ${classType}|${dayId}|${time}`);
+      } else if (batchDoc) {
+        // Only while a seat is still free (another enrollment may have taken it)
+        const updated = await Batch.findOneAndUpdate(
+          { _id: batchDoc._id, $expr: { $lt: [{ $size: '$enrolledStudents' }, '$capacity'] } },
+          { $addToSet: { enrolledStudents: student._id } },
+          { session }
+        );
+        if (!updated) return false;
+      }
 
-    // ═══ Add student to batch's enrolledStudents list ═══
-    if (batchDoc) {
-      await Batch.findByIdAndUpdate(batchDoc._id, {
-        $addToSet: { enrolledStudents: student._id }
-      });
-    }
+      await student.save({ session });
 
-    // ═══ FLEXI-BATCH: create flexi-batch record ═══
-    if (isFlexi) {
-      const flexiBatch = new FlexiBatch({
-        studentId: student._id,
-        schedule: parsedFlexiSchedule,
-        classType,
-        status: 'active',
-        notes: flexiNotes || ''
-      });
-      await flexiBatch.save();
+      // ═══ FLEXI-BATCH: create flexi-batch record ═══
+      if (isFlexi) {
+        const flexiBatch = new FlexiBatch({
+          studentId: student._id,
+          schedule: parsedFlexiSchedule,
+          classType,
+          status: 'active',
+          notes: flexiNotes || ''
+        });
+        await flexiBatch.save({ session });
+
+        // CRITICAL: Link flexi-batch to student
+        const dayShortMap = {
+          'Monday': 'Mon', 'Tuesday': 'Tue', 'Wednesday': 'Wed', 'Thursday': 'Thu',
+          'Friday': 'Fri', 'Saturday': 'Sat', 'Sunday': 'Sun'
+        };
+        const daysFull = parsedFlexiSchedule.map(s => s.day);
+        const daysShort = daysFull.map(d => dayShortMap[d] || d);
+        const daysText = daysShort.join('/');       // e.g., "Tue/Wed"
+        const daysFullText = daysFull.join(' & ');  // e.g., "Tuesday & Wednesday"
+        const timeText = parsedFlexiSchedule[0]?.time || '';
+        student.isFlexiBatch = true;
+        student.flexiBatchId = flexiBatch._id;
+        student.batchId = null; // Clear regular batch
+        student.dayId = daysText; // Short display: "Tue/Wed"
+        student.dayIdFull = daysFullText; // Full: "Tuesday & Wednesday"
+        student.time = timeText; // Show actual time
+        student.slotKey = `flexi-${student._id}`;
+        student.batchDisplayName = `${daysText} at ${timeText}`;
+        student.batchDisplayFull = `${daysFullText} at ${timeText}`;
+        await student.save({ session });
+        console.log(`✅ Flexi-batch record created for ${student.childName} (${student.enrollmentId})`);
+      }
 
-      // CRITICAL: Link flexi-batch to student
-      const dayShortMap = {
-        'Monday': 'Mon', 'Tuesday': 'Tue', 'Wednesday': 'Wed', 'Thursday': 'Thu',
-        'Friday': 'Fri', 'Saturday': 'Sat', 'Sunday': 'Sun'
-      };
-      const daysFull = parsedFlexiSchedule.map(s => s.day);
-      const daysShort = daysFull.map(d => dayShortMap[d] || d);
-      const daysText = daysShort.join('/');       // e.g., "Tue/Wed"
-      const daysFullText = daysFull.join(' & ');  // e.g., "Tuesday & Wednesday"
-      const timeText = parsedFlexiSchedule[0]?.time || '';
-      student.isFlexiBatch = true;
-      student.flexiBatchId = flexiBatch._id;
-      student.batchId = null; // Clear regular batch
-      student.dayId = daysText; // Short display: "Tue/Wed"
-      student.dayIdFull = daysFullText; // Full: "Tuesday & Wednesday"
-      student.time = timeText; // Show actual time
-      student.slotKey = `flexi-${student._id}`;
-      student.batchDisplayName = `${daysText} at ${timeText}`;
-      student.batchDisplayFull = `${daysFullText} at ${timeText}`;
-      await student.save();
-      console.log(`✅ Flexi-batch record created for ${student.childName} (${student.enrollmentId})`);
+      await createFirstMonthFeeRecord(student, session);
+      await syncPaymentStatusWithFeeRecords(student, session);
+      await linkStudentToHousehold(student, { session });
+      return true;
+    }));
+
+    if (!seated) {
+      return res.status(400).json({ success: false, error: 'This batch is full. Please select another time slot.' });
     }
 
-    await createFirstMonthFeeRecord(student);
-    await syncPaymentStatusWithFeeRecords(student);
+    await PendingEnrollment.updateOne(
+      { razorpayOrderId },
+      { $set: { status: 'completed', studentId: student._id, razorpayPaymentId, completedAt: new Date() } }
+    );
+
+    const attachments = await getEnrollmentReceiptAttachments(student);
 
     if (isFlexi) {
       if (student.email) {
         try {
           const flexiBatch = await FlexiBatch.findOne({ studentId: student._id });
-          await emailService.sendFlexiBatchConfirmation(student, flexiBatch);
+          await emailService.sendFlexiBatchConfirmation(student, flexiBatch, { attachments });
         } catch (emailError) {
           console.warn('⚠️ Failed to send flexi-batch confirmation email:', emailError.message);
         }
       }
     } else {
-      sendWelcomeEmail(student);
+      sendWelcomeEmail(student, attachments);
     }
 
     res.status(201).json({ 
@@ -537,6 +618,60 @@ exports.submitEnrollment = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/enrollment/pending-payments
+ * Enrollment orders that were paid but whose form never arrived (e.g. the
+ * parent closed the browser after paying), for the admin to follow up
+ */
+exports.getUnsubmittedPayments = async (req, res) => {
+  try {
+    const pending = await PendingEnrollment.find({ status: 'paid' }).sort({ paidAt: -1 });
+    res.json({ success: true, count: pending.length, data: pending });
+  } catch (error) {
+    console.error('Get Unsubmitted Payments Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch unsubmitted enrollment payments' });
+  }
+};
+
+/**
+ * PUT /api/enrollment/pending-payments/:id/resolve
+ * Close a paid, unsubmitted enrollment once the admin has dealt with it
+ * Body: { resolution, studentId? } — studentId when the child was enrolled manually
+ */
+exports.resolveUnsubmittedPayment = async (req, res) => {
+  try {
+    const { resolution, studentId } = req.body || {};
+    if (!resolution || !String(resolution).trim()) {
+      return res.status(400).json({ success: false, error: 'resolution is required (e.g. enrolled manually, refunded)' });
+    }
+    if (studentId && !(await Student.exists({ _id: studentId }))) {
+      return res.status(404).json({ success: false, error: 'Student not found' });
+    }
+
+    const pending = await PendingEnrollment.findOneAndUpdate(
+      { _id: req.params.id, status: 'paid' },
+      {
+        $set: {
+          status: 'resolved',
+          resolution: String(resolution).trim(),
+          studentId: studentId || null,
+          resolvedBy: req.admin.email,
+          resolvedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+    if (!pending) {
+      return res.status(404).json({ success: false, error: 'No paid, unsubmitted enrollment found' });
+    }
+
+    res.json({ success: true, message: 'Enrollment payment resolved', data: pending });
+  } catch (error) {
+    console.error('Resolve Unsubmitted Payment Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to resolve enrollment payment' });
+  }
+};
+
 /**
  * POST /api/enrollment/manual
  * Admin-only: Manually enroll a student with offline payment
@@ -684,7 +819,7 @@ exports.manualEnrollment = async (req, res) => {
       isFlexiBatch: isFlexi
     });
 
-    await student.save();
+    await retryOnDuplicateId('enrollment', student, () => student.save());
 
     // Add student to batch
     if (batchDoc) {
@@ -729,17 +864,19 @@ exports.manualEnrollment = async (req, res) => {
 
     await createFirstMonthFeeRecord(student);
     await syncPaymentStatusWithFeeRecords(student);
+    await linkStudentToHousehold(student);
+    const attachments = await getEnrollmentReceiptAttachments(student);
 
     if (email) {
       if (isFlexi) {
         try {
           const flexiBatch = await FlexiBatch.findOne({ studentId: student._id });
-          await emailService.sendFlexiBatchConfirmation(student, flexiBatch);
+          await emailService.sendFlexiBatchConfirmation(student, flexiBatch, { attachments });
         } catch (emailError) {
           console.warn('⚠️ Failed to send flexi-batch confirmation email:', emailError.message);
         }
       } else {
-        sendWelcomeEmail(student);
+        sendWelcomeEmail(student, attachments);
       }
     }
 
@@ -807,6 +944,10 @@ exports.updateStudent = async (req, res) => {
       { new: true }
     );
     if (!student) return res.status(404).json({ success: false, error: 'Student not found' });
+
+    if (updates.contact1 !== undefined) {
+      await linkStudentToHousehold(student);
+    }
     
     // If payment status was updated to Completed, update fee record
     if (updates.paymentStatus === 'Completed' && student.feeCoverage === 'pending_first_month') {
@@ -831,6 +972,7 @@ exports.deleteStudent = async (req, res) => {
   try {
     const student = await Student.findByIdAndDelete(req.params.id);
     if (!student) return res.status(404).json({ success: false, error: 'Student not found' });
+    await unlinkStudentFromHousehold(student);
     res.json({ success: true, message: 'Student deleted successfully' });
   } catch (error) {
     res.status(500).json({ success: false, error: 'Failed to delete student' });
@@ -988,6 +1130,7 @@ exports.upsertStudentFee = async (req, res) => {
       notes: notes || '',
       paidAt: status === 'Paid' ? new Date() : null
     };
+    if (status === 'Paid') feeData.isOverdue = false;
 
     const fee = await FeeRecord.findOneAndUpdate(
       { studentId: student._id, month, year: Number(year) },
@@ -997,6 +1140,14 @@ exports.upsertStudentFee = async (req, res) => {
 
     // Sync the student's overall payment status
     await syncStudentPaymentStatus(req.params.id);
+    if (status === 'Paid') {
+      await resumeIfArrearsCleared(student._id);
+      try {
+        await issueFeeReceipt(fee);
+      } catch (receiptError) {
+        console.warn('⚠️ Could not generate fee receipt:', receiptError.message);
+      }
+    }
 
     if (status === 'Paid' && student.feeCoverage === 'pending_first_month') {
       const currentMonthYear = getCurrentMonthYear();
@@ -1009,6 +1160,9 @@ exports.upsertStudentFee = async (req, res) => {
 
     res.json({ success: true, fee });
   } catch (error) {
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.razorpayPaymentId) {
+      return res.status(409).json({ success: false, error: 'This Razorpay payment is already recorded against another month' });
+    }
     console.error('Upsert Student Fee Error:', error);
     res.status(500).json({ success: false, error: 'Failed to update fee record' });
   }
@@ -1126,7 +1280,9 @@ exports.getAttendance = async (req, res) => {
 /**
  * POST /api/enrollment/attendance
  * Enhanced: Automatically generates Compensation Tokens for absent students
- * with 30-day expiry
+ * under the token policy (records may carry `excused: true`)
+ * Marks made here are not tied to a session — the roster-based endpoints
+ * under /api/attendance/sessions are preferred.
  */
 exports.updateAttendance = async (req, res) => {
   try {
@@ -1138,51 +1294,48 @@ exports.updateAttendance = async (req, res) => {
       });
     }
 
+    // Nothing can be marked on a day the student's class is closed for a holiday
+    const marked = records.filter(record => record.status !== 'none');
+    const students = await Student.find({ _id: { $in: marked.map(record => record.studentId) } }).select('batchId isFlexiBatch');
+    const batchByStudent = new Map(students.map(student => [String(student._id), student.isFlexiBatch ? null : student.batchId]));
+    const closures = new Map();
+    for (const record of marked) {
+      const batchId = batchByStudent.get(String(record.studentId)) || null;
+      const closureKey = `${record.date}|${batchId}`;
+      if (!closures.has(closureKey)) {
+        const [holiday] = await Holiday.covering(record.date, batchId);
+        closures.set(closureKey, holiday || null);
+      }
+      const holiday = closures.get(closureKey);
+      if (holiday) {
+        return res.status(409).json({
+          success: false,
+          error: `Attendance cannot be marked on ${record.date}: class closed for ${holiday.title}`
+        });
+      }
+    }
+
     const bulkOps = [];
     const tokensToCreate = [];
-    const thirtyDaysFromNow = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
 
     for (const record of records) {
       if (record.status === 'none') {
         bulkOps.push({
           deleteOne: {
-            filter: { studentId: record.studentId, date: record.date }
+            filter: { studentId: record.studentId, date: record.date, sessionId: null }
           }
         });
         continue;
       }
 
-      if (record.status === 'A') {
-        const CompensationToken = require('../models/CompensationToken.model');
-        const existingToken = await CompensationToken.findOne({
-          studentId: record.studentId,
-          generatedDate: new Date(record.date),
-          status: { $in: ['available', 'used'] }
-        });
-
-        if (!existingToken) {
-          const token = new CompensationToken({
-            studentId: record.studentId,
-            generatedDate: new Date(record.date),
-            status: 'available',
-            reason: 'absence',
-            expiryDate: thirtyDaysFromNow,
-            notes: `Auto-generated from attendance on ${record.date}`
-          });
-          await token.save();
-          tokensToCreate.push(token);
-        }
+      const fields = { status: record.status, excused: record.status === 'A' && record.excused === true };
+      if (record.status !== 'A') {
+        Object.assign(fields, { compensationTokenGenerated: false, tokenDecision: null });
       }
-
       bulkOps.push({
         updateOne: {
-          filter: { studentId: record.studentId, date: record.date },
-          update: { 
-            $set: { 
-              status: record.status,
-              compensationTokenGenerated: record.status === 'A' 
-            } 
-          },
+          filter: { studentId: record.studentId, date: record.date, sessionId: null },
+          update: { $set: fields },
           upsert: true
         }
       });
@@ -1191,6 +1344,12 @@ exports.updateAttendance = async (req, res) => {
     if (bulkOps.length > 0) {
       await AttendanceRecord.bulkWrite(bulkOps);
     }
+
+    // Tokens after the marks are saved, so the token policy sees this absence
+    for (const record of records.filter(r => r.status === 'A')) {
+      const token = await issueAbsenceToken(record.studentId, record.date);
+      if (token) tokensToCreate.push(token);
+    }
     
     res.json({ 
       success: true, 
@@ -1229,23 +1388,87 @@ exports.getCompensations = async (req, res) => {
 
 /**
  * PUT /api/enrollment/compensations/:id
- * Update compensation status (Attended/Missed)
+ * Update compensation status (Booked/Attended/Missed). Marking a make-up
+ * Missed applies the missed make-up policy.
  */
 exports.updateCompensationStatus = async (req, res) => {
   try {
     const { status } = req.body;
-    const compensation = await CompensationRecord.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true }
-    );
-    if (!compensation) return res.status(404).json({ success: false, error: 'Record not found' });
-    res.json({ success: true, compensation });
+    if (!BOOKING_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of ${BOOKING_STATUSES.join(', ')}` });
+    }
+
+    const result = await settleMakeupBooking(req.params.id, status, { closedBy: 'admin' });
+    if (!result) return res.status(404).json({ success: false, error: 'Record not found' });
+    res.json({ success: true, compensation: result.booking, tokenReturned: result.tokenReturned });
   } catch (error) {
+    console.error('Update Compensation Status Error:', error);
     res.status(500).json({ success: false, error: 'Failed to update compensation status' });
   }
 };
 
+/**
+ * GET /api/enrollment/compensations/policy
+ * Missed make-up policy (forfeit or return the token, when unmarked bookings close)
+ */
+exports.getMakeupPolicy = async (req, res) => {
+  try {
+    const policy = await getMakeupPolicy();
+    res.json({ success: true, data: policy });
+  } catch (error) {
+    console.error('Get Makeup Policy Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch make-up policy' });
+  }
+};
+
+/**
+ * PUT /api/enrollment/compensations/policy
+ * Update the missed make-up policy. Bookings already closed are not revisited.
+ */
+exports.updateMakeupPolicy = async (req, res) => {
+  try {
+    const result = await saveMakeupPolicy(req.body || {});
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, message: 'Make-up policy updated', data: result.policy });
+  } catch (error) {
+    console.error('Update Makeup Policy Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update make-up policy' });
+  }
+};
+
+/**
+ * GET /api/enrollment/compensations/token-policy
+ * Token policy: expiry per reason, monthly / carry-over / unexcused limits, level overrides
+ */
+exports.getTokenPolicy = async (req, res) => {
+  try {
+    const policy = await getTokenPolicy();
+    res.json({ success: true, data: policy });
+  } catch (error) {
+    console.error('Get Token Policy Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch token policy' });
+  }
+};
+
+/**
+ * PUT /api/enrollment/compensations/token-policy
+ * Update the token policy. Applies to tokens issued from now on.
+ */
+exports.updateTokenPolicy = async (req, res) => {
+  try {
+    const result = await saveTokenPolicy(req.body || {});
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, message: 'Token policy updated', data: result.policy });
+  } catch (error) {
+    console.error('Update Token Policy Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update token policy' });
+  }
+};
+
 /**
  * POST /api/enrollment/compensations/manual
  * Admin: manually book a compensation class on any date (no token required).
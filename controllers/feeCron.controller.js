@@ -1,6 +1,17 @@
 const Student = require('../models/student.model');
 const FeeRecord = require('../models/FeeRecord.model');
 const emailService = require('../services/email.service');
+const { ensureMonthlyFeeRecords } = require('../services/syncFeeStatus.service');
+const {
+  getOverduePolicy,
+  getReminderStage,
+  getLateFeeDue,
+  applyOverduePolicy
+} = require('../services/overdue.service');
+
+// A stage missed while the server was down is still sent for this many days,
+// but older records don't get a burst of stale reminders
+const REMINDER_CATCH_UP_DAYS = 7;
 
 /**
  * Get all students with pending fees for the current month
@@ -33,24 +44,67 @@ async function getStudentsWithPendingFees() {
   return pendingStudents;
 }
 
+// Active students, plus those paused by the overdue policy (they still owe)
+const isRemindable = (student) =>
+  student &&
+  student.status === 'active' &&
+  (['active', 'pending'].includes(student.enrollmentStatus) || Boolean(student.feeAutoPausedAt));
+
 /**
- * Run the fee reminder cron job
+ * Run the daily fee job: bill the current month, apply the overdue policy
+ * (overdue flag, late fees, auto-pause), then send every pending record the
+ * reminder stage it has reached — upcoming, due, overdue — once per stage.
  */
-async function runFeeReminders() {
-  console.log('🔄 Running monthly fee reminder check...');
+async function runFeeReminders({ date = new Date() } = {}) {
+  console.log('🔄 Running fee reminder & overdue check...');
   try {
-    const pendingStudents = await getStudentsWithPendingFees();
-    
-    if (pendingStudents.length === 0) {
-      console.log('✅ No pending fees found for this month');
-      return { success: true, sent: 0, message: 'No pending fees' };
+    await ensureMonthlyFeeRecords({
+      month: date.toLocaleString('en-IN', { month: 'long' }),
+      year: date.getFullYear()
+    });
+
+    const overdue = await applyOverduePolicy({ date });
+    const policy = await getOverduePolicy();
+    const catchUpFrom = new Date(date.getTime() - REMINDER_CATCH_UP_DAYS * 24 * 60 * 60 * 1000);
+
+    const results = { sent: 0, failed: 0, errors: [] };
+    const records = await FeeRecord.find({ status: 'Pending', dueDate: { $ne: null } });
+
+    for (const record of records) {
+      const reached = getReminderStage(record, policy, date);
+      if (!reached || reached.sendFrom < catchUpFrom) continue;
+      if (record.remindersSent.some(r => r.stage === reached.stage)) continue;
+
+      const student = await Student.findById(record.studentId);
+      if (!isRemindable(student)) continue;
+
+      const dueDate = record.dueDate.toLocaleDateString('en-IN', {
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric'
+      });
+
+      const result = await emailService.sendFeeReminderEmail(
+        student, record.month, record.year, dueDate, record.amount,
+        { stage: reached.stage, lateFee: getLateFeeDue(record) }
+      );
+
+      if (result.success) {
+        record.remindersSent.push({ stage: reached.stage, sentAt: date });
+        await record.save();
+        results.sent++;
+      } else {
+        results.failed++;
+        results.errors.push({ studentId: student._id, error: result.error });
+      }
     }
 
-    console.log(`📧 Sending reminders to ${pendingStudents.length} students`);
-    const result = await emailService.sendBulkFeeReminders(pendingStudents);
-    
-    console.log(`✅ Reminders sent: ${result.sent}, Failed: ${result.failed}`);
-    return { success: true, ...result };
+    if (results.sent === 0 && results.failed === 0) {
+      console.log('✅ No fee reminders due today');
+    } else {
+      console.log(`✅ Reminders sent: ${results.sent}, Failed: ${results.failed}`);
+    }
+    return { success: true, ...results, overdue };
 
   } catch (error) {
     console.error('❌ Fee reminder cron failed:', error);
@@ -2,8 +2,19 @@ const Student = require('../models/student.model');
 const FeeRecord = require('../models/FeeRecord.model');
 const Razorpay = require('razorpay');
 const crypto = require('crypto');
-const emailService = require('../services/email.service');
 const { syncStudentPaymentStatus, ensureMonthlyFeeRecords } = require('../services/syncFeeStatus.service');
+const Household = require('../models/Household.model');
+const HouseholdPayment = require('../models/HouseholdPayment.model');
+const { markFeeRecordPaid, markHouseholdPaymentPaid } = require('../services/feePayment.service');
+const { createParentSession } = require('../services/parentSession.service');
+const { applyDiscounts, priceMonthlyFee, recordPendingDiscount } = require('../services/discount.service');
+const {
+  getOverduePolicy,
+  saveOverduePolicy,
+  getLateFeeDue,
+  applyOverduePolicy,
+  resumeIfArrearsCleared
+} = require('../services/overdue.service');
 
 // Initialize Razorpay
 let razorpay;
@@ -16,8 +27,12 @@ try {
   console.warn('⚠️ Razorpay not initialized:', error.message);
 }
 
+// Holiday credit billed on a pending month; re-pricing from the gross keeps it
+const holidayDiscounts = (feeRecord) =>
+  ((feeRecord && feeRecord.discounts) || []).filter(d => d.source === 'holiday');
+
 /**
- * Get student details for fee payment
+ * Get student details for fee payment (also issues a parent session token)
  * POST /api/fee-payment/student-details
  */
 exports.getStudentForFeePayment = async (req, res) => {
@@ -54,8 +69,17 @@ exports.getStudentForFeePayment = async (req, res) => {
       year: currentYear
     });
 
-    const monthlyFee = student.classType === 'offline' ? 2500 : 2200;
-    const amount = monthlyFee;
+    // An existing record keeps the amount it was billed at; otherwise price from the
+    // student's plan with standing concessions applied
+    const pricing = existingFee && existingFee.amount
+      ? {
+        amount: existingFee.amount,
+        grossAmount: existingFee.grossAmount || existingFee.amount,
+        discountAmount: existingFee.discountAmount || 0
+      }
+      : await priceMonthlyFee(student, { month: currentMonth, year: currentYear });
+    const amount = pricing.amount;
+    const lateFee = existingFee && existingFee.status !== 'Paid' ? getLateFeeDue(existingFee) : 0;
 
     const isPaid = existingFee && existingFee.status === 'Paid';
 
@@ -66,8 +90,13 @@ exports.getStudentForFeePayment = async (req, res) => {
     .sort({ year: -1, month: -1 })
     .limit(6);
 
+    // Parent session for the create-order / verify calls that follow
+    const session = await createParentSession(student.contact1);
+
     res.json({
       success: true,
+      token: session.token,
+      expiresIn: session.expiresIn,
       student: {
         id: student._id,
         childName: student.childName,
@@ -83,12 +112,20 @@ exports.getStudentForFeePayment = async (req, res) => {
         currentMonth,
         currentYear,
         monthlyFee: amount,
+        grossAmount: pricing.grossAmount,
+        discountAmount: pricing.discountAmount,
+        lateFee,
+        totalDue: isPaid ? 0 : amount + lateFee,
+        dueDate: existingFee ? existingFee.dueDate : null,
+        isOverdue: Boolean(existingFee && existingFee.isOverdue && !isPaid),
         isPaid,
         feeHistory: feeHistory.map(f => ({
           month: f.month,
           year: f.year,
           status: f.status,
           amount: f.amount,
+          lateFee: f.status === 'Paid' ? (f.lateFeeWaived ? 0 : f.lateFee || 0) : getLateFeeDue(f),
+          isOverdue: f.isOverdue,
           paidAt: f.paidAt,
           paymentMethod: f.paymentMethod
         }))
@@ -110,12 +147,12 @@ exports.getStudentForFeePayment = async (req, res) => {
  */
 exports.createFeePaymentOrder = async (req, res) => {
   try {
-    const { studentId, month, year, amount } = req.body;
+    const { studentId, month, year, couponCode } = req.body;
 
-    if (!studentId || !month || !year || !amount) {
+    if (!studentId || !month || !year) {
       return res.status(400).json({
         success: false,
-        error: 'Student ID, month, year, and amount are required'
+        error: 'Student ID, month and year are required'
       });
     }
 
@@ -134,40 +171,83 @@ exports.createFeePaymentOrder = async (req, res) => {
       });
     }
 
-    const existingFee = await FeeRecord.findOne({
+    const feeRecord = await FeeRecord.findOne({
       studentId,
       month,
-      year: Number(year),
-      status: 'Paid'
+      year: Number(year)
     });
 
-    if (existingFee) {
+    if (feeRecord && feeRecord.status === 'Paid') {
       return res.status(400).json({
         success: false,
         error: `Fee for ${month} ${year} is already paid`
       });
     }
 
+    // Amount is priced server-side: the billed gross (or the plan), then
+    // concessions and the optional coupon
+    const grossAmount = feeRecord && feeRecord.amount
+      ? (feeRecord.grossAmount || feeRecord.amount)
+      : (await priceMonthlyFee(student, { month, year })).grossAmount;
+
+    const pricing = await applyDiscounts({
+      grossAmount,
+      context: 'monthly_fee',
+      studentId: student._id,
+      couponCode,
+      fixedDiscounts: holidayDiscounts(feeRecord)
+    });
+
+    if (pricing.error) {
+      return res.status(400).json({ success: false, error: pricing.error });
+    }
+
+    // Late fee goes on top and is not discounted
+    const lateFee = getLateFeeDue(feeRecord);
+    const amount = pricing.netAmount + lateFee;
+    if (amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to pay online for this month. Please contact the academy.'
+      });
+    }
+
     const options = {
       amount: amount * 100,
       currency: 'INR',
       receipt: `fee_${student.enrollmentId}_${month}_${year}`,
       notes: {
+        purpose: 'monthly_fee',
         studentId: studentId.toString(),
         enrollmentId: student.enrollmentId,
         childName: student.childName,
         month: month,
-        year: year
+        year: year,
+        grossAmount: pricing.grossAmount,
+        discountAmount: pricing.discountAmount,
+        lateFee,
+        couponCode: pricing.coupon ? pricing.coupon.code : ''
       }
     };
 
     const order = await razorpay.orders.create(options);
 
+    await recordPendingDiscount({
+      razorpayOrderId: order.id,
+      context: 'monthly_fee',
+      studentId: student._id,
+      pricing
+    });
+
     res.json({
       success: true,
       order,
       key_id: process.env.RAZORPAY_KEY_ID,
       amount,
+      grossAmount: pricing.grossAmount,
+      discountAmount: pricing.discountAmount,
+      discounts: pricing.discounts,
+      lateFee,
       student: {
         id: student._id,
         childName: student.childName,
@@ -197,17 +277,23 @@ exports.verifyFeePayment = async (req, res) => {
       studentId,
       month,
       year,
-      amount,
       paymentMethod
     } = req.body;
 
-    if (!razorpay_payment_id || !studentId || !month || !year) {
+    if (!razorpay_payment_id || !razorpay_order_id || !studentId || !month || !year) {
       return res.status(400).json({
         success: false,
         error: 'Missing required payment details'
       });
     }
 
+    if (!razorpay) {
+      return res.status(500).json({
+        success: false,
+        error: 'Payment service is currently unavailable. Please try again later.'
+      });
+    }
+
     // Verify signature
     const expectedSignature = crypto
       .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
@@ -221,76 +307,58 @@ exports.verifyFeePayment = async (req, res) => {
       });
     }
 
-    const student = await Student.findById(studentId);
-    if (!student) {
-      return res.status(404).json({
+    // The order was created for one student and month; the body must name the same
+    const order = await razorpay.orders.fetch(razorpay_order_id);
+    const notes = order.notes || {};
+    if (notes.purpose !== 'monthly_fee'
+      || String(notes.studentId) !== String(studentId)
+      || String(notes.month) !== String(month)
+      || String(notes.year) !== String(year)) {
+      return res.status(400).json({
         success: false,
-        error: 'Student not found'
+        error: 'This payment was not made for the selected month'
       });
     }
 
-    const existingFee = await FeeRecord.findOne({
+    const result = await markFeeRecordPaid({
       studentId,
       month,
-      year: Number(year),
-      status: 'Paid'
+      year,
+      amount: order.amount / 100,
+      razorpayOrderId: razorpay_order_id,
+      razorpayPaymentId: razorpay_payment_id,
+      paymentMethod
     });
 
-    if (existingFee) {
-      return res.json({
-        success: true,
-        message: `Fee for ${month} ${year} was already paid`,
-        feeRecord: existingFee
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
       });
     }
 
-    const feeData = {
-      studentId: student._id,
-      enrollmentId: student.enrollmentId,
-      childName: student.childName,
-      parentName: student.parentName,
-      email: student.email,
-      contact1: student.contact1,
-      month,
-      year: Number(year),
-      amount: Number(amount) || (student.classType === 'offline' ? 2500 : 2200),
-      status: 'Paid',
-      paymentMethod: paymentMethod || 'Razorpay',
-      paidAt: new Date(),
-      razorpayOrderId: razorpay_order_id || null,
-      razorpayPaymentId: razorpay_payment_id || null,
-      notes: `Paid via Razorpay - ${razorpay_payment_id}`
-    };
-
-    const feeRecord = await FeeRecord.findOneAndUpdate(
-      { studentId: student._id, month, year: Number(year) },
-      { $set: feeData },
-      { upsert: true, new: true }
-    );
-
-    // Sync the student's overall payment status
-    await syncStudentPaymentStatus(studentId);
-
-    // Send confirmation email (non-blocking)
-    if (student.email) {
-      emailService.sendFeePaymentConfirmation(student, feeRecord).catch(err => {
-        console.warn('⚠️ Failed to send fee confirmation email:', err.message);
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        success: false,
+        error: result.error
       });
     }
 
-    // Update student fee coverage if first month
-    const now = new Date();
-    const currentMonth = now.toLocaleString('en-IN', { month: 'long' });
-    const currentYear = now.getFullYear();
-    if (month === currentMonth && year === currentYear && student.feeCoverage === 'pending_first_month') {
-      student.feeCoverage = 'first_month';
-      await student.save();
+    const { student, feeRecord, receipt, alreadyPaid } = result;
+
+    if (alreadyPaid) {
+      return res.json({
+        success: true,
+        message: `Fee for ${month} ${year} was already paid`,
+        feeRecord
+      });
     }
 
     res.json({
       success: true,
       message: 'Payment verified and fee record updated',
       feeRecord,
+      receiptNumber: receipt ? receipt.receiptNumber : null,
       student: {
         childName: student.childName,
         enrollmentId: student.enrollmentId
@@ -306,6 +374,201 @@ exports.verifyFeePayment = async (req, res) => {
   }
 };
 
+/**
+ * Create one Razorpay order for pending months across several children
+ * POST /api/fee-payment/household/create-order
+ * Body: { items: [{ studentId, month, year }] } — amounts are worked out here,
+ * never taken from the client.
+ */
+exports.createHouseholdPaymentOrder = async (req, res) => {
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Select at least one month to pay'
+      });
+    }
+
+    if (!razorpay) {
+      return res.status(500).json({
+        success: false,
+        error: 'Payment service is currently unavailable. Please try again later.'
+      });
+    }
+
+    const orderItems = [];
+    const seen = new Set();
+
+    for (const item of items) {
+      const { studentId, month } = item || {};
+      const year = Number(item?.year);
+
+      if (!studentId || !month || !year) {
+        return res.status(400).json({
+          success: false,
+          error: 'Each item needs studentId, month and year'
+        });
+      }
+
+      if (!req.parent.studentIds.includes(String(studentId))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied. This student is not linked to your account.'
+        });
+      }
+
+      const key = `${studentId}|${month}|${year}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const student = await Student.findById(studentId);
+      if (!student) {
+        return res.status(404).json({
+          success: false,
+          error: 'Student not found'
+        });
+      }
+
+      const existingFee = await FeeRecord.findOne({ studentId, month, year });
+      if (existingFee && existingFee.status === 'Paid') {
+        return res.status(400).json({
+          success: false,
+          error: `Fee for ${student.childName} — ${month} ${year} is already paid`
+        });
+      }
+
+      // Standing concessions apply per child; coupons are single-payment only
+      const grossAmount = existingFee && existingFee.amount
+        ? (existingFee.grossAmount || existingFee.amount)
+        : (await priceMonthlyFee(student, { month, year })).grossAmount;
+      const pricing = await applyDiscounts({
+        grossAmount,
+        context: 'monthly_fee',
+        studentId: student._id,
+        fixedDiscounts: holidayDiscounts(existingFee)
+      });
+
+      orderItems.push({
+        studentId: student._id,
+        enrollmentId: student.enrollmentId,
+        childName: student.childName,
+        month,
+        year,
+        amount: pricing.netAmount,
+        grossAmount: pricing.grossAmount,
+        discountAmount: pricing.discountAmount,
+        discounts: pricing.discounts,
+        lateFee: getLateFeeDue(existingFee)
+      });
+    }
+
+    const totalAmount = orderItems.reduce((sum, i) => sum + i.amount + i.lateFee, 0);
+    if (totalAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to pay online for the selected months. Please contact the academy.'
+      });
+    }
+    const household = req.parent.householdId ? await Household.findById(req.parent.householdId) : null;
+
+    const order = await razorpay.orders.create({
+      amount: totalAmount * 100,
+      currency: 'INR',
+      receipt: `household_${Date.now()}`,
+      notes: {
+        purpose: 'household_fee',
+        contact1: req.parent.contact1,
+        children: String(new Set(orderItems.map(i => String(i.studentId))).size),
+        months: String(orderItems.length)
+      }
+    });
+
+    await HouseholdPayment.create({
+      householdId: household ? household._id : null,
+      contact1: req.parent.contact1,
+      items: orderItems,
+      totalAmount,
+      razorpayOrderId: order.id
+    });
+
+    res.json({
+      success: true,
+      order,
+      key_id: process.env.RAZORPAY_KEY_ID,
+      amount: totalAmount,
+      items: orderItems
+    });
+
+  } catch (error) {
+    console.error('Create Household Payment Order Error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to create payment order'
+    });
+  }
+};
+
+/**
+ * Verify a household payment and mark every covered month as paid
+ * POST /api/fee-payment/household/verify
+ */
+exports.verifyHouseholdPayment = async (req, res) => {
+  try {
+    const { razorpay_payment_id, razorpay_order_id, razorpay_signature } = req.body;
+
+    if (!razorpay_payment_id || !razorpay_order_id || !razorpay_signature) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required payment details'
+      });
+    }
+
+    const expectedSignature = crypto
+      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+      .update(razorpay_order_id + '|' + razorpay_payment_id)
+      .digest('hex');
+
+    if (expectedSignature !== razorpay_signature) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid payment signature'
+      });
+    }
+
+    const order = await HouseholdPayment.findOne({ razorpayOrderId: razorpay_order_id }).select('contact1');
+    if (!order || order.contact1 !== req.parent.contact1) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment order not found'
+      });
+    }
+
+    const { householdPayment, results, receipt, alreadyPaid } = await markHouseholdPaymentPaid({
+      razorpayOrderId: razorpay_order_id,
+      razorpayPaymentId: razorpay_payment_id
+    });
+
+    res.json({
+      success: true,
+      message: alreadyPaid
+        ? 'Payment was already verified'
+        : 'Payment verified and fee records updated',
+      totalAmount: householdPayment.totalAmount,
+      receiptNumber: receipt ? receipt.receiptNumber : null,
+      results
+    });
+
+  } catch (error) {
+    console.error('Verify Household Payment Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify payment. Please contact support.'
+    });
+  }
+};
+
 /**
  * Get fee payment history for a student (Admin only)
  * GET /api/fee-payment/history/:studentId
@@ -417,6 +680,14 @@ exports.getPaymentSummary = async (req, res) => {
   }
 };
 
+// Gross (before concessions/coupons), discount and late-fee sums for revenue groups.
+// Records billed before discounts existed have no grossAmount: gross = amount.
+const FEE_TOTALS = {
+  gross: { $sum: { $ifNull: ['$grossAmount', '$amount'] } },
+  discount: { $sum: { $ifNull: ['$discountAmount', 0] } },
+  lateFees: { $sum: { $cond: ['$lateFeeWaived', 0, { $ifNull: ['$lateFee', 0] }] } }
+};
+
 /**
  * Get detailed revenue breakdown for admin dashboard
  * GET /api/fee-payment/revenue/detailed
@@ -452,7 +723,7 @@ exports.getDetailedRevenue = async (req, res) => {
 
     const selectedMonthRevenue = await FeeRecord.aggregate([
       { $match: { month: selectedMonth, year: selectedYear, status: 'Paid' } },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
+      { $group: { _id: null, total: { $sum: '$amount' }, ...FEE_TOTALS } }
     ]);
 
     // Amount still pending for the selected month
@@ -464,7 +735,7 @@ exports.getDetailedRevenue = async (req, res) => {
     // ─── ALL TIME REVENUE ─────────────────────────────────
     const totalRevenue = await FeeRecord.aggregate([
       { $match: { status: 'Paid' } },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
+      { $group: { _id: null, total: { $sum: '$amount' }, ...FEE_TOTALS } }
     ]);
 
     // ─── LAST 12 MONTHS TREND (chronological order) ───────
@@ -482,7 +753,7 @@ exports.getDetailedRevenue = async (req, res) => {
       });
       const revenue = await FeeRecord.aggregate([
         { $match: { month: monthName, year, status: 'Paid' } },
-        { $group: { _id: null, total: { $sum: '$amount' } } }
+        { $group: { _id: null, total: { $sum: '$amount' }, ...FEE_TOTALS } }
       ]);
 
       const total = paid + pending;
@@ -494,6 +765,9 @@ exports.getDetailedRevenue = async (req, res) => {
         pending,
         total,
         revenue: revenue[0]?.total || 0,
+        grossRevenue: revenue[0]?.gross || 0,
+        discounts: revenue[0]?.discount || 0,
+        lateFees: revenue[0]?.lateFees || 0,
         collectionRate: total > 0 ? Math.round((paid / total) * 100) : 0
       });
     }
@@ -527,6 +801,9 @@ exports.getDetailedRevenue = async (req, res) => {
           paid: selectedMonthPaid,
           pending: selectedMonthPending,
           revenue: selectedMonthAmount,
+          grossRevenue: selectedMonthRevenue[0]?.gross || 0,
+          discounts: selectedMonthRevenue[0]?.discount || 0,
+          lateFees: selectedMonthRevenue[0]?.lateFees || 0,
           pendingAmount: selectedMonthPendingAmt,
           collectionRate: selectedMonthTotal > 0
             ? Math.round((selectedMonthPaid / selectedMonthTotal) * 100)
@@ -534,6 +811,9 @@ exports.getDetailedRevenue = async (req, res) => {
         },
         allTime: {
           totalRevenue: totalRevenue[0]?.total || 0,
+          grossRevenue: totalRevenue[0]?.gross || 0,
+          totalDiscounts: totalRevenue[0]?.discount || 0,
+          totalLateFees: totalRevenue[0]?.lateFees || 0,
           totalPaidRecords: paidAgg[0]?.count || 0,
           totalPendingRecords: await FeeRecord.countDocuments({ status: 'Pending' }),
           avgFeePerRecord: avgFee
@@ -612,3 +892,186 @@ exports.deleteFeeRecord = async (req, res) => {
     });
   }
 };
+
+/**
+ * Overdue fee records with late fees, oldest first
+ * GET /api/fee-payment/overdue
+ */
+exports.getOverdueFees = async (req, res) => {
+  try {
+    const records = await FeeRecord.find({ status: 'Pending', isOverdue: true })
+      .populate('studentId', 'childName enrollmentId enrollmentStatus feeAutoPausedAt overdueOverride')
+      .sort({ dueDate: 1 });
+
+    const totals = records.reduce((acc, r) => {
+      acc.amount += r.amount || 0;
+      acc.lateFees += getLateFeeDue(r);
+      return acc;
+    }, { amount: 0, lateFees: 0 });
+
+    res.json({
+      success: true,
+      count: records.length,
+      totals: { ...totals, due: totals.amount + totals.lateFees },
+      data: records
+    });
+  } catch (error) {
+    console.error('Get Overdue Fees Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch overdue fees'
+    });
+  }
+};
+
+/**
+ * Get the overdue policy (due day, reminders, late fee, auto-pause)
+ * GET /api/fee-payment/overdue/policy
+ */
+exports.getOverduePolicy = async (req, res) => {
+  try {
+    const policy = await getOverduePolicy();
+    res.json({ success: true, data: policy });
+  } catch (error) {
+    console.error('Get Overdue Policy Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch overdue policy'
+    });
+  }
+};
+
+/**
+ * Update the overdue policy. Applies from the next run; late fees already
+ * added are not recalculated.
+ * PUT /api/fee-payment/overdue/policy
+ */
+exports.updateOverduePolicy = async (req, res) => {
+  try {
+    const result = await saveOverduePolicy(req.body || {});
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, message: 'Overdue policy updated', data: result.policy });
+  } catch (error) {
+    console.error('Update Overdue Policy Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update overdue policy'
+    });
+  }
+};
+
+/**
+ * Run the overdue policy now instead of waiting for the daily job
+ * POST /api/fee-payment/overdue/run
+ */
+exports.runOverduePolicy = async (req, res) => {
+  try {
+    const summary = await applyOverduePolicy();
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    console.error('Run Overdue Policy Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run overdue policy'
+    });
+  }
+};
+
+/**
+ * Waive (or restore) the late fee on one record
+ * PUT /api/fee-payment/:id/late-fee
+ * Body: { waive: true, reason? }
+ */
+exports.waiveLateFee = async (req, res) => {
+  try {
+    const { waive = true, reason } = req.body;
+
+    const record = await FeeRecord.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fee record not found'
+      });
+    }
+    if (record.status === 'Paid') {
+      return res.status(400).json({
+        success: false,
+        error: 'Fee is already paid'
+      });
+    }
+
+    record.lateFeeWaived = Boolean(waive);
+    record.lateFeeWaivedReason = waive ? (reason || '') : '';
+    await record.save();
+
+    res.json({
+      success: true,
+      message: waive ? 'Late fee waived' : 'Late fee restored',
+      data: record
+    });
+  } catch (error) {
+    console.error('Waive Late Fee Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update late fee'
+    });
+  }
+};
+
+/**
+ * Exempt a student from late fees and auto-pause until a date (until: null clears it).
+ * An auto-paused student is resumed straight away.
+ * PUT /api/fee-payment/overdue/override/:studentId
+ * Body: { until, reason? }
+ */
+exports.setOverdueOverride = async (req, res) => {
+  try {
+    const { until, reason } = req.body;
+
+    const untilDate = until ? new Date(until) : null;
+    if (untilDate && isNaN(untilDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid override date'
+      });
+    }
+
+    const student = await Student.findByIdAndUpdate(
+      req.params.studentId,
+      {
+        $set: {
+          overdueOverride: {
+            until: untilDate,
+            reason: untilDate ? (reason || '') : '',
+            setBy: untilDate ? (req.admin?._id || null) : null
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    const resumed = untilDate ? await resumeIfArrearsCleared(student._id) : false;
+
+    res.json({
+      success: true,
+      message: untilDate
+        ? `Overdue override set until ${untilDate.toLocaleDateString('en-IN')}${resumed ? ' — enrollment resumed' : ''}`
+        : 'Overdue override cleared',
+      data: { studentId: student._id, overdueOverride: student.overdueOverride, resumed }
+    });
+  } catch (error) {
+    console.error('Set Overdue Override Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set overdue override'
+    });
+  }
+};
@@ -0,0 +1,171 @@
+const FeePlan = require('../models/FeePlan.model');
+const Student = require('../models/student.model');
+const { getMonthlyFee } = require('../services/feePlan.service');
+
+const EDITABLE_FIELDS = [
+  'name', 'description', 'classType', 'batchId', 'level',
+  'monthlyFee', 'kitFee', 'effectiveFrom', 'effectiveTo', 'assignOnly', 'isActive'
+];
+
+const pickPlanFields = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field] === '' ? null : body[field];
+  });
+  return data;
+};
+
+/**
+ * Get all fee plans
+ * GET /api/fee-plans?active=true
+ */
+exports.getFeePlans = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active === 'true') filter.isActive = true;
+
+    const plans = await FeePlan.find(filter)
+      .populate('batchId', 'type dayId time')
+      .sort({ isActive: -1, effectiveFrom: -1 });
+
+    const assignedCounts = await Student.aggregate([
+      { $match: { feePlanId: { $ne: null } } },
+      { $group: { _id: '$feePlanId', count: { $sum: 1 } } }
+    ]);
+    const countMap = new Map(assignedCounts.map(c => [String(c._id), c.count]));
+
+    res.json({
+      success: true,
+      data: plans.map(plan => ({
+        ...plan.toObject(),
+        assignedStudents: countMap.get(String(plan._id)) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get Fee Plans Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch fee plans' });
+  }
+};
+
+/**
+ * Create a fee plan
+ * POST /api/fee-plans
+ */
+exports.createFeePlan = async (req, res) => {
+  try {
+    const data = pickPlanFields(req.body);
+
+    if (!data.name || data.monthlyFee === undefined || data.monthlyFee === null) {
+      return res.status(400).json({ success: false, error: 'Name and monthly fee are required' });
+    }
+
+    const plan = await FeePlan.create(data);
+    res.status(201).json({ success: true, data: plan });
+  } catch (error) {
+    console.error('Create Fee Plan Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create fee plan: ' + error.message });
+  }
+};
+
+/**
+ * Update a fee plan. Already-billed FeeRecords keep their stored amount —
+ * for a price change from a given month, prefer a new plan with a later effectiveFrom.
+ * PUT /api/fee-plans/:id
+ */
+exports.updateFeePlan = async (req, res) => {
+  try {
+    const plan = await FeePlan.findByIdAndUpdate(
+      req.params.id,
+      { $set: pickPlanFields(req.body) },
+      { new: true, runValidators: true }
+    );
+    if (!plan) return res.status(404).json({ success: false, error: 'Fee plan not found' });
+
+    res.json({ success: true, data: plan });
+  } catch (error) {
+    console.error('Update Fee Plan Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update fee plan: ' + error.message });
+  }
+};
+
+/**
+ * Deactivate a fee plan (kept for FeeRecord history)
+ * DELETE /api/fee-plans/:id
+ */
+exports.deactivateFeePlan = async (req, res) => {
+  try {
+    const plan = await FeePlan.findByIdAndUpdate(
+      req.params.id,
+      { $set: { isActive: false } },
+      { new: true }
+    );
+    if (!plan) return res.status(404).json({ success: false, error: 'Fee plan not found' });
+
+    res.json({ success: true, message: `Fee plan "${plan.name}" deactivated`, data: plan });
+  } catch (error) {
+    console.error('Deactivate Fee Plan Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to deactivate fee plan' });
+  }
+};
+
+/**
+ * Assign a fee plan to a student, or clear it with feePlanId: null
+ * PUT /api/fee-plans/assign/:studentId
+ */
+exports.assignFeePlan = async (req, res) => {
+  try {
+    const { feePlanId } = req.body;
+
+    if (feePlanId) {
+      const plan = await FeePlan.findById(feePlanId);
+      if (!plan || !plan.isActive) {
+        return res.status(404).json({ success: false, error: 'Active fee plan not found' });
+      }
+    }
+
+    const student = await Student.findByIdAndUpdate(
+      req.params.studentId,
+      { $set: { feePlanId: feePlanId || null } },
+      { new: true }
+    );
+    if (!student) return res.status(404).json({ success: false, error: 'Student not found' });
+
+    const fee = await getMonthlyFee(student);
+
+    res.json({
+      success: true,
+      message: feePlanId ? 'Fee plan assigned' : 'Fee plan cleared — student uses the matching standard plan',
+      student: { id: student._id, childName: student.childName, feePlanId: student.feePlanId },
+      currentMonthlyFee: fee.amount,
+      feePlan: fee.feePlan
+    });
+  } catch (error) {
+    console.error('Assign Fee Plan Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to assign fee plan' });
+  }
+};
+
+/**
+ * Show which plan and amount apply to a student for a month
+ * GET /api/fee-plans/student/:studentId?month=July&year=2026
+ */
+exports.getStudentFeePlan = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.studentId);
+    if (!student) return res.status(404).json({ success: false, error: 'Student not found' });
+
+    const { month, year } = req.query;
+    const fee = await getMonthlyFee(student, { month, year });
+
+    res.json({
+      success: true,
+      student: { id: student._id, childName: student.childName, classType: student.classType },
+      monthlyFee: fee.amount,
+      kitFee: fee.kitFee,
+      feePlan: fee.feePlan
+    });
+  } catch (error) {
+    console.error('Get Student Fee Plan Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to resolve fee plan' });
+  }
+};
@@ -3,6 +3,7 @@ const Student = require('../models/student.model');
 const FeeRecord = require('../models/FeeRecord.model');
 const emailService = require('../services/email.service');
 const { syncStudentPaymentStatus } = require('../services/syncFeeStatus.service');
+const { priceMonthlyFee } = require('../services/discount.service');
 
 // Helper: Get current month/year string
 function getCurrentMonthYear() {
@@ -122,8 +123,8 @@ exports.setFlexiSchedule = async (req, res) => {
     });
 
     if (!existingFee) {
-      const baseFee = resolvedClassType === 'offline' ? 2500 : 2200;
-      const totalAmount = student.kitOptIn ? baseFee + 2000 : baseFee;
+      const pricing = await priceMonthlyFee(student, { month, year });
+      const kitAmount = student.kitOptIn ? pricing.kitFee : 0;
 
       const feeRecord = new FeeRecord({
         studentId: student._id,
@@ -134,7 +135,11 @@ exports.setFlexiSchedule = async (req, res) => {
         contact1: student.contact1,
         month,
         year: Number(year),
-        amount: totalAmount,
+        amount: pricing.amount + kitAmount,
+        grossAmount: pricing.grossAmount + kitAmount,
+        discountAmount: pricing.discountAmount,
+        discounts: pricing.discounts,
+        feePlanId: pricing.feePlan ? pricing.feePlan._id : null,
         status: student.paymentStatus === 'Completed' ? 'Paid' : 'Pending',
         paymentMethod: student.paymentMethod || null,
         paidAt: student.paymentStatus === 'Completed' ? new Date() : null,
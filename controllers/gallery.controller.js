@@ -1,5 +1,6 @@
 const GalleryItem = require('../models/GalleryItem.model');
 const Category = require('../models/Category.model');
+const PortfolioItem = require('../models/PortfolioItem.model');
 const path = require('path');
 const fs = require('fs');
 const mongoose = require('mongoose');
@@ -327,6 +328,9 @@ exports.deleteGalleryItem = async (req, res) => {
 
         deleteImageFile(item.imageUrl);
         await GalleryItem.findByIdAndDelete(id);
+        if (item.portfolioItemId) {
+            await PortfolioItem.updateOne({ _id: item.portfolioItemId }, { $set: { galleryItemId: null } });
+        }
 
         res.json({
             success: true,
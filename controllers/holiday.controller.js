@@ -0,0 +1,90 @@
+const Holiday = require('../models/Holiday.model');
+const holidayService = require('../services/holiday.service');
+
+/**
+ * Holidays and closures, optionally overlapping a date range
+ * GET /api/holidays?from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+exports.getHolidays = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const holidays = await holidayService.listHolidays({ from, to }).populate('batchIds', 'type dayId time');
+    res.json({ success: true, count: holidays.length, data: holidays });
+  } catch (error) {
+    console.error('Get Holidays Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch holidays' });
+  }
+};
+
+/**
+ * Add a holiday: cancels the sessions it covers and compensates students
+ * POST /api/holidays
+ * Body: { title, startDate, endDate?, scope?: 'academy' | 'batch', batchIds?, compensation?: 'token' | 'prorate' | 'none', showInPortal?, notes? }
+ */
+exports.createHoliday = async (req, res) => {
+  try {
+    const result = await holidayService.createHoliday(req.body || {}, { createdBy: req.admin.email });
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Holiday added: ${result.applied.sessionsCancelled} session(s) cancelled`,
+      data: result.holiday,
+      applied: result.applied
+    });
+  } catch (error) {
+    console.error('Create Holiday Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create holiday' });
+  }
+};
+
+/**
+ * Edit a holiday's title, notes or portal visibility. Dates, scope and
+ * compensation cannot change once applied — delete and re-add instead.
+ * PUT /api/holidays/:id
+ */
+exports.updateHoliday = async (req, res) => {
+  try {
+    const updates = {};
+    for (const field of ['title', 'notes', 'showInPortal']) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+    if (updates.title !== undefined && !String(updates.title).trim()) {
+      return res.status(400).json({ success: false, error: 'title cannot be empty' });
+    }
+
+    const holiday = await Holiday.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+    if (!holiday) {
+      return res.status(404).json({ success: false, error: 'Holiday not found' });
+    }
+
+    res.json({ success: true, data: holiday });
+  } catch (error) {
+    console.error('Update Holiday Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update holiday' });
+  }
+};
+
+/**
+ * Delete a holiday and reopen its sessions (tokens already granted are kept)
+ * DELETE /api/holidays/:id
+ */
+exports.deleteHoliday = async (req, res) => {
+  try {
+    const result = await holidayService.removeHoliday(req.params.id);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Holiday not found' });
+    }
+
+    res.json({
+      success: true,
+      message: `Holiday removed: ${result.sessionsReopened} session(s) reopened`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Delete Holiday Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete holiday' });
+  }
+};
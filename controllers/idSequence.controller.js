@@ -0,0 +1,49 @@
+const idSequenceService = require('../services/idSequence.service');
+
+/**
+ * ID formats per family, the next ID of each and the current counters
+ * GET /api/id-sequences
+ */
+exports.getIdSequences = async (req, res) => {
+  try {
+    const [formats, counters, nextEnrollmentId, nextRegistrationNo] = await Promise.all([
+      idSequenceService.getIdFormats(),
+      idSequenceService.listIdCounters(),
+      idSequenceService.peekNextId('enrollment'),
+      idSequenceService.peekNextId('registration')
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        formats,
+        next: { enrollment: nextEnrollmentId, registration: nextRegistrationNo },
+        counters
+      }
+    });
+  } catch (error) {
+    console.error('Get ID Sequences Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch ID sequences' });
+  }
+};
+
+/**
+ * Change the format of one or more ID families. IDs already issued keep
+ * their format and the sequence continues where it is.
+ * PUT /api/id-sequences/formats
+ * Body: { enrollment?: { pattern, padding, resetYearly }, registration?: {...}, workshop?: {...} }
+ */
+exports.updateIdFormats = async (req, res) => {
+  try {
+    const result = await idSequenceService.saveIdFormats(req.body || {});
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    console.log(`🔢 ID formats updated by ${req.admin.email}`);
+    res.json({ success: true, message: 'ID formats updated', data: result.formats });
+  } catch (error) {
+    console.error('Update ID Formats Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update ID formats' });
+  }
+};
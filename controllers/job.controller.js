@@ -0,0 +1,92 @@
+const jobScheduler = require('../services/jobScheduler.service');
+
+/**
+ * List background jobs with their schedule, lock and last run
+ * GET /api/jobs
+ */
+exports.getJobs = async (req, res) => {
+  try {
+    const jobs = await jobScheduler.listJobs();
+    res.json({ success: true, count: jobs.length, data: jobs });
+  } catch (error) {
+    console.error('Get Jobs Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch jobs' });
+  }
+};
+
+/**
+ * A job and its recent runs
+ * GET /api/jobs/:name
+ */
+exports.getJob = async (req, res) => {
+  try {
+    const job = await jobScheduler.getJob(req.params.name);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    const runs = await jobScheduler.getJobRuns(req.params.name, { limit: 10 });
+    res.json({ success: true, data: { ...job, recentRuns: runs } });
+  } catch (error) {
+    console.error('Get Job Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch job' });
+  }
+};
+
+/**
+ * Run history of a job
+ * GET /api/jobs/:name/runs?status=failed&limit=50
+ */
+exports.getJobRuns = async (req, res) => {
+  try {
+    const { status, limit } = req.query;
+    const runs = await jobScheduler.getJobRuns(req.params.name, { status, limit });
+    res.json({ success: true, count: runs.length, data: runs });
+  } catch (error) {
+    console.error('Get Job Runs Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch job runs' });
+  }
+};
+
+/**
+ * Run a job now and wait for the result
+ * POST /api/jobs/:name/run
+ */
+exports.runJob = async (req, res) => {
+  try {
+    const result = await jobScheduler.triggerJob(req.params.name, { triggeredBy: req.admin.email });
+    if (result.error) {
+      return res.status(result.status || 400).json({ success: false, error: result.error });
+    }
+
+    console.log(`⚙️ Job ${req.params.name} run manually by ${req.admin.email}`);
+    res.json({ success: result.run.status === 'succeeded', data: result.run });
+  } catch (error) {
+    console.error('Run Job Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to run job' });
+  }
+};
+
+/**
+ * Pause or resume a job's schedule
+ * PATCH /api/jobs/:name
+ * Body: { enabled: boolean }
+ */
+exports.updateJob = async (req, res) => {
+  try {
+    if (typeof req.body.enabled !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'enabled (true/false) is required' });
+    }
+
+    const job = await jobScheduler.setJobEnabled(req.params.name, req.body.enabled);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    console.log(`⚙️ Job ${job.name} ${job.enabled ? 'resumed' : 'paused'} by ${req.admin.email}`);
+    res.json({ success: true, data: job });
+  } catch (error) {
+    console.error('Update Job Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update job' });
+  }
+};
@@ -5,8 +5,28 @@ const CompensationRecord = require('../models/CompensationRecord.model');
 const CompensationToken = require('../models/CompensationToken.model');
 const Batch = require('../models/Batch.model');
 const Config = require('../models/config.model');
+const Household = require('../models/Household.model');
+const Receipt = require('../models/Receipt.model');
+const Holiday = require('../models/Holiday.model');
+const Certificate = require('../models/Certificate.model');
+const PortfolioItem = require('../models/PortfolioItem.model');
+const ProgressReport = require('../models/ProgressReport.model');
+const { createParentSession } = require('../services/parentSession.service');
+const { withTransaction } = require('../services/unitOfWork.service');
+const { getLateFeeDue } = require('../services/overdue.service');
+const { listHolidays } = require('../services/holiday.service');
+const { claimToken, getTokenPolicy, policyForStudent, describeTokenPolicy } = require('../services/tokenPolicy.service');
+const { today, isValidDate, generateSessionsForDate } = require('../services/attendanceSession.service');
+const { listMakeupSlots, reserveSeat } = require('../services/batchOccupancy.service');
+const { renderReceiptPdf, receiptFilename } = require('../services/receipt.service');
+const { renderCertificatePdf, certificateFilename } = require('../services/certificate.service');
+const { listPortfolio, summarizeByLevel, setConsent, getImagePath } = require('../services/portfolio.service');
 
-// Login parent using Enrollment ID and Contact Number
+/**
+ * POST /api/portal/login
+ * Login parent using Enrollment ID and Contact Number.
+ * Returns a short-lived parent session token scoped to the students on that contact number.
+ */
 exports.login = async (req, res) => {
   try {
     const { enrollmentId, contact1 } = req.body;
@@ -26,13 +46,102 @@ exports.login = async (req, res) => {
       return res.status(401).json({ success: false, error: 'Invalid Enrollment ID or Contact Number' });
     }
 
-    res.json({ success: true, studentId: student._id });
+    // Session covers every child registered under this contact number
+    const session = await createParentSession(student.contact1);
+
+    res.json({
+      success: true,
+      token: session.token,
+      expiresIn: session.expiresIn,
+      studentId: student._id,
+      students: session.students
+    });
   } catch (error) {
     console.error('Portal Login Error:', error);
     res.status(500).json({ success: false, error: 'Login failed' });
   }
 };
 
+// Holiday fields parents see (internal notes and compensation settings stay admin-side)
+const HOLIDAY_PORTAL_FIELDS = 'title startDate endDate scope';
+
+// Upcoming holidays that close the given students' classes
+const findUpcomingHolidays = (students) => listHolidays({
+  from: today(),
+  batchIds: students.filter(s => s.batchId && !s.isFlexiBatch).map(s => s.batchId),
+  portal: true
+}).select(HOLIDAY_PORTAL_FIELDS);
+
+// Certificate fields parents see
+const CERTIFICATE_PORTAL_FIELDS = 'studentId type level levelTitle childName completedDate issuedAt verificationCode fileUrl';
+
+// Progress report fields parents see (who compiled it stays admin-side)
+const PROGRESS_REPORT_PORTAL_FIELDS = 'type label from to level attendance ratings notesCount skillsPracticed comments projects assessment portfolioCount generatedAt';
+
+// Collect one child's attendance, fees, bookings, token counts, upcoming
+// holidays, certificates and latest progress reports
+const buildStudentDashboard = async (id) => {
+  const student = await Student.findById(id);
+  if (!student) return null;
+
+  const attendance = await AttendanceRecord.find({ studentId: id }).sort({ date: -1 });
+  const fees = await FeeRecord.find({ studentId: id }).sort({ year: -1, month: -1 });
+  const compensations = await CompensationRecord.find({ studentId: id }).sort({ date: -1 });
+
+  // Get token count from CompensationToken collection with expiry check
+  const now = new Date();
+  const availableTokens = await CompensationToken.countDocuments({
+    studentId: id,
+    status: 'available',
+    expiryDate: { $gt: now }
+  });
+
+  // Auto-expire tokens that are past expiry
+  await CompensationToken.updateMany(
+    {
+      studentId: id,
+      status: 'available',
+      expiryDate: { $lte: now }
+    },
+    { $set: { status: 'expired' } }
+  );
+
+  const usedTokens = await CompensationToken.countDocuments({
+    studentId: id,
+    status: 'used'
+  });
+
+  const expiredTokens = await CompensationToken.countDocuments({
+    studentId: id,
+    status: 'expired'
+  });
+
+  const holidays = await findUpcomingHolidays([student]);
+  const certificates = await Certificate.find({ studentId: id, status: 'issued' })
+    .select(CERTIFICATE_PORTAL_FIELDS)
+    .sort({ level: 1 });
+  const progressReports = await ProgressReport.find({ studentId: id })
+    .select(PROGRESS_REPORT_PORTAL_FIELDS)
+    .sort({ to: -1, createdAt: -1 })
+    .limit(6);
+
+  return {
+    student,
+    attendance,
+    fees,
+    compensations,
+    tokens: {
+      available: availableTokens,
+      used: usedTokens,
+      expired: expiredTokens,
+      total: availableTokens + usedTokens + expiredTokens
+    },
+    holidays,
+    certificates,
+    progressReports
+  };
+};
+
 /**
  * GET /api/portal/dashboard/:id
  * Updated to use CompensationToken model for accurate token counting
@@ -40,73 +149,111 @@ exports.login = async (req, res) => {
  */
 exports.getDashboard = async (req, res) => {
   try {
-    const { id } = req.params;
-    const student = await Student.findById(id);
-    if (!student) return res.status(404).json({ 
+    const dashboard = await buildStudentDashboard(req.params.id);
+    if (!dashboard) return res.status(404).json({ 
       success: false, 
       error: 'Student not found' 
     });
 
-    const attendance = await AttendanceRecord.find({ studentId: id }).sort({ date: -1 });
-    const fees = await FeeRecord.find({ studentId: id }).sort({ year: -1, month: -1 });
-    const compensations = await CompensationRecord.find({ studentId: id }).sort({ date: -1 });
-
-    // Get token count from CompensationToken collection with expiry check
-    const now = new Date();
-    const availableTokens = await CompensationToken.countDocuments({
-      studentId: id,
-      status: 'available',
-      expiryDate: { $gt: now }
+    res.json({ success: true, ...dashboard });
+  } catch (error) {
+    console.error('Portal Dashboard Error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch dashboard data' 
     });
+  }
+};
 
-    // Auto-expire tokens that are past expiry
-    await CompensationToken.updateMany(
-      {
-        studentId: id,
-        status: 'available',
-        expiryDate: { $lte: now }
-      },
-      { $set: { status: 'expired' } }
+/**
+ * GET /api/portal/household
+ * Dashboard for every child in the logged-in parent's household
+ */
+exports.getHouseholdDashboard = async (req, res) => {
+  try {
+    const household = req.parent.householdId ? await Household.findById(req.parent.householdId) : null;
+    const children = (await Promise.all(
+      req.parent.studentIds.map(id => buildStudentDashboard(id))
+    )).filter(Boolean);
+
+    // Everything still owed across all children, for the combined fee payment
+    const pendingFees = children.flatMap(({ student, fees }) =>
+      fees
+        .filter(f => f.status !== 'Paid')
+        .map(f => ({
+          studentId: student._id,
+          childName: student.childName,
+          month: f.month,
+          year: f.year,
+          amount: f.amount,
+          lateFee: getLateFeeDue(f),
+          dueDate: f.dueDate,
+          isOverdue: f.isOverdue,
+          status: f.status
+        }))
     );
 
-    const usedTokens = await CompensationToken.countDocuments({
-      studentId: id,
-      status: 'used'
-    });
-
-    const expiredTokens = await CompensationToken.countDocuments({
-      studentId: id,
-      status: 'expired'
-    });
-
     res.json({
       success: true,
-      student,
-      attendance,
-      fees,
-      compensations,
-      tokens: {
-        available: availableTokens,
-        used: usedTokens,
-        expired: expiredTokens,
-        total: availableTokens + usedTokens + expiredTokens
+      household: household ? {
+        id: household._id,
+        guardianName: household.guardianName,
+        contact1: household.contact1,
+        email: household.email
+      } : null,
+      children,
+      pendingFees,
+      totals: {
+        children: children.length,
+        pendingAmount: pendingFees.reduce((sum, f) => sum + (f.amount || 0) + f.lateFee, 0),
+        availableTokens: children.reduce((sum, c) => sum + c.tokens.available, 0)
       }
     });
   } catch (error) {
-    console.error('Portal Dashboard Error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to fetch dashboard data' 
+    console.error('Portal Household Dashboard Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch household data'
+    });
+  }
+};
+
+/**
+ * GET /api/portal/holidays
+ * Upcoming holidays and closures for the classes of the parent's children
+ */
+exports.getHolidays = async (req, res) => {
+  try {
+    const students = await Student.find({ _id: { $in: req.parent.studentIds } }).select('batchId isFlexiBatch');
+    const holidays = await findUpcomingHolidays(students);
+
+    res.json({ success: true, count: holidays.length, holidays });
+  } catch (error) {
+    console.error('Portal Holidays Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch holidays'
     });
   }
 };
 
-// Get available batches for make-up classes
+/**
+ * GET /api/portal/available-batches?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Make-up slots with real per-date remaining seats (regulars, make-ups and
+ * trials all count). Defaults to the next 14 days; holidays are left out.
+ */
 exports.getAvailableBatches = async (req, res) => {
   try {
-    // Capacity is for REGULAR enrolled students only.
-    // Compensation bookings are extra and do not consume regular seats.
-    const batches = await Batch.find({ status: { $in: ['active', 'filling'] } });
+    const from = req.query.from || today();
+    const to = req.query.to || new Date(new Date(`${from}T00:00:00Z`).getTime() + 13 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    if (!isValidDate(from) || from < today()) {
+      return res.status(400).json({ success: false, error: 'from must be today or later, in YYYY-MM-DD format' });
+    }
+
+    const result = await listMakeupSlots(from, to);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
 
     const dayLabels = {
       monfri: 'Monday & Friday',
@@ -114,22 +261,19 @@ exports.getAvailableBatches = async (req, res) => {
       satsu:  'Saturday & Sunday'
     };
 
-    const availableSlots = batches
-      .map(b => ({
-        batch: b,
-        seatsLeft: b.capacity - b.enrolledStudents.length // regular students only
-      }))
-      .filter(({ seatsLeft }) => seatsLeft > 0)
-      .map(({ batch: b, seatsLeft }) => ({
-        batchId: b._id,
-        type: b.type,
-        dayId: b.dayId,
-        dayLabel: dayLabels[b.dayId] || b.dayId,
-        time: b.time,
-        seatsLeft
-      }));
-
-    res.json({ success: true, availableSlots });
+    const availableSlots = result.slots.map(({ batch: b, occupancy }) => ({
+      batchId: b._id,
+      type: b.type,
+      dayId: b.dayId,
+      dayLabel: dayLabels[b.dayId] || b.dayId,
+      time: b.time,
+      date: occupancy.date,
+      seatsLeft: occupancy.makeupSeatsLeft,
+      capacity: occupancy.capacity,
+      occupied: occupancy.total
+    }));
+
+    res.json({ success: true, from, to, availableSlots });
   } catch (error) {
     console.error('Get Available Batches Error:', error);
     res.status(500).json({ success: false, error: 'Failed to fetch available batches' });
@@ -138,12 +282,13 @@ exports.getAvailableBatches = async (req, res) => {
 
 /**
  * POST /api/portal/book-compensation
- * Compensation classes are EXTRA sessions on top of regular students.
- * They do NOT consume regular seats — capacity is for enrolled students only.
+ * Make-up students take a real seat in the target class on that date.
  * Guards:
- *   - Batch must exist and be active/filling
- *   - Regular student seats must not be full (protects existing students)
- *   - Student must have a valid, unexpired token (FIFO)
+ *   - Batch must exist, be active/filling and meet on the date
+ *   - The class must not be closed for a holiday
+ *   - The class must have a seat and a make-up seat left (regulars + make-ups
+ *     + trials within capacity, make-ups within the batch's allowance)
+ *   - Student must have a valid, unexpired token (token policy order)
  */
 exports.bookCompensation = async (req, res) => {
   try {
@@ -155,6 +300,12 @@ exports.bookCompensation = async (req, res) => {
         error: 'Missing required fields' 
       });
     }
+    if (!isValidDate(date) || date < today()) {
+      return res.status(400).json({
+        success: false,
+        error: 'date must be today or later, in YYYY-MM-DD format'
+      });
+    }
 
     // ─── STEP 1: Verify the target batch exists and is open ───────────────
     const targetBatch = await Batch.findOne({
@@ -171,47 +322,56 @@ exports.bookCompensation = async (req, res) => {
       });
     }
 
-    // ─── STEP 2: Guard regular-student capacity only ──────────────────────
-    // Compensation students are extras — they do NOT count against capacity.
-    // We only block if ALL regular seats are taken (to protect enrolled students).
-    if (targetBatch.enrolledStudents.length >= targetBatch.capacity) {
+    // ─── STEP 2: No make-up classes on a holiday ──────────────────────────
+    const [holiday] = await Holiday.covering(date, targetBatch._id);
+    if (holiday) {
       return res.status(409).json({
         success: false,
-        error: 'This batch is full with regular students. Please select another slot.'
+        error: `The academy is closed on ${date} (${holiday.title}). Please select another date.`
       });
     }
 
-    // ─── STEP 3: Find oldest available token (FIFO) that hasn't expired ───
-    const token = await CompensationToken.findOne({
-      studentId,
-      status: 'available',
-      expiryDate: { $gt: new Date() }
-    }).sort({ generatedDate: 1 }); // FIFO: use oldest token first
+    // ─── STEP 3: Take a seat, consume a token and book the class ──────────
+    // One transaction, so a token is never used up without a record for it,
+    // and two bookings for the last seat cannot both succeed.
+    await generateSessionsForDate(date);
+    const booking = await withTransaction(async (session) => {
+      const seat = await reserveSeat(targetBatch, date, 'makeup', session);
+      if (!seat.ok) return { full: seat.error };
+
+      const record = new CompensationRecord({
+        studentId,
+        date,
+        batchType,
+        dayId,
+        time,
+        status: 'Booked'
+      });
+
+      // Claimed atomically, so two bookings at once cannot spend the same token
+      const token = await claimToken(studentId, { consumedBy: record._id, session });
+      if (!token) return null;
 
-    if (!token) {
+      record.tokenUsed = token._id;
+      await record.save({ session });
+      return { record, token };
+    });
+
+    if (booking && booking.full) {
+      return res.status(409).json({
+        success: false,
+        error: booking.full
+      });
+    }
+
+    if (!booking) {
       return res.status(400).json({ 
         success: false, 
         error: 'No available compensation tokens. Please contact the academy.' 
       });
     }
 
-    // ─── STEP 4: Create compensation record and consume the token ─────────
-    const record = new CompensationRecord({
-      studentId,
-      date,
-      batchType,
-      dayId,
-      time,
-      status: 'Booked',
-      tokenUsed: token._id
-    });
-
-    await record.save();
-
-    token.status = 'used';
-    token.consumedBy = record._id;
-    token.consumedAt = new Date();
-    await token.save();
+    const { record, token } = booking;
 
     res.json({ 
       success: true, 
@@ -230,7 +390,8 @@ exports.bookCompensation = async (req, res) => {
 
 /**
  * GET /api/portal/tokens/:id
- * New endpoint to get detailed token information
+ * New endpoint to get detailed token information, with the token policy
+ * and why recent absences did or didn't earn a token
  */
 exports.getTokenDetails = async (req, res) => {
   try {
@@ -249,7 +410,17 @@ exports.getTokenDetails = async (req, res) => {
       t.status === 'available' && t.expiryDate <= now
     );
     const used = tokens.filter(t => t.status === 'used');
-    
+
+    // Why each recent absence did or didn't earn a token, and the rules behind it
+    const student = await Student.findById(id).select('currentLevel');
+    const policy = await getTokenPolicy();
+    const rules = policyForStudent(policy, student);
+    const since = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const absences = await AttendanceRecord.find({ studentId: id, status: 'A', date: { $gte: since } })
+      .select('date excused compensationTokenGenerated tokenDecision')
+      .sort({ date: -1 });
+    const thisMonth = now.toISOString().slice(0, 7);
+
     res.json({
       success: true,
       tokens: {
@@ -257,6 +428,19 @@ exports.getTokenDetails = async (req, res) => {
         used,
         expired,
         total: tokens.length
+      },
+      absences: absences.map(a => ({
+        date: a.date,
+        excused: a.excused,
+        tokenIssued: a.compensationTokenGenerated,
+        rule: a.tokenDecision ? a.tokenDecision.rule : null,
+        explanation: a.tokenDecision ? a.tokenDecision.message : null
+      })),
+      policy: {
+        rules: describeTokenPolicy(policy, student),
+        earnedThisMonth: tokens.filter(t => t.reason === 'absence' && t.generatedDate.toISOString().startsWith(thisMonth)).length,
+        maxTokensPerMonth: rules.maxTokensPerMonth,
+        maxAvailableTokens: rules.maxAvailableTokens
       }
     });
   } catch (error) {
@@ -352,4 +536,239 @@ exports.updateDateOfBirth = async (req, res) => {
       error: 'Failed to update date of birth'
     });
   }
-};
\ No newline at end of file
+};
+
+// Receipts for the parent's children, plus workshop receipts billed to their phone
+const parentReceiptFilter = (parent) => ({
+  $or: [
+    { studentIds: { $in: parent.studentIds } },
+    { type: 'special_course', 'billedTo.phone': parent.contact1 }
+  ]
+});
+
+/**
+ * GET /api/portal/receipts
+ * Payment receipts for the logged-in parent
+ */
+exports.getReceipts = async (req, res) => {
+  try {
+    const receipts = await Receipt.find(parentReceiptFilter(req.parent))
+      .select('receiptNumber type lineItems totalAmount paidAt issuedAt')
+      .sort({ issuedAt: -1 });
+
+    res.json({ success: true, count: receipts.length, receipts });
+  } catch (error) {
+    console.error('Portal Receipts Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch receipts'
+    });
+  }
+};
+
+/**
+ * GET /api/portal/receipts/:receiptId/pdf
+ * Download one of the parent's receipts
+ */
+exports.downloadReceipt = async (req, res) => {
+  try {
+    const receipt = await Receipt.findOne({
+      _id: req.params.receiptId,
+      ...parentReceiptFilter(req.parent)
+    });
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Receipt not found'
+      });
+    }
+
+    const pdf = await renderReceiptPdf(receipt);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${receiptFilename(receipt)}"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Portal Receipt Download Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download receipt'
+    });
+  }
+};
+
+/**
+ * GET /api/portal/certificates
+ * Level and graduation certificates for the parent's children
+ */
+exports.getCertificates = async (req, res) => {
+  try {
+    const certificates = await Certificate.find({ studentId: { $in: req.parent.studentIds }, status: 'issued' })
+      .select(CERTIFICATE_PORTAL_FIELDS)
+      .sort({ issuedAt: -1 });
+
+    res.json({ success: true, count: certificates.length, certificates });
+  } catch (error) {
+    console.error('Portal Certificates Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch certificates'
+    });
+  }
+};
+
+/**
+ * GET /api/portal/certificates/:certificateId/pdf
+ * Download one of the parent's certificates
+ */
+exports.downloadCertificate = async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({
+      _id: req.params.certificateId,
+      studentId: { $in: req.parent.studentIds },
+      status: 'issued'
+    });
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Certificate not found'
+      });
+    }
+
+    const pdf = await renderCertificatePdf(certificate);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${certificateFilename(certificate)}"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Portal Certificate Download Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download certificate'
+    });
+  }
+};
+
+// Portfolio fields parents see (who uploaded or published a piece stays admin-side)
+const PORTFOLIO_PORTAL_FIELDS = 'title description level date projectKey consent galleryItemId promotedAt';
+
+/**
+ * GET /api/portal/portfolio/:id
+ * The child's portfolio as a timeline, newest piece first
+ */
+exports.getPortfolio = async (req, res) => {
+  try {
+    const items = await listPortfolio(req.params.id).select(PORTFOLIO_PORTAL_FIELDS);
+
+    res.json({
+      success: true,
+      count: items.length,
+      levels: summarizeByLevel(items),
+      timeline: items.map(item => ({
+        ...item.toObject(),
+        imageUrl: `/api/portal/portfolio/items/${item._id}/image`,
+        inGallery: Boolean(item.galleryItemId)
+      }))
+    });
+  } catch (error) {
+    console.error('Portal Portfolio Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch portfolio'
+    });
+  }
+};
+
+/**
+ * GET /api/portal/portfolio/items/:itemId/image
+ * A photo from one of the parent's children's portfolios
+ */
+exports.getPortfolioImage = async (req, res) => {
+  try {
+    const item = await PortfolioItem.findOne({
+      _id: req.params.itemId,
+      studentId: { $in: req.parent.studentIds }
+    }).select('imageFile');
+    const filePath = item && getImagePath(item);
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        error: 'Portfolio photo not found'
+      });
+    }
+
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.sendFile(filePath);
+  } catch (error) {
+    console.error('Portal Portfolio Image Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch portfolio photo'
+    });
+  }
+};
+
+/**
+ * PUT /api/portal/portfolio/items/:itemId/consent
+ * Allow or refuse one piece being shown in the public gallery. Refusing
+ * takes it down if it is already there.
+ * Body: { consent: true | false }
+ */
+exports.updatePortfolioConsent = async (req, res) => {
+  try {
+    const { consent } = req.body || {};
+    if (typeof consent !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'consent must be true or false'
+      });
+    }
+
+    const item = await PortfolioItem.findOne({
+      _id: req.params.itemId,
+      studentId: { $in: req.parent.studentIds }
+    });
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Portfolio item not found'
+      });
+    }
+
+    const result = await setConsent(item, consent, { respondedBy: req.parent.contact1 });
+
+    res.json({
+      success: true,
+      message: consent
+        ? 'Thank you! The academy may now show this piece in its public gallery.'
+        : result.removedFromGallery
+          ? 'This piece has been removed from the public gallery.'
+          : 'This piece will not be shown in the public gallery.',
+      consent: result.item.consent
+    });
+  } catch (error) {
+    console.error('Portal Portfolio Consent Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update consent'
+    });
+  }
+};
+
+/**
+ * GET /api/portal/progress-reports/:id
+ * Every progress report compiled for the child, newest first
+ */
+exports.getProgressReports = async (req, res) => {
+  try {
+    const reports = await ProgressReport.find({ studentId: req.params.id })
+      .select(PROGRESS_REPORT_PORTAL_FIELDS)
+      .sort({ to: -1, createdAt: -1 });
+
+    res.json({ success: true, count: reports.length, reports });
+  } catch (error) {
+    console.error('Portal Progress Reports Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch progress reports'
+    });
+  }
+};
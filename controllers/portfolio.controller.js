@@ -0,0 +1,169 @@
+const fs = require('fs');
+const Student = require('../models/student.model');
+const PortfolioItem = require('../models/PortfolioItem.model');
+const portfolioService = require('../services/portfolio.service');
+
+// Remove a multer upload that will not be kept
+const discardUpload = (file) => {
+  if (file && fs.existsSync(file.path)) {
+    fs.unlinkSync(file.path);
+  }
+};
+
+/**
+ * A student's portfolio, newest piece first
+ * GET /api/portfolio/student/:studentId
+ */
+exports.getPortfolio = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.studentId).select('childName enrollmentId currentLevel enrollmentStatus');
+    if (!student) {
+      return res.status(404).json({ success: false, error: 'Student not found' });
+    }
+
+    const items = await portfolioService.listPortfolio(student._id);
+    res.json({
+      success: true,
+      count: items.length,
+      student,
+      levels: portfolioService.summarizeByLevel(items),
+      data: items.map(item => ({ ...item.toObject(), imageUrl: `/api/portfolio/${item._id}/image` }))
+    });
+  } catch (error) {
+    console.error('Get Portfolio Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch portfolio' });
+  }
+};
+
+/**
+ * Upload a photo of a finished piece
+ * POST /api/portfolio/student/:studentId (multipart: image, title, description?, level?, date?, projectKey?)
+ */
+exports.addItem = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'Image file is required' });
+    }
+
+    const student = await Student.findById(req.params.studentId);
+    if (!student) {
+      discardUpload(req.file);
+      return res.status(404).json({ success: false, error: 'Student not found' });
+    }
+
+    const result = await portfolioService.addItem(student, req.file, req.body || {}, { uploadedBy: req.admin.email });
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.status(201).json({ success: true, message: 'Added to portfolio', data: result.item });
+  } catch (error) {
+    console.error('Add Portfolio Item Error:', error);
+    discardUpload(req.file);
+    res.status(500).json({ success: false, error: 'Failed to add portfolio item' });
+  }
+};
+
+/**
+ * Edit a piece's title, description, level, date or project
+ * PUT /api/portfolio/:itemId
+ */
+exports.updateItem = async (req, res) => {
+  try {
+    const result = await portfolioService.updateItem(req.params.itemId, req.body || {});
+    if (result.error) {
+      return res.status(result.status || 400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, message: 'Portfolio item updated', data: result.item });
+  } catch (error) {
+    console.error('Update Portfolio Item Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update portfolio item' });
+  }
+};
+
+/**
+ * Delete a piece and its photo
+ * DELETE /api/portfolio/:itemId
+ */
+exports.deleteItem = async (req, res) => {
+  try {
+    const result = await portfolioService.deleteItem(req.params.itemId);
+    if (result.error) {
+      return res.status(result.status || 400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, message: 'Portfolio item deleted' });
+  } catch (error) {
+    console.error('Delete Portfolio Item Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete portfolio item' });
+  }
+};
+
+/**
+ * Publish a piece the parent consented to in the public gallery
+ * POST /api/portfolio/:itemId/promote { category, title?, description? }
+ */
+exports.promoteToGallery = async (req, res) => {
+  try {
+    const { category, title, description } = req.body || {};
+    const result = await portfolioService.promoteToGallery(req.params.itemId, {
+      category,
+      title,
+      description,
+      promotedBy: req.admin.email
+    });
+    if (result.error) {
+      return res.status(result.status || 400).json({ success: false, error: result.error });
+    }
+    res.status(201).json({
+      success: true,
+      message: 'Added to the public gallery',
+      data: result.item,
+      galleryItem: result.galleryItem
+    });
+  } catch (error) {
+    console.error('Promote Portfolio Item Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to add piece to the gallery' });
+  }
+};
+
+/**
+ * A portfolio photo (portfolio photos are not publicly served)
+ * GET /api/portfolio/:itemId/image
+ */
+exports.getImage = async (req, res) => {
+  try {
+    const item = await PortfolioItem.findById(req.params.itemId);
+    const filePath = item && portfolioService.getImagePath(item);
+    if (!filePath) {
+      return res.status(404).json({ success: false, error: 'Portfolio photo not found' });
+    }
+
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.sendFile(filePath);
+  } catch (error) {
+    console.error('Get Portfolio Image Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch portfolio photo' });
+  }
+};
+
+/**
+ * Export a student's portfolio as PDF (e.g. at graduation)
+ * GET /api/portfolio/student/:studentId/pdf
+ */
+exports.downloadPortfolio = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.studentId);
+    if (!student) {
+      return res.status(404).json({ success: false, error: 'Student not found' });
+    }
+
+    const items = await portfolioService.listPortfolio(student._id);
+    const pdf = await portfolioService.renderPortfolioPdf(student, items);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${portfolioService.portfolioFilename(student)}"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Download Portfolio Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate portfolio PDF' });
+  }
+};
@@ -0,0 +1,174 @@
+const Student = require('../models/student.model');
+const ProgressNote = require('../models/ProgressNote.model');
+const ProgressReport = require('../models/ProgressReport.model');
+const progressReportService = require('../services/progressReport.service');
+
+/**
+ * A student's progress notes, newest first
+ * GET /api/progress/students/:studentId/notes?from=&to=
+ */
+exports.getNotes = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const notes = await progressReportService.listNotes(req.params.studentId, { from, to });
+    res.json({ success: true, count: notes.length, data: notes });
+  } catch (error) {
+    console.error('Get Progress Notes Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch progress notes' });
+  }
+};
+
+/**
+ * Record a progress note
+ * POST /api/progress/students/:studentId/notes
+ * { sessionId?, date?, level?, ratings?: { skills, behaviour, effort }, skills?, comment?, visibleToParent? }
+ */
+exports.addNote = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.studentId);
+    if (!student) {
+      return res.status(404).json({ success: false, error: 'Student not found' });
+    }
+
+    const result = await progressReportService.addNote(student, req.body || {}, { author: req.admin.email });
+    if (result.error) {
+      return res.status(result.status || 400).json({ success: false, error: result.error });
+    }
+    res.status(201).json({ success: true, message: 'Progress note saved', data: result.note });
+  } catch (error) {
+    console.error('Add Progress Note Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save progress note' });
+  }
+};
+
+/**
+ * Edit a progress note
+ * PUT /api/progress/notes/:noteId
+ */
+exports.updateNote = async (req, res) => {
+  try {
+    const result = await progressReportService.updateNote(req.params.noteId, req.body || {});
+    if (result.error) {
+      return res.status(result.status || 400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, message: 'Progress note updated', data: result.note });
+  } catch (error) {
+    console.error('Update Progress Note Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update progress note' });
+  }
+};
+
+/**
+ * Delete a progress note (reports already compiled keep their snapshot)
+ * DELETE /api/progress/notes/:noteId
+ */
+exports.deleteNote = async (req, res) => {
+  try {
+    const note = await ProgressNote.findByIdAndDelete(req.params.noteId);
+    if (!note) {
+      return res.status(404).json({ success: false, error: 'Progress note not found' });
+    }
+    res.json({ success: true, message: 'Progress note deleted' });
+  } catch (error) {
+    console.error('Delete Progress Note Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete progress note' });
+  }
+};
+
+/**
+ * A student's progress reports, newest first
+ * GET /api/progress/students/:studentId/reports
+ */
+exports.getReports = async (req, res) => {
+  try {
+    const reports = await progressReportService.listReports(req.params.studentId);
+    res.json({ success: true, count: reports.length, data: reports });
+  } catch (error) {
+    console.error('Get Progress Reports Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch progress reports' });
+  }
+};
+
+/**
+ * Compile (or recompile) a report now
+ * POST /api/progress/students/:studentId/reports { type: 'monthly', month: 'YYYY-MM' } | { type: 'level', level }
+ * `email` (default: the policy's emailParents) sends it to the parent
+ */
+exports.generateReport = async (req, res) => {
+  try {
+    const { type, month, level, email } = req.body || {};
+    if (email !== undefined && typeof email !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'email must be true or false' });
+    }
+
+    const result = await progressReportService.generateReport(
+      req.params.studentId,
+      { type, month, level: level !== undefined ? Number(level) : undefined },
+      { generatedBy: req.admin.email, email }
+    );
+    if (result.error) {
+      return res.status(result.status || 400).json({ success: false, error: result.error });
+    }
+    res.json({
+      success: true,
+      message: `${result.report.label} report compiled${result.report.emailedAt && result.report.generatedAt <= result.report.emailedAt ? ' and emailed' : ''}`,
+      data: result.report
+    });
+  } catch (error) {
+    console.error('Generate Progress Report Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to compile progress report' });
+  }
+};
+
+/**
+ * Email a compiled report to the parent (again)
+ * POST /api/progress/reports/:reportId/send
+ */
+exports.sendReport = async (req, res) => {
+  try {
+    const report = await ProgressReport.findById(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Progress report not found' });
+    }
+
+    const result = await progressReportService.sendReport(report);
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: result.error || 'Failed to send progress report' });
+    }
+    res.json({ success: true, message: 'Progress report emailed', data: report });
+  } catch (error) {
+    console.error('Send Progress Report Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send progress report' });
+  }
+};
+
+/**
+ * When reports are compiled and whether they are emailed
+ * GET /api/progress/policy
+ */
+exports.getPolicy = async (req, res) => {
+  try {
+    const policy = await progressReportService.getProgressReportPolicy();
+    res.json({ success: true, data: policy });
+  } catch (error) {
+    console.error('Get Progress Report Policy Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch progress report policy' });
+  }
+};
+
+/**
+ * Update the progress report policy
+ * PUT /api/progress/policy { monthly?, onLevelComplete?, emailParents? }
+ */
+exports.updatePolicy = async (req, res) => {
+  try {
+    const result = await progressReportService.saveProgressReportPolicy(req.body || {});
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, message: 'Progress report policy updated', data: result.policy });
+  } catch (error) {
+    console.error('Update Progress Report Policy Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update progress report policy' });
+  }
+};
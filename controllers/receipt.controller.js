@@ -0,0 +1,168 @@
+const Receipt = require('../models/Receipt.model');
+const FeeRecord = require('../models/FeeRecord.model');
+const HouseholdPayment = require('../models/HouseholdPayment.model');
+const Student = require('../models/student.model');
+const SpecialCourse = require('../models/SpecialCourse.model');
+const emailService = require('../services/email.service');
+const receiptService = require('../services/receipt.service');
+
+const RECEIPT_TYPES = ['monthly_fee', 'household_fee', 'enrollment', 'special_course'];
+
+/**
+ * List receipts
+ * GET /api/receipts?type=&studentId=&financialYear=&search=
+ */
+exports.getReceipts = async (req, res) => {
+  try {
+    const { type, studentId, financialYear, search } = req.query;
+    const filter = {};
+    if (type) filter.type = type;
+    if (studentId) filter.studentIds = studentId;
+    if (financialYear) filter.financialYear = financialYear;
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [
+        { receiptNumber: pattern },
+        { 'billedTo.name': pattern },
+        { 'lineItems.studentName': pattern },
+        { registrationId: pattern }
+      ];
+    }
+
+    const receipts = await Receipt.find(filter)
+      .sort({ issuedAt: -1 })
+      .limit(200);
+
+    const totalAmount = receipts.reduce((sum, r) => sum + (r.totalAmount || 0), 0);
+
+    res.json({ success: true, count: receipts.length, totalAmount, data: receipts });
+  } catch (error) {
+    console.error('Get Receipts Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch receipts' });
+  }
+};
+
+/**
+ * Get a single receipt
+ * GET /api/receipts/:id
+ */
+exports.getReceipt = async (req, res) => {
+  try {
+    const receipt = await Receipt.findById(req.params.id);
+    if (!receipt) {
+      return res.status(404).json({ success: false, error: 'Receipt not found' });
+    }
+    res.json({ success: true, data: receipt });
+  } catch (error) {
+    console.error('Get Receipt Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch receipt' });
+  }
+};
+
+/**
+ * Download a receipt as PDF
+ * GET /api/receipts/:id/pdf
+ */
+exports.downloadReceipt = async (req, res) => {
+  try {
+    const receipt = await Receipt.findById(req.params.id);
+    if (!receipt) {
+      return res.status(404).json({ success: false, error: 'Receipt not found' });
+    }
+
+    const pdf = await receiptService.renderReceiptPdf(receipt);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${receiptService.receiptFilename(receipt)}"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Download Receipt Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate receipt PDF' });
+  }
+};
+
+/**
+ * Rebuild a receipt from its payment record (same receipt number)
+ * POST /api/receipts/:id/regenerate
+ * Body: { resend?: boolean }
+ */
+exports.regenerateReceipt = async (req, res) => {
+  try {
+    const receipt = await Receipt.findById(req.params.id);
+    if (!receipt) {
+      return res.status(404).json({ success: false, error: 'Receipt not found' });
+    }
+
+    const updated = await receiptService.regenerateReceipt(receipt);
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'The payment this receipt was issued for no longer exists' });
+    }
+
+    let emailSent = false;
+    if (req.body.resend) {
+      if (!updated.billedTo?.email) {
+        return res.status(400).json({ success: false, error: 'Receipt has no email address to send to' });
+      }
+      const attachment = await receiptService.getReceiptAttachment(updated);
+      const result = await emailService.sendReceiptEmail(updated.billedTo.email, updated, attachment);
+      emailSent = Boolean(result && result.success);
+    }
+
+    console.log(`🧾 Receipt ${updated.receiptNumber} regenerated by ${req.admin.email}`);
+    res.json({ success: true, data: updated, emailSent });
+  } catch (error) {
+    console.error('Regenerate Receipt Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to regenerate receipt' });
+  }
+};
+
+/**
+ * Issue a receipt for a payment made before receipts existed
+ * POST /api/receipts/issue
+ * Body: { type, id } — id is the fee record, household payment or student _id,
+ * or the workshop registrationId
+ */
+exports.issueReceipt = async (req, res) => {
+  try {
+    const { type, id } = req.body;
+    if (!RECEIPT_TYPES.includes(type) || !id) {
+      return res.status(400).json({
+        success: false,
+        error: `type (${RECEIPT_TYPES.join(', ')}) and id are required`
+      });
+    }
+
+    let receipt = null;
+    if (type === 'monthly_fee') {
+      const feeRecord = await FeeRecord.findById(id);
+      if (!feeRecord || feeRecord.status !== 'Paid') {
+        return res.status(400).json({ success: false, error: 'Paid fee record not found' });
+      }
+      receipt = await receiptService.issueFeeReceipt(feeRecord);
+    } else if (type === 'household_fee') {
+      const householdPayment = await HouseholdPayment.findById(id);
+      if (!householdPayment || householdPayment.status !== 'paid') {
+        return res.status(400).json({ success: false, error: 'Paid household payment not found' });
+      }
+      receipt = await receiptService.issueHouseholdReceipt(householdPayment);
+      const feeRecords = await FeeRecord.find({ razorpayOrderId: householdPayment.razorpayOrderId, status: 'Paid' }).select('_id');
+      receipt = await receiptService.linkFeeRecords(receipt, feeRecords.map(f => f._id));
+    } else if (type === 'enrollment') {
+      const student = await Student.findById(id);
+      if (!student || student.paymentStatus !== 'Completed') {
+        return res.status(400).json({ success: false, error: 'Paid enrollment not found' });
+      }
+      receipt = await receiptService.issueEnrollmentReceipt(student);
+    } else {
+      const registration = await SpecialCourse.findOne({ registrationId: id });
+      if (!registration || registration.payment_status !== 'paid') {
+        return res.status(400).json({ success: false, error: 'Paid workshop registration not found' });
+      }
+      receipt = await receiptService.issueSpecialCourseReceipt(registration);
+    }
+
+    res.status(201).json({ success: true, data: receipt });
+  } catch (error) {
+    console.error('Issue Receipt Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to issue receipt' });
+  }
+};
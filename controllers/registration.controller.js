@@ -3,6 +3,7 @@ const cloudinary = require("../middleware/cloudinary");
 const fs = require("fs");
 const path = require("path");
 const { sendRegistrationConfirmationEmail } = require("../services/emailService");
+const { retryOnDuplicateId } = require("../services/idSequence.service");
 
 // Helper: safe trim
 const trim = (v) => (typeof v === "string" ? v.trim() : v);
@@ -1328,7 +1329,8 @@ exports.createOfflineRegistration = async (req, res) => {
     console.log('Creating offline registration with data:', JSON.stringify(registrationData, null, 2));
 
     // Create the registration in database
-    const newRegistration = await Registration.create(registrationData);
+    const newRegistration = new Registration(registrationData);
+    await retryOnDuplicateId('registration', newRegistration, () => newRegistration.save());
 
     console.log('Offline registration created successfully:', newRegistration.registrationNo);
 
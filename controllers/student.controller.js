@@ -1,5 +1,9 @@
 const Student = require('../models/student.model');
 const Batch = require('../models/Batch.model');
+const { linkStudentToHousehold, unlinkStudentFromHousehold, mergeHouseholds } = require('../services/household.service');
+const curriculumService = require('../services/curriculum.service');
+const certificateService = require('../services/certificate.service');
+const progressReportService = require('../services/progressReport.service');
 const path = require('path');
 const fs = require('fs');
 
@@ -365,7 +369,9 @@ exports.startLevelJourney = async (req, res) => {
 
 /**
  * POST /api/students/:id/advance-level
- * Advance a student to the next level (admin only)
+ * Advance a student to the next level (admin only). Levels whose curriculum
+ * requires a passed assessment refuse unless `force: true` is sent. The
+ * completed level's certificate and progress report go to the parent.
  */
 exports.advanceLevel = async (req, res) => {
   try {
@@ -394,7 +400,38 @@ exports.advanceLevel = async (req, res) => {
       });
     }
     
+    // Levels that require a passed assessment block advancing unless forced
+    if (!force) {
+      const gate = await curriculumService.checkAdvancement(student);
+      if (!gate.ok) {
+        return res.status(409).json({
+          success: false,
+          error: gate.error,
+          canForce: true
+        });
+      }
+    }
+
     const result = await student.advanceLevel();
+    const completedLevel = result.action === 'graduated' ? result.level : result.fromLevel;
+
+    // Certificate for the level just completed; a failure here does not undo the advance
+    let certificate = null;
+    try {
+      const issued = await certificateService.issueCertificate(student, {
+        level: completedLevel,
+        type: result.action === 'graduated' ? 'graduation' : 'level',
+        source: 'advance_level',
+        issuedBy: req.admin.email
+      });
+      if (issued.error) console.warn(`⚠️ No certificate for ${student.childName}: ${issued.error}`);
+      certificate = issued.certificate || null;
+    } catch (certificateError) {
+      console.error('Certificate Issue Error:', certificateError);
+    }
+
+    // Level progress report for the parent (non-blocking, never throws)
+    progressReportService.generateLevelReport(student._id, completedLevel, { generatedBy: req.admin.email });
     
     res.json({
       success: true,
@@ -403,7 +440,8 @@ exports.advanceLevel = async (req, res) => {
         : `${student.childName} advanced from Level ${result.fromLevel} to Level ${result.toLevel}`,
       student,
       levelDetails: student.getCurrentLevelDetails(),
-      action: result.action
+      action: result.action,
+      certificate
     });
   } catch (error) {
     console.error('Advance Level Error:', error);
@@ -650,6 +688,11 @@ exports.updateStudent = async (req, res) => {
 
     // ─── SAVE ──────────────────────────────────────────────────────────────
     await student.save();
+
+    // Siblings are grouped by contact number, so a new number moves households
+    if (updates.contact1 !== undefined) {
+      await linkStudentToHousehold(student);
+    }
     await student.populate('batchId');
 
     res.json({
@@ -680,6 +723,8 @@ exports.deleteStudent = async (req, res) => {
         error: 'Student not found'
       });
     }
+
+    await unlinkStudentFromHousehold(student);
     
     res.json({
       success: true,
@@ -696,34 +741,17 @@ exports.deleteStudent = async (req, res) => {
 
 /**
  * GET /api/students/levels
- * Get level configuration and details
+ * Get level configuration and details (curriculum for levels 0–12)
  */
 exports.getLevelConfig = async (req, res) => {
   try {
-    const levels = [];
-    for (let i = 0; i <= 12; i++) {
-      if (i === 0) {
-        levels.push({
-          level: 0,
-          label: 'Newbie',
-          description: 'Not yet started the level journey',
-          status: 'not_started'
-        });
-      } else {
-        levels.push({
-          level: i,
-          label: `Level ${i}`,
-          description: i === 12 ? 'Master Level - Graduation!' : `Level ${i} of 12`,
-          status: i === 12 ? 'graduation' : 'in_progress'
-        });
-      }
-    }
+    const levels = await curriculumService.listLevels();
     
     res.json({
       success: true,
       levels,
-      totalLevels: 12,
-      graduationLevel: 12
+      totalLevels: curriculumService.MAX_LEVEL,
+      graduationLevel: curriculumService.MAX_LEVEL
     });
   } catch (error) {
     console.error('Get Level Config Error:', error);
@@ -732,4 +760,122 @@ exports.getLevelConfig = async (req, res) => {
       error: 'Failed to fetch level configuration'
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * POST /api/students/:id/projects
+ * Mark a project of the student's current level as done (or undo it)
+ * Body: { projectKey, completed?: boolean, notes? }
+ */
+exports.recordProject = async (req, res) => {
+  try {
+    const { projectKey, completed = true, notes } = req.body;
+    if (!projectKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'projectKey is required'
+      });
+    }
+
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    const result = await curriculumService.recordProject(student, projectKey, {
+      completed: completed !== false,
+      notes,
+      recordedBy: req.admin.email
+    });
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: completed !== false ? 'Project marked complete' : 'Project marked incomplete',
+      levelEntry: result.entry
+    });
+  } catch (error) {
+    console.error('Record Project Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record project'
+    });
+  }
+};
+
+/**
+ * POST /api/students/:id/assessment
+ * Score the current level's assessment against its rubric
+ * Body: { scores: [{ criterion, score }], notes? }
+ */
+exports.recordAssessment = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    const result = await curriculumService.recordAssessment(student, req.body.scores, {
+      assessedBy: req.admin.email,
+      notes: req.body.notes
+    });
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: result.assessment.passed
+        ? `Assessment passed (${result.assessment.percentage}%)`
+        : `Assessment not passed (${result.assessment.percentage}%)`,
+      assessment: result.assessment
+    });
+  } catch (error) {
+    console.error('Record Assessment Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record assessment'
+    });
+  }
+};
+
+/**
+ * Merge another household into this one (siblings enrolled under different
+ * contact numbers). Parents logging in with either number then see every child.
+ * POST /api/students/households/:householdId/merge
+ * Body: { householdId } — the household to merge in (a student's householdId)
+ */
+exports.mergeHousehold = async (req, res) => {
+  try {
+    const { householdId } = req.body || {};
+    if (!householdId) {
+      return res.status(400).json({ success: false, error: 'householdId of the household to merge in is required' });
+    }
+
+    const result = await mergeHouseholds(req.params.householdId, householdId);
+    if (result.error) {
+      return res.status(result.status || 400).json({ success: false, error: result.error });
+    }
+
+    console.log(`🏠 Household ${householdId} merged into ${req.params.householdId} by ${req.admin.email} (${result.moved} student(s))`);
+    res.json({
+      success: true,
+      message: `Households merged: ${result.moved} student(s) moved`,
+      household: result.household
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'One of these contact numbers is already linked to another household' });
+    }
+    console.error('Merge Household Error:', error);
+    res.status(500).json({ success: false, error: 'Failed to merge households' });
+  }
+};
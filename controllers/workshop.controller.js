@@ -4,9 +4,9 @@ const path = require('path');
 const {
   generateAndUpload,
   deleteWorkshopFiles,
-  registerConfig
+  refreshConfig
 } = require('../services/workshopPageGenerator.service');
-const workshopRuntimeConfig = require('../services/workshopRuntimeConfig.service');
+const { buildPrefix } = require('../services/workshopConfig.service');
 
 exports.getAll = async (req, res) => {
   try {
@@ -63,10 +63,13 @@ exports.uploadImage = async (req, res) => {
 
 exports.create = async (req, res) => {
   try {
-    const workshop = await Workshop.create(req.body);
+    const workshop = await Workshop.create({
+      ...req.body,
+      registrationPrefix: req.body.registrationPrefix || buildPrefix(req.body.slug || req.body.name)
+    });
 
-    // Register runtime config so special-course payments use the correct fee/capacity
-    registerConfig(workshop);
+    // Refresh the cached config so special-course payments use the correct fee/capacity
+    refreshConfig();
 
     // Generate the HTML registration page + JS file and upload to the live site via FTP
     const pageResult = await generateAndUpload(workshop);
@@ -93,8 +96,8 @@ exports.update = async (req, res) => {
       workshop.registrationPageUrl = '';
     }
 
-    // Re-register config and regenerate pages on every update
-    registerConfig(workshop);
+    // Refresh the cached config and regenerate pages on every update
+    refreshConfig();
     const pageResult = await generateAndUpload(workshop);
 
     // Save the generated page URL back on the workshop record
@@ -114,8 +117,8 @@ exports.remove = async (req, res) => {
     const workshop = await Workshop.findByIdAndDelete(req.params.id);
     if (!workshop) return res.status(404).json({ success: false, message: 'Workshop not found' });
 
-    // Remove runtime config so payments stop for this workshop
-    workshopRuntimeConfig.unregister(workshop.name);
+    // Drop the cached config so payments stop for this workshop
+    refreshConfig();
 
     // Delete the generated HTML + JS files from the live site via FTP
     const deleteResult = await deleteWorkshopFiles(workshop);
@@ -0,0 +1,136 @@
+const { defineJob } = require('../services/jobScheduler.service');
+const CompensationToken = require('../models/CompensationToken.model');
+const { runFeeReminders } = require('../controllers/feeCron.controller');
+const { ensureMonthlyFeeRecords } = require('../services/syncFeeStatus.service');
+const attendanceSessionService = require('../services/attendanceSession.service');
+const { closeUnmarkedMakeups } = require('../services/makeup.service');
+const { generateMonthlyReports } = require('../services/progressReport.service');
+const { retryFailedRefunds } = require('../services/workshopRefund.service');
+const { sendReviewNotifications } = require('../services/promotion.service');
+const {
+  cleanupExpiredRegistrations,
+  CLEANUP_INTERVAL_MINUTES
+} = require('../controllers/SpecialCourse.controller');
+
+// Every background job the server runs. Schedules live in Mongo (see
+// services/jobScheduler.service.js); admins can list, trigger and pause
+// them through /api/jobs.
+
+// Delete unpaid workshop registrations and hand freed seats to the waitlist
+defineJob('special-course-cleanup', {
+  description: 'Delete expired pending workshop registrations and offer freed seats to the waitlist',
+  schedule: { type: 'interval', everyMinutes: CLEANUP_INTERVAL_MINUTES },
+  maxRetries: 0,
+  lockMinutes: 10,
+  runOnFirstStart: true,
+  handler: () => cleanupExpiredRegistrations()
+});
+
+// Workshop refunds Razorpay reported as failed after the registration was
+// cancelled (the seat is gone, so the money still has to go back)
+defineJob('refund-retry', {
+  description: 'Retry failed refunds on cancelled workshop registrations',
+  schedule: { type: 'interval', everyMinutes: 60 },
+  maxRetries: 0,
+  handler: async () => {
+    const result = await retryFailedRefunds();
+    if (result.retried || result.failed) {
+      console.log(`💸 Refund retries: ${result.retried} sent, ${result.failed} failed again`);
+    }
+    return result;
+  }
+});
+
+// Make-up tokens past their expiry date
+defineJob('token-expiry', {
+  description: 'Mark compensation tokens past their expiry date as expired',
+  schedule: { type: 'daily', at: '00:00' },
+  handler: async () => {
+    const result = await CompensationToken.updateMany(
+      {
+        status: 'available',
+        expiryDate: { $lte: new Date() }
+      },
+      { $set: { status: 'expired' } }
+    );
+    console.log(`✅ Expired ${result.modifiedCount} tokens`);
+    return { expired: result.modifiedCount };
+  }
+});
+
+// Today's attendance sessions, so rosters are ready before the first class
+defineJob('attendance-sessions', {
+  description: 'Generate today\'s attendance sessions from the batch and flexi schedules',
+  schedule: { type: 'daily', at: '00:10' },
+  runOnFirstStart: true,
+  handler: async () => {
+    const date = attendanceSessionService.today();
+    const sessions = await attendanceSessionService.generateSessionsForDate(date);
+    console.log(`📋 ${sessions.length} attendance session(s) ready for ${date}`);
+    return { date, sessions: sessions.length };
+  }
+});
+
+// Make-up bookings nobody marked: closed as Missed under the make-up policy
+defineJob('makeup-closure', {
+  description: 'Close unmarked make-up bookings as missed and forfeit or return their tokens',
+  schedule: { type: 'daily', at: '00:15' },
+  runOnFirstStart: true,
+  handler: async () => {
+    const result = await closeUnmarkedMakeups(attendanceSessionService.today());
+    console.log(`🔁 Make-ups closed as missed: ${result.closed} (${result.tokensReturned} token(s) returned)`);
+    return result;
+  }
+});
+
+// Certificates and level reports from batch promotions, held back until the
+// promotion can no longer be undone
+defineJob('promotion-notifications', {
+  description: 'Email certificates and level reports once a promotion\'s undo window has closed',
+  schedule: { type: 'interval', everyMinutes: 30 },
+  handler: async () => {
+    const result = await sendReviewNotifications();
+    if (result.reviews) {
+      console.log(`🎓 Promotion emails: ${result.certificates} certificate(s), ${result.reports} report(s) for ${result.reviews} review(s)`);
+    }
+    return result;
+  }
+});
+
+// Bill the month as soon as it starts (the fee reminder job also does this,
+// but later in the day)
+defineJob('monthly-billing', {
+  description: 'Create the current month\'s fee record for every active student',
+  schedule: { type: 'daily', at: '00:05' },
+  runOnFirstStart: true,
+  handler: async () => {
+    // The month that has started in India, whatever the server's zone
+    const now = new Date();
+    const month = now.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', month: 'long' });
+    const year = Number(now.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', year: 'numeric' }));
+    const result = await ensureMonthlyFeeRecords({ month, year });
+    console.log(`📅 Auto-billing: ${result.created} record(s) created for ${month} ${year}`);
+    return { month, year, created: result.created };
+  }
+});
+
+// The overdue policy decides which reminder (upcoming / due / overdue) each
+// pending fee gets, if any
+defineJob('fee-reminders', {
+  description: 'Apply the overdue policy and send fee reminders',
+  schedule: { type: 'daily', at: '09:00' },
+  retryDelayMinutes: 15,
+  handler: () => runFeeReminders()
+});
+
+// Compile and email last month's progress reports (catches up on missed days)
+defineJob('progress-reports', {
+  description: 'Compile and email last month\'s progress report for every active student',
+  schedule: { type: 'daily', at: '08:00' },
+  retryDelayMinutes: 15,
+  handler: async () => {
+    const result = await generateMonthlyReports(attendanceSessionService.today());
+    console.log(`📒 Progress reports for ${result.month}: ${result.generated} compiled${result.failed ? `, ${result.failed} failed` : ''}${result.skipped ? ' (monthly reports are off)' : ''}`);
+    return result;
+  }
+});
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin.model');
+const { hasPermission } = require('./permissions');
 
 /**
  * Middleware: Verify JWT token and attach admin to req
@@ -24,6 +25,11 @@ const protect = async (req, res, next) => {
       return res.status(401).json({ success: false, error: 'Invalid token.' });
     }
 
+    // Parent portal sessions are signed with the same secret but are never admin tokens
+    if (decoded.type === 'parent') {
+      return res.status(401).json({ success: false, error: 'Invalid token.' });
+    }
+
     const admin = await Admin.findById(decoded.id).select('-password');
     if (!admin || !admin.isActive) {
       return res.status(401).json({ success: false, error: 'Admin account not found or deactivated.' });
@@ -47,4 +53,21 @@ const requireSuperAdmin = (req, res, next) => {
   next();
 };
 
-module.exports = { protect, requireSuperAdmin };
+/**
+ * Middleware factory: Require every listed permission (use after protect)
+ * e.g. router.delete('/:id', protect, authorize(PERMISSIONS.FEES_DELETE), handler)
+ */
+const authorize = (...permissions) => (req, res, next) => {
+  const role = req.admin?.role;
+  const missing = permissions.filter(p => !hasPermission(role, p));
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied. Your role does not have permission for this action.',
+      required: missing
+    });
+  }
+  next();
+};
+
+module.exports = { protect, requireSuperAdmin, authorize };
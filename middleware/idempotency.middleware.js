@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey.model');
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+const hashBody = (body) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(body || {}))
+  .digest('hex');
+
+/**
+ * Middleware factory: make a payment endpoint safe to call more than once.
+ *
+ * The key is the Idempotency-Key header, else whatever `fallbackKey(req)`
+ * returns. While the first request runs, repeats get 409; once it has
+ * succeeded its response is replayed for 24 hours. A failed request releases
+ * the key so the client can retry.
+ *
+ * `key(req)` pins the key to the request itself (the Razorpay payment id — a
+ * payment is only verified once): the header is ignored and a completed key
+ * never expires, so the payment cannot be replayed under another key or later.
+ *
+ * @param {string} scope name of the endpoint, keys are unique per scope
+ * @param {object} opts { key?: (req) => string, fallbackKey?: (req) => string }
+ */
+const idempotent = (scope, { key: keyOf, fallbackKey } = {}) => async (req, res, next) => {
+  try {
+    const key = keyOf
+      ? keyOf(req)
+      : req.get('Idempotency-Key') || (fallbackKey && fallbackKey(req));
+    if (!key) return next();
+
+    if (String(key).length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ success: false, error: 'Idempotency-Key is too long' });
+    }
+
+    const requestHash = hashBody(req.body);
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        scope,
+        key: String(key),
+        requestHash,
+        expiresAt: new Date(Date.now() + KEY_TTL_MS)
+      });
+    } catch (createError) {
+      if (createError.code !== 11000) throw createError;
+
+      const existing = await IdempotencyKey.findOne({ scope, key: String(key) });
+      if (existing && existing.requestHash !== requestHash) {
+        return res.status(422).json({ success: false, error: 'This Idempotency-Key was already used for a different request' });
+      }
+      if (!existing || existing.status === 'processing') {
+        return res.status(409).json({ success: false, error: 'This payment is already being verified. Please wait a moment.' });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Keep a successful response; give the key back on anything else
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('close', () => {
+      const settle = res.statusCode < 300 && responseBody !== undefined
+        ? IdempotencyKey.updateOne(
+          { _id: record._id },
+          {
+            $set: {
+              status: 'completed',
+              responseStatus: res.statusCode,
+              responseBody: JSON.parse(JSON.stringify(responseBody)),
+              ...(keyOf && { expiresAt: null })
+            }
+          }
+        )
+        : IdempotencyKey.deleteOne({ _id: record._id });
+      settle.catch(err => console.warn(`⚠️ Could not settle idempotency key ${scope}/${key}:`, err.message));
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    res.status(500).json({ success: false, error: 'Failed to process request' });
+  }
+};
+
+module.exports = {
+  idempotent
+};
@@ -0,0 +1,63 @@
+const { verifyParentToken, resolveParentHousehold } = require('../services/parentSession.service');
+
+/**
+ * Middleware: Verify parent session token and attach the parent to req
+ * req.parent = { contact1, householdId: String|null, studentIds: [String] }
+ */
+const protectParent = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ success: false, error: 'Please log in to the parent portal.' });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    let decoded;
+    try {
+      decoded = verifyParentToken(token);
+    } catch (err) {
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ success: false, error: 'Session expired. Please log in again.' });
+      }
+      return res.status(401).json({ success: false, error: 'Invalid session.' });
+    }
+
+    // Resolve the household on every request so removed or newly added
+    // students are reflected without waiting for the token to expire
+    const { household, students } = await resolveParentHousehold(decoded.contact1);
+    if (students.length === 0) {
+      return res.status(401).json({ success: false, error: 'No students found for this session.' });
+    }
+
+    req.parent = {
+      contact1: decoded.contact1,
+      householdId: household ? household._id.toString() : null,
+      studentIds: students.map(s => s._id.toString())
+    };
+    next();
+  } catch (error) {
+    console.error('Parent auth middleware error:', error);
+    res.status(500).json({ success: false, error: 'Authentication failed.' });
+  }
+};
+
+/**
+ * Middleware: Require the requested student to belong to the logged-in parent
+ * (use after protectParent). Looks at :id, :studentId, then body.studentId.
+ */
+const requireStudentOwnership = (req, res, next) => {
+  const studentId = req.params.id || req.params.studentId || req.body?.studentId;
+
+  if (!studentId) {
+    return res.status(400).json({ success: false, error: 'Student ID is required' });
+  }
+
+  if (!req.parent?.studentIds.includes(String(studentId))) {
+    return res.status(403).json({ success: false, error: 'Access denied. This student is not linked to your account.' });
+  }
+  next();
+};
+
+module.exports = { protectParent, requireStudentOwnership };
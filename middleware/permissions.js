@@ -0,0 +1,108 @@
+/**
+ * Role-based permission map for admin routes.
+ *
+ * Every admin route declares the permission it needs with
+ * `authorize(PERMISSIONS.X)` (see auth.middleware.js); this file is the single
+ * place that decides which roles hold which permissions.
+ */
+
+const PERMISSIONS = {
+  STUDENTS_READ: 'students:read',
+  STUDENTS_WRITE: 'students:write',
+  STUDENTS_DELETE: 'students:delete',
+
+  ATTENDANCE_READ: 'attendance:read',
+  ATTENDANCE_WRITE: 'attendance:write',
+
+  COMPENSATION_READ: 'compensation:read',
+  COMPENSATION_WRITE: 'compensation:write',
+
+  BATCHES_READ: 'batches:read',
+  BATCHES_WRITE: 'batches:write',
+  BATCHES_DELETE: 'batches:delete',
+
+  FEES_READ: 'fees:read',
+  FEES_WRITE: 'fees:write',
+  FEES_DELETE: 'fees:delete',
+  REVENUE_READ: 'revenue:read',
+
+  REGISTRATIONS_READ: 'registrations:read',
+  REGISTRATIONS_WRITE: 'registrations:write',
+  REGISTRATIONS_DELETE: 'registrations:delete',
+
+  WORKSHOPS_READ: 'workshops:read',
+  WORKSHOPS_WRITE: 'workshops:write',
+
+  WAITLIST_READ: 'waitlist:read',
+  WAITLIST_WRITE: 'waitlist:write',
+
+  BIRTHDAYS_READ: 'birthdays:read',
+  BIRTHDAYS_WRITE: 'birthdays:write',
+
+  CONTENT_WRITE: 'content:write', // gallery + categories
+
+  CURRICULUM_WRITE: 'curriculum:write',     // level syllabus, materials and rubrics
+  ASSESSMENTS_WRITE: 'assessments:write',   // record project completion, assessment scores and progress notes
+  PORTFOLIO_WRITE: 'portfolio:write',       // upload and edit students' artwork photos
+
+  HOLIDAYS_READ: 'holidays:read',   // academy holiday / closure calendar
+  HOLIDAYS_WRITE: 'holidays:write',
+
+  JOBS_READ: 'jobs:read',   // background job schedules and run history
+  JOBS_WRITE: 'jobs:write'  // trigger / pause jobs
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const ROLE_PERMISSIONS = {
+  // Full access. Maintenance endpoints (migrations, seeding, bulk deletes)
+  // additionally sit behind requireSuperAdmin.
+  superadmin: ALL_PERMISSIONS,
+
+  // Day-to-day academy management
+  admin: ALL_PERMISSIONS,
+
+  // Runs classes: sees students and batches, marks attendance, handles make-ups
+  instructor: [
+    PERMISSIONS.STUDENTS_READ,
+    PERMISSIONS.ATTENDANCE_READ,
+    PERMISSIONS.ATTENDANCE_WRITE,
+    PERMISSIONS.COMPENSATION_READ,
+    PERMISSIONS.COMPENSATION_WRITE,
+    PERMISSIONS.BATCHES_READ,
+    PERMISSIONS.WAITLIST_READ,
+    PERMISSIONS.BIRTHDAYS_READ,
+    PERMISSIONS.HOLIDAYS_READ,
+    PERMISSIONS.ASSESSMENTS_WRITE,
+    PERMISSIONS.PORTFOLIO_WRITE
+  ],
+
+  // Handles money: fees and revenue, read-only on everything else it needs
+  accountant: [
+    PERMISSIONS.STUDENTS_READ,
+    PERMISSIONS.FEES_READ,
+    PERMISSIONS.FEES_WRITE,
+    PERMISSIONS.REVENUE_READ,
+    PERMISSIONS.REGISTRATIONS_READ,
+    PERMISSIONS.WORKSHOPS_READ,
+    PERMISSIONS.BATCHES_READ,
+    PERMISSIONS.HOLIDAYS_READ
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Check whether a role holds a permission
+ */
+const hasPermission = (role, permission) => {
+  const granted = ROLE_PERMISSIONS[role];
+  return Array.isArray(granted) && granted.includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  hasPermission
+};
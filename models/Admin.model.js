@@ -21,7 +21,7 @@ const adminSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['superadmin', 'admin'],
+    enum: ['superadmin', 'admin', 'instructor', 'accountant'],
     default: 'admin',
   },
   isActive: {
@@ -14,10 +14,50 @@ const attendanceRecordSchema = new mongoose.Schema({
     type: String,
     enum: ['P', 'A', 'C', 'none'], // Present, Absent, compensation, Not Marked
     default: 'none'
+  },
+
+  // Session the mark was taken in (null for marks made before sessions existed)
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceSession',
+    default: null
+  },
+  // Why the student was on the session's roster
+  source: {
+    type: String,
+    enum: ['regular', 'flexi', 'makeup', null],
+    default: null
+  },
+  compensationRecordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CompensationRecord',
+    default: null
+  },
+  compensationTokenGenerated: {
+    type: Boolean,
+    default: false
+  },
+  // The academy was told about the absence in advance
+  excused: {
+    type: Boolean,
+    default: false
+  },
+  // Token policy outcome for an absence, shown to parents in the portal
+  tokenDecision: {
+    rule: String,
+    message: String
   }
 }, { timestamps: true });
 
-// Ensure unique index for student and date
-attendanceRecordSchema.index({ studentId: 1, date: 1 }, { unique: true });
+// One mark per student per session; a student can be in two sessions a day
+attendanceRecordSchema.index(
+  { sessionId: 1, studentId: 1 },
+  { unique: true, partialFilterExpression: { sessionId: { $type: 'objectId' } } }
+);
+// Marks not tied to a session stay one per student per day
+attendanceRecordSchema.index(
+  { studentId: 1, date: 1 },
+  { unique: true, partialFilterExpression: { sessionId: { $type: 'null' } } }
+);
 
 module.exports = mongoose.model('AttendanceRecord', attendanceRecordSchema);
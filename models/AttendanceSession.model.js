@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// One class meeting on one calendar day: a regular batch (from Batch.dayId /
+// time) or a flexi slot (FlexiBatch.schedule entries sharing a day and time).
+// Generated by services/attendanceSession.service.js; attendance marks point
+// at the session, and `expected` keeps who was on the roster when it was marked.
+const attendanceSessionSchema = new mongoose.Schema({
+  // `${date}|batch|${batchId}` or `${date}|flexi|${classType}|${time}`
+  sessionKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  date: {
+    type: String, // Format: YYYY-MM-DD
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['batch', 'flexi'],
+    required: true
+  },
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    default: null
+  },
+  classType: {
+    type: String,
+    enum: ['offline', 'online'],
+    required: true
+  },
+  dayId: String, // batch sessions, e.g. 'monfri'
+  day: String,   // weekday name, e.g. 'Monday'
+  time: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['scheduled', 'completed', 'cancelled'],
+    default: 'scheduled'
+  },
+  cancelReason: String,
+  // Holiday that cancelled the session, and when its students were compensated
+  holidayId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Holiday',
+    default: null
+  },
+  compensatedAt: Date,
+  // Touched inside every make-up / trial booking transaction for the class,
+  // so two bookings for the last seat conflict instead of both succeeding
+  seatsCheckedAt: Date,
+
+  // Roster at the time attendance was marked
+  expected: [{
+    _id: false,
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student' },
+    source: { type: String, enum: ['regular', 'flexi', 'makeup'] },
+    compensationRecordId: { type: mongoose.Schema.Types.ObjectId, ref: 'CompensationRecord', default: null }
+  }],
+  markedBy: String,
+  markedAt: Date
+}, { timestamps: true });
+
+attendanceSessionSchema.index({ date: 1, classType: 1 });
+attendanceSessionSchema.index({ batchId: 1, date: -1 });
+
+module.exports = mongoose.model('AttendanceSession', attendanceSessionSchema);
@@ -23,6 +23,13 @@ const batchSchema = new mongoose.Schema({
     default: 8, 
     required: true 
   },
+  // Make-up students one class can take on top of its regulars (still within
+  // capacity); null uses the make-up policy's defaultAllowance
+  makeupAllowance: {
+    type: Number,
+    min: 0,
+    default: null
+  },
   status: {
     type: String,
     enum: ['draft', 'active', 'filling', 'full', 'completed', 'archived'],
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// A level completion (or graduation) certificate. The PDF is rendered from
+// this snapshot, so a certificate reads the same even if the student's name
+// or enrollment ID is edited later. Anyone holding the verification code can
+// check it through the public verify endpoint.
+const certificateSchema = new mongoose.Schema({
+  // LSC-7KQ2-M9XD — printed on the certificate
+  verificationCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['level', 'graduation'],
+    required: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  level: {
+    type: Number,
+    min: 1,
+    max: 12,
+    required: true
+  },
+
+  // ═══ SNAPSHOT (printed on the PDF) ═══
+  childName: {
+    type: String,
+    required: true
+  },
+  enrollmentId: String,
+  levelTitle: String,
+  completedDate: Date,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // ═══ STORED FILE ═══
+  fileUrl: String,
+  storage: {
+    type: String,
+    enum: ['cloudinary', 'local']
+  },
+  cloudinaryPublicId: String,
+
+  // What triggered it: advanceLevel, a batch promotion review, or an admin
+  source: {
+    type: String,
+    enum: ['advance_level', 'promotion_review', 'manual'],
+    required: true
+  },
+  reviewId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromotionReview'
+  },
+  issuedBy: String,
+  emailedAt: Date,
+
+  // Revoked when the promotion it was issued for is undone
+  status: {
+    type: String,
+    enum: ['issued', 'revoked'],
+    default: 'issued'
+  },
+  revokedAt: Date,
+  revokedBy: String,
+  revokedReason: String
+}, { timestamps: true });
+
+// One live certificate per student, level and type
+certificateSchema.index(
+  { studentId: 1, level: 1, type: 1 },
+  { unique: true, partialFilterExpression: { status: 'issued' } }
+);
+certificateSchema.index({ reviewId: 1 });
+
+module.exports = mongoose.model('Certificate', certificateSchema);
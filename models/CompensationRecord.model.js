@@ -24,7 +24,7 @@ const compensationRecordSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Booked', 'Attended', 'Missed'],
+    enum: ['Booked', 'Attended', 'Missed', 'Cancelled'], // Cancelled: the class fell on a holiday
     default: 'Booked'
   },
   // True when created manually by admin (no token redemption)
@@ -35,6 +35,19 @@ const compensationRecordSchema = new mongoose.Schema({
   bookedAt: {
     type: Date,
     default: Date.now
+  },
+  // Set once the booking is Attended or Missed (see services/makeup.service.js)
+  closedAt: Date,
+  closedBy: {
+    type: String,
+    enum: ['attendance', 'admin', 'scheduler', null],
+    default: null
+  },
+  // Token given back under the 'return' missed make-up policy
+  returnedTokenId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CompensationToken',
+    default: null
   }
 });
 
@@ -44,12 +44,17 @@ const compensationTokenSchema = new mongoose.Schema({
   // Additional metadata
   reason: { 
     type: String, 
-    enum: ['absence', 'admin_granted', 'credit_transfer'],
+    enum: ['absence', 'admin_granted', 'credit_transfer', 'holiday'],
     default: 'absence'
   },
   notes: { 
     type: String, 
     trim: true 
+  },
+  // Why the token was issued and how long it lasts (services/tokenPolicy.service.js)
+  policyNote: {
+    type: String,
+    trim: true
   }
 }, { timestamps: true });
 
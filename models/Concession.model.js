@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A standing discount for one student (sibling discount, scholarship, staff child…),
+// applied automatically whenever that student is billed
+const concessionSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true // e.g. 'Sibling discount', 'Merit scholarship'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  maxDiscount: {
+    type: Number,
+    default: null
+  },
+  appliesTo: {
+    type: [String],
+    enum: ['monthly_fee', 'enrollment', 'special_course'],
+    default: ['monthly_fee']
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validTo: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, { timestamps: true });
+
+concessionSchema.index({ studentId: 1, isActive: 1 });
+
+module.exports = mongoose.model('Concession', concessionSchema);
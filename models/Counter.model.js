@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Named atomic sequences, e.g. 'receipt:2026-27' or 'id:enrollment:2026'
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+/**
+ * Atomically take the next value of a sequence (the first value is 1). Pass
+ * `session` to take it inside a transaction, so an abort gives it back.
+ */
+counterSchema.statics.next = async function (name, { session = null } = {}) {
+  try {
+    const counter = await this.findOneAndUpdate(
+      { _id: name },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true, session }
+    );
+    return counter.seq;
+  } catch (error) {
+    // Two first-ever increments can race on the upsert; the loser retries
+    if (error.code !== 11000 || session) throw error;
+    const counter = await this.findOneAndUpdate(
+      { _id: name },
+      { $inc: { seq: 1 } },
+      { new: true }
+    );
+    return counter.seq;
+  }
+};
+
+/**
+ * Move a sequence up to at least `value`, never down (used to seed counters
+ * from IDs that already exist)
+ */
+counterSchema.statics.raise = async function (name, value) {
+  try {
+    await this.updateOne({ _id: name }, { $max: { seq: value } }, { upsert: true });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    await this.updateOne({ _id: name }, { $max: { seq: value } });
+  }
+};
+
+/**
+ * Current value of a sequence without taking it (0 if never used)
+ */
+counterSchema.statics.current = async function (name) {
+  const counter = await this.findById(name).lean();
+  return counter ? counter.seq : 0;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
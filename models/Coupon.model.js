@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // ═══ RULE ═══
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Cap for percentage coupons (₹); null = no cap
+  maxDiscount: {
+    type: Number,
+    default: null
+  },
+  minAmount: {
+    type: Number,
+    default: 0
+  },
+  appliesTo: {
+    type: [String],
+    enum: ['monthly_fee', 'enrollment', 'special_course'],
+    default: ['monthly_fee', 'enrollment', 'special_course']
+  },
+
+  // ═══ VALIDITY & LIMITS ═══
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validTo: {
+    type: Date,
+    default: null
+  },
+  usageLimit: {
+    type: Number,
+    default: null // null = unlimited
+  },
+  perStudentLimit: {
+    type: Number,
+    default: null // null = unlimited
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Coupon', couponSchema);
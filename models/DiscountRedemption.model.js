@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// The discount priced into one Razorpay order. Written as 'pending' when the
+// order is created and flipped to 'redeemed' when the payment is confirmed
+// (browser verification or webhook), which is also when coupon usage counts.
+const discountRedemptionSchema = new mongoose.Schema({
+  razorpayOrderId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  context: {
+    type: String,
+    enum: ['monthly_fee', 'enrollment', 'special_course'],
+    required: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    default: null
+  },
+  registrationId: {
+    type: String,
+    default: null
+  },
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    default: null
+  },
+  couponCode: {
+    type: String,
+    default: null
+  },
+  grossAmount: {
+    type: Number,
+    required: true
+  },
+  discountAmount: {
+    type: Number,
+    required: true
+  },
+  netAmount: {
+    type: Number,
+    required: true
+  },
+  discounts: [{
+    source: { type: String, enum: ['coupon', 'concession', 'holiday'] },
+    refId: mongoose.Schema.Types.ObjectId,
+    code: String,
+    name: String,
+    amount: Number
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'redeemed'],
+    default: 'pending'
+  },
+  redeemedAt: {
+    type: Date,
+    default: null
+  },
+  // Paid after the coupon's usage limit was reached by other orders; the
+  // discount was honoured but not counted in usedCount
+  overLimit: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+discountRedemptionSchema.index({ couponId: 1, status: 1 });
+discountRedemptionSchema.index({ couponId: 1, studentId: 1, status: 1 });
+
+module.exports = mongoose.model('DiscountRedemption', discountRedemptionSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A monthly price list entry. Plans are matched to a student by scope
+// (batch > level > class type > catch-all) and by the billing month falling
+// inside effectiveFrom/effectiveTo. A plan assigned directly to a student
+// (Student.feePlanId) always wins — used for legacy and sibling pricing.
+const feePlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // ═══ SCOPE (null = any) ═══
+  classType: {
+    type: String,
+    enum: ['offline', 'online', null],
+    default: null
+  },
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    default: null
+  },
+  level: {
+    type: Number,
+    min: 0,
+    max: 12,
+    default: null
+  },
+
+  // ═══ PRICING ═══
+  monthlyFee: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // One-time material kit charged with the first month when opted in
+  kitFee: {
+    type: Number,
+    min: 0,
+    default: 2000
+  },
+
+  // ═══ VALIDITY ═══
+  effectiveFrom: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  effectiveTo: {
+    type: Date,
+    default: null
+  },
+  // Assign-only plans are never picked automatically (e.g. "Legacy 2024", "Sibling")
+  assignOnly: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+feePlanSchema.index({ isActive: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('FeePlan', feePlanSchema);
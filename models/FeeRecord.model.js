@@ -36,11 +36,68 @@ const feeRecordSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // amount is what is charged (net); gross and discount break it down for revenue reports
+  grossAmount: {
+    type: Number,
+    default: null
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  discounts: [{
+    source: { type: String, enum: ['coupon', 'concession', 'holiday'] }, // holiday: classes cancelled that month
+    refId: mongoose.Schema.Types.ObjectId,
+    code: String,
+    name: String,
+    amount: Number
+  }],
+  // Plan the amount was priced from when the record was created
+  feePlanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeePlan',
+    default: null
+  },
   status: {
     type: String,
     enum: ['Pending', 'Paid'],
     default: 'Pending'
   },
+  // ═══ DUE DATE & OVERDUE (see services/overdue.service.js) ═══
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  isOverdue: {
+    type: Boolean,
+    default: false
+  },
+  overdueSince: {
+    type: Date,
+    default: null
+  },
+  // Late fee is charged on top of amount and is never discounted
+  lateFee: {
+    type: Number,
+    default: 0
+  },
+  lateFeeAppliedAt: {
+    type: Date,
+    default: null
+  },
+  lateFeeWaived: {
+    type: Boolean,
+    default: false
+  },
+  lateFeeWaivedReason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  remindersSent: [{
+    stage: { type: String, enum: ['upcoming', 'due', 'overdue'] },
+    sentAt: Date
+  }],
   paidAt: {
     type: Date
   },
@@ -57,6 +114,19 @@ const feeRecordSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Set when the month was paid as part of a household order, whose one
+  // Razorpay payment covers several records
+  householdPaymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HouseholdPayment',
+    default: null
+  },
+  // Receipt covering this month (its own, or a household/enrollment receipt)
+  receiptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Receipt',
+    default: null
+  },
   notes: {
     type: String,
     trim: true,
@@ -68,5 +138,11 @@ const feeRecordSchema = new mongoose.Schema({
 
 // Compound index to prevent duplicate records per student per month/year
 feeRecordSchema.index({ studentId: 1, month: 1, year: 1 }, { unique: true });
+feeRecordSchema.index({ status: 1, isOverdue: 1, dueDate: 1 });
+// A single-month Razorpay payment pays exactly one record
+feeRecordSchema.index(
+  { razorpayPaymentId: 1 },
+  { unique: true, partialFilterExpression: { razorpayPaymentId: { $type: 'string' }, householdPaymentId: { $type: 'null' } } }
+);
 
 module.exports = mongoose.model('FeeRecord', feeRecordSchema);
\ No newline at end of file
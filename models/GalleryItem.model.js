@@ -28,6 +28,12 @@ const galleryItemSchema = new mongoose.Schema({
     displayOrder: {
         type: Number,
         default: 0
+    },
+    // Student portfolio piece this was promoted from (with parent consent)
+    portfolioItemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PortfolioItem',
+        default: null
     }
 }, {
     timestamps: true
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// An academy holiday or closure: every class (scope 'academy') or only some
+// batches (scope 'batch') are off from startDate to endDate inclusive.
+// Sessions on those days are cancelled and students are compensated with a
+// make-up token per cancelled session or a pro-rated monthly fee
+// (see services/holiday.service.js).
+const holidaySchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  startDate: {
+    type: String, // Format: YYYY-MM-DD
+    required: true
+  },
+  endDate: {
+    type: String, // Format: YYYY-MM-DD
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['academy', 'batch'],
+    default: 'academy'
+  },
+  batchIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch'
+  }],
+  compensation: {
+    type: String,
+    enum: ['token', 'prorate', 'none'],
+    default: 'token'
+  },
+  showInPortal: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdBy: String
+}, { timestamps: true });
+
+holidaySchema.index({ startDate: 1, endDate: 1 });
+
+/**
+ * Holidays that close a date, academy-wide or for the given batch
+ * (flexi sessions have no batch, so only academy-wide holidays close them)
+ */
+holidaySchema.statics.covering = function (date, batchId = null) {
+  const scopes = [{ scope: 'academy' }];
+  if (batchId) scopes.push({ scope: 'batch', batchIds: batchId });
+  return this.find({
+    startDate: { $lte: date },
+    endDate: { $gte: date },
+    $or: scopes
+  });
+};
+
+module.exports = mongoose.model('Holiday', holidaySchema);
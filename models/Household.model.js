@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A household groups siblings under one guardian. The primary contact number
+// is the parent-portal login identity, so it is unique per household. Siblings
+// enrolled under other numbers are merged in by an admin; those numbers are
+// kept in linkedContacts so they keep resolving to this household.
+const householdSchema = new mongoose.Schema({
+  guardianName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contact1: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  contact2: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  email: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  linkedContacts: [{
+    type: String,
+    trim: true
+  }],
+  students: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  }]
+}, { timestamps: true });
+
+// A number belongs to at most one household
+householdSchema.index(
+  { linkedContacts: 1 },
+  { unique: true, partialFilterExpression: { 'linkedContacts.0': { $exists: true } } }
+);
+
+module.exports = mongoose.model('Household', householdSchema);
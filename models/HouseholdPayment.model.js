@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// One Razorpay order covering pending months for several children of a household
+const householdPaymentSchema = new mongoose.Schema({
+  householdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null
+  },
+  contact1: {
+    type: String,
+    required: true
+  },
+  items: [{
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true
+    },
+    enrollmentId: String,
+    childName: String,
+    month: {
+      type: String,
+      required: true
+    },
+    year: {
+      type: Number,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    grossAmount: Number,
+    discountAmount: {
+      type: Number,
+      default: 0
+    },
+    discounts: [{
+      source: { type: String, enum: ['coupon', 'concession', 'holiday'] },
+      refId: mongoose.Schema.Types.ObjectId,
+      code: String,
+      name: String,
+      amount: Number
+    }],
+    // Charged on top of amount
+    lateFee: {
+      type: Number,
+      default: 0
+    }
+  }],
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  razorpayOrderId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  razorpayPaymentId: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['created', 'paid', 'failed'],
+    default: 'created'
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+householdPaymentSchema.index({ contact1: 1, createdAt: -1 });
+householdPaymentSchema.index(
+  { razorpayPaymentId: 1 },
+  { unique: true, partialFilterExpression: { razorpayPaymentId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('HouseholdPayment', householdPaymentSchema);
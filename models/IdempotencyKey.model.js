@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A request made with an Idempotency-Key (see middleware/idempotency.middleware.js).
+// The first request holds the key while it runs; its successful response is
+// stored and replayed for repeats of the same request.
+const idempotencyKeySchema = new mongoose.Schema({
+  // The endpoint the key was used on, e.g. 'fee-payment-verify'
+  scope: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // Hash of the request body, so a key reused for a different request is refused
+  requestHash: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+
+  // Cleared once a key pinned to a payment id completes, so it is kept for good
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
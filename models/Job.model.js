@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// One document per scheduled job (see services/jobScheduler.service.js).
+// The lock fields make sure only one server instance runs a job at a time;
+// nextRunAt in the past means the job is due, so runs missed while the
+// server was down happen on the next start.
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: String,
+  // { type: 'interval', everyMinutes } or { type: 'daily', at: 'HH:mm' } (Indian time)
+  schedule: {
+    type: { type: String, enum: ['interval', 'daily'], required: true },
+    everyMinutes: Number,
+    at: String
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+
+  // Lock held by the instance running the job
+  lockedBy: { type: String, default: null },
+  lockedUntil: { type: Date, default: null },
+
+  // Retries after a failed run (attempt counts up to maxRetries, then resets)
+  attempt: { type: Number, default: 0 },
+  maxRetries: { type: Number, default: 3 },
+  retryDelayMinutes: { type: Number, default: 5 },
+
+  lastRunAt: Date,
+  lastStatus: { type: String, enum: ['succeeded', 'failed'] },
+  lastError: String,
+  lastDurationMs: Number
+}, { timestamps: true });
+
+jobSchema.index({ enabled: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Run history of scheduled jobs, kept for RUN_HISTORY_DAYS
+const RUN_HISTORY_DAYS = 30;
+
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'retry', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: String, // admin email for manual runs
+  attempt: {
+    type: Number,
+    default: 0
+  },
+  instance: String,
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  result: mongoose.Schema.Types.Mixed,
+  error: String
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RUN_HISTORY_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Curriculum for one step of the 12-level journey (0 = Newbie). Levels without
+// a document fall back to the defaults in services/curriculum.service.js.
+// Students record progress against it in their levelHistory entries.
+const levelSchema = new mongoose.Schema({
+  level: {
+    type: Number,
+    min: 0,
+    max: 12,
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Projects a student makes at this level; `key` is what levelHistory refers to
+  projects: [{
+    _id: false,
+    key: { type: String, required: true, trim: true },
+    title: { type: String, required: true, trim: true },
+    description: { type: String, trim: true, default: '' },
+    required: { type: Boolean, default: true }
+  }],
+  skills: [{ type: String, trim: true }],
+  expectedSessions: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  materials: [{
+    _id: false,
+    name: { type: String, required: true, trim: true },
+    quantity: { type: String, trim: true, default: '' },
+    notes: { type: String, trim: true, default: '' }
+  }],
+
+  // End-of-level assessment: each criterion is scored out of maxScore, and the
+  // level is passed at passingPercentage of the total
+  assessment: {
+    rubric: [{
+      _id: false,
+      criterion: { type: String, required: true, trim: true },
+      description: { type: String, trim: true, default: '' },
+      maxScore: { type: Number, min: 1, required: true }
+    }],
+    passingPercentage: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 60
+    },
+    // Advancing past this level needs a passed assessment (admins can force)
+    requiredToAdvance: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  updatedBy: String
+}, { timestamps: true });
+
+module.exports = mongoose.model('Level', levelSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const paymentWebhookEventSchema = new mongoose.Schema({
+  // Razorpay's x-razorpay-event-id — the same event is redelivered with the same id
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+
+  // Which payment flow the event was matched to
+  flow: {
+    type: String,
+    enum: ['special_course', 'monthly_fee', 'household_fee', 'enrollment', 'unknown'],
+    default: 'unknown'
+  },
+  razorpayOrderId: {
+    type: String,
+    default: null
+  },
+  razorpayPaymentId: {
+    type: String,
+    default: null
+  },
+
+  // received → processed | unmatched | failed
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'unmatched', 'failed'],
+    default: 'received'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
+
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, { timestamps: true });
+
+paymentWebhookEventSchema.index({ status: 1, createdAt: -1 });
+paymentWebhookEventSchema.index({ razorpayOrderId: 1 });
+
+module.exports = mongoose.model('PaymentWebhookEvent', paymentWebhookEventSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// An enrollment order between payment and the form being submitted. Created
+// with the Razorpay order, so a payment whose form never arrives (the parent
+// closed the browser) is kept and shown to the admin instead of being lost.
+const pendingEnrollmentSchema = new mongoose.Schema({
+  razorpayOrderId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  classType: {
+    type: String,
+    required: true
+  },
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    default: null
+  },
+  kitOptIn: {
+    type: Boolean,
+    default: false
+  },
+  couponCode: String,
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Whatever the form had filled in when the order was created, so the admin
+  // can reach the family
+  parentName: String,
+  childName: String,
+  contact1: String,
+  email: String,
+
+  // created: awaiting payment · paid: paid, form not submitted ·
+  // completed: student enrolled · resolved: closed by an admin
+  status: {
+    type: String,
+    enum: ['created', 'paid', 'completed', 'resolved'],
+    default: 'created'
+  },
+  razorpayPaymentId: {
+    type: String,
+    default: null
+  },
+  paidAt: Date,
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    default: null
+  },
+  completedAt: Date,
+  resolvedBy: String,
+  resolvedAt: Date,
+  resolution: String
+}, { timestamps: true });
+
+pendingEnrollmentSchema.index({ status: 1, paidAt: -1 });
+
+module.exports = mongoose.model('PendingEnrollment', pendingEnrollmentSchema);
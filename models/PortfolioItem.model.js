@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A photo of one finished piece in a student's portfolio. Parents see their
+// child's items as a timeline in the portal and decide, item by item, whether
+// it may be shown in the public gallery.
+const portfolioItemSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // File name under private/portfolio. Photos are not publicly served: admins
+  // and the child's parents fetch them through authenticated routes.
+  imageFile: {
+    type: String,
+    required: true
+  },
+  level: {
+    type: Number,
+    min: 0,
+    max: 12,
+    required: true
+  },
+  date: {
+    type: String, // 'YYYY-MM-DD' the piece was finished
+    required: true
+  },
+  // Curriculum project the piece was made for (see models/Level.model.js)
+  projectKey: String,
+  uploadedBy: String,
+
+  // ═══ PUBLIC GALLERY CONSENT ═══
+  consent: {
+    status: {
+      type: String,
+      enum: ['pending', 'granted', 'declined'],
+      default: 'pending'
+    },
+    respondedAt: Date,
+    respondedBy: String // parent phone number
+  },
+  // Set while the piece is shown in the public gallery
+  galleryItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GalleryItem',
+    default: null
+  },
+  promotedAt: Date,
+  promotedBy: String
+}, { timestamps: true });
+
+portfolioItemSchema.index({ studentId: 1, date: -1 });
+portfolioItemSchema.index({ 'consent.status': 1, galleryItemId: 1 });
+
+module.exports = mongoose.model('PortfolioItem', portfolioItemSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const rating = {
+  type: Number,
+  min: 1,
+  max: 5,
+  default: null
+};
+
+// An instructor's note on one student, usually for one class session:
+// 1–5 ratings, the level skills worked on and free-text feedback. Notes
+// visible to parents are compiled into their progress reports.
+const progressNoteSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceSession',
+    default: null
+  },
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    default: null
+  },
+  date: {
+    type: String, // Format: YYYY-MM-DD
+    required: true
+  },
+  level: {
+    type: Number,
+    min: 0,
+    max: 12,
+    required: true
+  },
+  ratings: {
+    skills: rating,
+    behaviour: rating,
+    effort: rating
+  },
+  skills: [{ type: String, trim: true }], // curriculum skills practised
+  comment: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  visibleToParent: {
+    type: Boolean,
+    default: true
+  },
+  author: String
+}, { timestamps: true });
+
+progressNoteSchema.index({ studentId: 1, date: -1 });
+progressNoteSchema.index({ sessionId: 1 });
+
+module.exports = mongoose.model('ProgressNote', progressNoteSchema);
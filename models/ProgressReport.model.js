@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// A compiled progress report for one child over a month or a whole level.
+// It is a snapshot: regenerating replaces it, later notes do not change it.
+const progressReportSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['monthly', 'level'],
+    required: true
+  },
+  // 'month:2026-09' or 'level:3' — one report per student and period
+  periodKey: {
+    type: String,
+    required: true
+  },
+  label: String, // 'September 2026', 'Level 3'
+  from: String,  // YYYY-MM-DD
+  to: String,    // YYYY-MM-DD
+  level: Number,
+  childName: String,
+
+  attendance: {
+    present: { type: Number, default: 0 },
+    absent: { type: Number, default: 0 },
+    rate: { type: Number, default: null } // 0–100, null when nothing was marked
+  },
+  // Average of the period's note ratings (1–5), null when none were given
+  ratings: {
+    skills: { type: Number, default: null },
+    behaviour: { type: Number, default: null },
+    effort: { type: Number, default: null }
+  },
+  notesCount: {
+    type: Number,
+    default: 0
+  },
+  skillsPracticed: [String],
+  comments: [{
+    _id: false,
+    date: String,
+    comment: String
+  }],
+  projects: [{
+    _id: false,
+    title: String,
+    completedAt: Date
+  }],
+  assessment: {
+    percentage: Number,
+    passed: Boolean
+  },
+  portfolioCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Set on level reports compiled by a promotion review: undoing the review
+  // removes them, and they are emailed once its undo window has closed
+  reviewId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromotionReview',
+    default: null
+  },
+
+  generatedBy: String, // admin email, or 'system' for scheduled reports
+  generatedAt: Date,
+  emailedAt: Date
+}, { timestamps: true });
+
+progressReportSchema.index({ studentId: 1, periodKey: 1 }, { unique: true });
+progressReportSchema.index({ studentId: 1, to: -1 });
+progressReportSchema.index({ reviewId: 1 });
+
+module.exports = mongoose.model('ProgressReport', progressReportSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One line per student per promotion commit or undo
+const promotionAuditSchema = new mongoose.Schema({
+  reviewId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromotionReview',
+    required: true
+  },
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch'
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['committed', 'undone'],
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['advance', 'repeat', 'graduate', 'hold']
+  },
+  proposed: String, // differs from outcome when the admin overrode it
+  levelBefore: Number,
+  levelAfter: Number,
+  enrollmentStatusBefore: String,
+  enrollmentStatusAfter: String,
+  notes: String,
+  performedBy: String
+}, { timestamps: true });
+
+promotionAuditSchema.index({ studentId: 1, createdAt: -1 });
+promotionAuditSchema.index({ reviewId: 1 });
+
+module.exports = mongoose.model('PromotionAudit', promotionAuditSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// End-of-batch promotion review: a proposed outcome per enrolled student that
+// the admin can edit before committing. Committing applies the outcomes and
+// completes the batch; `before` keeps what each student looked like so the
+// commit can be undone until `undoUntil` (see services/promotion.service.js).
+const promotionReviewSchema = new mongoose.Schema({
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'committed', 'undone'],
+    default: 'draft'
+  },
+
+  outcomes: [{
+    _id: false,
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    childName: String,
+    level: Number,
+    proposed: { type: String, enum: ['advance', 'repeat', 'graduate', 'hold'] },
+    decision: { type: String, enum: ['advance', 'repeat', 'graduate', 'hold'] },
+    reasons: [String], // why the proposal was made
+    attendance: {
+      present: Number,
+      absent: Number,
+      rate: Number // 0–1, null without marks
+    },
+    assessment: {
+      percentage: Number,
+      passed: Boolean
+    },
+    notes: { type: String, trim: true, default: '' },
+
+    // Filled in on commit
+    before: {
+      currentLevel: Number,
+      enrollmentStatus: String,
+      levelHistory: mongoose.Schema.Types.Mixed
+    },
+    after: {
+      currentLevel: Number,
+      enrollmentStatus: String
+    },
+    undoSkipped: String // why undo left this student alone
+  }],
+
+  batchStatusBefore: String,
+  createdBy: String,
+  committedBy: String,
+  committedAt: Date,
+  undoUntil: Date,
+  notifiedAt: Date, // certificates and level reports emailed (after undoUntil)
+  undoneBy: String,
+  undoneAt: Date
+}, { timestamps: true });
+
+promotionReviewSchema.index({ batchId: 1, createdAt: -1 });
+// One open draft per batch
+promotionReviewSchema.index(
+  { batchId: 1 },
+  { unique: true, partialFilterExpression: { status: 'draft' } }
+);
+
+/**
+ * The review if it has been undone and the undo restored this student, else
+ * null. Lets the certificate and report issuers take back anything they
+ * wrote after undo had already swept them.
+ */
+promotionReviewSchema.statics.undoneFor = async function (reviewId, studentId) {
+  const review = await this.findOne({ _id: reviewId, status: 'undone' }).select('outcomes undoneBy').lean();
+  if (!review) return null;
+  const outcome = review.outcomes.find(o => String(o.studentId) === String(studentId));
+  return outcome && !outcome.undoSkipped ? review : null;
+};
+
+module.exports = mongoose.model('PromotionReview', promotionReviewSchema);
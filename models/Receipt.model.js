@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// One receipt per payment. The PDF is rendered on demand from this snapshot,
+// so a regenerated receipt keeps its number.
+const receiptSchema = new mongoose.Schema({
+  // LS/2026-27/00001 — sequential within the Indian financial year (April–March)
+  receiptNumber: {
+    type: String,
+    default: null
+  },
+  financialYear: {
+    type: String,
+    default: null
+  },
+  sequence: {
+    type: Number,
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['monthly_fee', 'household_fee', 'enrollment', 'special_course'],
+    required: true
+  },
+  // What was paid for: 'fee:<feeRecordId>', 'household:<householdPaymentId>',
+  // 'enrollment:<studentId>' or 'special_course:<registrationId>'
+  sourceKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // ═══ LINKS (portal access & regeneration) ═══
+  studentIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  }],
+  feeRecordIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeRecord'
+  }],
+  registrationId: {
+    type: String,
+    default: null
+  },
+
+  // ═══ SNAPSHOT ═══
+  billedTo: {
+    name: String,
+    email: String,
+    phone: String
+  },
+  lineItems: [{
+    description: String,
+    studentName: String,
+    amount: Number
+  }],
+  grossAmount: {
+    type: Number,
+    default: 0
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  lateFee: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  paymentMethod: {
+    type: String,
+    default: null
+  },
+  razorpayOrderId: {
+    type: String,
+    default: null
+  },
+  razorpayPaymentId: {
+    type: String,
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  regeneratedAt: {
+    type: Date,
+    default: null
+  },
+  regenerationCount: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+receiptSchema.index({ receiptNumber: 1 }, { unique: true, partialFilterExpression: { receiptNumber: { $type: 'string' } } });
+receiptSchema.index({ studentIds: 1, issuedAt: -1 });
+receiptSchema.index({ registrationId: 1 });
+
+module.exports = mongoose.model('Receipt', receiptSchema);
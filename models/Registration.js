@@ -1,5 +1,6 @@
 // models/Registration.js
 const mongoose = require("mongoose");
+const idSequenceService = require("../services/idSequence.service");
 
 const RegistrationSchema = new mongoose.Schema(
   {
@@ -136,28 +137,13 @@ const RegistrationSchema = new mongoose.Schema(
   }
 );
 
-// Auto-generate registration number before saving (only for active registrations)
+// Auto-generate registration number before saving (only for active registrations).
+// Numbers come from an atomic counter, so concurrent saves never collide and
+// the sequence keeps going past CM9999.
 RegistrationSchema.pre('save', async function(next) {
   if (this.isNew && !this.registrationNo && this.status === 'active') {
     try {
-      // Find the latest registration regardless of status to get the highest number
-      const latestRegistration = await mongoose.model('Registration')
-        .findOne()
-        .sort({ registrationNo: -1 })
-        .select('registrationNo');
-      
-      let sequentialNumber = 1;
-      
-      if (latestRegistration && latestRegistration.registrationNo) {
-        // Extract number from format CM0001, CM0002, etc.
-        const match = latestRegistration.registrationNo.match(/^CM(\d{4})$/);
-        if (match && match[1]) {
-          sequentialNumber = parseInt(match[1]) + 1;
-        }
-      }
-      
-      // Format: CM0001, CM0002, ..., CM0009, CM0010, etc.
-      this.registrationNo = `CM${sequentialNumber.toString().padStart(4, '0')}`;
+      this.registrationNo = await idSequenceService.nextId('registration');
       console.log(`Generated registration number: ${this.registrationNo}`);
       next();
     } catch (error) {
@@ -172,22 +158,8 @@ RegistrationSchema.pre('save', async function(next) {
 // Static method to get the next registration number without saving
 RegistrationSchema.statics.getNextRegistrationNumber = async function() {
   try {
-    // Find the latest registration regardless of status
-    const latestRegistration = await this.findOne()
-      .sort({ registrationNo: -1 })
-      .select('registrationNo');
-    
-    let sequentialNumber = 1;
-    
-    if (latestRegistration && latestRegistration.registrationNo) {
-      const match = latestRegistration.registrationNo.match(/^CM(\d{4})$/);
-      if (match && match[1]) {
-        sequentialNumber = parseInt(match[1]) + 1;
-      }
-    }
-    
-    const nextNumber = `CM${sequentialNumber.toString().padStart(4, '0')}`;
-    console.log(`Next registration number calculated: ${nextNumber} (Latest: ${latestRegistration?.registrationNo})`);
+    const nextNumber = await idSequenceService.peekNextId('registration');
+    console.log(`Next registration number calculated: ${nextNumber}`);
     return nextNumber;
   } catch (error) {
     console.error('Error in getNextRegistrationNumber:', error);
@@ -198,8 +170,9 @@ RegistrationSchema.statics.getNextRegistrationNumber = async function() {
 // Static method to get the last registration number
 RegistrationSchema.statics.getLastRegistrationNumber = async function() {
   try {
-    const latestRegistration = await this.findOne()
-      .sort({ registrationNo: -1 })
+    // Newest first — sorting on the number itself breaks once it gains a digit
+    const latestRegistration = await this.findOne({ registrationNo: { $exists: true, $ne: null } })
+      .sort({ createdAt: -1 })
       .select('registrationNo');
     
     return latestRegistration ? latestRegistration.registrationNo : null;
@@ -69,7 +69,7 @@ const SpecialCourseSchema = new mongoose.Schema({
     // Registration Status
     status: {
         type: String,
-        enum: ['pending_payment', 'registered', 'expired', 'cancelled'],
+        enum: ['pending_payment', 'registered', 'expired', 'cancelled', 'refunded'],
         default: 'pending_payment'
     },
     payment_status: {
@@ -83,7 +83,20 @@ const SpecialCourseSchema = new mongoose.Schema({
         razorpay_payment_id: String,
         razorpay_order_id: String,
         razorpay_signature: String,
-        amount: Number,
+        amount: Number, // net amount charged
+        gross_amount: Number,
+        discount_amount: {
+            type: Number,
+            default: 0
+        },
+        coupon_code: String,
+        discounts: [{
+            source: { type: String, enum: ['coupon', 'concession'] },
+            refId: mongoose.Schema.Types.ObjectId,
+            code: String,
+            name: String,
+            amount: Number
+        }],
         currency: {
             type: String,
             default: 'INR'
@@ -105,6 +118,33 @@ const SpecialCourseSchema = new mongoose.Schema({
     },
     payment_confirmed_at: Date,
     
+    // Refunds & Cancellation
+    // Only 'registered' holds a seat, so cancelled/refunded registrations free theirs.
+    // Partial refunds that keep the seat leave payment_status at 'paid'.
+    refunded_amount: {
+        type: Number,
+        default: 0
+    },
+    refunded_at: Date,
+    cancelled_at: Date,
+    cancellation: {
+        status: {
+            type: String,
+            enum: ['requested', 'approved', 'rejected']
+        },
+        requested_by: {
+            type: String,
+            enum: ['parent', 'admin']
+        },
+        requested_at: Date,
+        reason: String,
+        quoted_refund_amount: Number,
+        quoted_refund_percent: Number,
+        reviewed_at: Date,
+        reviewed_by: String,
+        review_note: String
+    },
+    
     // Expiration Tracking
     expiredAt: Date,
     expiration_reason: String,
@@ -139,6 +179,7 @@ SpecialCourseSchema.index({ selectedDate: 1, selectedBatch: 1 });
 SpecialCourseSchema.index({ status: 1, payment_status: 1 });
 SpecialCourseSchema.index({ payment_expires_at: 1 });
 SpecialCourseSchema.index({ createdAt: -1 });
+SpecialCourseSchema.index({ 'cancellation.status': 1 });
 
 // Virtual for formatted date
 SpecialCourseSchema.virtual('dateString').get(function() {
@@ -28,10 +28,48 @@ const SpecialCoursePaymentSchema = new mongoose.Schema({
     // Payment Status
     status: {
         type: String,
-        enum: ['created', 'authorized', 'captured', 'failed', 'refunded'],
+        enum: ['created', 'authorized', 'captured', 'failed', 'partially_refunded', 'refunded'],
         required: true
     },
     
+    // Refunds (admin-initiated, or reported by the Razorpay webhook)
+    amount_refunded: {
+        type: Number,
+        default: 0
+    },
+    refunds: [{
+        razorpay_refund_id: String,
+        amount: Number,
+        reason: String,
+        status: {
+            type: String,
+            enum: ['pending', 'processed', 'failed'],
+            default: 'pending'
+        },
+        method: {
+            type: String,
+            enum: ['razorpay', 'manual'],
+            default: 'razorpay'
+        },
+        initiated_by: String,
+        error: String,
+        // A failed refund on a cancelled registration is retried by the
+        // refund-retry job until it succeeds or runs out of attempts
+        attempts: {
+            type: Number,
+            default: 1
+        },
+        needs_retry: {
+            type: Boolean,
+            default: false
+        },
+        created_at: {
+            type: Date,
+            default: Date.now
+        },
+        processed_at: Date
+    }],
+    
     // Payment Method Details
     method: String,
     bank: String,
@@ -68,6 +106,7 @@ const SpecialCoursePaymentSchema = new mongoose.Schema({
 SpecialCoursePaymentSchema.index({ registrationId: 1 });
 SpecialCoursePaymentSchema.index({ status: 1 });
 SpecialCoursePaymentSchema.index({ created_at: 1 });
+SpecialCoursePaymentSchema.index({ 'refunds.razorpay_refund_id': 1 });
 
 const SpecialCoursePayment = mongoose.model('SpecialCoursePayment', SpecialCoursePaymentSchema);
 module.exports = SpecialCoursePayment;
\ No newline at end of file
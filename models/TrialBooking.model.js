@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A prospective student's trial class in a regular batch on one date. Trials
+// take a seat in that day's class like regulars and make-ups do
+// (see services/batchOccupancy.service.js).
+const trialBookingSchema = new mongoose.Schema({
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    required: true
+  },
+  date: {
+    type: String, // Format: YYYY-MM-DD
+    required: true
+  },
+  childName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  parentName: {
+    type: String,
+    trim: true
+  },
+  contact1: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['booked', 'attended', 'no_show', 'cancelled'],
+    default: 'booked'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdBy: String
+}, { timestamps: true });
+
+trialBookingSchema.index({ batchId: 1, date: 1, status: 1 });
+
+module.exports = mongoose.model('TrialBooking', trialBookingSchema);
@@ -11,6 +11,22 @@ const WorkshopSchema = new mongoose.Schema({
   timeEnd: { type: String, default: '1:00 PM' },
   duration: { type: String, default: '2 Hours' },
   capacity: { type: Number, default: 30 },
+  // Registration ID prefix (e.g. LS-MCD26), fixed at creation so IDs keep one sequence
+  registrationPrefix: String,
+  // Bookable sessions (date × time, each with its own seats and optional price).
+  // Workshops without sessions run once per date below at timeStart–timeEnd.
+  sessions: [{
+    date: { type: Date, required: true },
+    timeStart: { type: String, required: true },
+    timeEnd: { type: String, required: true },
+    capacity: Number, // defaults to the workshop capacity
+    price: Number,    // defaults to the workshop price
+    label: String     // batch value sent by the registration page; derived from name + times when empty
+  }],
+  // Further dates the same workshop runs on, besides `date` (ignored once sessions are set)
+  additionalDates: [Date],
+  // Extra batch values registrations may use (the one derived from timeStart/timeEnd is always allowed)
+  batches: [String],
   ageMin: { type: Number, default: 5 },
   ageMax: { type: Number, default: 14 },
   badge: { type: String, default: 'New' },
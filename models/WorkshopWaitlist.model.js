@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Families waiting for a seat in a full workshop session (carnival + date + batch).
+// When a seat frees up the oldest waiting entry gets a time-limited offer.
+const WorkshopWaitlistSchema = new mongoose.Schema({
+    carnivalName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    selectedDate: {
+        type: Date,
+        required: true
+    },
+    selectedBatch: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    // Parent & child details (copied onto the registration when the offer is accepted)
+    parentName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    phone: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    childName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    childAge: {
+        type: String,
+        required: true
+    },
+    materialType: {
+        type: Boolean,
+        default: false
+    },
+
+    status: {
+        type: String,
+        enum: ['waiting', 'offered', 'accepted', 'expired', 'cancelled'],
+        default: 'waiting'
+    },
+
+    // Secret for the parent's links (offer page, leaving the waitlist)
+    token: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // Current offer: the seat is held for this entry until offer_expires_at
+    offered_at: Date,
+    offer_expires_at: Date,
+
+    // Registration created when the offer was accepted
+    registrationId: String,
+    accepted_at: Date,
+    cancelled_at: Date
+}, {
+    timestamps: true
+});
+
+WorkshopWaitlistSchema.index({ carnivalName: 1, selectedDate: 1, selectedBatch: 1, status: 1, createdAt: 1 });
+WorkshopWaitlistSchema.index({ status: 1, offer_expires_at: 1 });
+WorkshopWaitlistSchema.index({ email: 1 });
+
+module.exports = mongoose.model('WorkshopWaitlist', WorkshopWaitlistSchema);
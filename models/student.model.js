@@ -48,6 +48,12 @@ const studentSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Siblings share a household (one guardian, one parent-portal login)
+  householdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null
+  },
   classType: {
     type: String, // 'offline' or 'online'
     required: true
@@ -107,6 +113,23 @@ const studentSchema = new mongoose.Schema({
   feeStartDate: {
     type: Date,
   },
+  // Explicitly assigned price plan (legacy/sibling pricing); null = matched automatically
+  feePlanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeePlan',
+    default: null
+  },
+  // Set when the overdue policy paused enrollment for unpaid fees (cleared on resume)
+  feeAutoPausedAt: {
+    type: Date,
+    default: null
+  },
+  // Admin override: no late fees or auto-pause until this date
+  overdueOverride: {
+    until: { type: Date, default: null },
+    reason: { type: String, trim: true, default: '' },
+    setBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null }
+  },
   
   // ═══ STATUS FIELDS ═══
   status: {
@@ -192,6 +215,30 @@ const studentSchema = new mongoose.Schema({
     notes: {
       type: String,
       trim: true
+    },
+    // Curriculum progress (see models/Level.model.js)
+    projects: [{
+      _id: false,
+      key: String,
+      title: String,
+      completedAt: Date,
+      recordedBy: String,
+      notes: { type: String, trim: true }
+    }],
+    assessment: {
+      scores: [{
+        _id: false,
+        criterion: String,
+        score: Number,
+        maxScore: Number
+      }],
+      totalScore: Number,
+      maxScore: Number,
+      percentage: Number,
+      passed: Boolean,
+      assessedAt: Date,
+      assessedBy: String,
+      notes: { type: String, trim: true }
     }
   }],
   
@@ -208,7 +255,14 @@ studentSchema.index({ enrollmentStatus: 1, batchId: 1 });
 studentSchema.index({ enrollmentStatus: 1, currentLevel: 1 });
 studentSchema.index({ batchId: 1, batchJoinedDate: 1 });
 studentSchema.index({ currentLevel: 1 });
+studentSchema.index({ householdId: 1 });
+studentSchema.index({ contact1: 1 });
 studentSchema.index({ isFlexiBatch: 1, flexiBatchId: 1 });
+// One enrollment per paid Razorpay order
+studentSchema.index(
+  { razorpayOrderId: 1 },
+  { unique: true, partialFilterExpression: { razorpayOrderId: { $type: 'string' } } }
+);
 
 // ═══ PRE-SAVE HOOK ═══
 studentSchema.pre('save', function(next) {
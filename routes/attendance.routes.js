@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const attendanceController = require('../controllers/attendance.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
+
+// All routes are protected (admin only)
+router.use(protect);
+
+router.get('/sessions', authorize(PERMISSIONS.ATTENDANCE_READ), attendanceController.getSessions);
+router.post('/sessions/generate', authorize(PERMISSIONS.ATTENDANCE_WRITE), attendanceController.generateSessions);
+router.get('/sessions/:id/roster', authorize(PERMISSIONS.ATTENDANCE_READ), attendanceController.getRoster);
+router.post('/sessions/:id/marks', authorize(PERMISSIONS.ATTENDANCE_WRITE), attendanceController.markSession);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, requireSuperAdmin } = require('../middleware/auth.middleware');
 
 // Public: Login
 router.post('/login', authController.login);
@@ -12,4 +12,9 @@ router.get('/me', protect, authController.getMe);
 // Protected: Logout
 router.post('/logout', protect, authController.logout);
 
+// Superadmin: Admin accounts and roles
+router.get('/admins', protect, requireSuperAdmin, authController.getAdmins);
+router.post('/admins', protect, requireSuperAdmin, authController.createAdmin);
+router.put('/admins/:id/role', protect, requireSuperAdmin, authController.updateAdminRole);
+
 module.exports = router;
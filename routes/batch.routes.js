@@ -2,32 +2,52 @@ const express = require('express');
 const router = express.Router();
 const batchController = require('../controllers/batch.controller');
 const flexiBatchController = require('../controllers/flexiBatch.controller');
+const { protect, authorize, requireSuperAdmin } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
+
+// All routes are protected (admin only)
+router.use(protect);
 
 // Get all batches (including flexi)
-router.get('/', batchController.getAllBatches);
+router.get('/', authorize(PERMISSIONS.BATCHES_READ), batchController.getAllBatches);
 
 // Get flexi-batches only
-router.get('/flexi', flexiBatchController.getAllFlexiBatches);
+router.get('/flexi', authorize(PERMISSIONS.BATCHES_READ), flexiBatchController.getAllFlexiBatches);
 
 // Create a new batch
-router.post('/', batchController.createBatch);
+router.post('/', authorize(PERMISSIONS.BATCHES_WRITE), batchController.createBatch);
+
+// Complete a batch and promote students (proposed outcomes, committed at once)
+router.post('/:id/complete', authorize(PERMISSIONS.BATCHES_WRITE, PERMISSIONS.STUDENTS_WRITE), batchController.completeBatch);
+
+// Promotion review: propose, edit, commit, undo
+router.post('/:id/promotion-review', authorize(PERMISSIONS.BATCHES_WRITE, PERMISSIONS.STUDENTS_WRITE), batchController.createPromotionReview);
+router.get('/:id/promotion-review', authorize(PERMISSIONS.BATCHES_READ), batchController.getPromotionReview);
+router.put('/promotion-reviews/:reviewId', authorize(PERMISSIONS.BATCHES_WRITE, PERMISSIONS.STUDENTS_WRITE), batchController.updatePromotionReview);
+router.post('/promotion-reviews/:reviewId/commit', authorize(PERMISSIONS.BATCHES_WRITE, PERMISSIONS.STUDENTS_WRITE), batchController.commitPromotionReview);
+router.post('/promotion-reviews/:reviewId/undo', authorize(PERMISSIONS.BATCHES_WRITE, PERMISSIONS.STUDENTS_WRITE), batchController.undoPromotionReview);
+
+// Per-date seats (regulars + make-ups + trials)
+router.get('/:id/occupancy', authorize(PERMISSIONS.BATCHES_READ), batchController.getBatchOccupancy);
 
-// Complete a batch and advance students
-router.post('/:id/complete', batchController.completeBatch);
+// Trial classes
+router.get('/:id/trials', authorize(PERMISSIONS.BATCHES_READ), batchController.getTrials);
+router.post('/:id/trials', authorize(PERMISSIONS.BATCHES_WRITE), batchController.createTrial);
+router.put('/trials/:trialId', authorize(PERMISSIONS.BATCHES_WRITE), batchController.updateTrial);
 
 // Get student batch info
-router.get('/student/:studentId', batchController.getStudentBatchInfo);
+router.get('/student/:studentId', authorize(PERMISSIONS.BATCHES_READ), batchController.getStudentBatchInfo);
 
-// Delete all batches
-router.delete('/all', batchController.deleteAllBatches);
+// Delete all batches (superadmin only)
+router.delete('/all', requireSuperAdmin, batchController.deleteAllBatches);
 
-// Trigger seed batches script
-router.post('/seed', batchController.seedBatchesHandler);
+// Trigger seed batches script (superadmin only)
+router.post('/seed', requireSuperAdmin, batchController.seedBatchesHandler);
 
 // Delete specific batch
-router.delete('/:id', batchController.deleteBatch);
+router.delete('/:id', authorize(PERMISSIONS.BATCHES_DELETE), batchController.deleteBatch);
 
 // Edit specific batch
-router.put('/:id', batchController.editBatch);
+router.put('/:id', authorize(PERMISSIONS.BATCHES_WRITE), batchController.editBatch);
 
 module.exports = router;
@@ -1,23 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const birthdayController = require('../controllers/birthday.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
+
+// All routes are protected (admin only)
+router.use(protect);
 
 // Sync birthdays
-router.post('/sync', birthdayController.syncBirthdays);
+router.post('/sync', authorize(PERMISSIONS.BIRTHDAYS_WRITE), birthdayController.syncBirthdays);
 
 // Get today's birthdays
-router.get('/today', birthdayController.getTodayBirthdays);
+router.get('/today', authorize(PERMISSIONS.BIRTHDAYS_READ), birthdayController.getTodayBirthdays);
 
 // Get upcoming birthdays
-router.get('/upcoming', birthdayController.getUpcomingBirthdays);
+router.get('/upcoming', authorize(PERMISSIONS.BIRTHDAYS_READ), birthdayController.getUpcomingBirthdays);
 
 // Get all birthdays
-router.get('/', birthdayController.getAllBirthdays);
+router.get('/', authorize(PERMISSIONS.BIRTHDAYS_READ), birthdayController.getAllBirthdays);
 
 // Update birthday
-router.put('/:id', birthdayController.updateBirthday);
+router.put('/:id', authorize(PERMISSIONS.BIRTHDAYS_WRITE), birthdayController.updateBirthday);
 
 // Delete birthday
-router.delete('/:id', birthdayController.deleteBirthday);
+router.delete('/:id', authorize(PERMISSIONS.BIRTHDAYS_WRITE), birthdayController.deleteBirthday);
 
 module.exports = router;
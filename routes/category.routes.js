@@ -1,15 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const categoryController = require('../controllers/category.controller');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
 
 // Public routes
 router.get('/', categoryController.getAllCategories);
 
 // Admin routes (protected)
 router.get('/admin/all', protect, categoryController.getAllCategoriesAdmin);
-router.post('/admin', protect, categoryController.createCategory);
-router.put('/admin/:id', protect, categoryController.updateCategory);
-router.delete('/admin/:id', protect, categoryController.deleteCategory);
+router.post('/admin', protect, authorize(PERMISSIONS.CONTENT_WRITE), categoryController.createCategory);
+router.put('/admin/:id', protect, authorize(PERMISSIONS.CONTENT_WRITE), categoryController.updateCategory);
+router.delete('/admin/:id', protect, authorize(PERMISSIONS.CONTENT_WRITE), categoryController.deleteCategory);
 
 module.exports = router;
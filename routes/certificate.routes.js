@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const certificateController = require('../controllers/certificate.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
+
+// Public: check the verification code printed on a certificate
+router.get('/verify/:code', certificateController.verifyCertificate);
+
+// Everything below is protected (admin only)
+router.use(protect);
+
+router.get('/', authorize(PERMISSIONS.STUDENTS_READ), certificateController.getCertificates);
+router.post('/issue', authorize(PERMISSIONS.STUDENTS_WRITE), certificateController.issueCertificate);
+router.get('/:id/pdf', authorize(PERMISSIONS.STUDENTS_READ), certificateController.downloadCertificate);
+router.post('/:id/revoke', authorize(PERMISSIONS.STUDENTS_WRITE), certificateController.revokeCertificate);
+
+module.exports = router;
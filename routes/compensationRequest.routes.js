@@ -1,17 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const compensationRequestController = require('../controllers/compensationRequest.controller');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
+const { protectParent, requireStudentOwnership } = require('../middleware/parentAuth.middleware');
 
-// Public route (for parent portal)
-router.post('/', compensationRequestController.createRequest);
-router.get('/student/:studentId', compensationRequestController.getStudentRequests);
+// Parent portal routes (student must belong to the logged-in parent)
+router.post('/', protectParent, requireStudentOwnership, compensationRequestController.createRequest);
+router.get('/student/:studentId', protectParent, requireStudentOwnership, compensationRequestController.getStudentRequests);
 
 // Protected routes (admin only)
-router.get('/', protect, compensationRequestController.getAllRequests);
-router.get('/stats', protect, compensationRequestController.getRequestStats);
-router.get('/:id', protect, compensationRequestController.getRequestById);
-router.put('/:id/accept', protect, compensationRequestController.acceptRequest);
-router.put('/:id/reject', protect, compensationRequestController.rejectRequest);
+router.get('/', protect, authorize(PERMISSIONS.COMPENSATION_READ), compensationRequestController.getAllRequests);
+router.get('/stats', protect, authorize(PERMISSIONS.COMPENSATION_READ), compensationRequestController.getRequestStats);
+router.get('/:id', protect, authorize(PERMISSIONS.COMPENSATION_READ), compensationRequestController.getRequestById);
+router.put('/:id/accept', protect, authorize(PERMISSIONS.COMPENSATION_WRITE), compensationRequestController.acceptRequest);
+router.put('/:id/reject', protect, authorize(PERMISSIONS.COMPENSATION_WRITE), compensationRequestController.rejectRequest);
 
 module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const curriculumController = require('../controllers/curriculum.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
+
+// All routes are protected (admin only)
+router.use(protect);
+
+router.get('/', authorize(PERMISSIONS.STUDENTS_READ), curriculumController.getLevels);
+router.get('/:level', authorize(PERMISSIONS.STUDENTS_READ), curriculumController.getLevel);
+router.put('/:level', authorize(PERMISSIONS.CURRICULUM_WRITE), curriculumController.updateLevel);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const discountController = require('../controllers/discount.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
+
+// Public route — coupon preview on the payment pages
+router.post('/validate', discountController.validateCoupon);
+
+// Protected routes (admin only)
+router.use(protect);
+
+router.get('/coupons', authorize(PERMISSIONS.FEES_READ), discountController.getCoupons);
+router.post('/coupons', authorize(PERMISSIONS.FEES_WRITE), discountController.createCoupon);
+router.put('/coupons/:id', authorize(PERMISSIONS.FEES_WRITE), discountController.updateCoupon);
+router.delete('/coupons/:id', authorize(PERMISSIONS.FEES_WRITE), discountController.deactivateCoupon);
+
+router.get('/concessions', authorize(PERMISSIONS.FEES_READ), discountController.getConcessions);
+router.post('/concessions', authorize(PERMISSIONS.FEES_WRITE), discountController.createConcession);
+router.put('/concessions/:id', authorize(PERMISSIONS.FEES_WRITE), discountController.updateConcession);
+router.delete('/concessions/:id', authorize(PERMISSIONS.FEES_WRITE), discountController.deactivateConcession);
+
+router.get('/redemptions', authorize(PERMISSIONS.FEES_READ), discountController.getRedemptions);
+
+module.exports = router;
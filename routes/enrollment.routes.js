@@ -1,56 +1,67 @@
 const express = require('express');
 const router = express.Router();
 const upload = require('../middleware/upload');
+const { idempotent } = require('../middleware/idempotency.middleware');
 const enrollmentController = require('../controllers/enrollment.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
 
 // Create Razorpay Order
 router.post('/create-order', enrollmentController.createOrder);
 
 // Submit form data with uploaded photo
-router.post('/submit', upload.single('photo'), enrollmentController.submitEnrollment);
+router.post('/submit', upload.single('photo'), idempotent('enrollment-submit', { key: req => req.body.razorpayPaymentId }), enrollmentController.submitEnrollment);
 
 // Admin: Manual enrollment (offline payment, no Razorpay)
-router.post('/manual', upload.single('photo'), enrollmentController.manualEnrollment);
+router.post('/manual', protect, authorize(PERMISSIONS.STUDENTS_WRITE), upload.single('photo'), enrollmentController.manualEnrollment);
+
+// Admin: Paid enrollment orders whose form was never submitted
+router.get('/pending-payments', protect, authorize(PERMISSIONS.STUDENTS_READ), enrollmentController.getUnsubmittedPayments);
+router.put('/pending-payments/:id/resolve', protect, authorize(PERMISSIONS.STUDENTS_WRITE), enrollmentController.resolveUnsubmittedPayment);
 
 // Admin: Get all students
-router.get('/students', enrollmentController.getStudents);
+router.get('/students', protect, authorize(PERMISSIONS.STUDENTS_READ), enrollmentController.getStudents);
 
 // Admin: Update student status
-router.put('/students/:id', enrollmentController.updateStudent);
+router.put('/students/:id', protect, authorize(PERMISSIONS.STUDENTS_WRITE), enrollmentController.updateStudent);
 
 // Admin: Update student level
-router.put('/students/:id/level', enrollmentController.updateStudentLevel);
+router.put('/students/:id/level', protect, authorize(PERMISSIONS.STUDENTS_WRITE), enrollmentController.updateStudentLevel);
 
 // Admin: Delete student
-router.delete('/students/:id', enrollmentController.deleteStudent);
+router.delete('/students/:id', protect, authorize(PERMISSIONS.STUDENTS_DELETE), enrollmentController.deleteStudent);
 
 // Fee Tracking: Get all fee records for a student
-router.get('/students/:id/fees', enrollmentController.getStudentFees);
+router.get('/students/:id/fees', protect, authorize(PERMISSIONS.FEES_READ), enrollmentController.getStudentFees);
 
 // Fee Tracking: Create or update a fee record for a student
-router.post('/students/:id/fees', enrollmentController.upsertStudentFee);
+router.post('/students/:id/fees', protect, authorize(PERMISSIONS.FEES_WRITE), enrollmentController.upsertStudentFee);
 
 // Fee Tracking: Revenue overview across all students
-router.get('/fees/overview', enrollmentController.getFeesOverview);
+router.get('/fees/overview', protect, authorize(PERMISSIONS.REVENUE_READ), enrollmentController.getFeesOverview);
 
 // Fee Tracking: Get all fee records for a specific month and year
-router.get('/fees/month/:month/:year', enrollmentController.getAllFeesForMonth);
+router.get('/fees/month/:month/:year', protect, authorize(PERMISSIONS.FEES_READ), enrollmentController.getAllFeesForMonth);
 
 // Attendance Tracking
-router.get('/attendance', enrollmentController.getAttendance);
-router.post('/attendance', enrollmentController.updateAttendance);
+router.get('/attendance', protect, authorize(PERMISSIONS.ATTENDANCE_READ), enrollmentController.getAttendance);
+router.post('/attendance', protect, authorize(PERMISSIONS.ATTENDANCE_WRITE), enrollmentController.updateAttendance);
 
 // Compensation Tracking (Admin)
-router.get('/compensations', enrollmentController.getCompensations);
-router.get('/compensations/admin', enrollmentController.getAllCompensationsAdmin);
-router.get('/compensations/stats', enrollmentController.getCompensationStats);
-router.post('/compensations/manual', enrollmentController.createManualCompensation);
-router.put('/compensations/:id', enrollmentController.updateCompensationStatus);
-
-// Config: Get batches (with dynamic slot counts)
+router.get('/compensations', protect, authorize(PERMISSIONS.COMPENSATION_READ), enrollmentController.getCompensations);
+router.get('/compensations/admin', protect, authorize(PERMISSIONS.COMPENSATION_READ), enrollmentController.getAllCompensationsAdmin);
+router.get('/compensations/stats', protect, authorize(PERMISSIONS.COMPENSATION_READ), enrollmentController.getCompensationStats);
+router.post('/compensations/manual', protect, authorize(PERMISSIONS.COMPENSATION_WRITE), enrollmentController.createManualCompensation);
+router.get('/compensations/policy', protect, authorize(PERMISSIONS.COMPENSATION_READ), enrollmentController.getMakeupPolicy);
+router.put('/compensations/policy', protect, authorize(PERMISSIONS.COMPENSATION_WRITE), enrollmentController.updateMakeupPolicy);
+router.get('/compensations/token-policy', protect, authorize(PERMISSIONS.COMPENSATION_READ), enrollmentController.getTokenPolicy);
+router.put('/compensations/token-policy', protect, authorize(PERMISSIONS.COMPENSATION_WRITE), enrollmentController.updateTokenPolicy);
+router.put('/compensations/:id', protect, authorize(PERMISSIONS.COMPENSATION_WRITE), enrollmentController.updateCompensationStatus);
+
+// Config: Get batches (with dynamic slot counts) — public, used by the enrollment form
 router.get('/batches', enrollmentController.getBatches);
 
 // Admin: Update batches
-router.put('/batches', enrollmentController.updateBatches);
+router.put('/batches', protect, authorize(PERMISSIONS.BATCHES_WRITE), enrollmentController.updateBatches);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
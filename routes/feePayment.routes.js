@@ -1,20 +1,39 @@
 const express = require('express');
 const router = express.Router();
 const feePaymentController = require('../controllers/feePayment.controller');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
+const { protectParent, requireStudentOwnership } = require('../middleware/parentAuth.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
 
-// Public routes (for parents)
+// Verification is keyed by Idempotency-Key, else by the Razorpay payment id
+const byPaymentId = req => req.body.razorpay_payment_id;
+
+// Public route (for parents) — verifies Enrollment ID + Contact Number and issues a parent session
 router.post('/student-details', feePaymentController.getStudentForFeePayment);
-router.post('/create-order', feePaymentController.createFeePaymentOrder);
-router.post('/verify', feePaymentController.verifyFeePayment);
+
+// Parent session routes (student must belong to the logged-in parent)
+router.post('/create-order', protectParent, requireStudentOwnership, feePaymentController.createFeePaymentOrder);
+router.post('/verify', protectParent, requireStudentOwnership, idempotent('fee-payment-verify', { key: byPaymentId }), feePaymentController.verifyFeePayment);
+
+// Household: pay several children's pending months in one order
+router.post('/household/create-order', protectParent, feePaymentController.createHouseholdPaymentOrder);
+router.post('/household/verify', protectParent, idempotent('household-payment-verify', { key: byPaymentId }), feePaymentController.verifyHouseholdPayment);
 
 // Protected routes (admin only)
-router.get('/history/:studentId', protect, feePaymentController.getFeeHistory);
-router.get('/summary', protect, feePaymentController.getPaymentSummary);
-router.get('/revenue/detailed', protect, feePaymentController.getDetailedRevenue);
+router.get('/history/:studentId', protect, authorize(PERMISSIONS.FEES_READ), feePaymentController.getFeeHistory);
+router.get('/summary', protect, authorize(PERMISSIONS.REVENUE_READ), feePaymentController.getPaymentSummary);
+router.get('/revenue/detailed', protect, authorize(PERMISSIONS.REVENUE_READ), feePaymentController.getDetailedRevenue);
+router.get('/all', protect, authorize(PERMISSIONS.FEES_READ), feePaymentController.getAllFeeRecords);
+
+// Overdue policy, late fees and overrides (must come before /:id)
+router.get('/overdue', protect, authorize(PERMISSIONS.FEES_READ), feePaymentController.getOverdueFees);
+router.get('/overdue/policy', protect, authorize(PERMISSIONS.FEES_READ), feePaymentController.getOverduePolicy);
+router.put('/overdue/policy', protect, authorize(PERMISSIONS.FEES_WRITE), feePaymentController.updateOverduePolicy);
+router.post('/overdue/run', protect, authorize(PERMISSIONS.FEES_WRITE), feePaymentController.runOverduePolicy);
+router.put('/overdue/override/:studentId', protect, authorize(PERMISSIONS.FEES_WRITE), feePaymentController.setOverdueOverride);
+router.put('/:id/late-fee', protect, authorize(PERMISSIONS.FEES_WRITE), feePaymentController.waiveLateFee);
 
-// Admin / Utility routes (No auth required for Postman testing as requested)
-router.get('/all', feePaymentController.getAllFeeRecords);
-router.delete('/:id', feePaymentController.deleteFeeRecord);
+router.delete('/:id', protect, authorize(PERMISSIONS.FEES_DELETE), feePaymentController.deleteFeeRecord);
 
 module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const feePlanController = require('../controllers/feePlan.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
+
+// All routes are protected (admin only)
+router.use(protect);
+
+router.get('/', authorize(PERMISSIONS.FEES_READ), feePlanController.getFeePlans);
+router.post('/', authorize(PERMISSIONS.FEES_WRITE), feePlanController.createFeePlan);
+
+// Student plan assignment / preview (must come before /:id)
+router.get('/student/:studentId', authorize(PERMISSIONS.FEES_READ), feePlanController.getStudentFeePlan);
+router.put('/assign/:studentId', authorize(PERMISSIONS.FEES_WRITE), feePlanController.assignFeePlan);
+
+router.put('/:id', authorize(PERMISSIONS.FEES_WRITE), feePlanController.updateFeePlan);
+router.delete('/:id', authorize(PERMISSIONS.FEES_WRITE), feePlanController.deactivateFeePlan);
+
+module.exports = router;
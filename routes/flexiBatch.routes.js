@@ -1,24 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const flexiBatchController = require('../controllers/flexiBatch.controller');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
 
 // All routes are protected (admin only)
 router.use(protect);
 
 // Get all flexi-batches (admin)
-router.get('/', flexiBatchController.getAllFlexiBatches);
+router.get('/', authorize(PERMISSIONS.BATCHES_READ), flexiBatchController.getAllFlexiBatches);
 
 // Get a student's flexi-schedule
-router.get('/student/:studentId', flexiBatchController.getFlexiSchedule);
+router.get('/student/:studentId', authorize(PERMISSIONS.BATCHES_READ), flexiBatchController.getFlexiSchedule);
 
 // Create or update a student's flexi-schedule
-router.post('/student/:studentId', flexiBatchController.setFlexiSchedule);
+router.post('/student/:studentId', authorize(PERMISSIONS.BATCHES_WRITE), flexiBatchController.setFlexiSchedule);
 
 // Update flexi-batch status
-router.put('/:id', flexiBatchController.updateFlexiBatchStatus);
+router.put('/:id', authorize(PERMISSIONS.BATCHES_WRITE), flexiBatchController.updateFlexiBatchStatus);
 
 // Delete flexi-batch
-router.delete('/:id', flexiBatchController.deleteFlexiBatch);
+router.delete('/:id', authorize(PERMISSIONS.BATCHES_DELETE), flexiBatchController.deleteFlexiBatch);
 
 module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const freeWorkshopController = require('../controllers/freeWorkshop.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
 
 // Route to register for the free workshop
 router.post('/register', freeWorkshopController.registerForWorkshop);
@@ -9,6 +11,6 @@ router.post('/register', freeWorkshopController.registerForWorkshop);
 router.get('/slots', freeWorkshopController.getWorkshopSlots);
 
 // Route to get all registrations (admin use)
-router.get('/', freeWorkshopController.getAllRegistrations);
+router.get('/', protect, authorize(PERMISSIONS.WORKSHOPS_READ), freeWorkshopController.getAllRegistrations);
 
 module.exports = router;
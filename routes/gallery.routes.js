@@ -4,7 +4,8 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const galleryController = require('../controllers/gallery.controller');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
 
 // --- Multer Configuration for Gallery Images ---
 const storage = multer.diskStorage({
@@ -49,9 +50,9 @@ router.get('/:id', galleryController.getGalleryItemById);
 router.use(protect);
 
 router.get('/admin/all', galleryController.getAllGalleryItemsAdmin);
-router.post('/admin', upload.single('image'), galleryController.createGalleryItem);
-router.put('/admin/:id', upload.single('image'), galleryController.updateGalleryItem);
-router.delete('/admin/:id', galleryController.deleteGalleryItem);
-router.post('/admin/reorder', galleryController.reorderGalleryItems);
+router.post('/admin', authorize(PERMISSIONS.CONTENT_WRITE), upload.single('image'), galleryController.createGalleryItem);
+router.put('/admin/:id', authorize(PERMISSIONS.CONTENT_WRITE), upload.single('image'), galleryController.updateGalleryItem);
+router.delete('/admin/:id', authorize(PERMISSIONS.CONTENT_WRITE), galleryController.deleteGalleryItem);
+router.post('/admin/reorder', authorize(PERMISSIONS.CONTENT_WRITE), galleryController.reorderGalleryItems);
 
 module.exports = router;
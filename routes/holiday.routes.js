@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const holidayController = require('../controllers/holiday.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
+
+// All routes are protected (admin only)
+router.use(protect);
+
+router.get('/', authorize(PERMISSIONS.HOLIDAYS_READ), holidayController.getHolidays);
+router.post('/', authorize(PERMISSIONS.HOLIDAYS_WRITE), holidayController.createHoliday);
+router.put('/:id', authorize(PERMISSIONS.HOLIDAYS_WRITE), holidayController.updateHoliday);
+router.delete('/:id', authorize(PERMISSIONS.HOLIDAYS_WRITE), holidayController.deleteHoliday);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const idSequenceController = require('../controllers/idSequence.controller');
+const { protect, requireSuperAdmin } = require('../middleware/auth.middleware');
+
+// ID formats apply to every new student and registration (superadmin only)
+router.use(protect, requireSuperAdmin);
+
+router.get('/', idSequenceController.getIdSequences);
+router.put('/formats', idSequenceController.updateIdFormats);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/job.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
+
+// All routes are protected (admin only)
+router.use(protect);
+
+router.get('/', authorize(PERMISSIONS.JOBS_READ), jobController.getJobs);
+router.get('/:name', authorize(PERMISSIONS.JOBS_READ), jobController.getJob);
+router.get('/:name/runs', authorize(PERMISSIONS.JOBS_READ), jobController.getJobRuns);
+router.post('/:name/run', authorize(PERMISSIONS.JOBS_WRITE), jobController.runJob);
+router.patch('/:name', authorize(PERMISSIONS.JOBS_WRITE), jobController.updateJob);
+
+module.exports = router;
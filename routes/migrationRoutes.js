@@ -1,10 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const migrationController = require('../controllers/migrationController');
+const { protect, requireSuperAdmin } = require('../middleware/auth.middleware');
 
 // Migration endpoint with dry run option
 // Usage: POST /api/migration/link-students-batches?dryRun=true  (preview only)
 // Usage: POST /api/migration/link-students-batches?dryRun=false (actually runs it)
-router.post('/migration/link-students-batches', migrationController.linkStudentsToBatches);
+router.post('/migration/link-students-batches', protect, requireSuperAdmin, migrationController.linkStudentsToBatches);
 
 module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const paymentWebhookController = require('../controllers/PaymentWebhook.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
+
+// Razorpay webhook — signature is verified over the raw body, so this router
+// is mounted before the JSON body parser in server.js
+router.post('/webhook', express.raw({ type: '*/*', limit: '1mb' }), paymentWebhookController.handleWebhook);
+
+// Admin: inspect received webhook events (e.g. ?status=unmatched)
+router.get('/webhook-events', protect, authorize(PERMISSIONS.FEES_READ), paymentWebhookController.getWebhookEvents);
+
+module.exports = router;
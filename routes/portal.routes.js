@@ -1,24 +1,49 @@
 const express = require('express');
 const router = express.Router();
 const portalController = require('../controllers/portal.controller');
+const { protectParent, requireStudentOwnership } = require('../middleware/parentAuth.middleware');
 
-// Parent login
+// Parent login — returns a parent session token
 router.post('/login', portalController.login);
 
-// Parent dashboard (requires studentId passed in body or query, or ideally JWT)
-// For simplicity in the static site without complex auth headers, we can pass studentId in POST or query
-router.get('/dashboard/:id', portalController.getDashboard);
+// Everything below requires a parent session (Authorization: Bearer <token>)
+router.use(protectParent);
+
+// All children in the parent's household
+router.get('/household', portalController.getHouseholdDashboard);
+
+// Parent dashboard (single child)
+router.get('/dashboard/:id', requireStudentOwnership, portalController.getDashboard);
+
+// Upcoming holidays and closures
+router.get('/holidays', portalController.getHolidays);
 
 // Available batches for compensation
 router.get('/available-batches', portalController.getAvailableBatches);
 
 // Book a make-up class
-router.post('/book-compensation', portalController.bookCompensation);
+router.post('/book-compensation', requireStudentOwnership, portalController.bookCompensation);
 
 // Get token details
-router.get('/tokens/:id', portalController.getTokenDetails);
+router.get('/tokens/:id', requireStudentOwnership, portalController.getTokenDetails);
 
 // Update date of birth
-router.put('/update-dob/:id', portalController.updateDateOfBirth);
+router.put('/update-dob/:id', requireStudentOwnership, portalController.updateDateOfBirth);
+
+// Payment receipts (ownership is checked against the parent session)
+router.get('/receipts', portalController.getReceipts);
+router.get('/receipts/:receiptId/pdf', portalController.downloadReceipt);
+
+// Level and graduation certificates (ownership is checked against the parent session)
+router.get('/certificates', portalController.getCertificates);
+router.get('/certificates/:certificateId/pdf', portalController.downloadCertificate);
+
+// Artwork portfolio and public gallery consent per piece
+router.get('/portfolio/:id', requireStudentOwnership, portalController.getPortfolio);
+router.get('/portfolio/items/:itemId/image', portalController.getPortfolioImage);
+router.put('/portfolio/items/:itemId/consent', portalController.updatePortfolioConsent);
+
+// Monthly and level progress reports
+router.get('/progress-reports/:id', requireStudentOwnership, portalController.getProgressReports);
 
 module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const portfolioController = require('../controllers/portfolio.controller');
+const { PORTFOLIO_DIR } = require('../services/portfolio.service');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
+
+// --- Multer Configuration for Portfolio Photos ---
+// Saved outside the public /uploads folder (see services/portfolio.service.js)
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    if (!fs.existsSync(PORTFOLIO_DIR)) {
+      fs.mkdirSync(PORTFOLIO_DIR, { recursive: true });
+    }
+    cb(null, PORTFOLIO_DIR);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
+    cb(null, 'portfolio-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const fileFilter = (req, file, cb) => {
+  if (file.mimetype.startsWith('image/')) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only image files are allowed!'), false);
+  }
+};
+
+const upload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024
+  }
+});
+
+// All routes are protected (admin only)
+router.use(protect);
+
+router.get('/student/:studentId', authorize(PERMISSIONS.STUDENTS_READ), portfolioController.getPortfolio);
+router.get('/student/:studentId/pdf', authorize(PERMISSIONS.STUDENTS_READ), portfolioController.downloadPortfolio);
+router.post('/student/:studentId', authorize(PERMISSIONS.PORTFOLIO_WRITE), upload.single('image'), portfolioController.addItem);
+router.get('/:itemId/image', authorize(PERMISSIONS.STUDENTS_READ), portfolioController.getImage);
+router.put('/:itemId', authorize(PERMISSIONS.PORTFOLIO_WRITE), portfolioController.updateItem);
+router.delete('/:itemId', authorize(PERMISSIONS.PORTFOLIO_WRITE), portfolioController.deleteItem);
+
+// Publishing to the public gallery is a content decision
+router.post('/:itemId/promote', authorize(PERMISSIONS.CONTENT_WRITE), portfolioController.promoteToGallery);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const progressController = require('../controllers/progress.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
+
+// All routes are protected (admin only)
+router.use(protect);
+
+// Report schedule and emailing
+router.get('/policy', authorize(PERMISSIONS.STUDENTS_READ), progressController.getPolicy);
+router.put('/policy', authorize(PERMISSIONS.STUDENTS_WRITE), progressController.updatePolicy);
+
+// Instructor notes
+router.get('/students/:studentId/notes', authorize(PERMISSIONS.STUDENTS_READ), progressController.getNotes);
+router.post('/students/:studentId/notes', authorize(PERMISSIONS.ASSESSMENTS_WRITE), progressController.addNote);
+router.put('/notes/:noteId', authorize(PERMISSIONS.ASSESSMENTS_WRITE), progressController.updateNote);
+router.delete('/notes/:noteId', authorize(PERMISSIONS.ASSESSMENTS_WRITE), progressController.deleteNote);
+
+// Compiled reports
+router.get('/students/:studentId/reports', authorize(PERMISSIONS.STUDENTS_READ), progressController.getReports);
+router.post('/students/:studentId/reports', authorize(PERMISSIONS.STUDENTS_WRITE), progressController.generateReport);
+router.post('/reports/:reportId/send', authorize(PERMISSIONS.STUDENTS_WRITE), progressController.sendReport);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const receiptController = require('../controllers/receipt.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
+
+// All routes are protected (admin only)
+router.use(protect);
+
+router.get('/', authorize(PERMISSIONS.FEES_READ), receiptController.getReceipts);
+router.post('/issue', authorize(PERMISSIONS.FEES_WRITE), receiptController.issueReceipt);
+router.get('/:id', authorize(PERMISSIONS.FEES_READ), receiptController.getReceipt);
+router.get('/:id/pdf', authorize(PERMISSIONS.FEES_READ), receiptController.downloadReceipt);
+router.post('/:id/regenerate', authorize(PERMISSIONS.FEES_WRITE), receiptController.regenerateReceipt);
+
+module.exports = router;
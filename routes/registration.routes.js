@@ -3,6 +3,8 @@ const express = require("express");
 const router = express.Router();
 
 const upload = require("../middleware/upload");
+const { protect, authorize, requireSuperAdmin } = require("../middleware/auth.middleware");
+const { PERMISSIONS } = require("../middleware/permissions");
 const {
   validateRegistration,
   createRegistrationAfterPayment,
@@ -33,29 +35,29 @@ router.post("/create-after-payment", upload.single("childPhoto"), createRegistra
 // ========== ADMIN ROUTES ==========
 
 // OFFLINE REGISTRATION ROUTES (For admin use)
-router.post("/offline/validate", upload.single("childPhoto"), validateOfflineRegistration);
-router.post("/offline/create", upload.single("childPhoto"), createOfflineRegistration);
+router.post("/offline/validate", protect, authorize(PERMISSIONS.REGISTRATIONS_WRITE), upload.single("childPhoto"), validateOfflineRegistration);
+router.post("/offline/create", protect, authorize(PERMISSIONS.REGISTRATIONS_WRITE), upload.single("childPhoto"), createOfflineRegistration);
 
 // STATS ROUTES
-router.get("/stats", getRegistrationStats);
-router.get("/stats/overview", getDashboardStats);
+router.get("/stats", protect, authorize(PERMISSIONS.REGISTRATIONS_READ), getRegistrationStats);
+router.get("/stats/overview", protect, authorize(PERMISSIONS.REGISTRATIONS_READ), getDashboardStats);
 
 // REGISTRATION NUMBER ROUTES
-router.get("/next-number", getNextRegistrationNumber);
-router.get("/last-number", getLastRegistrationNumber);
+router.get("/next-number", protect, authorize(PERMISSIONS.REGISTRATIONS_READ), getNextRegistrationNumber);
+router.get("/last-number", protect, authorize(PERMISSIONS.REGISTRATIONS_READ), getLastRegistrationNumber);
 
 // REGISTRATIONS COLLECTION ROUTES
-router.get("/", getRegistrations);
+router.get("/", protect, authorize(PERMISSIONS.REGISTRATIONS_READ), getRegistrations);
 
 // BULK OPERATIONS
-router.patch("/bulk-status", bulkUpdateStatus);
+router.patch("/bulk-status", protect, authorize(PERMISSIONS.REGISTRATIONS_WRITE), bulkUpdateStatus);
 
 // PARAMETERIZED ROUTES
-router.get("/number/:registrationNo", getRegistrationByNumber);
-router.patch("/:id/toggle-active", toggleActiveStatus);
-router.get("/:id", getRegistrationById);
-router.put("/:id", upload.single("childPhoto"), updateRegistration);
-router.delete("/:id", deleteRegistration);
-router.delete("/:id/hard", hardDeleteRegistration);
+router.get("/number/:registrationNo", protect, authorize(PERMISSIONS.REGISTRATIONS_READ), getRegistrationByNumber);
+router.patch("/:id/toggle-active", protect, authorize(PERMISSIONS.REGISTRATIONS_WRITE), toggleActiveStatus);
+router.get("/:id", protect, authorize(PERMISSIONS.REGISTRATIONS_READ), getRegistrationById);
+router.put("/:id", protect, authorize(PERMISSIONS.REGISTRATIONS_WRITE), upload.single("childPhoto"), updateRegistration);
+router.delete("/:id", protect, authorize(PERMISSIONS.REGISTRATIONS_DELETE), deleteRegistration);
+router.delete("/:id/hard", protect, requireSuperAdmin, hardDeleteRegistration);
 
 module.exports = router;
\ No newline at end of file
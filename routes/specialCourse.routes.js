@@ -1,14 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const specialCourseController = require('../controllers/SpecialCourse.controller');
+const { protect, authorize, requireSuperAdmin } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
 
 // ==================== PUBLIC ROUTES ====================
 
 // Health check
 router.get('/health', specialCourseController.healthCheck);
 
-// Test cleanup
-router.post('/test-cleanup', specialCourseController.testCleanup);
+// Test cleanup (superadmin only)
+router.post('/test-cleanup', protect, requireSuperAdmin, specialCourseController.testCleanup);
 
 // Check slot availability
 router.get('/check-slots', specialCourseController.checkSlots);
@@ -31,25 +33,47 @@ router.post('/verify-payment', specialCourseController.verifyPayment);
 // Check registration status
 router.post('/check-registration-status', specialCourseController.checkRegistrationStatus);
 
+// Parent cancellation request (verified by the signed cancellation token)
+router.post('/:registrationId/cancel-request', specialCourseController.requestCancellation);
+
+// Waitlist for full sessions (entries are identified by their secret token)
+router.post('/waitlist', specialCourseController.joinWaitlist);
+router.get('/waitlist/:token', specialCourseController.getWaitlistEntry);
+router.post('/waitlist/:token/accept', specialCourseController.acceptWaitlistOffer);
+router.post('/waitlist/:token/leave', specialCourseController.leaveWaitlist);
+
 // ==================== ADMIN/UTILITY ROUTES ====================
 
 // Get system statistics
-router.get('/admin/statistics', specialCourseController.getStatistics);
+router.get('/admin/statistics', protect, authorize(PERMISSIONS.WORKSHOPS_READ), specialCourseController.getStatistics);
 
 // Get carnival-specific statistics
-router.get('/admin/statistics/:carnivalName', specialCourseController.getCarnivalStatistics);
+router.get('/admin/statistics/:carnivalName', protect, authorize(PERMISSIONS.WORKSHOPS_READ), specialCourseController.getCarnivalStatistics);
 
-// Run manual cleanup
-router.post('/admin/cleanup', specialCourseController.runCleanup);
+// Run manual cleanup (superadmin only)
+router.post('/admin/cleanup', protect, requireSuperAdmin, specialCourseController.runCleanup);
 
-// Manually expire a registration
-router.post('/admin/expire-registration', specialCourseController.expireRegistration);
+// Manually expire a registration (superadmin only)
+router.post('/admin/expire-registration', protect, requireSuperAdmin, specialCourseController.expireRegistration);
 
 // GET all registrations (for admin panel) - MUST BE BEFORE DYNAMIC ROUTE
-router.get('/admin/registrations', specialCourseController.getAllRegistrations);
+router.get('/admin/registrations', protect, authorize(PERMISSIONS.WORKSHOPS_READ), specialCourseController.getAllRegistrations);
 
 // GET detailed registration - MUST BE BEFORE DYNAMIC ROUTE
-router.get('/admin/registrations/:registrationId', specialCourseController.getRegistrationById);
+router.get('/admin/registrations/:registrationId', protect, authorize(PERMISSIONS.WORKSHOPS_READ), specialCourseController.getRegistrationById);
+
+// Refunds & cancellation
+router.get('/admin/cancellation-requests', protect, authorize(PERMISSIONS.WORKSHOPS_READ), specialCourseController.getCancellationRequests);
+router.get('/admin/cancellation-policy', protect, authorize(PERMISSIONS.WORKSHOPS_READ), specialCourseController.getCancellationPolicy);
+router.put('/admin/cancellation-policy', protect, authorize(PERMISSIONS.WORKSHOPS_WRITE), specialCourseController.updateCancellationPolicy);
+router.post('/admin/registrations/:registrationId/refund', protect, authorize(PERMISSIONS.FEES_WRITE), specialCourseController.refundRegistration);
+router.post('/admin/registrations/:registrationId/cancellation/reject', protect, authorize(PERMISSIONS.FEES_WRITE), specialCourseController.rejectCancellation);
+
+// Waitlist
+router.get('/admin/waitlist', protect, authorize(PERMISSIONS.WORKSHOPS_READ), specialCourseController.getWaitlist);
+router.post('/admin/waitlist/process', protect, authorize(PERMISSIONS.WORKSHOPS_WRITE), specialCourseController.processWaitlist);
+router.get('/admin/waitlist-policy', protect, authorize(PERMISSIONS.WORKSHOPS_READ), specialCourseController.getWaitlistPolicy);
+router.put('/admin/waitlist-policy', protect, authorize(PERMISSIONS.WORKSHOPS_WRITE), specialCourseController.updateWaitlistPolicy);
 
 // ==================== DYNAMIC ROUTES (MUST BE LAST) ====================
 
@@ -1,43 +1,51 @@
 const express = require('express');
 const router = express.Router();
 const studentController = require('../controllers/student.controller');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
 const upload = require('../middleware/upload');
 
 // All routes are protected
 router.use(protect);
 
 // GET all students
-router.get('/', studentController.getAllStudents);
+router.get('/', authorize(PERMISSIONS.STUDENTS_READ), studentController.getAllStudents);
 
 // GET level configuration
-router.get('/levels', studentController.getLevelConfig);
+router.get('/levels', authorize(PERMISSIONS.STUDENTS_READ), studentController.getLevelConfig);
 
 // GET level statistics
-router.get('/level-stats', studentController.getLevelStats);
+router.get('/level-stats', authorize(PERMISSIONS.STUDENTS_READ), studentController.getLevelStats);
 
 // GET students by batch (must come before /:id)
-router.get('/batch/:batchId', studentController.getStudentsByBatch);
+router.get('/batch/:batchId', authorize(PERMISSIONS.STUDENTS_READ), studentController.getStudentsByBatch);
 
 // GET all flexi-batch students (must come before /:id)
-router.get('/flexi', studentController.getFlexiStudents);
+router.get('/flexi', authorize(PERMISSIONS.STUDENTS_READ), studentController.getFlexiStudents);
+
+// POST merge a sibling's household into this one (different contact numbers)
+router.post('/households/:householdId/merge', authorize(PERMISSIONS.STUDENTS_WRITE), studentController.mergeHousehold);
 
 // GET a single student
-router.get('/:id', studentController.getStudentById);
+router.get('/:id', authorize(PERMISSIONS.STUDENTS_READ), studentController.getStudentById);
 
 // GET student level history
-router.get('/:id/level-history', studentController.getLevelHistory);
+router.get('/:id/level-history', authorize(PERMISSIONS.STUDENTS_READ), studentController.getLevelHistory);
 
 // POST start level journey (newbie -> level 1)
-router.post('/:id/start-level', studentController.startLevelJourney);
+router.post('/:id/start-level', authorize(PERMISSIONS.STUDENTS_WRITE), studentController.startLevelJourney);
 
 // POST advance to next level
-router.post('/:id/advance-level', studentController.advanceLevel);
+router.post('/:id/advance-level', authorize(PERMISSIONS.STUDENTS_WRITE), studentController.advanceLevel);
+
+// POST curriculum progress for the current level
+router.post('/:id/projects', authorize(PERMISSIONS.ASSESSMENTS_WRITE), studentController.recordProject);
+router.post('/:id/assessment', authorize(PERMISSIONS.ASSESSMENTS_WRITE), studentController.recordAssessment);
 
 // PUT update student (with optional photo upload)
-router.put('/:id', upload.single('photo'), studentController.updateStudent);
+router.put('/:id', authorize(PERMISSIONS.STUDENTS_WRITE), upload.single('photo'), studentController.updateStudent);
 
 // DELETE student
-router.delete('/:id', studentController.deleteStudent);
+router.delete('/:id', authorize(PERMISSIONS.STUDENTS_DELETE), studentController.deleteStudent);
 
 module.exports = router;
\ No newline at end of file
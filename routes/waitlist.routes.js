@@ -1,30 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const waitlistController = require('../controllers/waitlist.controller');
-// const { protect } = require('../middleware/auth.middleware');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
 
-// All routes are protected (Assuming protect middleware is commented out or doesn't exist yet, I'll bypass it for now or implement if needed. Actually I'll comment it out since previous backend didn't use a strict auth middleware on every file unless explicitly defined)
-// router.use(protect);
+// All routes are protected (admin only)
+router.use(protect);
 
 // Stats
-router.get('/stats', waitlistController.getWaitlistStats);
+router.get('/stats', authorize(PERMISSIONS.WAITLIST_READ), waitlistController.getWaitlistStats);
 
 // Get all waitlist entries
-router.get('/', waitlistController.getAllWaitlist);
+router.get('/', authorize(PERMISSIONS.WAITLIST_READ), waitlistController.getAllWaitlist);
 
 // Get waitlist for a specific batch
-router.get('/batch/:batchId', waitlistController.getBatchWaitlist);
+router.get('/batch/:batchId', authorize(PERMISSIONS.WAITLIST_READ), waitlistController.getBatchWaitlist);
 
 // Add to waitlist
-router.post('/', waitlistController.addToWaitlist);
+router.post('/', authorize(PERMISSIONS.WAITLIST_WRITE), waitlistController.addToWaitlist);
 
 // Notify a waitlisted parent
-router.put('/:id/notify', waitlistController.notifyWaitlist);
+router.put('/:id/notify', authorize(PERMISSIONS.WAITLIST_WRITE), waitlistController.notifyWaitlist);
 
 // Enroll a waitlisted student
-router.put('/:id/enroll', waitlistController.enrollWaitlist);
+router.put('/:id/enroll', authorize(PERMISSIONS.WAITLIST_WRITE, PERMISSIONS.STUDENTS_WRITE), waitlistController.enrollWaitlist);
 
 // Remove from waitlist
-router.delete('/:id', waitlistController.removeFromWaitlist);
+router.delete('/:id', authorize(PERMISSIONS.WAITLIST_WRITE), waitlistController.removeFromWaitlist);
 
 module.exports = router;
@@ -4,7 +4,8 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const workshopController = require('../controllers/workshop.controller');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../middleware/permissions');
 
 // --- Multer Configuration for Workshop Images ---
 const storage = multer.diskStorage({
@@ -39,13 +40,13 @@ const upload = multer({
 
 // Upload a workshop image (admin only). Returns an absolute URL that the
 // workshops page and registration pages can use directly.
-router.post('/upload-image', protect, upload.single('image'), workshopController.uploadImage);
+router.post('/upload-image', protect, authorize(PERMISSIONS.WORKSHOPS_WRITE), upload.single('image'), workshopController.uploadImage);
 
 router.get('/active', workshopController.getActive);
 router.get('/', workshopController.getAll);
 router.get('/:id', workshopController.getById);
-router.post('/', workshopController.create);
-router.put('/:id', workshopController.update);
-router.delete('/:id', workshopController.remove);
+router.post('/', protect, authorize(PERMISSIONS.WORKSHOPS_WRITE), workshopController.create);
+router.put('/:id', protect, authorize(PERMISSIONS.WORKSHOPS_WRITE), workshopController.update);
+router.delete('/:id', protect, authorize(PERMISSIONS.WORKSHOPS_WRITE), workshopController.remove);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+
+dotenv.config({ path: path.join(__dirname, '../.env') });
+const AttendanceRecord = require('../models/AttendanceRecord.model');
+
+/**
+ * Replace the old one-mark-per-student-per-day index on attendance records
+ * with the per-session one, so a student in two sessions on a day keeps both
+ * marks. Run once before deploying. Safe to re-run.
+ */
+async function migrateAttendanceIndexes() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/lilsculpr');
+    console.log('✅ Connected to MongoDB');
+
+    const dropped = await AttendanceRecord.syncIndexes();
+    for (const name of dropped) {
+      console.log(`  📌 Dropped index ${name}`);
+    }
+
+    const indexes = await AttendanceRecord.listIndexes();
+    console.log(`\n✅ Migration complete! Attendance records have ${indexes.length} indexes.`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('📌 Database connection closed');
+    process.exit(0);
+  }
+}
+
+migrateAttendanceIndexes();
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+
+dotenv.config({ path: path.join(__dirname, '../.env') });
+const Student = require('../models/student.model');
+const Household = require('../models/Household.model');
+const { linkStudentToHousehold } = require('../services/household.service');
+
+/**
+ * Group existing students into households by their primary contact number.
+ * Safe to re-run: students already linked to the right household are skipped.
+ */
+async function migrateHouseholds() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/lilsculpr');
+    console.log('✅ Connected to MongoDB');
+
+    // Oldest first, so the first enrolled child's parent becomes the guardian
+    const students = await Student.find({}).sort({ createdAt: 1 });
+    let linked = 0;
+
+    for (const student of students) {
+      const previous = student.householdId ? String(student.householdId) : null;
+      const household = await linkStudentToHousehold(student);
+
+      if (previous !== String(household._id)) {
+        linked++;
+        console.log(`  📌 ${student.childName} (${student.enrollmentId}) → household ${household.contact1}`);
+      }
+    }
+
+    const households = await Household.countDocuments();
+    console.log(`\n✅ Migration complete! Linked ${linked} students across ${households} households.`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('📌 Database connection closed');
+    process.exit(0);
+  }
+}
+
+migrateHouseholds();
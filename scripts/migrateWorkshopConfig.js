@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+
+dotenv.config({ path: path.join(__dirname, '../.env') });
+const Workshop = require('../models/Workshop.model');
+const SpecialCourse = require('../models/SpecialCourse.model');
+const { buildPrefix } = require('../services/workshopConfig.service');
+
+// Workshops that used to be hard-coded in SpecialCourse.controller.js
+const LEGACY_WORKSHOPS = {
+  "Strawberry Cottage Workshop": {
+    fee: 699,
+    capacity: 8,
+    prefix: "LS-WS26",
+    dates: ["2026-08-08"]
+  },
+  "Koi Fish Frame Art": {
+    fee: 599,
+    capacity: 8,
+    prefix: "LS-KF26",
+    dates: ["2026-08-08"]
+  },
+  "Kids Fruit & Vegetable Clay Mirror Workshop": {
+    fee: 750,
+    capacity: 30,
+    prefix: "LS-KM26",
+    dates: ["2026-08-02"]
+  },
+  "Up, Up & Away! 3D Clay Canvas Workshop": {
+    fee: 699,
+    capacity: 30,
+    prefix: "LS-UA26",
+    dates: ["2026-08-01"]
+  }
+};
+
+const slugify = (name) => String(name)
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Prefix already used by a workshop's registrations (e.g. LS-MCD26-00012 → LS-MCD26)
+async function findUsedPrefix(name) {
+  const latest = await SpecialCourse.findOne({ carnivalName: name, registrationId: /-\d{5}$/ })
+    .sort({ createdAt: -1 })
+    .select('registrationId');
+  return latest ? latest.registrationId.replace(/-\d{5}$/, '') : null;
+}
+
+/**
+ * Move workshop fees, capacities and registration prefixes into the Workshop
+ * collection:
+ *   1. create Workshop records for the formerly hard-coded workshops
+ *   2. fix the registration prefix of admin-created workshops, which was
+ *      previously recomputed on every restart
+ * Safe to re-run: existing records only get missing fields filled in.
+ */
+async function migrateWorkshopConfig() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/lilsculpr');
+    console.log('✅ Connected to MongoDB');
+
+    let created = 0;
+    let updated = 0;
+
+    for (const [name, config] of Object.entries(LEGACY_WORKSHOPS)) {
+      const batches = await SpecialCourse.distinct('selectedBatch', { carnivalName: name });
+      const existing = await Workshop.findOne({ name });
+
+      if (existing) {
+        // The hard-coded entry used to win over the database record
+        existing.registrationPrefix = config.prefix;
+        existing.batches = [...new Set([...(existing.batches || []), ...batches])];
+        await existing.save();
+        updated++;
+        if (existing.price !== config.fee) {
+          console.warn(`  ⚠️ ${name}: database price ₹${existing.price} differs from the hard-coded ₹${config.fee} — keeping ₹${existing.price}`);
+        }
+        continue;
+      }
+
+      let slug = slugify(name);
+      if (await Workshop.exists({ slug })) slug = `${slug}-${config.prefix.toLowerCase()}`;
+
+      const [firstDate, ...otherDates] = config.dates.map(d => new Date(`${d}T00:00:00Z`));
+      await Workshop.create({
+        name,
+        slug,
+        price: config.fee,
+        capacity: config.capacity,
+        registrationPrefix: config.prefix,
+        date: firstDate,
+        additionalDates: otherDates,
+        batches,
+        status: firstDate < new Date() ? 'over' : 'active'
+      });
+      created++;
+      console.log(`  📌 ${name} → ₹${config.fee}, ${config.capacity} seats, ${config.prefix}, ${batches.length} batch(es)`);
+    }
+
+    const unprefixed = await Workshop.find({ $or: [{ registrationPrefix: null }, { registrationPrefix: '' }] });
+    for (const workshop of unprefixed) {
+      workshop.registrationPrefix = (await findUsedPrefix(workshop.name)) ||
+        buildPrefix(workshop.slug || workshop.name, workshop.createdAt);
+      await workshop.save();
+      updated++;
+      console.log(`  📌 ${workshop.name} → prefix ${workshop.registrationPrefix}`);
+    }
+
+    console.log(`\n✅ Migration complete! Created ${created} and updated ${updated} workshops.`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('📌 Database connection closed');
+    process.exit(0);
+  }
+}
+
+migrateWorkshopConfig();
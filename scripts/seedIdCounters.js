@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+
+dotenv.config({ path: path.join(__dirname, '../.env') });
+const Student = require('../models/student.model');
+const Registration = require('../models/Registration');
+const SpecialCourse = require('../models/SpecialCourse.model');
+const { seedIdCounters } = require('../services/idSequence.service');
+
+/**
+ * Seed the ID counters (enrollment, registration, workshop) from the IDs
+ * already in the database, so the next generated ID follows the highest one.
+ * nextId also seeds each counter on its first use; this does them all up
+ * front. Safe to re-run: counters only ever move up.
+ */
+async function migrateIdCounters() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/lilsculpr');
+    console.log('✅ Connected to MongoDB');
+
+    const [enrollment, registration, workshop] = await Promise.all([
+      Student.distinct('enrollmentId'),
+      Registration.distinct('registrationNo'),
+      SpecialCourse.distinct('registrationId')
+    ]);
+    console.log(`📌 Found ${enrollment.length} enrollment IDs, ${registration.length} registration numbers, ${workshop.length} workshop registration IDs`);
+
+    const seeded = await seedIdCounters({ enrollment, registration, workshop });
+    for (const [name, seq] of Object.entries(seeded)) {
+      console.log(`  📌 ${name} → ${seq}`);
+    }
+
+    console.log(`\n✅ Migration complete! Seeded ${Object.keys(seeded).length} counters.`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('📌 Database connection closed');
+    process.exit(0);
+  }
+}
+
+migrateIdCounters();
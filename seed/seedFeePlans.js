@@ -0,0 +1,38 @@
+const FeePlan = require('../models/FeePlan.model');
+
+// Current standard pricing. Later price changes are new plans with a later
+// effectiveFrom, so months already billed keep their original amount.
+const feePlans = [
+  {
+    name: 'Offline Monthly',
+    description: 'Standard monthly fee for offline classes',
+    classType: 'offline',
+    monthlyFee: 2500,
+    kitFee: 2000,
+    effectiveFrom: new Date('2020-01-01')
+  },
+  {
+    name: 'Online Monthly',
+    description: 'Standard monthly fee for online classes',
+    classType: 'online',
+    monthlyFee: 2200,
+    kitFee: 2000,
+    effectiveFrom: new Date('2020-01-01')
+  }
+];
+
+const seedFeePlans = async () => {
+  try {
+    const count = await FeePlan.countDocuments();
+    if (count > 0) {
+      console.log(`✅ Fee plans already seeded (${count} existing), skipping...`);
+      return;
+    }
+    await FeePlan.insertMany(feePlans);
+    console.log(`✅ Seeded ${feePlans.length} fee plans`);
+  } catch (error) {
+    console.error('❌ Error seeding fee plans:', error.message);
+  }
+};
+
+module.exports = seedFeePlans;
@@ -28,12 +28,24 @@ const compensationRequestRoutes = require('./routes/compensationRequest.routes')
 const categoryRoutes = require('./routes/category.routes');
 const workshopRoutes = require('./routes/workshop.routes');
 const flexiBatchRoutes = require('./routes/flexiBatch.routes');
+const paymentRoutes = require('./routes/payment.routes');
+const feePlanRoutes = require('./routes/feePlan.routes');
+const discountRoutes = require('./routes/discount.routes');
+const receiptRoutes = require('./routes/receipt.routes');
+const jobRoutes = require('./routes/job.routes');
+const idSequenceRoutes = require('./routes/idSequence.routes');
+const attendanceRoutes = require('./routes/attendance.routes');
+const holidayRoutes = require('./routes/holiday.routes');
+const curriculumRoutes = require('./routes/curriculum.routes');
+const certificateRoutes = require('./routes/certificate.routes');
+const portfolioRoutes = require('./routes/portfolio.routes');
+const progressRoutes = require('./routes/progress.routes');
 
 const app = express();
              
-// Initialize cron jobs
-require('./services/cron.service');
-require('./cron/feeCron');
+// Background jobs (run once MongoDB is connected)
+require('./cron/jobs');
+const jobScheduler = require('./services/jobScheduler.service');
  
 // --- Security Middleware ---
 app.use(helmet({
@@ -75,6 +87,10 @@ const corsOptions = {
 // Enable CORS for all routes including preflight
 app.use(cors(corsOptions));
 
+// --- Razorpay Webhook ---
+// Mounted before the body parsers: the signature must be checked against the raw bytes
+app.use("/api/payments", paymentRoutes);
+
 // --- Body Parser Middleware ---
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -104,16 +120,15 @@ const connectDB = async () => {
     const seedWorkshops = require('./seed/seedWorkshops');
     await seedWorkshops();
 
-    // ═══ AUTO-BILLING: Ensure every active student has a fee record for the current month ═══
+    // Seed default fee plans
+    const seedFeePlans = require('./seed/seedFeePlans');
+    await seedFeePlans();
+
+    // Scheduled jobs (cleanup, billing, reminders, token expiry); missed runs catch up now
     try {
-      const { ensureMonthlyFeeRecords } = require('./services/syncFeeStatus.service');
-      const now = new Date();
-      const month = now.toLocaleString('en-IN', { month: 'long' });
-      const year = now.getFullYear();
-      const result = await ensureMonthlyFeeRecords({ month, year });
-      console.log(`📅 Auto-billing on startup: ${result.created} record(s) created for ${month} ${year}`);
-    } catch (billErr) {
-      console.warn('⚠️ Startup auto-billing skipped:', billErr.message);
+      await jobScheduler.start();
+    } catch (jobErr) {
+      console.error('❌ Job scheduler failed to start:', jobErr.message);
     }
 
     // Listen to connection events
@@ -126,6 +141,7 @@ const connectDB = async () => {
     });
     
     process.on('SIGINT', async () => {
+      jobScheduler.stop();
       await mongoose.connection.close();
       console.log('MongoDB connection closed due to app termination');
       process.exit(0);
@@ -222,6 +238,17 @@ app.use("/api/waitlist", waitlistRoutes);
 app.use("/api/birthdays", birthdayRoutes);
 app.use("/api/students", studentRoutes);
 app.use("/api/fee-payment", feePaymentRoutes);
+app.use("/api/fee-plans", feePlanRoutes);
+app.use("/api/discounts", discountRoutes);
+app.use("/api/receipts", receiptRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/id-sequences", idSequenceRoutes);
+app.use("/api/attendance", attendanceRoutes);
+app.use("/api/holidays", holidayRoutes);
+app.use("/api/curriculum", curriculumRoutes);
+app.use("/api/certificates", certificateRoutes);
+app.use("/api/portfolio", portfolioRoutes);
+app.use("/api/progress", progressRoutes);
 app.use("/api/gallery", galleryRoutes);
 app.use("/api/compensation-requests", compensationRequestRoutes);
 app.use("/api/categories", categoryRoutes);
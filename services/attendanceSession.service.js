@@ -0,0 +1,406 @@
+const AttendanceSession = require('../models/AttendanceSession.model');
+const AttendanceRecord = require('../models/AttendanceRecord.model');
+const Batch = require('../models/Batch.model');
+const FlexiBatch = require('../models/FlexiBatch.model');
+const Student = require('../models/student.model');
+const CompensationRecord = require('../models/CompensationRecord.model');
+const Holiday = require('../models/Holiday.model');
+const { getMakeupPolicy, settleMakeupBooking } = require('./makeup.service');
+const { issueToken } = require('./tokenPolicy.service');
+
+// Attendance is taken per session: each batch meets on the weekdays of its
+// dayId, flexi students meet on the days in their FlexiBatch.schedule. The
+// roster of a session is its regular (or flexi) students plus the make-up
+// classes booked into it, so marks show who was expected versus who came.
+
+const BATCH_DAYS = {
+  monfri: ['Monday', 'Friday'],
+  tuethu: ['Tuesday', 'Thursday'],
+  satsu: ['Saturday', 'Sunday']
+};
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 62;
+
+// Students who have left, paused or finished are not expected in class
+const INACTIVE_ENROLLMENT = ['paused', 'withdrawn', 'completed', 'graduated'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// Today's date in India as YYYY-MM-DD
+const today = () => new Date(Date.now() + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+const isValidDate = (date) => DATE_PATTERN.test(date || '') && !isNaN(new Date(`${date}T00:00:00Z`));
+
+// 'YYYY-MM-DD' → 'Monday'
+const weekdayOf = (date) => WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+const batchSessionKey = (date, batch) => `${date}|batch|${batch._id}`;
+const flexiSessionKey = (date, classType, time) => `${date}|flexi|${classType}|${time}`;
+
+// The holiday (if any) that closes a batch — or, without a batch, every class — that day
+const closingHoliday = (holidays, batchId = null) => holidays.find(holiday =>
+  holiday.scope === 'academy' ||
+  (batchId && holiday.batchIds.some(id => String(id) === String(batchId)))
+) || null;
+
+// Fields of a session cancelled by a holiday
+const cancelledBy = (holiday) => holiday
+  ? { status: 'cancelled', cancelReason: holiday.title, holidayId: holiday._id }
+  : {};
+
+// Insert a session once; regenerating a day leaves existing sessions as they are
+async function upsertSession(sessionKey, fields) {
+  try {
+    return await AttendanceSession.findOneAndUpdate(
+      { sessionKey },
+      { $setOnInsert: { sessionKey, ...fields } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return AttendanceSession.findOne({ sessionKey });
+  }
+}
+
+/**
+ * Create the sessions that meet on a date: one per running batch whose days
+ * include that weekday, and one per flexi day/time slot in use. Sessions on a
+ * holiday are created already cancelled.
+ *
+ * @param {string} date YYYY-MM-DD
+ * @returns {Promise<Document[]>} the day's sessions
+ */
+async function generateSessionsForDate(date) {
+  const day = weekdayOf(date);
+  const dayIds = Object.keys(BATCH_DAYS).filter(dayId => BATCH_DAYS[dayId].includes(day));
+  const holidays = await Holiday.find({ startDate: { $lte: date }, endDate: { $gte: date } });
+
+  const batches = await Batch.find({
+    dayId: { $in: dayIds },
+    status: { $in: ['active', 'filling', 'full'] }
+  });
+  for (const batch of batches) {
+    await upsertSession(batchSessionKey(date, batch), {
+      date,
+      kind: 'batch',
+      batchId: batch._id,
+      classType: batch.type,
+      dayId: batch.dayId,
+      day,
+      time: batch.time,
+      ...cancelledBy(closingHoliday(holidays, batch._id))
+    });
+  }
+
+  const flexiBatches = await FlexiBatch.find({ status: 'active', 'schedule.day': day }).select('classType schedule');
+  const flexiSlots = new Map();
+  for (const flexi of flexiBatches) {
+    for (const slot of flexi.schedule.filter(s => s.day === day)) {
+      flexiSlots.set(flexiSessionKey(date, flexi.classType, slot.time), { classType: flexi.classType, time: slot.time });
+    }
+  }
+  for (const [sessionKey, slot] of flexiSlots) {
+    await upsertSession(sessionKey, {
+      date,
+      kind: 'flexi',
+      classType: slot.classType,
+      day,
+      time: slot.time,
+      ...cancelledBy(closingHoliday(holidays))
+    });
+  }
+
+  return AttendanceSession.find({ date }).sort({ classType: 1, kind: 1, time: 1 });
+}
+
+/**
+ * Generate sessions for every day from `from` to `to` (inclusive)
+ *
+ * @returns {Promise<{sessions: number} | {error: string}>}
+ */
+async function generateSessionsForRange(from, to = from) {
+  if (!isValidDate(from) || !isValidDate(to)) {
+    return { error: 'Dates must be in YYYY-MM-DD format' };
+  }
+
+  const start = new Date(`${from}T00:00:00Z`).getTime();
+  const end = new Date(`${to}T00:00:00Z`).getTime();
+  if (end < start) return { error: '`to` must not be before `from`' };
+  if ((end - start) / DAY_MS >= MAX_RANGE_DAYS) {
+    return { error: `At most ${MAX_RANGE_DAYS} days can be generated at once` };
+  }
+
+  let sessions = 0;
+  for (let time = start; time <= end; time += DAY_MS) {
+    const daySessions = await generateSessionsForDate(new Date(time).toISOString().slice(0, 10));
+    sessions += daySessions.length;
+  }
+  return { sessions };
+}
+
+// Students enrolled in the session's batch or flexi slot on that date
+async function findRegularStudents(session) {
+  const endOfDay = new Date(`${session.date}T23:59:59.999Z`);
+  const active = {
+    status: 'active',
+    enrollmentStatus: { $nin: INACTIVE_ENROLLMENT },
+    $or: [{ batchJoinedDate: null }, { batchJoinedDate: { $lte: endOfDay } }]
+  };
+
+  if (session.kind === 'batch') {
+    const batch = await Batch.findById(session.batchId).select('enrolledStudents');
+    const ids = batch ? batch.enrolledStudents : [];
+    return Student.find({
+      $and: [active, { $or: [{ batchId: session.batchId }, { _id: { $in: ids } }] }]
+    }).select('childName enrollmentId photoUrl classType');
+  }
+
+  const flexiBatches = await FlexiBatch.find({
+    status: 'active',
+    classType: session.classType,
+    schedule: { $elemMatch: { day: session.day, time: session.time } }
+  }).select('studentId');
+  return Student.find({
+    ...active,
+    _id: { $in: flexiBatches.map(f => f.studentId) }
+  }).select('childName enrollmentId photoUrl classType');
+}
+
+// Make-up classes booked into the session's batch slot on that date
+async function findMakeupBookings(session) {
+  if (session.kind !== 'batch') return [];
+  return CompensationRecord.find({
+    date: session.date,
+    batchType: session.classType,
+    dayId: session.dayId,
+    time: session.time,
+    status: { $ne: 'Cancelled' }
+  }).populate('studentId', 'childName enrollmentId photoUrl classType');
+}
+
+/**
+ * Who is expected in a session and how each of them was marked
+ *
+ * @returns {Promise<{session, students: Array, summary: object} | null>} null when the session is unknown
+ */
+async function getRoster(sessionId) {
+  const session = await AttendanceSession.findById(sessionId);
+  if (!session) return null;
+
+  const [regulars, makeups] = await Promise.all([
+    findRegularStudents(session),
+    findMakeupBookings(session)
+  ]);
+
+  const students = regulars.map(student => ({
+    studentId: student._id,
+    childName: student.childName,
+    enrollmentId: student.enrollmentId,
+    photoUrl: student.photoUrl,
+    source: session.kind === 'batch' ? 'regular' : 'flexi',
+    compensationRecordId: null
+  }));
+  for (const booking of makeups) {
+    if (!booking.studentId) continue;
+    students.push({
+      studentId: booking.studentId._id,
+      childName: booking.studentId.childName,
+      enrollmentId: booking.studentId.enrollmentId,
+      photoUrl: booking.studentId.photoUrl,
+      source: 'makeup',
+      compensationRecordId: booking._id
+    });
+  }
+
+  // Students marked in this session who are no longer on the roster still show
+  const marks = await AttendanceRecord.find({ sessionId: session._id });
+  const markByStudent = new Map(marks.map(mark => [String(mark.studentId), mark]));
+
+  const expectedIds = new Set(students.map(s => String(s.studentId)));
+  const extraIds = marks
+    .filter(mark => !expectedIds.has(String(mark.studentId)))
+    .map(mark => mark.studentId);
+  if (extraIds.length) {
+    const extras = await Student.find({ _id: { $in: extraIds } }).select('childName enrollmentId photoUrl');
+    for (const student of extras) {
+      const mark = markByStudent.get(String(student._id));
+      students.push({
+        studentId: student._id,
+        childName: student.childName,
+        enrollmentId: student.enrollmentId,
+        photoUrl: student.photoUrl,
+        source: mark.source,
+        compensationRecordId: mark.compensationRecordId,
+        expected: false
+      });
+    }
+  }
+
+  for (const entry of students) {
+    const mark = markByStudent.get(String(entry.studentId));
+    entry.expected = entry.expected !== false;
+    entry.status = mark ? mark.status : 'none';
+  }
+
+  const count = (fn) => students.filter(fn).length;
+  return {
+    session,
+    students,
+    summary: {
+      expected: count(s => s.expected),
+      present: count(s => s.status === 'P' || s.status === 'C'),
+      absent: count(s => s.status === 'A'),
+      unmarked: count(s => s.expected && s.status === 'none'),
+      makeups: count(s => s.source === 'makeup')
+    }
+  };
+}
+
+/**
+ * Give an absent student a make-up token for the day if the token policy
+ * allows it (once per day). The decision is kept on the attendance record
+ * (`generatedFrom`, else the day's mark not tied to a session) so parents can
+ * see why a token was or wasn't issued.
+ *
+ * @returns {Promise<Document|null>} the new token, or null if none was issued
+ */
+async function issueAbsenceToken(studentId, date, { generatedFrom } = {}) {
+  const { token, decision } = await issueToken(studentId, {
+    reason: 'absence',
+    date,
+    generatedFrom,
+    notes: `Auto-generated from attendance on ${date}`
+  });
+
+  // A repeat mark of the same absence keeps the original decision
+  if (decision.rule !== 'already_issued') {
+    await AttendanceRecord.updateOne(
+      generatedFrom ? { _id: generatedFrom } : { studentId, date, sessionId: null },
+      { $set: { compensationTokenGenerated: Boolean(token), tokenDecision: { rule: decision.rule, message: decision.message } } }
+    );
+  }
+  return token;
+}
+
+/**
+ * Record attendance for a session. Each mark is { studentId, status, excused? }
+ * with status P (present), A (absent) or none (clear); `excused` flags an
+ * absence the academy was told about (see the token policy). Students must be on the
+ * roster; make-up students are recorded as C and their booking is settled
+ * as Attended or Missed (under the missed make-up policy); absent regular
+ * students get a make-up token if the token policy allows.
+ *
+ * @returns {Promise<{roster, tokensGenerated: number, tokensReturned: number} | {error: string, status?: number}>}
+ */
+async function markSession(sessionId, marks, { markedBy } = {}) {
+  const roster = await getRoster(sessionId);
+  if (!roster) return { error: 'Session not found', status: 404 };
+
+  const { session } = roster;
+  if (session.status === 'cancelled') {
+    return { error: `This session was cancelled${session.cancelReason ? ` (${session.cancelReason})` : ''}`, status: 409 };
+  }
+  const [holiday] = await Holiday.covering(session.date, session.batchId);
+  if (holiday) {
+    return { error: `Attendance cannot be marked on a holiday (${holiday.title})`, status: 409 };
+  }
+  if (!Array.isArray(marks) || marks.length === 0) {
+    return { error: 'marks array is required' };
+  }
+
+  const rosterByStudent = new Map(roster.students.map(entry => [String(entry.studentId), entry]));
+  for (const mark of marks) {
+    if (!['P', 'A', 'none'].includes(mark.status)) {
+      return { error: `Invalid status "${mark.status}" (use P, A or none)` };
+    }
+    if (!rosterByStudent.has(String(mark.studentId))) {
+      return { error: `Student ${mark.studentId} is not on this session's roster` };
+    }
+  }
+
+  const makeupPolicy = await getMakeupPolicy();
+  let tokensGenerated = 0;
+  let tokensReturned = 0;
+  for (const mark of marks) {
+    const entry = rosterByStudent.get(String(mark.studentId));
+    const filter = { sessionId: session._id, studentId: entry.studentId };
+
+    if (entry.compensationRecordId) {
+      const bookingStatus = { P: 'Attended', A: 'Missed', none: 'Booked' }[mark.status];
+      const settled = await settleMakeupBooking(entry.compensationRecordId, bookingStatus, {
+        closedBy: 'attendance',
+        policy: makeupPolicy
+      });
+      if (settled && settled.tokenReturned) tokensReturned++;
+    }
+
+    if (mark.status === 'none') {
+      await AttendanceRecord.deleteOne(filter);
+      continue;
+    }
+
+    const isMakeup = entry.source === 'makeup';
+    const fields = {
+      status: isMakeup && mark.status === 'P' ? 'C' : mark.status,
+      date: session.date,
+      source: entry.source,
+      compensationRecordId: entry.compensationRecordId || null,
+      excused: mark.status === 'A' && mark.excused === true
+    };
+    // Absences get their token fields from issueAbsenceToken below
+    if (mark.status !== 'A' || isMakeup) {
+      Object.assign(fields, { compensationTokenGenerated: false, tokenDecision: null });
+    }
+    const record = await AttendanceRecord.findOneAndUpdate(filter, { $set: fields }, { upsert: true, new: true });
+
+    // A missed make-up class does not earn another token
+    if (mark.status === 'A' && !isMakeup) {
+      const token = await issueAbsenceToken(entry.studentId, session.date, { generatedFrom: record._id });
+      if (token) tokensGenerated++;
+    }
+  }
+
+  session.expected = roster.students
+    .filter(entry => entry.expected)
+    .map(entry => ({
+      studentId: entry.studentId,
+      source: entry.source,
+      compensationRecordId: entry.compensationRecordId
+    }));
+  session.status = 'completed';
+  session.markedBy = markedBy;
+  session.markedAt = new Date();
+  await session.save();
+
+  return { roster: await getRoster(session._id), tokensGenerated, tokensReturned };
+}
+
+/**
+ * Sessions on a date (generated first if needed), with their roster summary
+ */
+async function listSessions(date) {
+  const sessions = await generateSessionsForDate(date);
+  const result = [];
+  for (const session of sessions) {
+    const roster = await getRoster(session._id);
+    result.push({ ...session.toObject(), summary: roster.summary });
+  }
+  return result;
+}
+
+module.exports = {
+  BATCH_DAYS,
+  today,
+  isValidDate,
+  weekdayOf,
+  batchSessionKey,
+  generateSessionsForDate,
+  generateSessionsForRange,
+  closingHoliday,
+  getRoster,
+  issueAbsenceToken,
+  markSession,
+  listSessions
+};
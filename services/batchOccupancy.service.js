@@ -0,0 +1,184 @@
+const Batch = require('../models/Batch.model');
+const Holiday = require('../models/Holiday.model');
+const AttendanceSession = require('../models/AttendanceSession.model');
+const CompensationRecord = require('../models/CompensationRecord.model');
+const TrialBooking = require('../models/TrialBooking.model');
+const attendanceSessionService = require('./attendanceSession.service');
+const { getMakeupPolicy } = require('./makeup.service');
+
+// Seats in one regular batch on one date. A class holds its enrolled
+// regulars, the make-up students booked into it and trial students, and all
+// of them count against the batch's capacity. Make-ups are further limited to
+// the batch's makeupAllowance (or the make-up policy's defaultAllowance).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 31;
+const SEAT_TAKING_MAKEUPS = ['Booked', 'Attended', 'Missed'];
+const SEAT_TAKING_TRIALS = ['booked', 'attended', 'no_show'];
+const BOOKABLE_BATCH_STATUSES = ['active', 'filling'];
+
+// Does the batch meet on this date?
+const isClassDay = (batch, date) =>
+  (attendanceSessionService.BATCH_DAYS[batch.dayId] || []).includes(attendanceSessionService.weekdayOf(date));
+
+/**
+ * Occupancy of a batch's class on a date
+ *
+ * @param {Document} batch
+ * @param {string} date YYYY-MM-DD
+ * @param {{policy?: object, session?: ClientSession}} [options]
+ * @returns {Promise<{date, capacity, regular, makeup, trial, total, makeupAllowance, seatsLeft, makeupSeatsLeft, closedFor: string|null}>}
+ */
+async function getOccupancy(batch, date, { policy, session = null } = {}) {
+  const activePolicy = policy || await getMakeupPolicy();
+  const makeupAllowance = batch.makeupAllowance ?? activePolicy.defaultAllowance;
+
+  const [makeup, trial, holidays] = await Promise.all([
+    CompensationRecord.countDocuments({
+      date,
+      batchType: batch.type,
+      dayId: batch.dayId,
+      time: batch.time,
+      status: { $in: SEAT_TAKING_MAKEUPS }
+    }).session(session),
+    TrialBooking.countDocuments({ batchId: batch._id, date, status: { $in: SEAT_TAKING_TRIALS } }).session(session),
+    Holiday.covering(date, batch._id)
+  ]);
+
+  const regular = batch.enrolledStudents.length;
+  const total = regular + makeup + trial;
+  const closedFor = holidays.length ? holidays[0].title : null;
+  const seatsLeft = closedFor ? 0 : Math.max(0, batch.capacity - total);
+
+  return {
+    date,
+    capacity: batch.capacity,
+    regular,
+    makeup,
+    trial,
+    total,
+    makeupAllowance,
+    seatsLeft,
+    makeupSeatsLeft: Math.min(seatsLeft, Math.max(0, makeupAllowance - makeup)),
+    closedFor
+  };
+}
+
+/**
+ * Occupancy of every class day of one batch in a date range
+ *
+ * @returns {Promise<{days: object[]} | {error: string}>}
+ */
+async function getBatchOccupancy(batch, from, to = from) {
+  const dates = listDates(from, to);
+  if (dates.error) return dates;
+
+  const policy = await getMakeupPolicy();
+  const days = [];
+  for (const date of dates.filter(d => isClassDay(batch, d))) {
+    days.push(await getOccupancy(batch, date, { policy }));
+  }
+  return { days };
+}
+
+/**
+ * Bookable make-up slots: every open batch class in the range with a make-up
+ * seat left (holidays and full classes left out)
+ *
+ * @returns {Promise<{slots: object[]} | {error: string}>}
+ */
+async function listMakeupSlots(from, to = from) {
+  const dates = listDates(from, to);
+  if (dates.error) return dates;
+
+  const [batches, policy] = await Promise.all([
+    Batch.find({ status: { $in: BOOKABLE_BATCH_STATUSES } }),
+    getMakeupPolicy()
+  ]);
+
+  const slots = [];
+  for (const date of dates) {
+    for (const batch of batches.filter(b => isClassDay(b, date))) {
+      const occupancy = await getOccupancy(batch, date, { policy });
+      if (occupancy.makeupSeatsLeft > 0) slots.push({ batch, occupancy });
+    }
+  }
+  return { slots };
+}
+
+/**
+ * Inside a booking transaction: serialise bookings for the class and check
+ * there is still a seat. `kind` 'makeup' also checks the make-up allowance.
+ * The class's session is the document bookings serialise on, so it is
+ * created here if its day has not been generated yet.
+ *
+ * @returns {Promise<{ok: true, occupancy} | {ok: false, error: string}>}
+ */
+async function reserveSeat(batch, date, kind, session = null) {
+  if (!isClassDay(batch, date)) {
+    return { ok: false, error: `This batch does not meet on ${date}` };
+  }
+  // Checked before the session is created, which would otherwise be created open
+  const [holiday] = await Holiday.covering(date, batch._id);
+  if (holiday) {
+    return { ok: false, error: `The academy is closed on ${date} (${holiday.title})` };
+  }
+
+  await AttendanceSession.findOneAndUpdate(
+    { sessionKey: attendanceSessionService.batchSessionKey(date, batch) },
+    {
+      $set: { seatsCheckedAt: new Date() },
+      $setOnInsert: {
+        date,
+        kind: 'batch',
+        batchId: batch._id,
+        classType: batch.type,
+        dayId: batch.dayId,
+        day: attendanceSessionService.weekdayOf(date),
+        time: batch.time
+      }
+    },
+    { upsert: true, session }
+  );
+
+  const occupancy = await getOccupancy(batch, date, { session });
+  if (occupancy.closedFor) {
+    return { ok: false, error: `The academy is closed on ${date} (${occupancy.closedFor})` };
+  }
+  const left = kind === 'makeup' ? occupancy.makeupSeatsLeft : occupancy.seatsLeft;
+  if (left <= 0) {
+    return {
+      ok: false,
+      error: kind === 'makeup' && occupancy.seatsLeft > 0
+        ? 'No make-up seats left in this class. Please select another slot.'
+        : 'This class is full. Please select another slot.'
+    };
+  }
+  return { ok: true, occupancy };
+}
+
+// Every YYYY-MM-DD from `from` to `to`, at most MAX_RANGE_DAYS
+function listDates(from, to) {
+  if (!attendanceSessionService.isValidDate(from) || !attendanceSessionService.isValidDate(to)) {
+    return { error: 'Dates must be in YYYY-MM-DD format' };
+  }
+  const start = new Date(`${from}T00:00:00Z`).getTime();
+  const end = new Date(`${to}T00:00:00Z`).getTime();
+  if (end < start) return { error: '`to` must not be before `from`' };
+  if ((end - start) / DAY_MS >= MAX_RANGE_DAYS) {
+    return { error: `At most ${MAX_RANGE_DAYS} days can be listed at once` };
+  }
+
+  const dates = [];
+  for (let time = start; time <= end; time += DAY_MS) dates.push(new Date(time).toISOString().slice(0, 10));
+  return dates;
+}
+
+module.exports = {
+  SEAT_TAKING_TRIALS,
+  isClassDay,
+  getOccupancy,
+  getBatchOccupancy,
+  listMakeupSlots,
+  reserveSeat
+};
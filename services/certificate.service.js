@@ -0,0 +1,403 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const Certificate = require('../models/Certificate.model');
+const Student = require('../models/student.model');
+const PromotionReview = require('../models/PromotionReview.model');
+const cloudinary = require('../middleware/cloudinary');
+const emailService = require('./email.service');
+const curriculumService = require('./curriculum.service');
+const { ACADEMY } = require('./receipt.service');
+
+// Level completion and graduation certificates. A certificate is issued when a
+// student leaves a level (advanceLevel or a committed promotion review), its
+// PDF is stored on Cloudinary (or under uploads/ when Cloudinary is not
+// configured), linked from the levelHistory entry and emailed to the parent.
+
+const CERTIFICATE_DIR = path.join(__dirname, '..', 'uploads', 'certificates');
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I
+
+const randomChars = (length) =>
+  Array.from({ length }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+
+const generateVerificationCode = () => `LSC-${randomChars(4)}-${randomChars(4)}`;
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+
+// Where the printed code can be checked; only the code when no public URL is set
+const verificationUrl = (code) =>
+  process.env.PUBLIC_BASE_URL ? `${process.env.PUBLIC_BASE_URL}/api/certificates/verify/${code}` : null;
+
+// ─── PDF ──────────────────────────────────────────────────────
+
+/**
+ * Render a certificate as a single-page landscape A4 PDF
+ *
+ * @returns {Promise<Buffer>}
+ */
+function renderCertificatePdf(certificate) {
+  return new Promise((resolve, reject) => {
+    const title = certificate.type === 'graduation' ? 'Certificate of Graduation' : 'Certificate of Completion';
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout: 'landscape',
+      margin: 50,
+      info: { Title: `${title} — ${certificate.childName}` }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { width, height } = doc.page;
+    const left = 70;
+    const textWidth = width - left * 2;
+
+    // Border
+    doc.rect(25, 25, width - 50, height - 50).lineWidth(3).strokeColor('#9C29B2').stroke();
+    doc.rect(35, 35, width - 70, height - 70).lineWidth(1).strokeColor('#D9B3E3').stroke();
+
+    doc.fillColor('#9C29B2').font('Helvetica-Bold').fontSize(20)
+      .text(ACADEMY.name, left, 70, { width: textWidth, align: 'center' });
+
+    doc.moveDown(1.2);
+    doc.fillColor('#111111').font('Helvetica-Bold').fontSize(30)
+      .text(title.toUpperCase(), { width: textWidth, align: 'center' });
+
+    doc.moveDown(1);
+    doc.fillColor('#555555').font('Helvetica').fontSize(13)
+      .text('This is to certify that', { width: textWidth, align: 'center' });
+
+    doc.moveDown(0.6);
+    doc.fillColor('#9C29B2').font('Helvetica-Bold').fontSize(34)
+      .text(certificate.childName, { width: textWidth, align: 'center' });
+
+    doc.moveDown(0.6);
+    const achievement = certificate.type === 'graduation'
+      ? `has completed all ${curriculumService.MAX_LEVEL} levels of the clay modelling programme and graduated`
+      : `has successfully completed Level ${certificate.level}${certificate.levelTitle && certificate.levelTitle !== `Level ${certificate.level}` ? ` (${certificate.levelTitle})` : ''} of the clay modelling programme`;
+    doc.fillColor('#333333').font('Helvetica').fontSize(15)
+      .text(achievement, { width: textWidth, align: 'center' });
+
+    doc.moveDown(0.4);
+    doc.fontSize(13).text(`on ${formatDate(certificate.completedDate || certificate.issuedAt)}`, { width: textWidth, align: 'center' });
+
+    // Footer: enrollment ID, date and verification code
+    const footerY = height - 130;
+    doc.moveTo(left, footerY).lineTo(width - left, footerY).lineWidth(1).strokeColor('#DDDDDD').stroke();
+    doc.fillColor('#333333').font('Helvetica-Bold').fontSize(10)
+      .text('Enrollment ID', left, footerY + 12, { width: 200 })
+      .text('Issued on', left + textWidth / 2 - 100, footerY + 12, { width: 200, align: 'center' })
+      .text('Verification code', width - left - 200, footerY + 12, { width: 200, align: 'right' });
+    doc.font('Helvetica').fontSize(11)
+      .text(certificate.enrollmentId || '-', left, footerY + 28, { width: 200 })
+      .text(formatDate(certificate.issuedAt), left + textWidth / 2 - 100, footerY + 28, { width: 200, align: 'center' })
+      .text(certificate.verificationCode, width - left - 200, footerY + 28, { width: 200, align: 'right' });
+
+    const url = verificationUrl(certificate.verificationCode);
+    doc.fillColor('#777777').fontSize(8)
+      .text(url ? `Verify this certificate at ${url}` : `Verify this certificate with the academy (${ACADEMY.contact}) using the code above`,
+        left, footerY + 56, { width: textWidth, align: 'center' });
+
+    doc.end();
+  });
+}
+
+const certificateFilename = (certificate) =>
+  `Certificate-${String(certificate.childName).replace(/[^A-Za-z0-9]+/g, '-')}-${certificate.type === 'graduation' ? 'Graduation' : `Level-${certificate.level}`}.pdf`;
+
+/**
+ * Nodemailer attachment for a certificate
+ */
+async function getCertificateAttachment(certificate) {
+  return {
+    filename: certificateFilename(certificate),
+    content: await renderCertificatePdf(certificate),
+    contentType: 'application/pdf'
+  };
+}
+
+// ─── Storage ──────────────────────────────────────────────────
+
+// Write the PDF under uploads/certificates, then move it to Cloudinary when
+// it is configured. A failed upload keeps the local copy.
+async function storeCertificateFile(certificate, pdf) {
+  if (!fs.existsSync(CERTIFICATE_DIR)) {
+    fs.mkdirSync(CERTIFICATE_DIR, { recursive: true });
+  }
+  const filename = `${certificate.verificationCode}.pdf`;
+  const localPath = path.join(CERTIFICATE_DIR, filename);
+  fs.writeFileSync(localPath, pdf);
+
+  if (process.env.CLOUDINARY_NAME) {
+    try {
+      const result = await cloudinary.uploader.upload(localPath, {
+        folder: 'certificates',
+        resource_type: 'raw',
+        public_id: filename,
+        use_filename: true,
+        unique_filename: false
+      });
+      try {
+        fs.unlinkSync(localPath);
+      } catch (e) {
+        console.warn('Could not delete local certificate file:', e.message);
+      }
+      return { fileUrl: result.secure_url, storage: 'cloudinary', cloudinaryPublicId: result.public_id };
+    } catch (uploadError) {
+      console.warn(`⚠️ Certificate ${certificate.verificationCode} upload to Cloudinary failed, keeping local copy:`, uploadError.message);
+    }
+  }
+
+  return { fileUrl: `/uploads/certificates/${filename}`, storage: 'local' };
+}
+
+// Email the certificate to the parent (non-blocking)
+const sendCertificate = (student, certificate) => {
+  (async () => {
+    const attachment = await getCertificateAttachment(certificate);
+    const result = await emailService.sendCertificateEmail(student, certificate, attachment);
+    if (result.success) {
+      await Certificate.updateOne({ _id: certificate._id }, { $set: { emailedAt: new Date() } });
+    }
+  })().catch(err => {
+    console.warn('⚠️ Failed to send certificate email:', err.message);
+  });
+};
+
+// ─── Issuing ──────────────────────────────────────────────────
+
+// The levelHistory entry a certificate belongs to: the latest completed one
+// for that level (graduation also accepts the open Level 12 entry)
+const historyEntryFor = (student, level) => {
+  const entries = student.levelHistory.filter(h => h.level === level);
+  return entries.reverse().find(h => h.completedDate) || entries[0] || null;
+};
+
+/**
+ * Issue a certificate for a level the student has completed (or their
+ * graduation), store the PDF, mark the levelHistory entry and email the
+ * parent. Issuing again for the same level returns the live certificate.
+ *
+ * @param {object|string} studentOrId
+ * @param {{level: number, type?: 'level'|'graduation', source: string, reviewId?, issuedBy?: string, email?: boolean}} options
+ * @returns {Promise<{certificate: Document, created: boolean} | {error: string, status?: number}>}
+ */
+async function issueCertificate(studentOrId, { level, type = 'level', source, reviewId, issuedBy, email = true }) {
+  const student = typeof studentOrId === 'object' && studentOrId.levelHistory
+    ? studentOrId
+    : await Student.findById(studentOrId);
+  if (!student) return { error: 'Student not found', status: 404 };
+  if (!Number.isInteger(level) || level < 1 || level > curriculumService.MAX_LEVEL) {
+    return { error: `level must be a whole number from 1 to ${curriculumService.MAX_LEVEL}` };
+  }
+  if (type === 'graduation' && (level !== curriculumService.MAX_LEVEL || student.enrollmentStatus !== 'graduated')) {
+    return { error: `${student.childName} has not graduated` };
+  }
+
+  const existing = await Certificate.findOne({ studentId: student._id, level, type, status: 'issued' });
+  if (existing) return { certificate: existing, created: false };
+
+  const entry = historyEntryFor(student, level);
+  if (type === 'level' && (!entry || !entry.completedDate)) {
+    return { error: `${student.childName} has not completed Level ${level}` };
+  }
+
+  const levelConfig = await curriculumService.getLevel(level);
+  const certificate = new Certificate({
+    verificationCode: generateVerificationCode(),
+    type,
+    studentId: student._id,
+    level,
+    childName: student.childName,
+    enrollmentId: student.enrollmentId,
+    levelTitle: levelConfig ? levelConfig.title : `Level ${level}`,
+    completedDate: (entry && entry.completedDate) || new Date(),
+    issuedAt: new Date(),
+    source,
+    reviewId,
+    issuedBy
+  });
+
+  const pdf = await renderCertificatePdf(certificate);
+  Object.assign(certificate, await storeCertificateFile(certificate, pdf));
+
+  try {
+    await certificate.save();
+  } catch (error) {
+    // Issued concurrently: keep the one that won
+    if (error.code === 11000) {
+      const winner = await Certificate.findOne({ studentId: student._id, level, type, status: 'issued' });
+      if (winner) return { certificate: winner, created: false };
+    }
+    throw error;
+  }
+
+  if (entry) {
+    await Student.updateOne(
+      { _id: student._id, 'levelHistory._id': entry._id },
+      { $set: { 'levelHistory.$.certificateIssued': true, 'levelHistory.$.certificateUrl': certificate.fileUrl } }
+    );
+    entry.certificateIssued = true;
+    entry.certificateUrl = certificate.fileUrl;
+  }
+
+  if (email) sendCertificate(student, certificate);
+  console.log(`🎓 Certificate ${certificate.verificationCode} issued to ${student.childName} (${type === 'graduation' ? 'graduation' : `Level ${level}`})`);
+  return { certificate, created: true };
+}
+
+/**
+ * Certificates for every student a committed promotion review advanced or
+ * graduated. Failures are logged per student so one bad record does not
+ * stop the rest. They are emailed by sendReviewCertificates once the undo
+ * window has closed.
+ *
+ * @returns {Promise<{issued: number, failed: number}>}
+ */
+async function issueReviewCertificates(review, { issuedBy } = {}) {
+  let issued = 0;
+  let failed = 0;
+
+  for (const outcome of review.outcomes) {
+    if (!outcome.before || !['advance', 'graduate'].includes(outcome.decision)) continue;
+    // Undone while certificates were still being issued
+    if (!(await PromotionReview.exists({ _id: review._id, status: 'committed' }))) break;
+
+    const graduated = outcome.decision === 'graduate';
+    try {
+      const result = await issueCertificate(outcome.studentId, {
+        level: outcome.before.currentLevel,
+        type: graduated ? 'graduation' : 'level',
+        source: 'promotion_review',
+        reviewId: review._id,
+        issuedBy,
+        email: false
+      });
+      if (result.error) {
+        console.warn(`⚠️ No certificate for ${outcome.childName}: ${result.error}`);
+        failed++;
+        continue;
+      }
+
+      // Undone while this one was being written: undo's revoke may have run first
+      const undone = await PromotionReview.undoneFor(review._id, outcome.studentId);
+      if (undone) {
+        await revokeReviewCertificates(review._id, [outcome.studentId], { revokedBy: undone.undoneBy });
+        break;
+      }
+      if (result.created) issued++;
+    } catch (error) {
+      console.error(`❌ Certificate for ${outcome.childName} failed:`, error.message);
+      failed++;
+    }
+  }
+
+  return { issued, failed };
+}
+
+/**
+ * Email a promotion review's certificates that have not gone out yet. Review
+ * certificates are held back until the review can no longer be undone.
+ *
+ * @returns {Promise<number>} certificates emailed
+ */
+async function sendReviewCertificates(reviewId) {
+  const certificates = await Certificate.find({ reviewId, status: 'issued', emailedAt: null });
+  let sent = 0;
+  for (const certificate of certificates) {
+    const student = await Student.findById(certificate.studentId);
+    if (!student) continue;
+
+    const attachment = await getCertificateAttachment(certificate);
+    const result = await emailService.sendCertificateEmail(student, certificate, attachment);
+    if (result.success) {
+      await Certificate.updateOne({ _id: certificate._id }, { $set: { emailedAt: new Date() } });
+      sent++;
+    }
+  }
+  return sent;
+}
+
+/**
+ * Revoke a promotion review's certificates for the given students (the
+ * review was undone, so they no longer completed the level)
+ *
+ * @returns {Promise<number>} certificates revoked
+ */
+async function revokeReviewCertificates(reviewId, studentIds, { revokedBy } = {}) {
+  if (!studentIds.length) return 0;
+  const result = await Certificate.updateMany(
+    { reviewId, studentId: { $in: studentIds }, status: 'issued' },
+    { $set: { status: 'revoked', revokedAt: new Date(), revokedBy, revokedReason: 'Promotion undone' } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Revoke one certificate and clear it from the student's levelHistory
+ *
+ * @returns {Promise<{certificate} | {error: string, status?: number}>}
+ */
+async function revokeCertificate(id, { revokedBy, reason } = {}) {
+  const certificate = await Certificate.findOneAndUpdate(
+    { _id: id, status: 'issued' },
+    { $set: { status: 'revoked', revokedAt: new Date(), revokedBy, revokedReason: reason } },
+    { new: true }
+  );
+  if (!certificate) {
+    const exists = await Certificate.exists({ _id: id });
+    return exists
+      ? { error: 'Certificate is already revoked', status: 409 }
+      : { error: 'Certificate not found', status: 404 };
+  }
+
+  await Student.updateOne(
+    { _id: certificate.studentId },
+    { $set: { 'levelHistory.$[entry].certificateIssued': false, 'levelHistory.$[entry].certificateUrl': null } },
+    { arrayFilters: [{ 'entry.certificateUrl': certificate.fileUrl }] }
+  );
+  return { certificate };
+}
+
+/**
+ * Public check of a verification code: what the certificate says and whether
+ * it is still valid. Nothing beyond what is printed on it is revealed.
+ *
+ * @returns {Promise<object|null>}
+ */
+async function verifyCertificate(code) {
+  const certificate = await Certificate.findOne({ verificationCode: normalizeCode(code) });
+  if (!certificate) return null;
+
+  return {
+    verificationCode: certificate.verificationCode,
+    valid: certificate.status === 'issued',
+    status: certificate.status,
+    type: certificate.type,
+    childName: certificate.childName,
+    enrollmentId: certificate.enrollmentId,
+    level: certificate.level,
+    levelTitle: certificate.levelTitle,
+    completedDate: certificate.completedDate,
+    issuedAt: certificate.issuedAt,
+    revokedAt: certificate.revokedAt || null,
+    academy: ACADEMY.name
+  };
+}
+
+module.exports = {
+  renderCertificatePdf,
+  certificateFilename,
+  getCertificateAttachment,
+  issueCertificate,
+  issueReviewCertificates,
+  sendReviewCertificates,
+  revokeReviewCertificates,
+  revokeCertificate,
+  verifyCertificate
+};
@@ -0,0 +1,204 @@
+const Level = require('../models/Level.model');
+
+// The 12-level curriculum. Every level 0–12 always exists: an admin-edited
+// Level document, or the default below (what getLevelConfig used to build).
+// Students' levelHistory entries record project completion and assessment
+// scores against it, and a level can require a passed assessment to advance.
+
+const MAX_LEVEL = 12;
+
+const defaultLevel = (level) => ({
+  level,
+  title: level === 0 ? 'Newbie' : `Level ${level}`,
+  description: level === 0
+    ? 'Not yet started the level journey'
+    : level === MAX_LEVEL ? 'Master Level - Graduation!' : `Level ${level} of ${MAX_LEVEL}`,
+  projects: [],
+  skills: [],
+  expectedSessions: null,
+  materials: [],
+  assessment: { rubric: [], passingPercentage: 60, requiredToAdvance: false }
+});
+
+// Stage of the journey a level stands for, as getLevelConfig always reported it
+const levelStatus = (level) => level === 0 ? 'not_started' : level === MAX_LEVEL ? 'graduation' : 'in_progress';
+
+const toPlain = (doc) => {
+  const plain = doc.toObject ? doc.toObject() : doc;
+  return { ...plain, label: plain.title, status: levelStatus(plain.level) };
+};
+
+const isLevelNumber = (level) => Number.isInteger(level) && level >= 0 && level <= MAX_LEVEL;
+
+/**
+ * Every level 0–12, stored curriculum over the defaults
+ */
+async function listLevels() {
+  const stored = await Level.find().sort({ level: 1 });
+  const byLevel = new Map(stored.map(doc => [doc.level, doc]));
+
+  const levels = [];
+  for (let level = 0; level <= MAX_LEVEL; level++) {
+    levels.push(toPlain(byLevel.get(level) || defaultLevel(level)));
+  }
+  return levels;
+}
+
+/**
+ * One level's curriculum (stored or default), or null for a level outside 0–12
+ */
+async function getLevel(level) {
+  if (!isLevelNumber(level)) return null;
+  const doc = await Level.findOne({ level });
+  return toPlain(doc || defaultLevel(level));
+}
+
+/**
+ * Validate and store a level's curriculum. Fields not sent keep their value.
+ *
+ * @returns {Promise<{level: object} | {error: string}>}
+ */
+async function saveLevel(level, changes = {}, { updatedBy } = {}) {
+  if (!isLevelNumber(level)) return { error: `level must be a whole number from 0 to ${MAX_LEVEL}` };
+
+  const current = await getLevel(level);
+  const next = {
+    title: changes.title !== undefined ? String(changes.title).trim() : current.title,
+    description: changes.description !== undefined ? changes.description : current.description,
+    projects: changes.projects !== undefined ? changes.projects : current.projects,
+    skills: changes.skills !== undefined ? changes.skills : current.skills,
+    expectedSessions: changes.expectedSessions !== undefined ? changes.expectedSessions : current.expectedSessions,
+    materials: changes.materials !== undefined ? changes.materials : current.materials,
+    assessment: { ...current.assessment, ...(changes.assessment || {}) }
+  };
+
+  if (!next.title) return { error: 'title is required' };
+  if (!Array.isArray(next.projects) || next.projects.some(p => !p || !p.key || !p.title)) {
+    return { error: 'Each project needs a key and a title' };
+  }
+  const keys = next.projects.map(p => String(p.key).trim());
+  if (new Set(keys).size !== keys.length) return { error: 'Project keys must be unique within a level' };
+  if (!Array.isArray(next.skills) || !Array.isArray(next.materials) || next.materials.some(m => !m || !m.name)) {
+    return { error: 'skills must be a list, and each material needs a name' };
+  }
+  if (next.expectedSessions !== null && !(Number.isInteger(next.expectedSessions) && next.expectedSessions >= 0)) {
+    return { error: 'expectedSessions must be a whole number or null' };
+  }
+  const { rubric, passingPercentage, requiredToAdvance } = next.assessment;
+  if (!Array.isArray(rubric) || rubric.some(r => !r || !r.criterion || !(r.maxScore >= 1))) {
+    return { error: 'Each rubric criterion needs a name and a maxScore of at least 1' };
+  }
+  if (!(passingPercentage >= 0 && passingPercentage <= 100)) {
+    return { error: 'assessment.passingPercentage must be between 0 and 100' };
+  }
+  if (requiredToAdvance && rubric.length === 0) {
+    return { error: 'A level that requires an assessment to advance needs a rubric' };
+  }
+
+  const doc = await Level.findOneAndUpdate(
+    { level },
+    { $set: { ...next, level, updatedBy } },
+    { upsert: true, new: true, runValidators: true }
+  );
+  return { level: toPlain(doc) };
+}
+
+// The open levelHistory entry for the student's current level
+const currentEntry = (student) =>
+  student.levelHistory.find(h => h.level === student.currentLevel && !h.completedDate);
+
+/**
+ * Mark a project of the student's current level done (or not done)
+ *
+ * @returns {Promise<{entry} | {error: string}>}
+ */
+async function recordProject(student, projectKey, { completed = true, notes, recordedBy } = {}) {
+  const entry = currentEntry(student);
+  if (!entry) return { error: 'Student has no level in progress' };
+
+  const level = await getLevel(student.currentLevel);
+  const project = level.projects.find(p => p.key === projectKey);
+  if (!project) return { error: `Level ${student.currentLevel} has no project "${projectKey}"` };
+
+  entry.projects = entry.projects.filter(p => p.key !== projectKey);
+  if (completed) {
+    entry.projects.push({ key: project.key, title: project.title, completedAt: new Date(), recordedBy, notes });
+  }
+  await student.save();
+  return { entry };
+}
+
+/**
+ * Score the student's current-level assessment against the level's rubric.
+ * `scores` is [{ criterion, score }] covering every rubric criterion.
+ *
+ * @returns {Promise<{entry, assessment} | {error: string}>}
+ */
+async function recordAssessment(student, scores, { assessedBy, notes } = {}) {
+  const entry = currentEntry(student);
+  if (!entry) return { error: 'Student has no level in progress' };
+
+  const level = await getLevel(student.currentLevel);
+  const { rubric, passingPercentage } = level.assessment;
+  if (rubric.length === 0) return { error: `Level ${student.currentLevel} has no assessment rubric` };
+  if (!Array.isArray(scores)) return { error: 'scores array is required' };
+
+  const scored = [];
+  for (const item of rubric) {
+    const given = scores.find(s => s && s.criterion === item.criterion);
+    if (!given || !(given.score >= 0 && given.score <= item.maxScore)) {
+      return { error: `"${item.criterion}" needs a score from 0 to ${item.maxScore}` };
+    }
+    scored.push({ criterion: item.criterion, score: Number(given.score), maxScore: item.maxScore });
+  }
+
+  const totalScore = scored.reduce((sum, s) => sum + s.score, 0);
+  const maxScore = scored.reduce((sum, s) => sum + s.maxScore, 0);
+  const percentage = Math.round((totalScore / maxScore) * 100);
+  entry.assessment = {
+    scores: scored,
+    totalScore,
+    maxScore,
+    percentage,
+    passed: percentage >= passingPercentage,
+    assessedAt: new Date(),
+    assessedBy,
+    notes
+  };
+  await student.save();
+  return { entry, assessment: entry.assessment };
+}
+
+/**
+ * Whether the student may leave their current level. Levels with
+ * assessment.requiredToAdvance need a passed assessment first.
+ *
+ * @returns {Promise<{ok: true} | {ok: false, error: string}>}
+ */
+async function checkAdvancement(student) {
+  const level = await getLevel(student.currentLevel);
+  if (!level || !level.assessment.requiredToAdvance) return { ok: true };
+
+  const entry = currentEntry(student);
+  const assessment = entry && entry.assessment;
+  if (!assessment || !assessment.assessedAt) {
+    return { ok: false, error: `Level ${student.currentLevel} needs its assessment recorded before advancing` };
+  }
+  if (!assessment.passed) {
+    return {
+      ok: false,
+      error: `Level ${student.currentLevel} assessment not passed (${assessment.percentage}%, needs ${level.assessment.passingPercentage}%)`
+    };
+  }
+  return { ok: true };
+}
+
+module.exports = {
+  MAX_LEVEL,
+  listLevels,
+  getLevel,
+  saveLevel,
+  recordProject,
+  recordAssessment,
+  checkAdvancement
+};
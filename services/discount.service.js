@@ -0,0 +1,227 @@
+const Coupon = require('../models/Coupon.model');
+const Concession = require('../models/Concession.model');
+const DiscountRedemption = require('../models/DiscountRedemption.model');
+const { getMonthlyFee } = require('./feePlan.service');
+
+const isValidOn = (rule, date) =>
+  rule.isActive &&
+  (!rule.validFrom || rule.validFrom <= date) &&
+  (!rule.validTo || rule.validTo >= date);
+
+/**
+ * Rupees off `amount` for a percentage/flat rule, never more than the amount itself
+ */
+function calculateAmountOff(rule, amount) {
+  let off = rule.discountType === 'percentage'
+    ? (amount * rule.value) / 100
+    : rule.value;
+
+  if (rule.maxDiscount !== null && rule.maxDiscount !== undefined) {
+    off = Math.min(off, rule.maxDiscount);
+  }
+  return Math.max(0, Math.min(Math.round(off), amount));
+}
+
+/**
+ * Active standing concessions for a student in a pricing context
+ */
+async function findActiveConcessions(studentId, context, date = new Date()) {
+  if (!studentId) return [];
+  const concessions = await Concession.find({
+    studentId,
+    isActive: true,
+    appliesTo: context
+  }).sort({ createdAt: 1 });
+  return concessions.filter(c => isValidOn(c, date));
+}
+
+/**
+ * Look up a coupon code and check it can be used here.
+ *
+ * @returns {Promise<{coupon: Document} | {error: string}>}
+ */
+async function findValidCoupon(code, { context, amount, studentId, date = new Date() }) {
+  const coupon = await Coupon.findOne({ code: String(code).toUpperCase().trim() });
+
+  if (!coupon || !isValidOn(coupon, date)) {
+    return { error: 'Invalid or expired coupon code' };
+  }
+  if (!coupon.appliesTo.includes(context)) {
+    return { error: 'This coupon cannot be used for this payment' };
+  }
+  if (coupon.minAmount && amount < coupon.minAmount) {
+    return { error: `This coupon needs a minimum amount of ₹${coupon.minAmount}` };
+  }
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    return { error: 'This coupon has reached its usage limit' };
+  }
+  if (coupon.perStudentLimit !== null && studentId) {
+    const used = await DiscountRedemption.countDocuments({
+      couponId: coupon._id,
+      studentId,
+      status: 'redeemed'
+    });
+    if (used >= coupon.perStudentLimit) {
+      return { error: 'This coupon has already been used for this student' };
+    }
+  }
+
+  return { coupon };
+}
+
+/**
+ * Price an amount: standing concessions first, then any discount lines already
+ * settled on the bill (a month's holiday credit), then an optional coupon on
+ * what is left.
+ *
+ * @param {object} opts { grossAmount, context, studentId?, couponCode?, fixedDiscounts? }
+ * @returns {Promise<{grossAmount, discountAmount, netAmount, discounts, coupon} | {error: string}>}
+ */
+async function applyDiscounts({ grossAmount, context, studentId, couponCode, fixedDiscounts = [] }) {
+  const now = new Date();
+  const discounts = [];
+  let remaining = grossAmount;
+
+  const concessions = await findActiveConcessions(studentId, context, now);
+  for (const concession of concessions) {
+    const off = calculateAmountOff(concession, remaining);
+    if (off <= 0) continue;
+    remaining -= off;
+    discounts.push({ source: 'concession', refId: concession._id, code: null, name: concession.name, amount: off });
+  }
+
+  for (const line of fixedDiscounts) {
+    const off = Math.min(line.amount || 0, remaining);
+    if (off <= 0) continue;
+    remaining -= off;
+    discounts.push({ source: line.source, refId: line.refId || null, code: line.code || null, name: line.name, amount: off });
+  }
+
+  let coupon = null;
+  if (couponCode) {
+    const result = await findValidCoupon(couponCode, { context, amount: remaining, studentId, date: now });
+    if (result.error) return { error: result.error };
+
+    coupon = result.coupon;
+    const off = calculateAmountOff(coupon, remaining);
+    remaining -= off;
+    discounts.push({ source: 'coupon', refId: coupon._id, code: coupon.code, name: coupon.name, amount: off });
+  }
+
+  return {
+    grossAmount,
+    discountAmount: grossAmount - remaining,
+    netAmount: remaining,
+    discounts,
+    coupon
+  };
+}
+
+/**
+ * Monthly fee for a student with standing concessions applied (no coupon).
+ * Used wherever a FeeRecord is billed.
+ *
+ * @returns {Promise<{amount, grossAmount, discountAmount, discounts, kitFee, feePlan}>}
+ */
+async function priceMonthlyFee(student, { month, year } = {}) {
+  const fee = await getMonthlyFee(student, { month, year });
+  const pricing = await applyDiscounts({
+    grossAmount: fee.amount,
+    context: 'monthly_fee',
+    studentId: student._id
+  });
+
+  return {
+    amount: pricing.netAmount,
+    grossAmount: pricing.grossAmount,
+    discountAmount: pricing.discountAmount,
+    discounts: pricing.discounts,
+    kitFee: fee.kitFee,
+    feePlan: fee.feePlan
+  };
+}
+
+/**
+ * Remember the discount priced into a Razorpay order (no-op without a discount)
+ */
+async function recordPendingDiscount({ razorpayOrderId, context, studentId, registrationId, pricing }) {
+  if (!pricing || pricing.discountAmount <= 0) return null;
+
+  return DiscountRedemption.create({
+    razorpayOrderId,
+    context,
+    studentId: studentId || null,
+    registrationId: registrationId || null,
+    couponId: pricing.coupon ? pricing.coupon._id : null,
+    couponCode: pricing.coupon ? pricing.coupon.code : null,
+    grossAmount: pricing.grossAmount,
+    discountAmount: pricing.discountAmount,
+    netAmount: pricing.netAmount,
+    discounts: pricing.discounts
+  });
+}
+
+/**
+ * Mark the discount on a paid order as redeemed and count the coupon use.
+ * Idempotent — the verification endpoint and the webhook can both call it.
+ * Enrollment orders are priced before the student exists; pass `studentId`
+ * so per-student coupon limits can count them. Pass `session` to redeem as
+ * part of a transaction.
+ *
+ * @returns {Promise<Document|null>} the redemption, or null if the order had no discount
+ */
+async function redeemDiscount(razorpayOrderId, { studentId, session = null } = {}) {
+  if (!razorpayOrderId) return null;
+
+  const update = { status: 'redeemed', redeemedAt: new Date() };
+  if (studentId) update.studentId = studentId;
+
+  const redeemed = await DiscountRedemption.findOneAndUpdate(
+    { razorpayOrderId, status: 'pending' },
+    { $set: update },
+    { new: true, session }
+  );
+
+  if (redeemed) {
+    if (redeemed.couponId) {
+      // Guarded so concurrent redemptions can't push usedCount past the limit
+      const counted = await Coupon.updateOne(
+        {
+          _id: redeemed.couponId,
+          $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+        },
+        { $inc: { usedCount: 1 } },
+        { session }
+      );
+      if (counted.matchedCount === 0) {
+        // Another order used the last redemption while this one was being
+        // paid. The parent has already paid the discounted amount, so the
+        // discount stands; flag it for the admin instead of over-counting.
+        redeemed.overLimit = true;
+        await DiscountRedemption.updateOne({ _id: redeemed._id }, { $set: { overLimit: true } }, { session });
+        console.warn(`⚠️ Coupon ${redeemed.couponCode} redeemed over its usage limit on order ${razorpayOrderId}`);
+      }
+    }
+    return redeemed;
+  }
+
+  if (studentId) {
+    const attached = await DiscountRedemption.findOneAndUpdate(
+      { razorpayOrderId, studentId: null },
+      { $set: { studentId } },
+      { new: true, session }
+    );
+    if (attached) return attached;
+  }
+  return DiscountRedemption.findOne({ razorpayOrderId }).session(session);
+}
+
+module.exports = {
+  calculateAmountOff,
+  findActiveConcessions,
+  findValidCoupon,
+  applyDiscounts,
+  priceMonthlyFee,
+  recordPendingDiscount,
+  redeemDiscount
+};
@@ -1,4 +1,5 @@
 const nodemailer = require('nodemailer');
+const { getMonthlyFee } = require('./feePlan.service');
 
 class EmailService {
   constructor() {
@@ -278,22 +279,47 @@ class EmailService {
   }
 
   /**
-   * Send fee reminder email to parent
+   * Send fee reminder email to parent.
+   * stage: 'upcoming' | 'due' | 'overdue' sets the wording; lateFee adds a late-fee line.
    */
-  async sendFeeReminderEmail(student, feeMonth, feeYear, dueDate) {
+  async sendFeeReminderEmail(student, feeMonth, feeYear, dueDate, amount, { stage = 'upcoming', lateFee = 0 } = {}) {
     if (!student.email) {
       console.log(`[MOCK EMAIL] Fee reminder to ${student.parentName} (no email)`);
       return { success: false, error: 'No email address' };
     }
 
     try {
-      const monthlyFee = student.classType === 'offline' ? 2500 : 2200;
+      const monthlyFee = amount || (await getMonthlyFee(student, { month: feeMonth, year: feeYear })).amount;
+      const totalDue = monthlyFee + (lateFee || 0);
       const paymentLink = `${process.env.WEBSITE_URL || 'https://www.lilsculpr.com'}/fee-payment.html`;
 
+      // Escalating wording: upcoming (before the due date) → due (on the day) → overdue
+      const stageCopy = {
+        upcoming: {
+          subject: `📅 Monthly Fee Reminder - ${student.childName} | Lil Sculpr Academy`,
+          heading: '🎨 Monthly Fee Reminder',
+          intro: `This is a friendly reminder that the monthly fee for <strong>${student.childName}</strong> is due on <strong>${dueDate}</strong>.`,
+          closing: 'Please make the payment before the due date to ensure uninterrupted classes.'
+        },
+        due: {
+          subject: `⏰ Monthly Fee Due Today - ${student.childName} | Lil Sculpr Academy`,
+          heading: '⏰ Monthly Fee Due Today',
+          intro: `The monthly fee for <strong>${student.childName}</strong> is due today.`,
+          closing: 'Please make the payment today to ensure uninterrupted classes.'
+        },
+        overdue: {
+          subject: `⚠️ Monthly Fee Overdue - ${student.childName} | Lil Sculpr Academy`,
+          heading: '⚠️ Monthly Fee Overdue',
+          intro: `The monthly fee for <strong>${student.childName}</strong> for ${feeMonth} ${feeYear} is now overdue.`,
+          closing: 'Please clear the pending fee at the earliest. Continued non-payment may lead to classes being paused.'
+        }
+      };
+      const copy = stageCopy[stage] || stageCopy.upcoming;
+
       const mailOptions = {
         from: this.from,
         to: student.email,
-        subject: `📅 Monthly Fee Reminder - ${student.childName} | Lil Sculpr Academy`,
+        subject: copy.subject,
         html: `
           <!DOCTYPE html>
           <html>
@@ -312,24 +338,30 @@ class EmailService {
           <body>
             <div class="container">
               <div class="header">
-                <h2>🎨 Monthly Fee Reminder</h2>
+                <h2>${copy.heading}</h2>
                 <p>Lil Sculpr Clay Modelling Academy</p>
               </div>
               <div class="content">
                 <p>Dear <strong>${student.parentName}</strong>,</p>
                 
-                <p>This is a friendly reminder that the monthly fee for <strong>${student.childName}</strong> is due.</p>
+                <p>${copy.intro}</p>
                 
                 <div class="fee-box">
                   <h3>📋 Fee Details</h3>
                   <p><strong>Student:</strong> ${student.childName}</p>
                   <p><strong>Enrollment ID:</strong> ${student.enrollmentId}</p>
                   <p><strong>Month:</strong> ${feeMonth} ${feeYear}</p>
+                  ${lateFee ? `
+                  <p><strong>Monthly Fee:</strong> ₹${monthlyFee.toLocaleString('en-IN')}</p>
+                  <p><strong>Late Fee:</strong> ₹${lateFee.toLocaleString('en-IN')}</p>
+                  <p><strong>Total Due:</strong> <span class="fee-amount">₹${totalDue.toLocaleString('en-IN')}</span></p>
+                  ` : `
                   <p><strong>Amount:</strong> <span class="fee-amount">₹${monthlyFee.toLocaleString('en-IN')}</span></p>
+                  `}
                   <p><strong>Due Date:</strong> ${dueDate}</p>
                 </div>
                 
-                <p>Please make the payment before the due date to ensure uninterrupted classes.</p>
+                <p>${copy.closing}</p>
                 
                 <div style="text-align: center;">
                   <a href="${paymentLink}" class="button">💳 Pay Now</a>
@@ -354,7 +386,7 @@ class EmailService {
       };
 
       if (this.isMock) {
-        console.log(`[MOCK EMAIL] Fee reminder to ${student.email}`);
+        console.log(`[MOCK EMAIL] Fee reminder (${stage}) to ${student.email}`);
         return { success: true, messageId: `mock-${Date.now()}` };
       }
 
@@ -369,9 +401,9 @@ class EmailService {
   }
 
   /**
-   * Send fee payment confirmation email
+   * Send fee payment confirmation email (with the PDF receipt when given)
    */
-  async sendFeePaymentConfirmation(student, feeRecord) {
+  async sendFeePaymentConfirmation(student, feeRecord, { receipt = null, attachments = [] } = {}) {
     if (!student.email) {
       console.log(`[MOCK EMAIL] Fee confirmation to ${student.parentName} (no email)`);
       return { success: false, error: 'No email address' };
@@ -416,10 +448,12 @@ class EmailService {
                   <p><strong>Amount:</strong> <span class="fee-amount">₹${feeRecord.amount.toLocaleString('en-IN')}</span></p>
                   <p><strong>Payment Method:</strong> ${feeRecord.paymentMethod}</p>
                   <p><strong>Payment Date:</strong> ${new Date(feeRecord.paidAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })}</p>
+                  ${receipt ? `<p><strong>Receipt No:</strong> ${receipt.receiptNumber}</p>` : ''}
                   <p><span class="status-badge">✅ PAID</span></p>
                 </div>
                 
                 <p>Thank you for your timely payment! Your child's classes will continue without any interruption.</p>
+                ${attachments.length ? '<p>Your payment receipt is attached to this email.</p>' : ''}
                 
                 <p>Best regards,<br><strong>The Lil Sculpr Team</strong></p>
               </div>
@@ -429,11 +463,12 @@ class EmailService {
             </div>
           </body>
           </html>
-        `
+        `,
+        attachments
       };
 
       if (this.isMock) {
-        console.log(`[MOCK EMAIL] Fee confirmation to ${student.email}`);
+        console.log(`[MOCK EMAIL] Fee confirmation to ${student.email}${attachments.length ? ' (receipt attached)' : ''}`);
         return { success: true, messageId: `mock-${Date.now()}` };
       }
 
@@ -795,6 +830,10 @@ class EmailService {
                 <p style="color: #6b7280; font-size: 14px;">
                   For any queries, contact us at <strong>+91 96 00 44 31 85</strong> or <strong>lilsculpr@gmail.com</strong>
                 </p>
+                ${data.cancellationToken ? `
+                <p style="color: #6b7280; font-size: 13px;">
+                  Can't make it? <a href="${process.env.WEBSITE_URL || 'https://www.lilsculpr.com'}/workshop-cancel.html?registrationId=${encodeURIComponent(data.registrationId)}&token=${data.cancellationToken}" style="color: #4f46e5;">Request a cancellation</a>. Please keep this link private.
+                </p>` : ''}
               </div>
               <div class="footer">
                 <p>© ${new Date().getFullYear()} Lil Sculpr Clay Academy. All rights reserved.</p>
@@ -802,7 +841,8 @@ class EmailService {
             </div>
           </body>
           </html>
-        `
+        `,
+        attachments: data.attachments || []
       };
 
       const info = await this.transporter.sendMail(mailOptions);
@@ -910,9 +950,9 @@ class EmailService {
   }
 
   /**
-   * Send flexi-batch confirmation email to parent
+   * Send flexi-batch confirmation email to parent (with the enrollment receipt when given)
    */
-  async sendFlexiBatchConfirmation(student, flexiBatch) {
+  async sendFlexiBatchConfirmation(student, flexiBatch, { attachments = [] } = {}) {
     if (this.isMock) {
       console.log(`[MOCK EMAIL] Flexi-batch confirmation to ${student.email}`);
       return { success: true, messageId: `mock-${Date.now()}` };
@@ -988,7 +1028,8 @@ class EmailService {
             </div>
           </body>
           </html>
-        `
+        `,
+        attachments
       };
 
       const info = await this.transporter.sendMail(mailOptions);
@@ -1000,6 +1041,417 @@ class EmailService {
       return { success: false, error: error.message };
     }
   }
+
+  /**
+   * Email a (re)issued receipt PDF to the payer
+   */
+  async sendReceiptEmail(toEmail, receipt, attachment) {
+    if (!toEmail) {
+      return { success: false, error: 'No email address' };
+    }
+
+    try {
+      const mailOptions = {
+        from: this.from,
+        to: toEmail,
+        subject: `🧾 Payment Receipt ${receipt.receiptNumber} | Lil Sculpr Academy`,
+        html: `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+              .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background: linear-gradient(135deg, #9C29B2, #B84DD1); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+              .content { padding: 30px; background: #f9f9f9; }
+              .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <h2>🧾 Payment Receipt</h2>
+                <p>Lil Sculpr Clay Modelling Academy</p>
+              </div>
+              <div class="content">
+                <p>Dear <strong>${receipt.billedTo?.name || 'Parent'}</strong>,</p>
+                <p>Please find attached receipt <strong>${receipt.receiptNumber}</strong> for your payment of <strong>₹${Number(receipt.totalAmount).toLocaleString('en-IN')}</strong>.</p>
+                <p>Best regards,<br><strong>The Lil Sculpr Team</strong></p>
+              </div>
+              <div class="footer">
+                <p>© ${new Date().getFullYear()} Lil Sculpr Academy. All rights reserved.</p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `,
+        attachments: [attachment]
+      };
+
+      if (this.isMock) {
+        console.log(`[MOCK EMAIL] Receipt ${receipt.receiptNumber} to ${toEmail}`);
+        return { success: true, messageId: `mock-${Date.now()}` };
+      }
+
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log(`✅ Receipt ${receipt.receiptNumber} sent to ${toEmail}`);
+      return { success: true, messageId: info.messageId };
+
+    } catch (error) {
+      console.error('❌ Receipt email error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send a level completion / graduation certificate PDF to the parent
+   */
+  async sendCertificateEmail(student, certificate, attachment) {
+    if (!student.email) {
+      return { success: false, error: 'No email address' };
+    }
+
+    const achievement = certificate.type === 'graduation'
+      ? 'graduated from the Lil Sculpr level journey'
+      : `completed Level ${certificate.level}${certificate.levelTitle && certificate.levelTitle !== `Level ${certificate.level}` ? ` (${certificate.levelTitle})` : ''}`;
+
+    try {
+      const mailOptions = {
+        from: this.from,
+        to: student.email,
+        subject: `🎓 ${certificate.childName}'s ${certificate.type === 'graduation' ? 'Graduation' : `Level ${certificate.level}`} Certificate | Lil Sculpr Academy`,
+        html: `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+              .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background: linear-gradient(135deg, #9C29B2, #B84DD1); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+              .content { padding: 30px; background: #f9f9f9; }
+              .code { font-family: monospace; font-size: 16px; background: white; border: 1px solid #e0e0e0; border-radius: 5px; padding: 4px 10px; }
+              .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <h2>🎓 Congratulations!</h2>
+                <p>Lil Sculpr Clay Modelling Academy</p>
+              </div>
+              <div class="content">
+                <p>Dear <strong>${student.parentName || 'Parent'}</strong>,</p>
+                <p>We are proud to share that <strong>${certificate.childName}</strong> has ${achievement}! 🎉</p>
+                <p>The certificate is attached to this email and is also available in the parent portal.</p>
+                <p>Verification code: <span class="code">${certificate.verificationCode}</span></p>
+                <p>Best regards,<br><strong>The Lil Sculpr Team</strong></p>
+              </div>
+              <div class="footer">
+                <p>© ${new Date().getFullYear()} Lil Sculpr Academy. All rights reserved.</p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `,
+        attachments: [attachment]
+      };
+
+      if (this.isMock) {
+        console.log(`[MOCK EMAIL] Certificate ${certificate.verificationCode} for ${certificate.childName} to ${student.email}`);
+        return { success: true, messageId: `mock-${Date.now()}` };
+      }
+
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log(`✅ Certificate ${certificate.verificationCode} sent to ${student.email}`);
+      return { success: true, messageId: info.messageId };
+
+    } catch (error) {
+      console.error('❌ Certificate email error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send a compiled monthly or level progress report to the parent
+   */
+  async sendProgressReportEmail(student, report) {
+    if (!student.email) {
+      return { success: false, error: 'No email address' };
+    }
+
+    const stars = (value) => value === null || value === undefined
+      ? '—'
+      : `${'★'.repeat(Math.round(value))}${'☆'.repeat(5 - Math.round(value))} (${value}/5)`;
+    const formatDate = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', timeZone: 'UTC' });
+    const { attendance, ratings } = report;
+
+    try {
+      const mailOptions = {
+        from: this.from,
+        to: student.email,
+        subject: `📒 ${report.childName}'s Progress Report — ${report.label} | Lil Sculpr Academy`,
+        html: `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+              .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background: linear-gradient(135deg, #9C29B2, #B84DD1); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+              .content { padding: 30px; background: #f9f9f9; }
+              .report-box { background: white; border: 1px solid #e0e0e0; border-radius: 8px; padding: 20px; margin: 20px 0; }
+              .comment { border-left: 3px solid #B84DD1; padding-left: 12px; margin: 10px 0; }
+              .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <h2>📒 Progress Report</h2>
+                <p>${report.childName} — ${report.label}</p>
+              </div>
+              <div class="content">
+                <p>Dear <strong>${student.parentName || 'Parent'}</strong>,</p>
+                <p>Here is how <strong>${report.childName}</strong> got on ${report.type === 'level' ? `during Level ${report.level}` : `in ${report.label}`}.</p>
+
+                <div class="report-box">
+                  <h3>📅 Attendance</h3>
+                  <p>${attendance.rate === null ? 'No classes were marked in this period.' : `${attendance.present} class(es) attended, ${attendance.absent} missed (${attendance.rate}%)`}</p>
+                  ${report.notesCount ? `
+                  <h3>⭐ Instructor Ratings</h3>
+                  <p><strong>Skills:</strong> ${stars(ratings.skills)}<br>
+                  <strong>Behaviour:</strong> ${stars(ratings.behaviour)}<br>
+                  <strong>Effort:</strong> ${stars(ratings.effort)}</p>` : ''}
+                  ${report.skillsPracticed.length ? `<h3>🎨 Skills Practised</h3><p>${report.skillsPracticed.join(', ')}</p>` : ''}
+                  ${report.projects.length ? `<h3>🏺 Projects Completed</h3><p>${report.projects.map(p => p.title).join(', ')}</p>` : ''}
+                  ${report.assessment && report.assessment.percentage !== undefined ? `<h3>📝 Level Assessment</h3><p>${report.assessment.percentage}% — ${report.assessment.passed ? 'Passed' : 'Not yet passed'}</p>` : ''}
+                  ${report.portfolioCount ? `<p>📸 ${report.portfolioCount} new piece(s) added to the portfolio — see them in the parent portal.</p>` : ''}
+                </div>
+
+                ${report.comments.length ? `
+                <h3>💬 From the Instructor</h3>
+                ${report.comments.map(c => `<div class="comment"><strong>${formatDate(c.date)}:</strong> ${c.comment}</div>`).join('')}` : ''}
+
+                <p>You can see all reports in the parent portal.</p>
+                <p>Best regards,<br><strong>The Lil Sculpr Team</strong></p>
+              </div>
+              <div class="footer">
+                <p>© ${new Date().getFullYear()} Lil Sculpr Academy. All rights reserved.</p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      };
+
+      if (this.isMock) {
+        console.log(`[MOCK EMAIL] Progress report ${report.label} for ${report.childName} to ${student.email}`);
+        return { success: true, messageId: `mock-${Date.now()}` };
+      }
+
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log(`✅ Progress report ${report.label} for ${report.childName} sent to ${student.email}`);
+      return { success: true, messageId: info.messageId };
+
+    } catch (error) {
+      console.error('❌ Progress report email error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Tell the parent a workshop registration was refunded and/or cancelled
+   */
+  async sendWorkshopRefundEmail(registration, { amount = 0, cancelled = true } = {}) {
+    if (!registration.email) {
+      return { success: false, error: 'No email address' };
+    }
+
+    const workshopDate = registration.selectedDate
+      ? new Date(registration.selectedDate).toLocaleDateString('en-IN', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })
+      : '';
+    const title = cancelled ? 'Registration Cancelled' : 'Refund Issued';
+
+    try {
+      const mailOptions = {
+        from: this.from,
+        to: registration.email,
+        subject: `${title}: ${registration.carnivalName} (${registration.registrationId}) | Lil Sculpr`,
+        html: `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+              .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background: linear-gradient(135deg, #9C29B2, #B84DD1); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+              .content { padding: 30px; background: #f9f9f9; }
+              .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <h2>${title}</h2>
+                <p>${registration.carnivalName}</p>
+              </div>
+              <div class="content">
+                <p>Dear <strong>${registration.parentName}</strong>,</p>
+                ${cancelled
+                  ? `<p>The registration <strong>${registration.registrationId}</strong> for <strong>${registration.childName}</strong>${workshopDate ? ` on ${workshopDate}` : ''} has been cancelled.</p>`
+                  : `<p>A refund has been issued for registration <strong>${registration.registrationId}</strong> (${registration.childName}).</p>`}
+                ${amount > 0
+                  ? `<p>A refund of <strong>₹${Number(amount).toLocaleString('en-IN')}</strong> has been initiated to your original payment method. It usually reaches your account within 5–7 working days.</p>`
+                  : '<p>As per our cancellation policy, this cancellation is not eligible for a refund.</p>'}
+                <p>Best regards,<br><strong>The Lil Sculpr Team</strong></p>
+              </div>
+              <div class="footer">
+                <p>© ${new Date().getFullYear()} Lil Sculpr Academy. All rights reserved.</p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      };
+
+      if (this.isMock) {
+        console.log(`[MOCK EMAIL] ${title} (₹${amount}) for ${registration.registrationId} to ${registration.email}`);
+        return { success: true, messageId: `mock-${Date.now()}` };
+      }
+
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log(`✅ Refund email sent for ${registration.registrationId}`);
+      return { success: true, messageId: info.messageId };
+
+    } catch (error) {
+      console.error('❌ Refund email error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Workshop waitlist: confirmation that the child is in the queue
+   */
+  async sendWaitlistJoinedEmail(entry, { position } = {}) {
+    const workshopDate = new Date(entry.selectedDate).toLocaleDateString('en-IN', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+
+    try {
+      const mailOptions = {
+        from: this.from,
+        to: entry.email,
+        subject: `You're on the waitlist: ${entry.carnivalName} | Lil Sculpr`,
+        html: `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+              .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background: linear-gradient(135deg, #9C29B2, #B84DD1); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+              .content { padding: 30px; background: #f9f9f9; }
+              .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <h2>You're on the Waitlist 📋</h2>
+                <p>${entry.carnivalName}</p>
+              </div>
+              <div class="content">
+                <p>Dear <strong>${entry.parentName}</strong>,</p>
+                <p><strong>${entry.childName}</strong> is on the waitlist for <strong>${entry.selectedBatch}</strong> on ${workshopDate}${position ? ` (position #${position})` : ''}.</p>
+                <p>If a seat frees up we will email you a link that holds it for your child for a limited time, so please keep an eye on your inbox.</p>
+                <p>Best regards,<br><strong>The Lil Sculpr Team</strong></p>
+              </div>
+              <div class="footer">
+                <p>© ${new Date().getFullYear()} Lil Sculpr Academy. All rights reserved.</p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      };
+
+      if (this.isMock) {
+        console.log(`[MOCK EMAIL] Waitlist #${position} for ${entry.childName} (${entry.carnivalName}) to ${entry.email}`);
+        return { success: true, messageId: `mock-${Date.now()}` };
+      }
+
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log(`✅ Waitlist email sent to ${entry.email}`);
+      return { success: true, messageId: info.messageId };
+
+    } catch (error) {
+      console.error('❌ Waitlist email error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Workshop waitlist: a seat is being held for the child until expiresAt
+   */
+  async sendWaitlistOfferEmail(entry, { offerUrl, expiresAt, offerMinutes, amount } = {}) {
+    const workshopDate = new Date(entry.selectedDate).toLocaleDateString('en-IN', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+    const holdUntil = new Date(expiresAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', hour: 'numeric', minute: '2-digit', day: 'numeric', month: 'short' });
+
+    try {
+      const mailOptions = {
+        from: this.from,
+        to: entry.email,
+        subject: `A seat is available: ${entry.carnivalName} | Lil Sculpr`,
+        html: `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+              .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background: linear-gradient(135deg, #9C29B2, #B84DD1); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+              .content { padding: 30px; background: #f9f9f9; }
+              .button { display: inline-block; background: #9C29B2; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin-top: 20px; }
+              .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <h2>A Seat Opened Up! 🎉</h2>
+                <p>${entry.carnivalName}</p>
+              </div>
+              <div class="content">
+                <p>Dear <strong>${entry.parentName}</strong>,</p>
+                <p>Good news — a seat is now available for <strong>${entry.childName}</strong> in <strong>${entry.selectedBatch}</strong> on ${workshopDate}.</p>
+                <p>We are holding it for you for <strong>${offerMinutes} minutes</strong> (until ${holdUntil}).${amount ? ` Complete the payment of <strong>₹${Number(amount).toLocaleString('en-IN')}</strong> to confirm the seat.` : ''}</p>
+                <p style="text-align: center;">
+                  <a href="${offerUrl}" class="button">🎟️ Claim the Seat</a>
+                </p>
+                <p>If you no longer need it, you can ignore this email and the seat will pass to the next family after the hold ends.</p>
+                <p>Best regards,<br><strong>The Lil Sculpr Team</strong></p>
+              </div>
+              <div class="footer">
+                <p>© ${new Date().getFullYear()} Lil Sculpr Academy. All rights reserved.</p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      };
+
+      if (this.isMock) {
+        console.log(`[MOCK EMAIL] Waitlist offer for ${entry.childName} (${entry.carnivalName}) to ${entry.email}: ${offerUrl}`);
+        return { success: true, messageId: `mock-${Date.now()}` };
+      }
+
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log(`✅ Waitlist offer email sent to ${entry.email}`);
+      return { success: true, messageId: info.messageId };
+
+    } catch (error) {
+      console.error('❌ Waitlist offer email error:', error);
+      return { success: false, error: error.message };
+    }
+  }
 }
 
 module.exports = new EmailService();
\ No newline at end of file
@@ -0,0 +1,265 @@
+const Student = require('../models/student.model');
+const FeeRecord = require('../models/FeeRecord.model');
+const HouseholdPayment = require('../models/HouseholdPayment.model');
+const emailService = require('./email.service');
+const { syncStudentPaymentStatus } = require('./syncFeeStatus.service');
+const { priceMonthlyFee, redeemDiscount } = require('./discount.service');
+const { resumeIfArrearsCleared } = require('./overdue.service');
+const { withTransaction } = require('./unitOfWork.service');
+const {
+  issueFeeReceipt,
+  issueHouseholdReceipt,
+  linkFeeRecords,
+  getReceiptAttachment
+} = require('./receipt.service');
+
+// Confirmation email with the PDF receipt attached (non-blocking)
+const sendFeeConfirmation = (student, feeRecord, receipt) => {
+  (async () => {
+    const attachments = receipt ? [await getReceiptAttachment(receipt)] : [];
+    await emailService.sendFeePaymentConfirmation(student, feeRecord, { receipt, attachments });
+  })().catch(err => {
+    console.warn('⚠️ Failed to send fee confirmation email:', err.message);
+  });
+};
+
+// The database writes of a monthly fee payment, run inside a transaction:
+// the paid FeeRecord, the coupon redemption and the student's fee coverage
+async function writeFeePayment({
+  studentId,
+  month,
+  year,
+  amount,
+  razorpayOrderId,
+  razorpayPaymentId,
+  paymentMethod,
+  pricing,
+  householdPaymentId = null
+}, session) {
+  const student = await Student.findById(studentId).session(session);
+  if (!student) return null;
+
+  const existingFee = await FeeRecord.findOne({
+    studentId: student._id,
+    month,
+    year: Number(year),
+    status: 'Paid'
+  }).session(session);
+
+  if (existingFee) {
+    return { student, feeRecord: existingFee, alreadyPaid: true };
+  }
+
+  // Keep the amount an existing pending record was billed at
+  const pendingFee = await FeeRecord.findOne({ studentId: student._id, month, year: Number(year) }).session(session);
+
+  // A single-month payment pays one record only (household orders cover several)
+  if (razorpayPaymentId && !householdPaymentId) {
+    const usedElsewhere = await FeeRecord.exists({
+      razorpayPaymentId,
+      householdPaymentId: null,
+      ...(pendingFee && { _id: { $ne: pendingFee._id } })
+    }).session(session);
+    if (usedElsewhere) {
+      return { student, error: 'This payment has already been applied to another month', status: 409 };
+    }
+  }
+  let feeAmount = pricing ? Number(amount) : (pendingFee && pendingFee.amount) || Number(amount);
+  let breakdown = pricing || null;
+
+  if (!breakdown) {
+    const redemption = await redeemDiscount(razorpayOrderId, { session });
+    if (redemption) {
+      breakdown = redemption;
+      feeAmount = redemption.netAmount;
+    }
+  }
+  if (!breakdown && pendingFee) {
+    breakdown = {
+      grossAmount: pendingFee.grossAmount || pendingFee.amount,
+      discountAmount: pendingFee.discountAmount || 0,
+      discounts: pendingFee.discounts
+    };
+  }
+  if (!feeAmount) {
+    const planned = await priceMonthlyFee(student, { month, year });
+    feeAmount = planned.amount;
+    breakdown = breakdown || planned;
+  }
+
+  const feeData = {
+    studentId: student._id,
+    enrollmentId: student.enrollmentId,
+    childName: student.childName,
+    parentName: student.parentName,
+    email: student.email,
+    contact1: student.contact1,
+    month,
+    year: Number(year),
+    amount: feeAmount,
+    grossAmount: breakdown ? breakdown.grossAmount : feeAmount,
+    discountAmount: breakdown ? breakdown.discountAmount : 0,
+    discounts: breakdown ? breakdown.discounts : [],
+    status: 'Paid',
+    isOverdue: false,
+    paymentMethod: paymentMethod || 'Razorpay',
+    paidAt: new Date(),
+    razorpayOrderId: razorpayOrderId || null,
+    razorpayPaymentId: razorpayPaymentId || null,
+    householdPaymentId,
+    notes: `Paid via Razorpay - ${razorpayPaymentId}`
+  };
+
+  const feeRecord = await FeeRecord.findOneAndUpdate(
+    { studentId: student._id, month, year: Number(year) },
+    { $set: feeData },
+    { upsert: true, new: true, session }
+  );
+
+  // Update student fee coverage if first month
+  const now = new Date();
+  const currentMonth = now.toLocaleString('en-IN', { month: 'long' });
+  const currentYear = now.getFullYear();
+  if (month === currentMonth && Number(year) === currentYear && student.feeCoverage === 'pending_first_month') {
+    student.feeCoverage = 'first_month';
+    await student.save({ session });
+  }
+
+  return { student, feeRecord, alreadyPaid: false };
+}
+
+// Everything that follows a committed fee payment: the student's derived
+// payment status, the receipt and the confirmation email
+async function afterFeePayment({ student, feeRecord }, receipt) {
+  // Sync the student's overall payment status
+  await syncStudentPaymentStatus(student._id);
+  await resumeIfArrearsCleared(student._id);
+
+  let feeReceipt = null;
+  try {
+    if (receipt === undefined) {
+      feeReceipt = await issueFeeReceipt(feeRecord);
+    } else if (receipt) {
+      feeReceipt = await linkFeeRecords(receipt, [feeRecord._id]);
+    }
+  } catch (receiptError) {
+    console.warn('⚠️ Receipt generation failed:', receiptError.message);
+  }
+
+  // Send confirmation email (non-blocking)
+  if (student.email) {
+    sendFeeConfirmation(student, feeRecord, feeReceipt);
+  }
+
+  return feeReceipt;
+}
+
+/**
+ * Mark a student's monthly fee as paid via Razorpay.
+ * Shared by the browser verification endpoint and the Razorpay webhook so both
+ * paths write the same FeeRecord. Idempotent — an already-paid month is
+ * returned untouched with alreadyPaid: true.
+ *
+ * The FeeRecord, coupon redemption and fee coverage are written in one
+ * transaction; the receipt and email follow once it has committed.
+ *
+ * The discount breakdown comes from `pricing` when given (household orders),
+ * else from the discount recorded on the Razorpay order, else from the
+ * pending record as billed. `amount` is what Razorpay says was paid (never a
+ * figure from the client), which may include the record's late fee; the
+ * stored amount is the month's fee alone.
+ *
+ * A receipt is issued for the month unless `receipt` is passed: flows that pay
+ * several things at once (household, enrollment) pass their own receipt to link.
+ *
+ * @param {object} opts { studentId, month, year, amount?, razorpayOrderId?, razorpayPaymentId?, paymentMethod?, pricing?, receipt? }
+ * @returns {Promise<{student, feeRecord, alreadyPaid: boolean} | {error, status} | null>} null when the student
+ *   is missing; an error when the payment id already paid a different month
+ */
+async function markFeeRecordPaid({ receipt, ...payment }) {
+  const result = await withTransaction(session => writeFeePayment(payment, session));
+  if (!result || result.alreadyPaid || result.error) return result;
+
+  const feeReceipt = await afterFeePayment(result, receipt);
+  return { ...result, receipt: feeReceipt };
+}
+
+/**
+ * Mark every month covered by a household (multi-child) order as paid.
+ * Used by the browser verification endpoint and the Razorpay webhook;
+ * a repeat call is harmless. The order and all of its months are written in
+ * one transaction, so a household payment is never left half-applied.
+ *
+ * @param {object} opts { razorpayOrderId, razorpayPaymentId }
+ * @returns {Promise<{householdPayment, results: Array, alreadyPaid: boolean} | null>} null when the order is unknown
+ */
+async function markHouseholdPaymentPaid({ razorpayOrderId, razorpayPaymentId }) {
+  const written = await withTransaction(async (session) => {
+    const householdPayment = await HouseholdPayment.findOne({ razorpayOrderId }).session(session);
+    if (!householdPayment) return null;
+
+    const alreadyPaid = householdPayment.status === 'paid';
+    const payments = [];
+
+    for (const item of householdPayment.items) {
+      const result = await writeFeePayment({
+        studentId: item.studentId,
+        month: item.month,
+        year: item.year,
+        amount: item.amount,
+        razorpayOrderId,
+        razorpayPaymentId,
+        householdPaymentId: householdPayment._id,
+        pricing: {
+          grossAmount: item.grossAmount || item.amount,
+          discountAmount: item.discountAmount || 0,
+          discounts: item.discounts || []
+        }
+      }, session);
+      payments.push({ item, result });
+    }
+
+    if (!alreadyPaid) {
+      householdPayment.razorpayPaymentId = razorpayPaymentId || null;
+      householdPayment.paidAt = new Date();
+      householdPayment.status = 'paid';
+      await householdPayment.save({ session });
+    }
+
+    return { householdPayment, payments, alreadyPaid };
+  });
+  if (!written) return null;
+
+  const { householdPayment, payments, alreadyPaid } = written;
+
+  // One receipt for the whole payment, linked to every month it covers
+  let receipt = null;
+  try {
+    receipt = await issueHouseholdReceipt(householdPayment);
+  } catch (receiptError) {
+    console.warn('⚠️ Household receipt generation failed:', receiptError.message);
+  }
+
+  const results = [];
+  for (const { item, result } of payments) {
+    if (result && !result.alreadyPaid) {
+      await afterFeePayment(result, receipt);
+    }
+
+    results.push({
+      studentId: item.studentId,
+      childName: item.childName,
+      month: item.month,
+      year: item.year,
+      status: result ? (result.alreadyPaid ? 'already_paid' : 'paid') : 'student_not_found',
+      feeRecord: result ? result.feeRecord : null
+    });
+  }
+
+  return { householdPayment, results, receipt, alreadyPaid };
+}
+
+module.exports = {
+  markFeeRecordPaid,
+  markHouseholdPaymentPaid
+};
@@ -0,0 +1,91 @@
+const FeePlan = require('../models/FeePlan.model');
+
+// Used only when no FeePlan matches (e.g. before seed/seedFeePlans.js has run)
+const DEFAULT_MONTHLY_FEES = { offline: 2500, online: 2200 };
+const DEFAULT_KIT_FEE = 2000;
+
+/**
+ * First day of the billing month ("July", 2026) — plans are matched against
+ * this date, so a price change takes effect from the first full month.
+ * Defaults to the current month.
+ */
+function getBillingDate(month, year) {
+  if (month && year) {
+    const d = new Date(`${month} 1, ${year}`);
+    if (!isNaN(d.getTime())) return d;
+  }
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), 1);
+}
+
+const isEffectiveOn = (plan, date) =>
+  plan.isActive &&
+  plan.effectiveFrom <= date &&
+  (!plan.effectiveTo || plan.effectiveTo >= date);
+
+// Batch beats level beats class type; a catch-all plan scores 0
+const specificity = (plan) =>
+  (plan.batchId ? 4 : 0) + (plan.level !== null && plan.level !== undefined ? 2 : 0) + (plan.classType ? 1 : 0);
+
+/**
+ * Find the fee plan that applies to a student for a billing month.
+ * Works with a saved Student or a plain { classType, batchId, currentLevel, feePlanId }
+ * (e.g. before the student exists, when creating the enrollment order).
+ *
+ * @returns {Promise<Document|null>} null when no plan matches
+ */
+async function resolveFeePlan(student, { month, year } = {}) {
+  const billingDate = getBillingDate(month, year);
+
+  // 1. Plan assigned directly to the student
+  if (student.feePlanId) {
+    const assigned = await FeePlan.findById(student.feePlanId);
+    if (assigned && isEffectiveOn(assigned, billingDate)) return assigned;
+  }
+
+  // 2. Best automatic match
+  const level = student.currentLevel !== undefined ? student.currentLevel : null;
+  const candidates = await FeePlan.find({
+    isActive: true,
+    assignOnly: false,
+    effectiveFrom: { $lte: billingDate },
+    $and: [
+      { $or: [{ effectiveTo: null }, { effectiveTo: { $gte: billingDate } }] },
+      { classType: { $in: [student.classType || null, null] } },
+      { batchId: { $in: [student.batchId || null, null] } },
+      { level: { $in: [level, null] } }
+    ]
+  });
+
+  if (candidates.length === 0) return null;
+
+  candidates.sort((a, b) =>
+    specificity(b) - specificity(a) || b.effectiveFrom - a.effectiveFrom
+  );
+  return candidates[0];
+}
+
+/**
+ * Monthly fee (and kit fee) for a student and billing month.
+ *
+ * @returns {Promise<{amount: number, kitFee: number, feePlan: Document|null}>}
+ */
+async function getMonthlyFee(student, { month, year } = {}) {
+  const feePlan = await resolveFeePlan(student, { month, year });
+  if (feePlan) {
+    return { amount: feePlan.monthlyFee, kitFee: feePlan.kitFee, feePlan };
+  }
+
+  return {
+    amount: DEFAULT_MONTHLY_FEES[student.classType] || DEFAULT_MONTHLY_FEES.online,
+    kitFee: DEFAULT_KIT_FEE,
+    feePlan: null
+  };
+}
+
+module.exports = {
+  DEFAULT_MONTHLY_FEES,
+  DEFAULT_KIT_FEE,
+  resolveFeePlan,
+  getMonthlyFee
+};
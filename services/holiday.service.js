@@ -0,0 +1,350 @@
+const Holiday = require('../models/Holiday.model');
+const AttendanceSession = require('../models/AttendanceSession.model');
+const Batch = require('../models/Batch.model');
+const FlexiBatch = require('../models/FlexiBatch.model');
+const FeeRecord = require('../models/FeeRecord.model');
+const Student = require('../models/student.model');
+const CompensationRecord = require('../models/CompensationRecord.model');
+const attendanceSessionService = require('./attendanceSession.service');
+const { returnBookingToken } = require('./makeup.service');
+const { issueToken, getTokenPolicy } = require('./tokenPolicy.service');
+
+// Holidays and closures. Creating one cancels the attendance sessions it
+// covers, gives back tokens spent on make-up classes booked into them and
+// compensates the regular students — a make-up token per cancelled session,
+// or a pro-rated monthly fee (a 'holiday' discount on the fee record).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_HOLIDAY_DAYS = 62;
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+const toTime = (date) => new Date(`${date}T00:00:00Z`).getTime();
+const toDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Every YYYY-MM-DD from `from` to `to` inclusive
+const eachDate = (from, to) => {
+  const dates = [];
+  for (let time = toTime(from); time <= toTime(to); time += DAY_MS) dates.push(toDate(time));
+  return dates;
+};
+
+// { month, year } of every month a date range touches
+const monthsInRange = (from, to) => {
+  const months = new Map();
+  for (const date of eachDate(from, to)) {
+    const [year, month] = date.split('-').map(Number);
+    months.set(`${year}-${month}`, { month: MONTHS[month - 1], year });
+  }
+  return [...months.values()];
+};
+
+/**
+ * Validate holiday fields from an admin request
+ *
+ * @returns {{holiday: object} | {error: string}}
+ */
+async function validateHoliday(data = {}) {
+  const { title, startDate, endDate = startDate, scope = 'academy', batchIds = [], compensation = 'token' } = data;
+
+  if (!title || !String(title).trim()) return { error: 'title is required' };
+  if (!attendanceSessionService.isValidDate(startDate) || !attendanceSessionService.isValidDate(endDate)) {
+    return { error: 'startDate and endDate must be in YYYY-MM-DD format' };
+  }
+  if (endDate < startDate) return { error: 'endDate must not be before startDate' };
+  if ((toTime(endDate) - toTime(startDate)) / DAY_MS >= MAX_HOLIDAY_DAYS) {
+    return { error: `A holiday can be at most ${MAX_HOLIDAY_DAYS} days long` };
+  }
+  if (!['academy', 'batch'].includes(scope)) return { error: 'scope must be academy or batch' };
+  if (!['token', 'prorate', 'none'].includes(compensation)) {
+    return { error: 'compensation must be token, prorate or none' };
+  }
+
+  let batches = [];
+  if (scope === 'batch') {
+    if (!Array.isArray(batchIds) || batchIds.length === 0) {
+      return { error: 'batchIds are required for a batch holiday' };
+    }
+    batches = await Batch.find({ _id: { $in: batchIds } }).select('_id');
+    if (batches.length !== batchIds.length) return { error: 'One or more batches were not found' };
+  }
+
+  return {
+    holiday: {
+      title: String(title).trim(),
+      startDate,
+      endDate,
+      scope,
+      batchIds: batches.map(b => b._id),
+      compensation,
+      showInPortal: data.showInPortal !== false,
+      notes: data.notes || ''
+    }
+  };
+}
+
+// Cancel a make-up class booked into a closed session and give its token back
+async function releaseMakeupBooking(compensationRecordId, holiday) {
+  const booking = await CompensationRecord.findOneAndUpdate(
+    { _id: compensationRecordId, status: 'Booked' },
+    { $set: { status: 'Cancelled' } },
+    { new: true }
+  );
+  if (!booking) return false;
+
+  const { expiryDays } = await getTokenPolicy();
+  await returnBookingToken(booking, { validDays: expiryDays.holiday, note: `Returned: make-up on ${booking.date} cancelled (${holiday.title})` });
+  return true;
+}
+
+// Cancel one session for a holiday and compensate its roster (once)
+async function compensateSession(session, holiday) {
+  const result = { makeupsReleased: 0, tokensGranted: 0 };
+  const roster = await attendanceSessionService.getRoster(session._id);
+
+  for (const entry of roster.students) {
+    if (entry.source === 'makeup' && entry.compensationRecordId) {
+      if (await releaseMakeupBooking(entry.compensationRecordId, holiday)) result.makeupsReleased++;
+    }
+  }
+
+  if (holiday.compensation === 'token' && !session.compensatedAt) {
+    for (const entry of roster.students.filter(s => s.expected && s.source !== 'makeup')) {
+      const { token } = await issueToken(entry.studentId, {
+        reason: 'holiday',
+        date: session.date,
+        notes: `Class on ${session.date} cancelled (${holiday.title})`
+      });
+      if (token) result.tokensGranted++;
+    }
+  }
+
+  session.status = 'cancelled';
+  session.cancelReason = holiday.title;
+  session.holidayId = holiday._id;
+  session.expected = roster.students
+    .filter(entry => entry.expected)
+    .map(entry => ({ studentId: entry.studentId, source: entry.source, compensationRecordId: entry.compensationRecordId }));
+  if (holiday.compensation === 'token') session.compensatedAt = session.compensatedAt || new Date();
+  await session.save();
+
+  return result;
+}
+
+// Weekdays a student has class on ('Monday', ...), from their batch or flexi schedule
+async function getStudentClassDays(student) {
+  if (student.isFlexiBatch) {
+    const flexi = await FlexiBatch.findOne({ studentId: student._id, status: 'active' }).select('schedule');
+    return flexi ? [...new Set(flexi.schedule.map(slot => slot.day))] : [];
+  }
+  let dayId = student.dayId;
+  if (student.batchId) {
+    const batch = await Batch.findById(student.batchId).select('dayId');
+    if (batch) dayId = batch.dayId;
+  }
+  return attendanceSessionService.BATCH_DAYS[dayId] || [];
+}
+
+/**
+ * Fee credit for classes a pro-rating holiday cancels in a student's month:
+ * `amount` × cancelled class days ÷ scheduled class days.
+ *
+ * @returns {Promise<{credit: number, cancelledDays: number, scheduledDays: number, titles: string[]} | null>} null when nothing was cancelled
+ */
+async function getHolidayCredit(student, { month, year }, amount) {
+  const monthIndex = MONTHS.indexOf(month);
+  if (monthIndex === -1 || !(amount > 0)) return null;
+
+  const first = `${year}-${String(monthIndex + 1).padStart(2, '0')}-01`;
+  const last = toDate(Date.UTC(Number(year), monthIndex + 1, 0));
+  const holidays = await Holiday.find({
+    compensation: 'prorate',
+    startDate: { $lte: last },
+    endDate: { $gte: first }
+  });
+  if (holidays.length === 0) return null;
+
+  const classDays = await getStudentClassDays(student);
+  if (classDays.length === 0) return null;
+
+  let scheduledDays = 0;
+  let cancelledDays = 0;
+  const titles = new Set();
+  for (const date of eachDate(first, last)) {
+    if (!classDays.includes(attendanceSessionService.weekdayOf(date))) continue;
+    scheduledDays++;
+
+    const covering = holidays.filter(h => h.startDate <= date && h.endDate >= date);
+    const holiday = student.isFlexiBatch
+      ? attendanceSessionService.closingHoliday(covering)
+      : attendanceSessionService.closingHoliday(covering, student.batchId);
+    if (holiday) {
+      cancelledDays++;
+      titles.add(holiday.title);
+    }
+  }
+  if (cancelledDays === 0) return null;
+
+  return {
+    credit: Math.round(amount * cancelledDays / scheduledDays),
+    cancelledDays,
+    scheduledDays,
+    titles: [...titles]
+  };
+}
+
+/**
+ * The holiday discount line for a fee, or null
+ */
+async function getHolidayDiscount(student, period, amount) {
+  const holidayCredit = await getHolidayCredit(student, period, amount);
+  if (!holidayCredit || holidayCredit.credit <= 0) return null;
+  return {
+    source: 'holiday',
+    refId: null,
+    code: null,
+    name: `${holidayCredit.titles.join(', ')} (${holidayCredit.cancelledDays}/${holidayCredit.scheduledDays} classes)`,
+    amount: holidayCredit.credit
+  };
+}
+
+/**
+ * Re-work the holiday discount on every unpaid fee record of a month, after a
+ * pro-rating holiday was added or removed. Paid months are left as they are.
+ *
+ * @returns {Promise<number>} records changed
+ */
+async function reapplyHolidayCredits({ month, year }) {
+  const records = await FeeRecord.find({ month, year, status: 'Pending' });
+  let changed = 0;
+
+  for (const record of records) {
+    const previous = (record.discounts || []).filter(d => d.source === 'holiday');
+    const previousCredit = previous.reduce((sum, d) => sum + (d.amount || 0), 0);
+    const baseAmount = record.amount + previousCredit;
+
+    const student = await Student.findById(record.studentId);
+    const discount = student ? await getHolidayDiscount(student, { month, year }, baseAmount) : null;
+    const credit = discount ? discount.amount : 0;
+    if (credit === previousCredit && (!discount || (previous[0] && previous[0].name === discount.name))) continue;
+
+    record.discounts = (record.discounts || []).filter(d => d.source !== 'holiday');
+    if (discount) record.discounts.push(discount);
+    record.amount = baseAmount - credit;
+    record.discountAmount = Math.max(0, (record.discountAmount || 0) - previousCredit + credit);
+    await record.save();
+    changed++;
+  }
+  return changed;
+}
+
+/**
+ * Cancel the sessions a holiday covers and compensate their students
+ *
+ * @returns {Promise<{sessionsCancelled, makeupsReleased, tokensGranted, feesAdjusted, completedSessionsKept}>}
+ */
+async function applyHoliday(holiday) {
+  await attendanceSessionService.generateSessionsForRange(holiday.startDate, holiday.endDate);
+
+  const query = { date: { $gte: holiday.startDate, $lte: holiday.endDate } };
+  if (holiday.scope === 'batch') query.batchId = { $in: holiday.batchIds };
+  const sessions = await AttendanceSession.find(query);
+
+  const result = { sessionsCancelled: 0, makeupsReleased: 0, tokensGranted: 0, feesAdjusted: 0, completedSessionsKept: 0 };
+  for (const session of sessions) {
+    // Attendance already taken means the class did happen
+    if (session.status === 'completed') {
+      result.completedSessionsKept++;
+      continue;
+    }
+    if (session.status === 'cancelled' && session.holidayId && String(session.holidayId) !== String(holiday._id)) continue;
+
+    const { makeupsReleased, tokensGranted } = await compensateSession(session, holiday);
+    result.sessionsCancelled++;
+    result.makeupsReleased += makeupsReleased;
+    result.tokensGranted += tokensGranted;
+  }
+
+  if (holiday.compensation === 'prorate') {
+    for (const period of monthsInRange(holiday.startDate, holiday.endDate)) {
+      result.feesAdjusted += await reapplyHolidayCredits(period);
+    }
+  }
+
+  console.log(`🏖️ Holiday "${holiday.title}" applied: ${result.sessionsCancelled} session(s) cancelled, ${result.tokensGranted} token(s) granted, ${result.feesAdjusted} fee(s) adjusted`);
+  return result;
+}
+
+/**
+ * Create a holiday and apply it
+ *
+ * @returns {Promise<{holiday, applied} | {error: string}>}
+ */
+async function createHoliday(data, { createdBy } = {}) {
+  const validated = await validateHoliday(data);
+  if (validated.error) return validated;
+
+  const holiday = await Holiday.create({ ...validated.holiday, createdBy });
+  const applied = await applyHoliday(holiday);
+  return { holiday, applied };
+}
+
+/**
+ * Delete a holiday and reopen the sessions it cancelled (unless another
+ * holiday still covers them). Tokens already granted are kept.
+ *
+ * @returns {Promise<{holiday, sessionsReopened: number, feesAdjusted: number} | null>} null when not found
+ */
+async function removeHoliday(id) {
+  const holiday = await Holiday.findByIdAndDelete(id);
+  if (!holiday) return null;
+
+  const sessions = await AttendanceSession.find({ holidayId: holiday._id, status: 'cancelled' });
+  let sessionsReopened = 0;
+  for (const session of sessions) {
+    const [other] = await Holiday.covering(session.date, session.kind === 'batch' ? session.batchId : null);
+    if (other) {
+      session.cancelReason = other.title;
+      session.holidayId = other._id;
+    } else {
+      session.status = 'scheduled';
+      session.cancelReason = undefined;
+      session.holidayId = null;
+      sessionsReopened++;
+    }
+    await session.save();
+  }
+
+  let feesAdjusted = 0;
+  if (holiday.compensation === 'prorate') {
+    for (const period of monthsInRange(holiday.startDate, holiday.endDate)) {
+      feesAdjusted += await reapplyHolidayCredits(period);
+    }
+  }
+  return { holiday, sessionsReopened, feesAdjusted };
+}
+
+/**
+ * Holidays overlapping a date range, oldest first. With `batchIds`, only
+ * academy-wide ones and those for the given batches; `portal` keeps the ones
+ * parents may see.
+ */
+function listHolidays({ from, to, batchIds, portal = false } = {}) {
+  const query = {};
+  if (from) query.endDate = { $gte: from };
+  if (to) query.startDate = { $lte: to };
+  if (portal) query.showInPortal = true;
+  if (batchIds) query.$or = [{ scope: 'academy' }, { scope: 'batch', batchIds: { $in: batchIds } }];
+  return Holiday.find(query).sort({ startDate: 1 });
+}
+
+module.exports = {
+  validateHoliday,
+  createHoliday,
+  applyHoliday,
+  removeHoliday,
+  listHolidays,
+  getHolidayCredit,
+  getHolidayDiscount,
+  reapplyHolidayCredits
+};
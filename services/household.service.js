@@ -0,0 +1,116 @@
+const Household = require('../models/Household.model');
+const Student = require('../models/student.model');
+const HouseholdPayment = require('../models/HouseholdPayment.model');
+const { withTransaction } = require('./unitOfWork.service');
+
+/**
+ * The household a contact number belongs to: its own, or the one it was
+ * merged into
+ *
+ * @returns {Promise<Document|null>}
+ */
+function findHouseholdForContact(contact1, { session = null } = {}) {
+  return Household.findOne({ $or: [{ contact1 }, { linkedContacts: contact1 }] }).session(session);
+}
+
+/**
+ * Link a student to the household for its contact number (or the household
+ * that number was merged into), creating the household on first use. If the student's contact number changed, it is
+ * moved out of its previous household.
+ *
+ * @param {Document} student saved Student document
+ * @param {object} opts { session? } to link as part of a transaction
+ * @returns {Promise<Document>} the household
+ */
+async function linkStudentToHousehold(student, { session = null } = {}) {
+  const merged = await Household.findOneAndUpdate(
+    { linkedContacts: student.contact1 },
+    { $addToSet: { students: student._id } },
+    { new: true, session }
+  );
+  const household = merged || await Household.findOneAndUpdate(
+    { contact1: student.contact1 },
+    {
+      $setOnInsert: {
+        guardianName: student.parentName,
+        contact1: student.contact1,
+        contact2: student.contact2 && student.contact2 !== '—' ? student.contact2 : '',
+        email: student.email || ''
+      },
+      $addToSet: { students: student._id }
+    },
+    { upsert: true, new: true, session }
+  );
+
+  if (student.householdId && String(student.householdId) !== String(household._id)) {
+    await Household.findByIdAndUpdate(student.householdId, {
+      $pull: { students: student._id }
+    }, { session });
+  }
+
+  if (String(student.householdId) !== String(household._id)) {
+    await Student.updateOne({ _id: student._id }, { $set: { householdId: household._id } }, { session });
+    student.householdId = household._id;
+  }
+
+  return household;
+}
+
+/**
+ * Remove a deleted student from its household
+ */
+async function unlinkStudentFromHousehold(student) {
+  if (!student.householdId) return;
+  await Household.findByIdAndUpdate(student.householdId, {
+    $pull: { students: student._id }
+  });
+}
+
+/**
+ * Merge one household into another, for siblings enrolled under different
+ * contact numbers. The source's children and payments move to the target,
+ * its numbers become the target's linked contacts (so parents logging in
+ * with them see every child) and the source household is removed.
+ *
+ * @returns {Promise<{household, moved: number} | {error: string, status?: number}>}
+ */
+async function mergeHouseholds(targetId, sourceId) {
+  if (String(targetId) === String(sourceId)) {
+    return { error: 'Cannot merge a household into itself' };
+  }
+
+  return withTransaction(async (session) => {
+    const target = await Household.findById(targetId).session(session);
+    const source = await Household.findById(sourceId).session(session);
+    if (!target || !source) return { error: 'Household not found', status: 404 };
+
+    const contacts = [source.contact1, ...(source.linkedContacts || [])];
+    const students = await Student.find({
+      $or: [{ householdId: source._id }, { _id: { $in: source.students } }]
+    }).select('_id').session(session);
+    const studentIds = students.map(s => s._id);
+
+    await Student.updateMany({ _id: { $in: studentIds } }, { $set: { householdId: target._id } }, { session });
+    await HouseholdPayment.updateMany({ householdId: source._id }, { $set: { householdId: target._id } }, { session });
+    await Household.deleteOne({ _id: source._id }, { session });
+
+    const household = await Household.findByIdAndUpdate(
+      target._id,
+      {
+        $addToSet: {
+          students: { $each: studentIds },
+          linkedContacts: { $each: contacts.filter(c => c && c !== target.contact1) }
+        }
+      },
+      { new: true, session }
+    );
+    return { household, moved: studentIds.length };
+  });
+}
+
+module.exports = {
+  findHouseholdForContact,
+  mergeHouseholds,
+  linkStudentToHousehold,
+  unlinkStudentFromHousehold
+};
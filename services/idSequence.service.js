@@ -0,0 +1,276 @@
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter.model');
+const Config = require('../models/config.model');
+
+// Human-readable IDs (enrollment IDs, registration numbers, workshop
+// registration IDs) are built from atomic Counter sequences, so concurrent
+// requests never get the same number. Formats are stored in Config under
+// ID_FORMATS. Each counter is raised to the highest existing ID the first
+// time this process uses it; scripts/seedIdCounters.js seeds them all at once.
+
+const FORMATS_KEY = 'ID_FORMATS';
+const ID_FAMILIES = ['enrollment', 'registration', 'workshop'];
+
+// Pattern tokens: {YYYY} / {YY} the year, {PREFIX} the workshop prefix and
+// {SEQ} the sequence, zero-padded to `padding` digits (longer numbers are
+// never cut). A yearly sequence starts again at 1 every calendar year, counted
+// in Indian time.
+const DEFAULT_ID_FORMATS = {
+  enrollment: { pattern: 'LS-{YYYY}-{SEQ}', padding: 4, resetYearly: true },
+  registration: { pattern: 'CM{SEQ}', padding: 4, resetYearly: false },
+  workshop: { pattern: '{PREFIX}-{SEQ}', padding: 5, resetYearly: false }
+};
+
+// Where each family's IDs are stored. Models are looked up by name when
+// needed, as Registration itself takes its numbers from this service.
+const ID_SOURCES = {
+  enrollment: { model: 'Student', field: 'enrollmentId' },
+  registration: { model: 'Registration', field: 'registrationNo' },
+  workshop: { model: 'SpecialCourse', field: 'registrationId' }
+};
+
+// Tries before a duplicate ID is given up on
+const MAX_ID_ATTEMPTS = 5;
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// Counters already raised to the existing IDs by this process
+const seededCounters = new Set();
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * The active formats of every ID family (Config merged over the defaults)
+ */
+async function getIdFormats() {
+  const config = await Config.findOne({ key: FORMATS_KEY });
+  const stored = (config && config.value) || {};
+  const formats = {};
+  for (const family of ID_FAMILIES) {
+    formats[family] = { ...DEFAULT_ID_FORMATS[family], ...(stored[family] || {}) };
+  }
+  return formats;
+}
+
+/**
+ * Validate and store format changes, e.g. { registration: { padding: 5 } }.
+ * Existing IDs keep their format; the sequence carries on from where it is.
+ *
+ * @returns {Promise<{formats: object} | {error: string}>}
+ */
+async function saveIdFormats(changes = {}) {
+  const formats = await getIdFormats();
+
+  for (const [family, change] of Object.entries(changes)) {
+    if (!ID_FAMILIES.includes(family)) {
+      return { error: `Unknown ID family: ${family}` };
+    }
+
+    const format = { ...formats[family], ...change };
+    format.padding = Number(format.padding);
+    format.resetYearly = Boolean(format.resetYearly);
+
+    if (typeof format.pattern !== 'string' || (format.pattern.match(/\{SEQ\}/g) || []).length !== 1) {
+      return { error: `${family}: pattern must contain {SEQ} exactly once` };
+    }
+    if (family === 'workshop' && !format.pattern.includes('{PREFIX}')) {
+      return { error: 'workshop: pattern must contain {PREFIX} (each workshop has its own sequence)' };
+    }
+    if (format.resetYearly && !/\{YYYY\}|\{YY\}/.test(format.pattern)) {
+      return { error: `${family}: a sequence that resets yearly needs {YYYY} or {YY} in the pattern` };
+    }
+    if (!(Number.isInteger(format.padding) && format.padding >= 1 && format.padding <= 10)) {
+      return { error: `${family}: padding must be a whole number between 1 and 10` };
+    }
+
+    formats[family] = { pattern: format.pattern, padding: format.padding, resetYearly: format.resetYearly };
+  }
+
+  await Config.findOneAndUpdate(
+    { key: FORMATS_KEY },
+    { $set: { value: formats } },
+    { upsert: true }
+  );
+  return { formats };
+}
+
+// One sequence per family, split by year when it resets yearly and by prefix
+const counterName = (family, format, { prefix, year }) => [
+  'id',
+  family,
+  format.resetYearly ? year : null,
+  prefix || null
+].filter(part => part !== null).join(':');
+
+// The year an ID belongs to, in Indian time whatever the server's zone
+const idYear = (date) => new Date(date.getTime() + IST_OFFSET_MS).getUTCFullYear();
+
+const formatId = (format, seq, { prefix, year }) => format.pattern
+  .replace('{YYYY}', String(year))
+  .replace('{YY}', String(year % 100).padStart(2, '0'))
+  .replace('{PREFIX}', prefix || '')
+  .replace('{SEQ}', String(seq).padStart(format.padding, '0'));
+
+// Matches the IDs one counter hands out, capturing the sequence
+const counterIdPattern = (format, { prefix, year }) => {
+  const source = format.pattern.split(/(\{YYYY\}|\{YY\}|\{PREFIX\}|\{SEQ\})/).map(part => {
+    if (part === '{YYYY}') return format.resetYearly ? String(year) : '\\d{4}';
+    if (part === '{YY}') return format.resetYearly ? String(year % 100).padStart(2, '0') : '\\d{2}';
+    if (part === '{PREFIX}') return escapeRegex(prefix || '');
+    if (part === '{SEQ}') return '(\\d+)';
+    return escapeRegex(part);
+  }).join('');
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Raise one counter to the highest sequence its existing IDs already use,
+ * so IDs created before the counter (or outside it) are never handed out again
+ */
+async function seedCounter(family, format, name, { prefix, year }) {
+  const { model, field } = ID_SOURCES[family];
+  const pattern = counterIdPattern(format, { prefix, year });
+  const ids = await mongoose.model(model).distinct(field, { [field]: pattern });
+
+  const highest = ids.reduce((max, id) => {
+    const match = String(id).match(pattern);
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+  if (highest > 0) await Counter.raise(name, highest);
+  seededCounters.add(name);
+}
+
+/**
+ * Take the next ID of a family
+ *
+ * @param {string} family 'enrollment' | 'registration' | 'workshop'
+ * @param {object} opts { prefix? (workshop prefix), date? (for the year) }
+ */
+async function nextId(family, { prefix, date = new Date() } = {}) {
+  const format = (await getIdFormats())[family];
+  const year = idYear(date);
+  const name = counterName(family, format, { prefix, year });
+  if (!seededCounters.has(name)) {
+    await seedCounter(family, format, name, { prefix, year });
+  }
+  const seq = await Counter.next(name);
+  return formatId(format, seq, { prefix, year });
+}
+
+/**
+ * Run `write()`, which inserts `doc` carrying a generated ID. If the insert
+ * hits a duplicate of that ID (one written outside the counter), the counter
+ * is re-seeded, `doc` gets the next ID and the write runs again.
+ *
+ * @param {string} family 'enrollment' | 'registration' | 'workshop'
+ * @param {Document} doc the document whose ID field is set
+ * @param {Function} write async () => result
+ * @param {object} opts { prefix?, date? } as for nextId
+ */
+async function retryOnDuplicateId(family, doc, write, opts = {}) {
+  const { field } = ID_SOURCES[family];
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await write();
+    } catch (error) {
+      const duplicateId = error.code === 11000 && error.keyPattern && error.keyPattern[field];
+      if (!duplicateId || attempt >= MAX_ID_ATTEMPTS) throw error;
+
+      console.warn(`⚠️ ${family} ID ${doc[field]} is already taken, taking the next one`);
+      seededCounters.clear();
+      doc[field] = await nextId(family, opts);
+    }
+  }
+}
+
+/**
+ * The ID nextId would hand out now, without taking it (a concurrent request
+ * may still take it first)
+ */
+async function peekNextId(family, { prefix, date = new Date() } = {}) {
+  const format = (await getIdFormats())[family];
+  const year = idYear(date);
+  const name = counterName(family, format, { prefix, year });
+  if (!seededCounters.has(name)) {
+    await seedCounter(family, format, name, { prefix, year });
+  }
+  const seq = await Counter.current(name);
+  return formatId(format, seq + 1, { prefix, year });
+}
+
+/**
+ * Read the sequence (and year / prefix) back out of an ID in the given format
+ *
+ * @returns {{seq: number, year: number|null, prefix: string|null} | null} null when it does not match
+ */
+function parseId(format, id) {
+  const groups = [];
+  const source = format.pattern.split(/(\{YYYY\}|\{YY\}|\{PREFIX\}|\{SEQ\})/).map(part => {
+    if (part === '{YYYY}') { groups.push('year'); return '(\\d{4})'; }
+    if (part === '{YY}') { groups.push('yy'); return '(\\d{2})'; }
+    if (part === '{PREFIX}') { groups.push('prefix'); return '(.+?)'; }
+    if (part === '{SEQ}') { groups.push('seq'); return '(\\d+)'; }
+    return escapeRegex(part);
+  }).join('');
+
+  const match = String(id || '').match(new RegExp(`^${source}$`));
+  if (!match) return null;
+
+  const parsed = { seq: 0, year: null, prefix: null };
+  groups.forEach((group, i) => {
+    const value = match[i + 1];
+    if (group === 'seq') parsed.seq = parseInt(value, 10);
+    else if (group === 'year') parsed.year = parseInt(value, 10);
+    else if (group === 'yy') parsed.year = 2000 + parseInt(value, 10);
+    else parsed.prefix = value;
+  });
+  return parsed;
+}
+
+/**
+ * Raise each counter to the highest sequence already used by existing IDs.
+ * Safe to re-run: counters only ever move up.
+ *
+ * @param {object} sources { enrollment: [ids], registration: [ids], workshop: [ids] }
+ * @returns {Promise<object>} counter name → seeded value
+ */
+async function seedIdCounters(sources) {
+  const formats = await getIdFormats();
+  const highest = {};
+
+  for (const family of ID_FAMILIES) {
+    const format = formats[family];
+    for (const id of sources[family] || []) {
+      const parsed = parseId(format, id);
+      if (!parsed || (format.resetYearly && !parsed.year)) continue;
+
+      const name = counterName(family, format, { prefix: parsed.prefix, year: parsed.year });
+      highest[name] = Math.max(highest[name] || 0, parsed.seq);
+    }
+  }
+
+  for (const [name, seq] of Object.entries(highest)) {
+    await Counter.raise(name, seq);
+  }
+  return highest;
+}
+
+/**
+ * Every ID counter with its current value
+ */
+async function listIdCounters() {
+  return Counter.find({ _id: /^id:/ }).sort({ _id: 1 }).lean();
+}
+
+module.exports = {
+  ID_FAMILIES,
+  DEFAULT_ID_FORMATS,
+  getIdFormats,
+  saveIdFormats,
+  nextId,
+  retryOnDuplicateId,
+  peekNextId,
+  parseId,
+  seedIdCounters,
+  listIdCounters
+};
@@ -0,0 +1,292 @@
+const os = require('os');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Job = require('../models/Job.model');
+const JobRun = require('../models/JobRun.model');
+
+// Background jobs, stored in Mongo so that every server instance shares one
+// schedule: an instance runs a job only after taking its lock, runs missed
+// while all instances were down happen on the next start, and failed runs are
+// retried with a growing delay. Jobs are defined in cron/jobs.js.
+
+const MINUTE_MS = 60 * 1000;
+const IST_OFFSET_MS = 5.5 * 60 * MINUTE_MS;
+const POLL_INTERVAL_MS = 30 * 1000;
+const DEFAULT_LOCK_MINUTES = 30;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const definitions = new Map();
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Register a job. The handler may throw, or return { success: false, error }
+ * for a failed run; anything else it returns is kept in the run history.
+ *
+ * @param {string} name
+ * @param {object} opts { description, schedule, handler, maxRetries?, retryDelayMinutes?, lockMinutes?, runOnFirstStart? }
+ *   schedule is { type: 'interval', everyMinutes } or { type: 'daily', at: 'HH:mm' } (Indian time)
+ */
+function defineJob(name, {
+  description = '',
+  schedule,
+  handler,
+  maxRetries = 3,
+  retryDelayMinutes = 5,
+  lockMinutes = DEFAULT_LOCK_MINUTES,
+  runOnFirstStart = false
+}) {
+  definitions.set(name, { name, description, schedule, handler, maxRetries, retryDelayMinutes, lockMinutes, runOnFirstStart });
+}
+
+/**
+ * When a schedule next fires after `from`
+ */
+function getNextRunAt(schedule, from = new Date()) {
+  if (schedule.type === 'interval') {
+    return new Date(from.getTime() + schedule.everyMinutes * MINUTE_MS);
+  }
+
+  const [hours, minutes] = String(schedule.at || '00:00').split(':').map(Number);
+  const ist = new Date(from.getTime() + IST_OFFSET_MS);
+  let next = Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate(), hours, minutes || 0) - IST_OFFSET_MS;
+  if (next <= from.getTime()) next += 24 * 60 * MINUTE_MS;
+  return new Date(next);
+}
+
+// Create the Job documents for new definitions and keep existing ones in step
+// with the code (the schedule position of existing jobs is left alone)
+async function registerJobs() {
+  const now = new Date();
+  for (const def of definitions.values()) {
+    try {
+      await Job.findOneAndUpdate(
+        { name: def.name },
+        {
+          $set: {
+            description: def.description,
+            schedule: def.schedule,
+            maxRetries: def.maxRetries,
+            retryDelayMinutes: def.retryDelayMinutes
+          },
+          $setOnInsert: { nextRunAt: def.runOnFirstStart ? now : getNextRunAt(def.schedule, now) }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Another instance inserted it first
+      if (error.code !== 11000) throw error;
+    }
+  }
+}
+
+// Take a job's lock. Without `force` only a due, enabled job is taken.
+async function claimJob(name, { force = false } = {}) {
+  const def = definitions.get(name);
+  const now = new Date();
+  const filter = {
+    name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  };
+  if (!force) {
+    filter.enabled = true;
+    filter.nextRunAt = { $lte: now };
+  }
+
+  return Job.findOneAndUpdate(
+    filter,
+    { $set: { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + def.lockMinutes * MINUTE_MS) } },
+    { new: true }
+  );
+}
+
+/**
+ * Run a claimed job, record the run and schedule the next one
+ *
+ * @returns {Promise<object>} the JobRun
+ */
+async function executeJob(job, { trigger = 'schedule', triggeredBy } = {}) {
+  const def = definitions.get(job.name);
+
+  // We hold the lock, so a run still marked running was cut off by its instance stopping
+  await JobRun.updateMany(
+    { job: job.name, status: 'running' },
+    { $set: { status: 'failed', finishedAt: new Date(), error: 'Interrupted before it finished (server stopped)' } }
+  );
+
+  const run = await JobRun.create({
+    job: job.name,
+    trigger,
+    triggeredBy,
+    attempt: job.attempt,
+    instance: INSTANCE_ID
+  });
+
+  console.log(`⚙️ Job ${job.name} started (${trigger}${job.attempt ? `, retry ${job.attempt}` : ''})`);
+
+  let result;
+  let error = null;
+  try {
+    result = await def.handler();
+    if (result && result.success === false) {
+      error = result.error || 'Job reported a failure';
+    }
+  } catch (err) {
+    error = err.message || String(err);
+  }
+
+  const finishedAt = new Date();
+  run.status = error ? 'failed' : 'succeeded';
+  run.finishedAt = finishedAt;
+  run.durationMs = finishedAt - run.startedAt;
+  run.result = result;
+  run.error = error;
+  await run.save();
+
+  let attempt = 0;
+  let nextRunAt = getNextRunAt(def.schedule, finishedAt);
+  if (trigger === 'manual') {
+    // A manual run leaves the schedule alone, except that success ends a retry sequence
+    if (error || job.attempt === 0) {
+      attempt = job.attempt;
+      nextRunAt = job.nextRunAt;
+    }
+  } else if (error && job.attempt < def.maxRetries) {
+    // Scheduled runs retry with a growing delay
+    attempt = job.attempt + 1;
+    nextRunAt = new Date(finishedAt.getTime() + def.retryDelayMinutes * attempt * MINUTE_MS);
+  }
+
+  await Job.updateOne(
+    { _id: job._id, lockedBy: INSTANCE_ID },
+    {
+      $set: {
+        attempt,
+        nextRunAt,
+        lockedBy: null,
+        lockedUntil: null,
+        lastRunAt: run.startedAt,
+        lastStatus: run.status,
+        lastError: error,
+        lastDurationMs: run.durationMs
+      }
+    }
+  );
+
+  if (error) {
+    console.error(`❌ Job ${job.name} failed: ${error}${attempt ? ` — retry ${attempt}/${def.maxRetries} at ${nextRunAt.toISOString()}` : ''}`);
+  } else {
+    console.log(`✅ Job ${job.name} finished in ${run.durationMs}ms`);
+  }
+  return run;
+}
+
+// Start every due job this instance can lock
+async function pollDueJobs() {
+  if (polling || mongoose.connection.readyState !== 1) return;
+  polling = true;
+  try {
+    for (const name of definitions.keys()) {
+      const job = await claimJob(name);
+      if (!job) continue;
+      executeJob(job, { trigger: job.attempt > 0 ? 'retry' : 'schedule' })
+        .catch(err => console.error(`❌ Job ${name} could not be recorded:`, err.message));
+    }
+  } catch (error) {
+    console.error('❌ Job polling failed:', error.message);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start running jobs on this instance (call once MongoDB is connected)
+ */
+async function start() {
+  if (pollTimer || process.env.NODE_ENV === 'test') return;
+
+  await registerJobs();
+  pollTimer = setInterval(pollDueJobs, POLL_INTERVAL_MS);
+  pollTimer.unref();
+  console.log(`✅ Job scheduler started on ${INSTANCE_ID} (${definitions.size} jobs)`);
+  pollDueJobs();
+}
+
+function stop() {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+/**
+ * All jobs with their schedule state
+ */
+async function listJobs() {
+  const jobs = await Job.find().sort({ name: 1 }).lean();
+  return jobs.map(job => ({
+    ...job,
+    running: Boolean(job.lockedUntil && job.lockedUntil > new Date()),
+    defined: definitions.has(job.name)
+  }));
+}
+
+async function getJob(name) {
+  const job = await Job.findOne({ name }).lean();
+  if (!job) return null;
+  return {
+    ...job,
+    running: Boolean(job.lockedUntil && job.lockedUntil > new Date()),
+    defined: definitions.has(job.name)
+  };
+}
+
+/**
+ * Recent runs of a job, newest first
+ */
+async function getJobRuns(name, { limit = 20, status } = {}) {
+  const query = { job: name };
+  if (status) query.status = status;
+  return JobRun.find(query)
+    .sort({ startedAt: -1 })
+    .limit(Math.min(Number(limit) || 20, 200));
+}
+
+/**
+ * Run a job now, outside its schedule
+ *
+ * @returns {Promise<{run} | {error: string, status: number}>}
+ */
+async function triggerJob(name, { triggeredBy } = {}) {
+  if (!definitions.has(name)) return { error: 'Job not found', status: 404 };
+
+  await registerJobs();
+  const job = await claimJob(name, { force: true });
+  if (!job) return { error: 'Job is already running', status: 409 };
+
+  const run = await executeJob(job, { trigger: 'manual', triggeredBy });
+  return { run };
+}
+
+/**
+ * Pause or resume a job's schedule
+ */
+async function setJobEnabled(name, enabled) {
+  const def = definitions.get(name);
+  const update = { enabled: Boolean(enabled) };
+  // A resumed job continues from now rather than catching up on the pause
+  if (enabled && def) update.nextRunAt = getNextRunAt(def.schedule);
+  return Job.findOneAndUpdate({ name }, { $set: update }, { new: true });
+}
+
+module.exports = {
+  INSTANCE_ID,
+  defineJob,
+  getNextRunAt,
+  start,
+  stop,
+  listJobs,
+  getJob,
+  getJobRuns,
+  triggerJob,
+  setJobEnabled
+};
@@ -0,0 +1,157 @@
+const Config = require('../models/config.model');
+const CompensationRecord = require('../models/CompensationRecord.model');
+const CompensationToken = require('../models/CompensationToken.model');
+
+// Closing the loop on make-up bookings: attendance (or an admin) settles a
+// booking as Attended or Missed, and bookings nobody marked are closed as
+// Missed by the scheduler. The policy decides whether a missed make-up
+// forfeits the token it was booked with or gives it back.
+
+const POLICY_KEY = 'MAKEUP_POLICY';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BOOKING_STATUSES = ['Booked', 'Attended', 'Missed'];
+
+// Stored in Config under MAKEUP_POLICY; anything missing falls back to these
+const DEFAULT_MAKEUP_POLICY = {
+  missedMakeup: 'forfeit',     // 'forfeit' the token or 'return' it to the student
+  closeAfterDays: 1,           // unmarked bookings are closed as Missed this many days after the class
+  returnedTokenValidDays: 30,  // a returned token that has run out gets this much time again
+  defaultAllowance: 2          // make-up seats per class for batches without their own makeupAllowance
+};
+
+/**
+ * The active make-up policy (Config merged over the defaults)
+ */
+async function getMakeupPolicy() {
+  const config = await Config.findOne({ key: POLICY_KEY });
+  return { ...DEFAULT_MAKEUP_POLICY, ...((config && config.value) || {}) };
+}
+
+/**
+ * Validate and store changes to the make-up policy
+ *
+ * @returns {Promise<{policy: object} | {error: string}>}
+ */
+async function saveMakeupPolicy(changes = {}) {
+  const policy = { ...(await getMakeupPolicy()), ...changes };
+
+  if (!['forfeit', 'return'].includes(policy.missedMakeup)) {
+    return { error: 'missedMakeup must be forfeit or return' };
+  }
+  if (!Number.isInteger(policy.closeAfterDays) || policy.closeAfterDays < 1) {
+    return { error: 'closeAfterDays must be at least 1 (the day after the class)' };
+  }
+  if (!Number.isInteger(policy.returnedTokenValidDays) || policy.returnedTokenValidDays < 1) {
+    return { error: 'returnedTokenValidDays must be at least 1' };
+  }
+  if (!Number.isInteger(policy.defaultAllowance) || policy.defaultAllowance < 0) {
+    return { error: 'defaultAllowance must be a whole number (0 or more)' };
+  }
+
+  await Config.findOneAndUpdate(
+    { key: POLICY_KEY },
+    { $set: { value: policy } },
+    { upsert: true }
+  );
+  return { policy };
+}
+
+/**
+ * Give back the token a booking was paid with, so it can be booked again.
+ * A token that ran out in the meantime gets a fresh validity period.
+ *
+ * @returns {Promise<Document|null>} the token, or null for bookings made without one
+ */
+async function returnBookingToken(booking, { validDays = DEFAULT_MAKEUP_POLICY.returnedTokenValidDays, note } = {}) {
+  const token = await CompensationToken.findOne({ consumedBy: booking._id, status: 'used' });
+  if (!token) return null;
+
+  token.status = 'available';
+  token.consumedBy = null;
+  token.consumedAt = null;
+  if (token.expiryDate <= new Date()) {
+    token.expiryDate = new Date(Date.now() + validDays * DAY_MS);
+  }
+  if (note) token.notes = token.notes ? `${token.notes}; ${note}` : note;
+  await token.save();
+  return token;
+}
+
+// Spend a returned token on its booking again (a Missed booking corrected to
+// Attended). Nothing to do if the student has already re-used it.
+async function reclaimBookingToken(booking) {
+  return CompensationToken.findOneAndUpdate(
+    { _id: booking.returnedTokenId, status: 'available' },
+    { $set: { status: 'used', consumedBy: booking._id, consumedAt: new Date() } },
+    { new: true }
+  );
+}
+
+/**
+ * Set a make-up booking's outcome and apply the missed make-up policy.
+ *
+ * @param {string} bookingId CompensationRecord id
+ * @param {'Booked'|'Attended'|'Missed'} status
+ * @param {{closedBy?: 'attendance'|'admin'|'scheduler', policy?: object}} [options]
+ * @returns {Promise<{booking, tokenReturned: boolean} | null>} null when the booking is unknown
+ */
+async function settleMakeupBooking(bookingId, status, { closedBy = 'admin', policy } = {}) {
+  const booking = await CompensationRecord.findById(bookingId);
+  if (!booking) return null;
+  if (booking.status === status) return { booking, tokenReturned: false };
+
+  const activePolicy = policy || await getMakeupPolicy();
+  let tokenReturned = false;
+
+  if (status === 'Missed' && activePolicy.missedMakeup === 'return' && !booking.manual) {
+    const token = await returnBookingToken(booking, {
+      validDays: activePolicy.returnedTokenValidDays,
+      note: `Returned after missed make-up on ${booking.date}`
+    });
+    if (token) {
+      booking.returnedTokenId = token._id;
+      tokenReturned = true;
+    }
+  } else if (status !== 'Missed' && booking.returnedTokenId) {
+    await reclaimBookingToken(booking);
+    booking.returnedTokenId = null;
+  }
+
+  booking.status = status;
+  booking.closedAt = status === 'Booked' ? null : new Date();
+  booking.closedBy = status === 'Booked' ? null : closedBy;
+  await booking.save();
+  return { booking, tokenReturned };
+}
+
+/**
+ * Close make-up bookings still open `closeAfterDays` after their class as
+ * Missed (the scheduler's half of the loop; attendance marking is the other).
+ *
+ * @param {string} today YYYY-MM-DD in academy time
+ * @returns {Promise<{closed: number, tokensReturned: number, policy: string}>}
+ */
+async function closeUnmarkedMakeups(today) {
+  const policy = await getMakeupPolicy();
+  const cutoff = new Date(new Date(`${today}T00:00:00Z`).getTime() - policy.closeAfterDays * DAY_MS)
+    .toISOString().slice(0, 10);
+
+  const bookings = await CompensationRecord.find({ status: 'Booked', date: { $lte: cutoff } }).select('_id');
+  let tokensReturned = 0;
+  for (const { _id } of bookings) {
+    const result = await settleMakeupBooking(_id, 'Missed', { closedBy: 'scheduler', policy });
+    if (result && result.tokenReturned) tokensReturned++;
+  }
+
+  return { closed: bookings.length, tokensReturned, policy: policy.missedMakeup };
+}
+
+module.exports = {
+  BOOKING_STATUSES,
+  DEFAULT_MAKEUP_POLICY,
+  getMakeupPolicy,
+  saveMakeupPolicy,
+  returnBookingToken,
+  settleMakeupBooking,
+  closeUnmarkedMakeups
+};
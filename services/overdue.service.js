@@ -0,0 +1,271 @@
+const Config = require('../models/config.model');
+const Student = require('../models/student.model');
+const FeeRecord = require('../models/FeeRecord.model');
+
+const POLICY_KEY = 'FEE_OVERDUE_POLICY';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+const MONTH_INDEX = {
+  January: 0, February: 1, March: 2, April: 3, May: 4, June: 5,
+  July: 6, August: 7, September: 8, October: 9, November: 10, December: 11
+};
+
+// Stored in Config under FEE_OVERDUE_POLICY; anything missing falls back to these.
+// Late fees and auto-pause are off until an admin turns them on.
+const DEFAULT_OVERDUE_POLICY = {
+  dueDay: 5,              // fee is due by the end of this day of the billed month
+  minDaysToPay: 5,        // records billed late (mid-month enrollment, back-billing) get at least this long
+  reminders: [            // days relative to the due date → 3rd, 5th and 10th by default
+    { stage: 'upcoming', offsetDays: -2 },
+    { stage: 'due', offsetDays: 0 },
+    { stage: 'overdue', offsetDays: 5 }
+  ],
+  lateFee: {
+    enabled: false,
+    type: 'flat',         // 'flat' (₹) or 'percentage' (of the month's fee)
+    value: 100,
+    maxAmount: null,
+    graceDays: 0          // days after the due date before the late fee is added
+  },
+  autoPause: {
+    enabled: false,
+    unpaidMonths: 2       // pause enrollment once this many months are overdue
+  }
+};
+
+const REMINDER_STAGES = ['upcoming', 'due', 'overdue'];
+
+// Days start and end in Indian time, whatever the server's zone
+const startOfDay = (date) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  return new Date(Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate()) - IST_OFFSET_MS);
+};
+const endOfDay = (date) => new Date(startOfDay(date).getTime() + DAY_MS - 1);
+
+/**
+ * The active overdue policy (Config merged over the defaults)
+ */
+async function getOverduePolicy() {
+  const config = await Config.findOne({ key: POLICY_KEY });
+  const stored = (config && config.value) || {};
+
+  return {
+    ...DEFAULT_OVERDUE_POLICY,
+    ...stored,
+    reminders: Array.isArray(stored.reminders) ? stored.reminders : DEFAULT_OVERDUE_POLICY.reminders,
+    lateFee: { ...DEFAULT_OVERDUE_POLICY.lateFee, ...(stored.lateFee || {}) },
+    autoPause: { ...DEFAULT_OVERDUE_POLICY.autoPause, ...(stored.autoPause || {}) }
+  };
+}
+
+/**
+ * Validate and store changes to the overdue policy.
+ *
+ * @returns {Promise<{policy: object} | {error: string}>}
+ */
+async function saveOverduePolicy(changes = {}) {
+  const current = await getOverduePolicy();
+  const policy = {
+    ...current,
+    ...changes,
+    lateFee: { ...current.lateFee, ...(changes.lateFee || {}) },
+    autoPause: { ...current.autoPause, ...(changes.autoPause || {}) }
+  };
+
+  if (!Number.isInteger(policy.dueDay) || policy.dueDay < 1 || policy.dueDay > 28) {
+    return { error: 'dueDay must be a whole number between 1 and 28' };
+  }
+  if (!(policy.minDaysToPay >= 0)) {
+    return { error: 'minDaysToPay cannot be negative' };
+  }
+  if (!Array.isArray(policy.reminders) ||
+      policy.reminders.some(r => !REMINDER_STAGES.includes(r.stage) || !Number.isInteger(r.offsetDays))) {
+    return { error: `Each reminder needs a stage (${REMINDER_STAGES.join(', ')}) and whole-number offsetDays` };
+  }
+  if (!['flat', 'percentage'].includes(policy.lateFee.type) || !(policy.lateFee.value >= 0)) {
+    return { error: 'Late fee needs type flat/percentage and a non-negative value' };
+  }
+  if (!(policy.lateFee.graceDays >= 0)) {
+    return { error: 'Late fee graceDays cannot be negative' };
+  }
+  if (!Number.isInteger(policy.autoPause.unpaidMonths) || policy.autoPause.unpaidMonths < 1) {
+    return { error: 'autoPause.unpaidMonths must be at least 1' };
+  }
+
+  policy.reminders = [...policy.reminders].sort((a, b) => a.offsetDays - b.offsetDays);
+
+  await Config.findOneAndUpdate(
+    { key: POLICY_KEY },
+    { $set: { value: policy } },
+    { upsert: true }
+  );
+  return { policy };
+}
+
+/**
+ * Due date for a billed month: end of policy.dueDay, pushed out to give
+ * records billed after that day at least policy.minDaysToPay days.
+ */
+function getDueDate(month, year, policy, billedAt = new Date()) {
+  const monthIndex = MONTH_INDEX[month];
+  if (monthIndex === undefined || !year) return null;
+
+  const nominal = new Date(Date.UTC(Number(year), monthIndex, policy.dueDay) - IST_OFFSET_MS + DAY_MS - 1);
+  const earliest = endOfDay(new Date(new Date(billedAt).getTime() + policy.minDaysToPay * DAY_MS));
+  return billedAt > nominal ? earliest : nominal;
+}
+
+/**
+ * Late fee still owed on a record (0 once waived)
+ */
+function getLateFeeDue(feeRecord) {
+  if (!feeRecord || feeRecord.lateFeeWaived) return 0;
+  return feeRecord.lateFee || 0;
+}
+
+function calculateLateFee(feeRecord, policy) {
+  const { type, value, maxAmount } = policy.lateFee;
+  let fee = type === 'percentage' ? ((feeRecord.amount || 0) * value) / 100 : value;
+  if (maxAmount !== null && maxAmount !== undefined) fee = Math.min(fee, maxAmount);
+  return Math.max(0, Math.round(fee));
+}
+
+/**
+ * True while an admin override exempts the student from late fees and auto-pause
+ */
+function hasOverdueOverride(student, date = new Date()) {
+  const until = student && student.overdueOverride && student.overdueOverride.until;
+  return Boolean(until && new Date(until) >= date);
+}
+
+/**
+ * Latest reminder stage a pending record has reached on `date`
+ *
+ * @returns {{stage: string, sendFrom: Date} | null}
+ */
+function getReminderStage(feeRecord, policy, date = new Date()) {
+  if (!feeRecord.dueDate) return null;
+  let reached = null;
+  for (const reminder of policy.reminders) {
+    const sendFrom = startOfDay(feeRecord.dueDate.getTime() + reminder.offsetDays * DAY_MS);
+    if (sendFrom <= date) reached = { stage: reminder.stage, sendFrom };
+  }
+  return reached;
+}
+
+/**
+ * Walk pending fee records through the overdue policy:
+ *   1. give records without a due date one
+ *   2. flag records past their due date as overdue
+ *   3. add the late fee (unless waived or the student has an override)
+ *   4. pause enrollment for students with too many overdue months
+ * Safe to run repeatedly — each step only touches records not yet processed.
+ *
+ * @returns {Promise<{dueDatesSet, markedOverdue, lateFeesApplied, paused}>}
+ */
+async function applyOverduePolicy({ date = new Date() } = {}) {
+  const policy = await getOverduePolicy();
+  const summary = { dueDatesSet: 0, markedOverdue: 0, lateFeesApplied: 0, paused: 0 };
+
+  // 1. Due dates for records billed before the policy existed
+  const undated = await FeeRecord.find({ status: 'Pending', dueDate: null });
+  for (const record of undated) {
+    record.dueDate = getDueDate(record.month, record.year, policy, record.createdAt || date);
+    if (!record.dueDate) continue;
+    await record.save();
+    summary.dueDatesSet++;
+  }
+
+  // 2. Overdue flag
+  const flagged = await FeeRecord.updateMany(
+    { status: 'Pending', isOverdue: { $ne: true }, dueDate: { $lt: date } },
+    { $set: { isOverdue: true, overdueSince: date } }
+  );
+  summary.markedOverdue = flagged.modifiedCount;
+
+  // 3. Late fees
+  if (policy.lateFee.enabled) {
+    const lateCutoff = new Date(date.getTime() - policy.lateFee.graceDays * DAY_MS);
+    const unchargedRecords = await FeeRecord.find({
+      status: 'Pending',
+      isOverdue: true,
+      lateFeeWaived: { $ne: true },
+      lateFeeAppliedAt: null,
+      dueDate: { $lt: lateCutoff }
+    });
+
+    for (const record of unchargedRecords) {
+      const student = await Student.findById(record.studentId).select('overdueOverride');
+      if (hasOverdueOverride(student, date)) continue;
+
+      const lateFee = calculateLateFee(record, policy);
+      if (lateFee <= 0) continue;
+
+      record.lateFee = lateFee;
+      record.lateFeeAppliedAt = date;
+      await record.save();
+      summary.lateFeesApplied++;
+    }
+  }
+
+  // 4. Auto-pause
+  if (policy.autoPause.enabled) {
+    const overdueByStudent = await FeeRecord.aggregate([
+      { $match: { status: 'Pending', isOverdue: true } },
+      { $group: { _id: '$studentId', months: { $sum: 1 } } },
+      { $match: { months: { $gte: policy.autoPause.unpaidMonths } } }
+    ]);
+
+    const students = await Student.find({
+      _id: { $in: overdueByStudent.map(s => s._id) },
+      status: 'active',
+      enrollmentStatus: 'active'
+    });
+
+    for (const student of students) {
+      if (hasOverdueOverride(student, date)) continue;
+      student.enrollmentStatus = 'paused';
+      student.feeAutoPausedAt = date;
+      await student.save();
+      summary.paused++;
+      console.log(`⚠️ Auto-paused ${student.childName} (${student.enrollmentId}) for unpaid fees`);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Resume a student who was auto-paused for fees once nothing is overdue,
+ * or when an admin override is in place. Paused-by-admin students are left alone.
+ *
+ * @returns {Promise<boolean>} true if the student was resumed
+ */
+async function resumeIfArrearsCleared(studentId) {
+  const student = await Student.findById(studentId);
+  if (!student || !student.feeAutoPausedAt || student.enrollmentStatus !== 'paused') return false;
+
+  if (!hasOverdueOverride(student)) {
+    const stillOverdue = await FeeRecord.exists({ studentId: student._id, status: 'Pending', isOverdue: true });
+    if (stillOverdue) return false;
+  }
+
+  student.enrollmentStatus = 'active';
+  student.feeAutoPausedAt = null;
+  await student.save();
+  console.log(`✅ Resumed ${student.childName} (${student.enrollmentId}) after fees were cleared`);
+  return true;
+}
+
+module.exports = {
+  DEFAULT_OVERDUE_POLICY,
+  getOverduePolicy,
+  saveOverduePolicy,
+  getDueDate,
+  getLateFeeDue,
+  hasOverdueOverride,
+  getReminderStage,
+  applyOverduePolicy,
+  resumeIfArrearsCleared
+};
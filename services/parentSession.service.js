@@ -0,0 +1,79 @@
+const jwt = require('jsonwebtoken');
+const Student = require('../models/student.model');
+const { findHouseholdForContact } = require('./household.service');
+
+// Parent sessions are deliberately short-lived; parents log in again with
+// Enrollment ID + Contact Number when it expires.
+const PARENT_SESSION_EXPIRES_IN = process.env.PARENT_JWT_EXPIRES_IN || '2h';
+
+/**
+ * Resolve a parent from their contact number: the household it belongs to
+ * (directly or merged in) and every student in it, plus any not yet linked
+ * that share one of its numbers
+ *
+ * @returns {Promise<{household: Document|null, students: Document[]}>}
+ */
+const resolveParentHousehold = async (contact1) => {
+  const household = await findHouseholdForContact(contact1);
+  const query = household
+    ? {
+      $or: [
+        { householdId: household._id },
+        { contact1: { $in: [household.contact1, ...(household.linkedContacts || [])] } }
+      ]
+    }
+    : { contact1 };
+
+  const students = await Student.find(query)
+    .select('_id childName enrollmentId classType status householdId')
+    .sort({ createdAt: 1 });
+  return { household, students };
+};
+
+/**
+ * Find every student that belongs to a parent (see resolveParentHousehold)
+ */
+const findHouseholdStudents = async (contact1) => (await resolveParentHousehold(contact1)).students;
+
+/**
+ * Sign a parent session token for a contact number.
+ * `type: 'parent'` keeps these tokens from ever being accepted as admin tokens.
+ */
+const signParentToken = (contact1) => {
+  return jwt.sign(
+    { type: 'parent', contact1 },
+    process.env.JWT_SECRET,
+    { expiresIn: PARENT_SESSION_EXPIRES_IN }
+  );
+};
+
+/**
+ * Verify a parent session token. Throws jsonwebtoken errors as-is.
+ */
+const verifyParentToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.type !== 'parent' || !decoded.contact1) {
+    throw new jwt.JsonWebTokenError('Not a parent session token');
+  }
+  return decoded;
+};
+
+/**
+ * Issue a session for a verified parent: token + the students it covers
+ */
+const createParentSession = async (contact1) => {
+  const students = await findHouseholdStudents(contact1);
+  return {
+    token: signParentToken(contact1),
+    expiresIn: PARENT_SESSION_EXPIRES_IN,
+    students
+  };
+};
+
+module.exports = {
+  resolveParentHousehold,
+  findHouseholdStudents,
+  signParentToken,
+  verifyParentToken,
+  createParentSession
+};
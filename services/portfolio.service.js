@@ -0,0 +1,315 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const PortfolioItem = require('../models/PortfolioItem.model');
+const GalleryItem = require('../models/GalleryItem.model');
+const Category = require('../models/Category.model');
+const curriculumService = require('./curriculum.service');
+const { today, isValidDate } = require('./attendanceSession.service');
+const { ACADEMY } = require('./receipt.service');
+
+// Student portfolios: photos of each child's finished pieces, tagged with the
+// level and date. Images live under private/portfolio, outside the public
+// /uploads folder, and are only served to admins and the child's parents.
+// A piece only reaches the public gallery as a copy, after the parent
+// consented, and the copy is removed again if the parent withdraws consent.
+
+const UPLOADS_ROOT = path.join(__dirname, '..');
+const PORTFOLIO_DIR = path.join(__dirname, '..', 'private', 'portfolio');
+
+// Disk path of a gallery image stored under /uploads, or null
+const localPath = (imageUrl) =>
+  imageUrl && imageUrl.startsWith('/uploads/') ? path.join(UPLOADS_ROOT, imageUrl) : null;
+
+// Disk path of a portfolio item's photo
+const imagePath = (item) => path.join(PORTFOLIO_DIR, path.basename(item.imageFile));
+
+const removeFile = (filePath) => {
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+};
+
+const isLevelNumber = (level) => Number.isInteger(level) && level >= 0 && level <= curriculumService.MAX_LEVEL;
+
+// Title, description, level, date and projectKey from a request body; fields
+// not sent keep `current`'s value
+async function normalizeFields(fields, current) {
+  const next = {
+    title: fields.title !== undefined ? String(fields.title).trim() : current.title,
+    description: fields.description !== undefined ? String(fields.description).trim() : current.description,
+    level: fields.level !== undefined && fields.level !== '' ? Number(fields.level) : current.level,
+    date: fields.date !== undefined && fields.date !== '' ? fields.date : current.date,
+    projectKey: fields.projectKey !== undefined ? (fields.projectKey || undefined) : current.projectKey
+  };
+
+  if (!next.title) return { error: 'title is required' };
+  if (!isLevelNumber(next.level)) return { error: `level must be a whole number from 0 to ${curriculumService.MAX_LEVEL}` };
+  if (!isValidDate(next.date)) return { error: 'date must be YYYY-MM-DD' };
+  if (next.date > today()) return { error: 'date cannot be in the future' };
+  if (next.projectKey) {
+    const level = await curriculumService.getLevel(next.level);
+    if (!level.projects.some(p => p.key === next.projectKey)) {
+      return { error: `Level ${next.level} has no project "${next.projectKey}"` };
+    }
+  }
+  return { fields: next };
+}
+
+/**
+ * Add an uploaded photo to a student's portfolio. Level defaults to the
+ * student's current level and date to today. The upload is removed again if
+ * the item is rejected.
+ *
+ * @param {object} student
+ * @param {object} file multer file saved under PORTFOLIO_DIR
+ * @returns {Promise<{item: Document} | {error: string}>}
+ */
+async function addItem(student, file, fields = {}, { uploadedBy } = {}) {
+  const normalized = await normalizeFields(fields, {
+    title: '',
+    description: '',
+    level: student.currentLevel,
+    date: today(),
+    projectKey: undefined
+  });
+  if (normalized.error) {
+    removeFile(file.path);
+    return normalized;
+  }
+
+  const item = await PortfolioItem.create({
+    ...normalized.fields,
+    studentId: student._id,
+    imageFile: file.filename,
+    uploadedBy
+  });
+  return { item };
+}
+
+/**
+ * Edit a portfolio item's title, description, level, date or project
+ *
+ * @returns {Promise<{item: Document} | {error: string, status?: number}>}
+ */
+async function updateItem(id, changes = {}) {
+  const item = await PortfolioItem.findById(id);
+  if (!item) return { error: 'Portfolio item not found', status: 404 };
+
+  const normalized = await normalizeFields(changes, item);
+  if (normalized.error) return normalized;
+
+  Object.assign(item, normalized.fields);
+  await item.save();
+  return { item };
+}
+
+/**
+ * Delete a portfolio item and its photo. A copy already in the public gallery
+ * stays there (the parent consented to it) but loses its link.
+ *
+ * @returns {Promise<{item: Document} | {error: string, status?: number}>}
+ */
+async function deleteItem(id) {
+  const item = await PortfolioItem.findByIdAndDelete(id);
+  if (!item) return { error: 'Portfolio item not found', status: 404 };
+
+  removeFile(imagePath(item));
+  if (item.galleryItemId) {
+    await GalleryItem.updateOne({ _id: item.galleryItemId }, { $set: { portfolioItemId: null } });
+  }
+  return { item };
+}
+
+/**
+ * A student's portfolio, newest piece first
+ */
+function listPortfolio(studentId) {
+  return PortfolioItem.find({ studentId }).sort({ date: -1, createdAt: -1 });
+}
+
+/**
+ * Pieces per level, lowest level first, for the portal timeline
+ */
+function summarizeByLevel(items) {
+  const byLevel = new Map();
+  for (const item of items) {
+    byLevel.set(item.level, (byLevel.get(item.level) || 0) + 1);
+  }
+  return [...byLevel.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([level, count]) => ({ level, count }));
+}
+
+/**
+ * Take a piece out of the public gallery (deletes the gallery copy)
+ */
+async function removeFromGallery(item) {
+  if (!item.galleryItemId) return item;
+
+  const galleryItem = await GalleryItem.findByIdAndDelete(item.galleryItemId);
+  if (galleryItem) removeFile(localPath(galleryItem.imageUrl));
+  item.galleryItemId = null;
+  item.promotedAt = undefined;
+  item.promotedBy = undefined;
+  await item.save();
+  return item;
+}
+
+/**
+ * Record a parent's consent for one piece. Declining removes the piece from
+ * the public gallery if it is already there.
+ *
+ * @returns {Promise<{item: Document, removedFromGallery: boolean}>}
+ */
+async function setConsent(item, granted, { respondedBy } = {}) {
+  const wasInGallery = Boolean(item.galleryItemId);
+  item.consent = {
+    status: granted ? 'granted' : 'declined',
+    respondedAt: new Date(),
+    respondedBy
+  };
+  await item.save();
+
+  if (!granted && wasInGallery) await removeFromGallery(item);
+  return { item, removedFromGallery: !granted && wasInGallery };
+}
+
+/**
+ * Publish a consented piece in the public gallery. The gallery gets its own
+ * copy of the photo, so gallery edits and deletes never touch the portfolio.
+ *
+ * @returns {Promise<{item: Document, galleryItem: Document} | {error: string, status?: number}>}
+ */
+async function promoteToGallery(id, { category, title, description, promotedBy } = {}) {
+  const item = await PortfolioItem.findById(id);
+  if (!item) return { error: 'Portfolio item not found', status: 404 };
+  if (item.consent.status !== 'granted') {
+    return { error: 'The parent has not consented to this piece being shown publicly', status: 409 };
+  }
+  if (item.galleryItemId) return { error: 'This piece is already in the gallery', status: 409 };
+
+  const categoryDoc = category ? await Category.findById(category) : null;
+  if (!categoryDoc) return { error: 'Invalid category. Please select a valid category.' };
+
+  const source = imagePath(item);
+  if (!fs.existsSync(source)) return { error: 'The portfolio photo file is missing', status: 409 };
+  const filename = `gallery-${Date.now()}-${Math.round(Math.random() * 1e9)}${path.extname(source)}`;
+  fs.copyFileSync(source, path.join(UPLOADS_ROOT, 'uploads', filename));
+
+  // Children's names stay off the public site unless the admin writes one in
+  const galleryItem = await GalleryItem.create({
+    title: title ? String(title).trim() : item.title,
+    description: description !== undefined ? String(description).trim() : item.description,
+    category: categoryDoc._id,
+    imageUrl: `/uploads/${filename}`,
+    portfolioItemId: item._id
+  });
+
+  item.galleryItemId = galleryItem._id;
+  item.promotedAt = new Date();
+  item.promotedBy = promotedBy;
+  await item.save();
+  return { item, galleryItem };
+}
+
+/**
+ * Disk path of an item's photo for an authenticated download, or null if the
+ * file is missing
+ */
+function getImagePath(item) {
+  const filePath = imagePath(item);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+// ─── PDF ──────────────────────────────────────────────────────
+
+const formatDate = (date) =>
+  new Date(`${date}T00:00:00Z`).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Render a student's portfolio as an A4 PDF: a cover page, then the pieces
+ * oldest first, two to a page. Photos PDFKit cannot embed (only JPEG and PNG)
+ * are listed without the picture.
+ *
+ * @returns {Promise<Buffer>}
+ */
+function renderPortfolioPdf(student, items) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Portfolio — ${student.childName}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = 50;
+    const width = doc.page.width - 100;
+    const pieces = [...items].sort((a, b) => a.date.localeCompare(b.date));
+
+    // Cover
+    doc.fillColor('#9C29B2').font('Helvetica-Bold').fontSize(18).text(ACADEMY.name, left, 50, { width, align: 'center' });
+    doc.moveDown(6);
+    doc.fillColor('#111111').font('Helvetica-Bold').fontSize(30).text('PORTFOLIO', { width, align: 'center' });
+    doc.moveDown(0.8);
+    doc.fillColor('#9C29B2').fontSize(26).text(student.childName, { width, align: 'center' });
+    doc.moveDown(1);
+    doc.fillColor('#555555').font('Helvetica').fontSize(12)
+      .text(`Enrollment ID: ${student.enrollmentId || '-'}`, { width, align: 'center' })
+      .text(student.enrollmentStatus === 'graduated'
+        ? `Graduated from Level ${curriculumService.MAX_LEVEL}`
+        : `Currently at Level ${student.currentLevel}`, { width, align: 'center' })
+      .text(`${pieces.length} piece(s)${pieces.length ? `, ${formatDate(pieces[0].date)} – ${formatDate(pieces[pieces.length - 1].date)}` : ''}`, { width, align: 'center' });
+
+    // Pieces, two per page
+    const slotHeight = (doc.page.height - 100) / 2;
+    const imageHeight = slotHeight - 90;
+    pieces.forEach((item, index) => {
+      if (index % 2 === 0) doc.addPage();
+      const top = 50 + (index % 2) * slotHeight;
+
+      const filePath = imagePath(item);
+      let embedded = false;
+      if (fs.existsSync(filePath)) {
+        try {
+          doc.image(filePath, left, top, { fit: [width, imageHeight], align: 'center', valign: 'center' });
+          embedded = true;
+        } catch (e) {
+          // Unsupported image format
+        }
+      }
+      if (!embedded) {
+        doc.rect(left, top, width, imageHeight).fill('#F3E8F7');
+        doc.fillColor('#777777').font('Helvetica').fontSize(10)
+          .text('Photo not available in this export', left, top + imageHeight / 2 - 5, { width, align: 'center' });
+      }
+
+      doc.fillColor('#111111').font('Helvetica-Bold').fontSize(13)
+        .text(item.title, left, top + imageHeight + 10, { width });
+      doc.fillColor('#555555').font('Helvetica').fontSize(10)
+        .text(`Level ${item.level} · ${formatDate(item.date)}`, { width });
+      if (item.description) {
+        doc.fillColor('#333333').fontSize(10).text(item.description, { width, height: 36, ellipsis: true });
+      }
+    });
+
+    doc.end();
+  });
+}
+
+const portfolioFilename = (student) =>
+  `Portfolio-${String(student.childName).replace(/[^A-Za-z0-9]+/g, '-')}.pdf`;
+
+module.exports = {
+  PORTFOLIO_DIR,
+  addItem,
+  updateItem,
+  deleteItem,
+  listPortfolio,
+  summarizeByLevel,
+  setConsent,
+  promoteToGallery,
+  removeFromGallery,
+  getImagePath,
+  renderPortfolioPdf,
+  portfolioFilename
+};
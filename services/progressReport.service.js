@@ -0,0 +1,414 @@
+const Config = require('../models/config.model');
+const Student = require('../models/student.model');
+const AttendanceRecord = require('../models/AttendanceRecord.model');
+const AttendanceSession = require('../models/AttendanceSession.model');
+const ProgressNote = require('../models/ProgressNote.model');
+const ProgressReport = require('../models/ProgressReport.model');
+const PortfolioItem = require('../models/PortfolioItem.model');
+const emailService = require('./email.service');
+const curriculumService = require('./curriculum.service');
+const { today, isValidDate } = require('./attendanceSession.service');
+
+// Instructor progress notes and the reports compiled from them. A report
+// covers a calendar month or a whole level: attendance, average ratings,
+// skills practised, instructor comments, curriculum projects and assessment,
+// and portfolio pieces. Reports are emailed to parents and shown in the portal.
+
+const POLICY_KEY = 'PROGRESS_REPORT_POLICY';
+const RATING_FIELDS = ['skills', 'behaviour', 'effort'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Stored in Config under PROGRESS_REPORT_POLICY; anything missing falls back to these
+const DEFAULT_PROGRESS_REPORT_POLICY = {
+  monthly: true,          // compile last month's report for every active student
+  onLevelComplete: true,  // compile a level report when a student leaves a level
+  emailParents: true      // email reports to parents as they are compiled
+};
+
+/**
+ * The active progress report policy (Config merged over the defaults)
+ */
+async function getProgressReportPolicy() {
+  const config = await Config.findOne({ key: POLICY_KEY });
+  return { ...DEFAULT_PROGRESS_REPORT_POLICY, ...((config && config.value) || {}) };
+}
+
+/**
+ * Validate and store changes to the progress report policy
+ *
+ * @returns {Promise<{policy: object} | {error: string}>}
+ */
+async function saveProgressReportPolicy(changes = {}) {
+  const policy = { ...(await getProgressReportPolicy()), ...changes };
+
+  for (const field of Object.keys(DEFAULT_PROGRESS_REPORT_POLICY)) {
+    if (typeof policy[field] !== 'boolean') return { error: `${field} must be true or false` };
+  }
+
+  await Config.findOneAndUpdate(
+    { key: POLICY_KEY },
+    { $set: { value: policy } },
+    { upsert: true }
+  );
+  return { policy };
+}
+
+// ─── Notes ────────────────────────────────────────────────────
+
+// Ratings, skills, comment and visibility from a request body; fields not
+// sent keep `current`'s value
+function normalizeNote(fields, current) {
+  const ratings = { ...current.ratings };
+  for (const field of RATING_FIELDS) {
+    const value = fields.ratings ? fields.ratings[field] : undefined;
+    if (value === undefined) continue;
+    if (value !== null && !(Number.isInteger(value) && value >= 1 && value <= 5)) {
+      return { error: `ratings.${field} must be a whole number from 1 to 5, or null` };
+    }
+    ratings[field] = value;
+  }
+
+  const skills = fields.skills !== undefined ? fields.skills : current.skills;
+  if (!Array.isArray(skills) || skills.some(s => typeof s !== 'string' || !s.trim())) {
+    return { error: 'skills must be a list of skill names' };
+  }
+  const comment = fields.comment !== undefined ? String(fields.comment || '').trim() : current.comment;
+  const visibleToParent = fields.visibleToParent !== undefined ? fields.visibleToParent : current.visibleToParent;
+  if (typeof visibleToParent !== 'boolean') return { error: 'visibleToParent must be true or false' };
+
+  if (!comment && RATING_FIELDS.every(field => ratings[field] === null || ratings[field] === undefined)) {
+    return { error: 'A note needs a comment or at least one rating' };
+  }
+  return { fields: { ratings, skills: skills.map(s => s.trim()), comment, visibleToParent } };
+}
+
+/**
+ * Record an instructor's note on a student. With a sessionId the date and
+ * batch come from the attendance session; otherwise date defaults to today.
+ *
+ * @returns {Promise<{note: Document} | {error: string, status?: number}>}
+ */
+async function addNote(student, fields = {}, { author } = {}) {
+  let date = fields.date || today();
+  let batchId = student.batchId || null;
+  let sessionId = null;
+
+  if (fields.sessionId) {
+    const session = await AttendanceSession.findById(fields.sessionId).select('date batchId');
+    if (!session) return { error: 'Attendance session not found', status: 404 };
+    sessionId = session._id;
+    date = session.date;
+    batchId = session.batchId;
+  }
+  if (!isValidDate(date)) return { error: 'date must be YYYY-MM-DD' };
+  if (date > today()) return { error: 'date cannot be in the future' };
+
+  const level = fields.level !== undefined ? Number(fields.level) : student.currentLevel;
+  if (!Number.isInteger(level) || level < 0 || level > curriculumService.MAX_LEVEL) {
+    return { error: `level must be a whole number from 0 to ${curriculumService.MAX_LEVEL}` };
+  }
+
+  const normalized = normalizeNote(fields, {
+    ratings: { skills: null, behaviour: null, effort: null },
+    skills: [],
+    comment: '',
+    visibleToParent: true
+  });
+  if (normalized.error) return normalized;
+
+  const note = await ProgressNote.create({
+    ...normalized.fields,
+    studentId: student._id,
+    sessionId,
+    batchId,
+    date,
+    level,
+    author
+  });
+  return { note };
+}
+
+/**
+ * Edit a note's ratings, skills, comment or visibility
+ *
+ * @returns {Promise<{note: Document} | {error: string, status?: number}>}
+ */
+async function updateNote(id, changes = {}) {
+  const note = await ProgressNote.findById(id);
+  if (!note) return { error: 'Progress note not found', status: 404 };
+
+  const normalized = normalizeNote(changes, note.toObject());
+  if (normalized.error) return normalized;
+
+  Object.assign(note, normalized.fields);
+  await note.save();
+  return { note };
+}
+
+/**
+ * A student's notes, newest first, optionally within a date range
+ */
+function listNotes(studentId, { from, to } = {}) {
+  const filter = { studentId };
+  if (from || to) {
+    filter.date = {};
+    if (from) filter.date.$gte = from;
+    if (to) filter.date.$lte = to;
+  }
+  return ProgressNote.find(filter).sort({ date: -1, createdAt: -1 });
+}
+
+// ─── Reports ──────────────────────────────────────────────────
+
+const toDateString = (date) => new Date(date).toISOString().slice(0, 10);
+
+const average = (values) => values.length
+  ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10
+  : null;
+
+// First and last day (YYYY-MM-DD) of a 'YYYY-MM' month
+const monthRange = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const last = new Date(Date.UTC(year, monthNumber, 0)).toISOString().slice(0, 10);
+  return { from: `${month}-01`, to: last, label: `${MONTHS[monthNumber - 1]} ${year}` };
+};
+
+// The month before a YYYY-MM-DD date, as 'YYYY-MM'
+const previousMonth = (date) => {
+  const [year, month] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 2, 1)).toISOString().slice(0, 7);
+};
+
+// The period a report covers, or an error
+function resolvePeriod(student, { type, month, level }) {
+  if (type === 'monthly') {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '')) return { error: 'month must be YYYY-MM' };
+    if (`${month}-01` > today()) return { error: 'month cannot be in the future' };
+    return { ...monthRange(month), periodKey: `month:${month}`, level: null, entry: null };
+  }
+  if (type === 'level') {
+    const entry = [...student.levelHistory].reverse().find(h => h.level === level);
+    if (!entry) return { error: `${student.childName} has no history for Level ${level}` };
+    return {
+      from: toDateString(entry.startedDate || student.levelStartedAt || new Date()),
+      to: entry.completedDate ? toDateString(entry.completedDate) : today(),
+      label: `Level ${level}`,
+      periodKey: `level:${level}`,
+      level,
+      entry
+    };
+  }
+  return { error: 'type must be monthly or level' };
+}
+
+/**
+ * Compile (or recompile) a student's report for a month or a level
+ *
+ * @param {object|string} studentOrId
+ * @param {{type: 'monthly'|'level', month?: string, level?: number}} period
+ * @param {{generatedBy?: string, email?: boolean, reviewId?}} [options] email defaults to the policy's emailParents
+ * @returns {Promise<{report: Document} | {error: string, status?: number}>}
+ */
+async function generateReport(studentOrId, period, { generatedBy = 'system', email, reviewId } = {}) {
+  const student = typeof studentOrId === 'object' && studentOrId.levelHistory
+    ? studentOrId
+    : await Student.findById(studentOrId);
+  if (!student) return { error: 'Student not found', status: 404 };
+
+  const resolved = resolvePeriod(student, period);
+  if (resolved.error) return resolved;
+  const { from, to, label, periodKey, entry } = resolved;
+
+  const [attendance, notes, portfolioCount] = await Promise.all([
+    AttendanceRecord.find({ studentId: student._id, date: { $gte: from, $lte: to }, status: { $in: ['P', 'A', 'C'] } }).select('status'),
+    ProgressNote.find({ studentId: student._id, date: { $gte: from, $lte: to }, visibleToParent: true }).sort({ date: 1 }),
+    PortfolioItem.countDocuments({ studentId: student._id, date: { $gte: from, $lte: to } })
+  ]);
+
+  const present = attendance.filter(a => a.status !== 'A').length;
+  const absent = attendance.length - present;
+  const ratings = {};
+  for (const field of RATING_FIELDS) {
+    ratings[field] = average(notes.map(n => n.ratings && n.ratings[field]).filter(v => typeof v === 'number'));
+  }
+
+  const summary = {
+    type: period.type,
+    label,
+    from,
+    to,
+    level: resolved.level !== null ? resolved.level : student.currentLevel,
+    childName: student.childName,
+    attendance: {
+      present,
+      absent,
+      rate: attendance.length ? Math.round((present / attendance.length) * 100) : null
+    },
+    ratings,
+    notesCount: notes.length,
+    skillsPracticed: [...new Set(notes.flatMap(n => n.skills))],
+    comments: notes.filter(n => n.comment).map(n => ({ date: n.date, comment: n.comment })),
+    projects: entry ? entry.projects.map(p => ({ title: p.title, completedAt: p.completedAt })) : [],
+    portfolioCount,
+    generatedBy,
+    generatedAt: new Date()
+  };
+  if (reviewId) summary.reviewId = reviewId;
+  const update = { $set: summary };
+  if (entry && entry.assessment && entry.assessment.assessedAt) {
+    summary.assessment = { percentage: entry.assessment.percentage, passed: entry.assessment.passed };
+  } else {
+    update.$unset = { assessment: '' };
+  }
+
+  const report = await ProgressReport.findOneAndUpdate(
+    { studentId: student._id, periodKey },
+    update,
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  const shouldEmail = email !== undefined ? email : (await getProgressReportPolicy()).emailParents;
+  if (shouldEmail) await sendReport(report, student);
+  return { report };
+}
+
+/**
+ * Email a report to the parent and record when it went out
+ *
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function sendReport(report, student) {
+  const recipient = student || await Student.findById(report.studentId).select('email parentName childName');
+  if (!recipient) return { success: false, error: 'Student not found' };
+
+  const result = await emailService.sendProgressReportEmail(recipient, report);
+  if (result.success) {
+    report.emailedAt = new Date();
+    await ProgressReport.updateOne({ _id: report._id }, { $set: { emailedAt: report.emailedAt } });
+  }
+  return result;
+}
+
+/**
+ * Level report for a student who just left a level, if the policy asks for
+ * one. Never throws: a failed report must not fail the promotion. Reports for
+ * a promotion review (`reviewId`) are not emailed here; see sendReviewReports.
+ *
+ * @returns {Promise<Document|null>}
+ */
+async function generateLevelReport(studentId, level, { generatedBy, reviewId } = {}) {
+  try {
+    const policy = await getProgressReportPolicy();
+    if (!policy.onLevelComplete) return null;
+
+    const result = await generateReport(studentId, { type: 'level', level }, {
+      generatedBy,
+      reviewId,
+      email: reviewId ? false : policy.emailParents
+    });
+    if (result.error) {
+      console.warn(`⚠️ No Level ${level} progress report for ${studentId}: ${result.error}`);
+      return null;
+    }
+    return result.report;
+  } catch (error) {
+    console.error(`❌ Level ${level} progress report for ${studentId} failed:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Remove the level reports a promotion review compiled for students whose
+ * promotion was undone
+ *
+ * @returns {Promise<number>} reports removed
+ */
+async function removeReviewReports(reviewId, studentIds) {
+  if (!studentIds.length) return 0;
+  const result = await ProgressReport.deleteMany({ reviewId, studentId: { $in: studentIds }, type: 'level' });
+  return result.deletedCount;
+}
+
+/**
+ * Email a promotion review's level reports that have not gone out yet, if
+ * the policy emails parents
+ *
+ * @returns {Promise<number>} reports emailed
+ */
+async function sendReviewReports(reviewId) {
+  if (!(await getProgressReportPolicy()).emailParents) return 0;
+
+  const reports = await ProgressReport.find({ reviewId, emailedAt: null });
+  let sent = 0;
+  for (const report of reports) {
+    const result = await sendReport(report);
+    if (result.success) sent++;
+  }
+  return sent;
+}
+
+/**
+ * Last month's report for every active student who attended or was noted
+ * that month and does not have one yet. Safe to run daily: a missed day is
+ * caught up on the next run.
+ *
+ * @returns {Promise<{month: string, generated: number, failed: number, skipped?: boolean}>}
+ */
+async function generateMonthlyReports(date = today()) {
+  const month = previousMonth(date);
+  const policy = await getProgressReportPolicy();
+  if (!policy.monthly) return { month, generated: 0, failed: 0, skipped: true };
+
+  const { from, to } = monthRange(month);
+  const [attended, noted, done] = await Promise.all([
+    AttendanceRecord.distinct('studentId', { date: { $gte: from, $lte: to }, status: { $in: ['P', 'A', 'C'] } }),
+    ProgressNote.distinct('studentId', { date: { $gte: from, $lte: to } }),
+    ProgressReport.distinct('studentId', { periodKey: `month:${month}` })
+  ]);
+  const doneIds = new Set(done.map(String));
+  const candidateIds = [...new Set([...attended, ...noted].map(String))].filter(id => !doneIds.has(id));
+
+  const students = await Student.find({ _id: { $in: candidateIds }, enrollmentStatus: 'active' });
+  let generated = 0;
+  let failed = 0;
+  for (const student of students) {
+    try {
+      const result = await generateReport(student, { type: 'monthly', month }, { email: policy.emailParents });
+      if (result.error) {
+        console.warn(`⚠️ No ${month} progress report for ${student.childName}: ${result.error}`);
+        failed++;
+      } else {
+        generated++;
+      }
+    } catch (error) {
+      console.error(`❌ ${month} progress report for ${student.childName} failed:`, error.message);
+      failed++;
+    }
+  }
+  return { month, generated, failed };
+}
+
+/**
+ * A student's reports, newest period first
+ */
+function listReports(studentId) {
+  return ProgressReport.find({ studentId }).sort({ to: -1, createdAt: -1 });
+}
+
+module.exports = {
+  RATING_FIELDS,
+  DEFAULT_PROGRESS_REPORT_POLICY,
+  getProgressReportPolicy,
+  saveProgressReportPolicy,
+  addNote,
+  updateNote,
+  listNotes,
+  generateReport,
+  sendReport,
+  generateLevelReport,
+  removeReviewReports,
+  sendReviewReports,
+  generateMonthlyReports,
+  listReports
+};
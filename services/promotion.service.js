@@ -0,0 +1,436 @@
+const Batch = require('../models/Batch.model');
+const Student = require('../models/student.model');
+const AttendanceRecord = require('../models/AttendanceRecord.model');
+const PromotionReview = require('../models/PromotionReview.model');
+const PromotionAudit = require('../models/PromotionAudit.model');
+const curriculumService = require('./curriculum.service');
+const certificateService = require('./certificate.service');
+const progressReportService = require('./progressReport.service');
+const { withTransaction } = require('./unitOfWork.service');
+
+// Per-student promotion when a batch completes. A review proposes an outcome
+// for every enrolled student from their attendance and assessment:
+//   advance  — move to the next level
+//   repeat   — stay at the current level for another round
+//   graduate — finished Level 12
+//   hold     — no change for now (not started, paused, assessment missing)
+// The admin edits the decisions, then commits. A commit can be undone for
+// UNDO_WINDOW_HOURS; every commit and undo leaves a PromotionAudit per student.
+
+const OUTCOMES = ['advance', 'repeat', 'graduate', 'hold'];
+const MIN_ATTENDANCE_RATE = 0.6;
+const UNDO_WINDOW_HOURS = 48;
+const INACTIVE_STATUSES = ['paused', 'withdrawn', 'completed'];
+
+// The open levelHistory entry for the student's current level
+const currentEntry = (student) =>
+  student.levelHistory.find(h => h.level === student.currentLevel && !h.completedDate);
+
+// Present / absent marks since the current level started
+async function getLevelAttendance(student) {
+  const entry = currentEntry(student);
+  const since = entry && entry.startedDate ? entry.startedDate.toISOString().slice(0, 10) : null;
+  const query = { studentId: student._id, status: { $in: ['P', 'C', 'A'] } };
+  if (since) query.date = { $gte: since };
+
+  const marks = await AttendanceRecord.find(query).select('status');
+  const present = marks.filter(m => m.status !== 'A').length;
+  const absent = marks.length - present;
+  return { present, absent, rate: marks.length ? Math.round((present / marks.length) * 100) / 100 : null };
+}
+
+/**
+ * Proposed outcome for one student, with the reasons behind it
+ *
+ * @returns {Promise<{proposed: string, reasons: string[], attendance: object, assessment: object|null}>}
+ */
+async function proposeOutcome(student) {
+  const level = student.currentLevel || 0;
+  const attendance = await getLevelAttendance(student);
+  const entry = currentEntry(student);
+  const assessment = entry && entry.assessment && entry.assessment.assessedAt
+    ? { percentage: entry.assessment.percentage, passed: entry.assessment.passed }
+    : null;
+  const result = (proposed, reasons) => ({ proposed, reasons, attendance, assessment });
+
+  if (level === 0) return result('hold', ['Has not started the level journey']);
+  if (INACTIVE_STATUSES.includes(student.enrollmentStatus)) {
+    return result('hold', [`Enrollment is ${student.enrollmentStatus}`]);
+  }
+
+  const curriculum = await curriculumService.getLevel(level);
+  if (assessment && !assessment.passed) {
+    return result('repeat', [`Level ${level} assessment not passed (${assessment.percentage}%)`]);
+  }
+  if (!assessment && curriculum.assessment.requiredToAdvance) {
+    return result('hold', [`Level ${level} assessment not recorded yet`]);
+  }
+  if (attendance.rate !== null && attendance.rate < MIN_ATTENDANCE_RATE) {
+    return result('repeat', [`Attended ${Math.round(attendance.rate * 100)}% of classes (needs ${MIN_ATTENDANCE_RATE * 100}%)`]);
+  }
+
+  const reasons = [];
+  if (assessment) reasons.push(`Assessment passed (${assessment.percentage}%)`);
+  if (attendance.rate !== null) reasons.push(`Attended ${Math.round(attendance.rate * 100)}% of classes`);
+  if (level >= curriculumService.MAX_LEVEL) return result('graduate', [...reasons, `Completed Level ${curriculumService.MAX_LEVEL}`]);
+  return result('advance', reasons);
+}
+
+/**
+ * Start the promotion review for a batch. A batch has at most one draft: if
+ * one is open this fails with 409 and returns it, unless `replace` is set, in
+ * which case that draft is discarded for fresh proposals.
+ *
+ * @returns {Promise<{review} | {error: string, status?: number, review?}>}
+ */
+async function createReview(batchId, { createdBy, replace = false } = {}) {
+  const batch = await Batch.findById(batchId).populate('enrolledStudents');
+  if (!batch) return { error: 'Batch not found', status: 404 };
+  if (batch.status === 'completed' || batch.status === 'archived') {
+    return { error: `Batch is already ${batch.status}` };
+  }
+
+  const draftInProgress = (review) => ({
+    error: 'A promotion review is already in progress for this batch. Edit or commit it, or start over with replace.',
+    status: 409,
+    review
+  });
+
+  const existing = await PromotionReview.findOne({ batchId: batch._id, status: 'draft' });
+  if (existing && !replace) return draftInProgress(existing);
+
+  const outcomes = [];
+  for (const student of batch.enrolledStudents) {
+    const proposal = await proposeOutcome(student);
+    outcomes.push({
+      studentId: student._id,
+      childName: student.childName,
+      level: student.currentLevel || 0,
+      proposed: proposal.proposed,
+      decision: proposal.proposed,
+      reasons: proposal.reasons,
+      attendance: proposal.attendance,
+      assessment: proposal.assessment
+    });
+  }
+
+  if (existing) await PromotionReview.deleteOne({ _id: existing._id, status: 'draft' });
+  try {
+    const review = await PromotionReview.create({ batchId: batch._id, outcomes, createdBy });
+    return { review };
+  } catch (error) {
+    // Another admin opened a draft at the same time
+    if (error.code === 11000) {
+      return draftInProgress(await PromotionReview.findOne({ batchId: batch._id, status: 'draft' }));
+    }
+    throw error;
+  }
+}
+
+/**
+ * Change decisions (and notes) on a draft review
+ *
+ * @param {Array<{studentId, decision?, notes?}>} changes
+ * @returns {Promise<{review} | {error: string, status?: number}>}
+ */
+async function updateDecisions(reviewId, changes) {
+  const review = await PromotionReview.findById(reviewId);
+  if (!review) return { error: 'Promotion review not found', status: 404 };
+  if (review.status !== 'draft') return { error: `Review is already ${review.status}`, status: 409 };
+  if (!Array.isArray(changes) || changes.length === 0) return { error: 'outcomes array is required' };
+
+  for (const change of changes) {
+    const outcome = review.outcomes.find(o => String(o.studentId) === String(change.studentId));
+    if (!outcome) return { error: `Student ${change.studentId} is not in this review` };
+    if (change.decision !== undefined) {
+      if (!OUTCOMES.includes(change.decision)) {
+        return { error: `decision must be one of ${OUTCOMES.join(', ')}` };
+      }
+      if (change.decision === 'graduate' && outcome.level < curriculumService.MAX_LEVEL) {
+        return { error: `${outcome.childName} is at Level ${outcome.level}; only Level ${curriculumService.MAX_LEVEL} students can graduate` };
+      }
+      if (['advance', 'repeat'].includes(change.decision) && outcome.level === 0) {
+        return { error: `${outcome.childName} has not started the level journey` };
+      }
+      outcome.decision = change.decision;
+    }
+    if (change.notes !== undefined) outcome.notes = change.notes;
+  }
+
+  await review.save();
+  return { review };
+}
+
+// Apply one decision to a student (unsaved)
+function applyDecision(student, decision, notes) {
+  const now = new Date();
+  const entry = currentEntry(student);
+
+  if (decision === 'advance' && student.currentLevel >= curriculumService.MAX_LEVEL) decision = 'graduate';
+
+  if (decision === 'advance') {
+    if (entry) {
+      entry.completedDate = now;
+    } else {
+      student.levelHistory.push({
+        level: student.currentLevel,
+        startedDate: student.levelStartedAt || now,
+        completedDate: now,
+        certificateIssued: false
+      });
+    }
+    student.currentLevel += 1;
+    student.levelHistory.push({ level: student.currentLevel, startedDate: now, completedDate: null, certificateIssued: false });
+    student.enrollmentStatus = 'active';
+  } else if (decision === 'graduate') {
+    if (entry) entry.completedDate = now;
+    student.enrollmentStatus = 'graduated';
+  } else if (decision === 'repeat' && entry) {
+    entry.notes = [entry.notes, `Repeating Level ${student.currentLevel} (${now.toISOString().slice(0, 10)})${notes ? ': ' + notes : ''}`]
+      .filter(Boolean).join('\n');
+  }
+  return decision;
+}
+
+/**
+ * Apply every decision of a draft review and complete the batch
+ *
+ * @returns {Promise<{review, summary: object} | {error: string, status?: number}>}
+ */
+async function commitReview(reviewId, { committedBy } = {}) {
+  const committed = await withTransaction(async (session) => {
+    const review = await PromotionReview.findOneAndUpdate(
+      { _id: reviewId, status: 'draft' },
+      { $set: { status: 'committed' } },
+      { new: true, session }
+    );
+    if (!review) return null;
+
+    const batch = await Batch.findById(review.batchId).session(session);
+    const now = new Date();
+    const summary = { advanced: [], repeated: [], graduated: [], held: [] };
+    const audits = [];
+
+    for (const outcome of review.outcomes) {
+      const student = await Student.findById(outcome.studentId).session(session);
+      if (!student) {
+        outcome.decision = 'hold';
+        outcome.notes = [outcome.notes, 'Student no longer exists'].filter(Boolean).join('; ');
+        summary.held.push({ studentId: outcome.studentId, name: outcome.childName });
+        continue;
+      }
+
+      outcome.before = {
+        currentLevel: student.currentLevel,
+        enrollmentStatus: student.enrollmentStatus,
+        levelHistory: student.levelHistory.map(h => h.toObject())
+      };
+      const applied = applyDecision(student, outcome.decision, outcome.notes);
+      outcome.decision = applied;
+      if (applied !== 'hold') await student.save({ session });
+      outcome.after = { currentLevel: student.currentLevel, enrollmentStatus: student.enrollmentStatus };
+
+      const bucket = { advance: 'advanced', repeat: 'repeated', graduate: 'graduated', hold: 'held' }[applied];
+      summary[bucket].push({
+        studentId: student._id,
+        name: student.childName,
+        oldLevel: outcome.before.currentLevel,
+        newLevel: student.currentLevel
+      });
+      audits.push({
+        reviewId: review._id,
+        batchId: review.batchId,
+        studentId: student._id,
+        action: 'committed',
+        outcome: applied,
+        proposed: outcome.proposed,
+        levelBefore: outcome.before.currentLevel,
+        levelAfter: student.currentLevel,
+        enrollmentStatusBefore: outcome.before.enrollmentStatus,
+        enrollmentStatusAfter: student.enrollmentStatus,
+        notes: outcome.notes,
+        performedBy: committedBy
+      });
+    }
+
+    if (batch) {
+      review.batchStatusBefore = batch.status;
+      batch.status = 'completed';
+      await batch.save({ session });
+    }
+    review.committedBy = committedBy;
+    review.committedAt = now;
+    review.undoUntil = new Date(now.getTime() + UNDO_WINDOW_HOURS * 60 * 60 * 1000);
+    await review.save({ session });
+    if (audits.length) await PromotionAudit.insertMany(audits, { session });
+
+    return { review, summary };
+  });
+
+  if (!committed) {
+    const exists = await PromotionReview.exists({ _id: reviewId });
+    return exists
+      ? { error: 'Review was already committed or undone. Please refresh.', status: 409 }
+      : { error: 'Promotion review not found', status: 404 };
+  }
+
+  const { review, summary } = committed;
+  console.log(`✅ Promotion review ${reviewId} committed: ${summary.advanced.length} advanced, ${summary.repeated.length} repeating, ${summary.graduated.length} graduated, ${summary.held.length} held`);
+
+  // Certificates for advanced and graduated students (non-blocking)
+  certificateService.issueReviewCertificates(review, { issuedBy: committedBy })
+    .then(({ issued, failed }) => {
+      if (issued || failed) console.log(`🎓 Promotion review ${reviewId}: ${issued} certificate(s) issued, ${failed} failed`);
+    })
+    .catch(err => console.warn('⚠️ Could not issue promotion certificates:', err.message));
+
+  // Level progress reports for the same students, one at a time (non-blocking).
+  // Neither these nor the certificates are emailed until the undo window
+  // closes (sendReviewNotifications).
+  (async () => {
+    for (const outcome of review.outcomes) {
+      if (!outcome.before || !['advance', 'graduate'].includes(outcome.decision)) continue;
+      if (!(await PromotionReview.exists({ _id: review._id, status: 'committed' }))) break;
+      await progressReportService.generateLevelReport(outcome.studentId, outcome.before.currentLevel, {
+        generatedBy: committedBy,
+        reviewId: review._id
+      });
+      // Undone while it was being compiled: undo's removal may have run first
+      if (await PromotionReview.undoneFor(review._id, outcome.studentId)) {
+        await progressReportService.removeReviewReports(review._id, [outcome.studentId]);
+        break;
+      }
+    }
+  })().catch(err => console.warn('⚠️ Could not compile level progress reports:', err.message));
+  return committed;
+}
+
+/**
+ * Undo a committed review within its undo window: students go back to how
+ * they were and the batch to its previous status, and their certificates and
+ * level reports from the review are revoked and removed. Students changed
+ * since the commit are left alone (noted on the review).
+ *
+ * @returns {Promise<{review, restored: number, skipped: number, certificatesRevoked: number, reportsRemoved: number} | {error: string, status?: number}>}
+ */
+async function undoReview(reviewId, { undoneBy } = {}) {
+  const review = await PromotionReview.findById(reviewId);
+  if (!review) return { error: 'Promotion review not found', status: 404 };
+  if (review.status !== 'committed') return { error: `Review is ${review.status}; only committed reviews can be undone`, status: 409 };
+  if (review.undoUntil < new Date()) {
+    return { error: `The undo window closed at ${review.undoUntil.toISOString()}`, status: 409 };
+  }
+
+  const result = await withTransaction(async (session) => {
+    const claimed = await PromotionReview.findOneAndUpdate(
+      { _id: review._id, status: 'committed' },
+      { $set: { status: 'undone' } },
+      { new: true, session }
+    );
+    if (!claimed) return null;
+
+    const restored = [];
+    let skipped = 0;
+    const audits = [];
+    for (const outcome of claimed.outcomes) {
+      if (!outcome.before || outcome.decision === 'hold') continue;
+
+      const student = await Student.findById(outcome.studentId).session(session);
+      if (!student) {
+        outcome.undoSkipped = 'Student no longer exists';
+        skipped++;
+        continue;
+      }
+      if (student.currentLevel !== outcome.after.currentLevel || student.enrollmentStatus !== outcome.after.enrollmentStatus) {
+        outcome.undoSkipped = `Changed since the commit (now Level ${student.currentLevel}, ${student.enrollmentStatus})`;
+        skipped++;
+        continue;
+      }
+
+      student.currentLevel = outcome.before.currentLevel;
+      student.enrollmentStatus = outcome.before.enrollmentStatus;
+      student.levelHistory = outcome.before.levelHistory;
+      await student.save({ session });
+      restored.push(student._id);
+
+      audits.push({
+        reviewId: claimed._id,
+        batchId: claimed.batchId,
+        studentId: student._id,
+        action: 'undone',
+        outcome: outcome.decision,
+        proposed: outcome.proposed,
+        levelBefore: outcome.after.currentLevel,
+        levelAfter: outcome.before.currentLevel,
+        enrollmentStatusBefore: outcome.after.enrollmentStatus,
+        enrollmentStatusAfter: outcome.before.enrollmentStatus,
+        performedBy: undoneBy
+      });
+    }
+
+    if (claimed.batchStatusBefore) {
+      await Batch.updateOne({ _id: claimed.batchId }, { $set: { status: claimed.batchStatusBefore } }, { session });
+    }
+    claimed.undoneBy = undoneBy;
+    claimed.undoneAt = new Date();
+    await claimed.save({ session });
+    if (audits.length) await PromotionAudit.insertMany(audits, { session });
+
+    return { review: claimed, restored, skipped };
+  });
+  if (!result) return { error: 'Review was already undone. Please refresh.', status: 409 };
+
+  // The restored students no longer completed the level
+  const revoked = await certificateService.revokeReviewCertificates(review._id, result.restored, { revokedBy: undoneBy });
+  const reportsRemoved = await progressReportService.removeReviewReports(review._id, result.restored);
+  return {
+    review: result.review,
+    restored: result.restored.length,
+    skipped: result.skipped,
+    certificatesRevoked: revoked,
+    reportsRemoved
+  };
+}
+
+/**
+ * Email the certificates and level reports of reviews whose undo window has
+ * closed. Each review is claimed once, so overlapping runs do not double-send.
+ *
+ * @returns {Promise<{reviews: number, certificates: number, reports: number}>}
+ */
+async function sendReviewNotifications(now = new Date()) {
+  const totals = { reviews: 0, certificates: 0, reports: 0 };
+
+  for (;;) {
+    const review = await PromotionReview.findOneAndUpdate(
+      { status: 'committed', undoUntil: { $lte: now }, notifiedAt: null },
+      { $set: { notifiedAt: new Date() } },
+      { new: true }
+    );
+    if (!review) break;
+
+    totals.reviews++;
+    totals.certificates += await certificateService.sendReviewCertificates(review._id);
+    totals.reports += await progressReportService.sendReviewReports(review._id);
+  }
+  return totals;
+}
+
+/**
+ * Latest review for a batch (any status), or null
+ */
+function getLatestReview(batchId) {
+  return PromotionReview.findOne({ batchId }).sort({ createdAt: -1 });
+}
+
+module.exports = {
+  OUTCOMES,
+  UNDO_WINDOW_HOURS,
+  proposeOutcome,
+  createReview,
+  updateDecisions,
+  commitReview,
+  undoReview,
+  sendReviewNotifications,
+  getLatestReview
+};
@@ -68,12 +68,29 @@ class RazorpayService {
         }
     }
 
-    // Refund payment
-    async refundPayment(paymentId, amount = null) {
+    // Fetch order details (including the notes set at creation)
+    async fetchOrder(orderId) {
         try {
-            const options = {};
+            const order = await this.instance.orders.fetch(orderId);
+            return {
+                success: true,
+                order
+            };
+        } catch (error) {
+            console.error('Fetch order error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Refund payment (full refund when no amount is given)
+    async refundPayment(paymentId, amount = null, notes = {}) {
+        try {
+            const options = { notes };
             if (amount) {
-                options.amount = amount * 100;
+                options.amount = Math.round(amount * 100);
             }
 
             const refund = await this.instance.payments.refund(paymentId, options);
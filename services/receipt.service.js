@@ -0,0 +1,424 @@
+const PDFDocument = require('pdfkit');
+const Receipt = require('../models/Receipt.model');
+const Counter = require('../models/Counter.model');
+const FeeRecord = require('../models/FeeRecord.model');
+const Student = require('../models/student.model');
+const Household = require('../models/Household.model');
+const HouseholdPayment = require('../models/HouseholdPayment.model');
+const SpecialCourse = require('../models/SpecialCourse.model');
+const { getMonthlyFee } = require('./feePlan.service');
+const { withTransaction } = require('./unitOfWork.service');
+
+const RECEIPT_PREFIX = process.env.RECEIPT_PREFIX || 'LS';
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+const ACADEMY = {
+  name: 'Lil Sculpr Clay Modelling Academy',
+  address: '468 A, C sector, 2nd Street, AE Block, Anna Nagar West Extension, Chennai - 600101',
+  contact: '+91 96 00 44 31 85 | lilsculpr@gmail.com'
+};
+
+/**
+ * Indian financial year (April–March) a date falls in, e.g. '2026-27'. The
+ * month is taken in Indian time, whatever the server's timezone.
+ */
+function getFinancialYear(date = new Date()) {
+  const d = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const startYear = d.getUTCMonth() >= 3 ? d.getUTCFullYear() : d.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+const formatReceiptNumber = (financialYear, sequence) =>
+  `${RECEIPT_PREFIX}/${financialYear}/${String(sequence).padStart(5, '0')}`;
+
+// ─── Snapshot builders (one per payment type) ─────────────────
+
+async function buildFeeReceipt(feeRecord) {
+  const lateFee = feeRecord.lateFeeWaived ? 0 : (feeRecord.lateFee || 0);
+  const grossAmount = feeRecord.grossAmount || feeRecord.amount;
+
+  return {
+    type: 'monthly_fee',
+    sourceKey: `fee:${feeRecord._id}`,
+    studentIds: [feeRecord.studentId],
+    feeRecordIds: [feeRecord._id],
+    billedTo: { name: feeRecord.parentName, email: feeRecord.email, phone: feeRecord.contact1 },
+    lineItems: [
+      { description: `Monthly fee — ${feeRecord.month} ${feeRecord.year}`, studentName: feeRecord.childName, amount: grossAmount }
+    ],
+    grossAmount,
+    discountAmount: feeRecord.discountAmount || 0,
+    lateFee,
+    totalAmount: feeRecord.amount + lateFee,
+    paymentMethod: feeRecord.paymentMethod,
+    razorpayOrderId: feeRecord.razorpayOrderId,
+    razorpayPaymentId: feeRecord.razorpayPaymentId,
+    paidAt: feeRecord.paidAt || new Date()
+  };
+}
+
+async function buildHouseholdReceipt(householdPayment) {
+  const household = householdPayment.householdId
+    ? await Household.findById(householdPayment.householdId)
+    : null;
+  const firstStudent = await Student.findById(householdPayment.items[0]?.studentId);
+
+  const items = householdPayment.items;
+  return {
+    type: 'household_fee',
+    sourceKey: `household:${householdPayment._id}`,
+    studentIds: [...new Set(items.map(i => String(i.studentId)))],
+    feeRecordIds: [],
+    billedTo: {
+      name: household?.guardianName || firstStudent?.parentName || '',
+      email: household?.email || firstStudent?.email || '',
+      phone: householdPayment.contact1
+    },
+    lineItems: items.map(i => ({
+      description: `Monthly fee — ${i.month} ${i.year}`,
+      studentName: i.childName,
+      amount: i.grossAmount || i.amount
+    })),
+    grossAmount: items.reduce((sum, i) => sum + (i.grossAmount || i.amount), 0),
+    discountAmount: items.reduce((sum, i) => sum + (i.discountAmount || 0), 0),
+    lateFee: items.reduce((sum, i) => sum + (i.lateFee || 0), 0),
+    totalAmount: householdPayment.totalAmount,
+    paymentMethod: 'Razorpay',
+    razorpayOrderId: householdPayment.razorpayOrderId,
+    razorpayPaymentId: householdPayment.razorpayPaymentId,
+    paidAt: householdPayment.paidAt || new Date()
+  };
+}
+
+async function buildEnrollmentReceipt(student) {
+  const [month, year] = String(student.feeStartMonth || '').split(' ');
+  const firstMonth = month && year
+    ? await FeeRecord.findOne({ studentId: student._id, month, year: Number(year) })
+    : null;
+
+  const kitFee = student.kitOptIn
+    ? (await getMonthlyFee(student, { month, year })).kitFee
+    : 0;
+  const totalAmount = student.amountPaid || (firstMonth ? firstMonth.amount : 0);
+  const grossAmount = firstMonth ? (firstMonth.grossAmount || firstMonth.amount) : totalAmount;
+
+  const lineItems = [{
+    description: `Enrollment — first month fee${month ? ` (${month} ${year})` : ''}`,
+    studentName: student.childName,
+    amount: grossAmount - kitFee
+  }];
+  if (kitFee) {
+    lineItems.push({ description: 'Enrollment kit', studentName: student.childName, amount: kitFee });
+  }
+
+  return {
+    type: 'enrollment',
+    sourceKey: `enrollment:${student._id}`,
+    studentIds: [student._id],
+    feeRecordIds: firstMonth ? [firstMonth._id] : [],
+    billedTo: { name: student.parentName, email: student.email, phone: student.contact1 },
+    lineItems,
+    grossAmount,
+    discountAmount: Math.max(0, grossAmount - totalAmount),
+    lateFee: 0,
+    totalAmount,
+    paymentMethod: student.paymentMethod,
+    razorpayOrderId: student.razorpayOrderId,
+    razorpayPaymentId: student.razorpayPaymentId,
+    paidAt: firstMonth?.paidAt || student.createdAt || new Date()
+  };
+}
+
+async function buildSpecialCourseReceipt(registration) {
+  const payment = registration.payment || {};
+  const grossAmount = payment.gross_amount || payment.amount || 0;
+  const date = registration.selectedDate
+    ? new Date(registration.selectedDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })
+    : '';
+
+  return {
+    type: 'special_course',
+    sourceKey: `special_course:${registration.registrationId}`,
+    studentIds: [],
+    feeRecordIds: [],
+    registrationId: registration.registrationId,
+    billedTo: { name: registration.parentName, email: registration.email, phone: registration.phone },
+    lineItems: [{
+      description: `${registration.carnivalName}${date ? ` — ${date}` : ''} (${registration.registrationId})`,
+      studentName: registration.childName,
+      amount: grossAmount
+    }],
+    grossAmount,
+    discountAmount: payment.discount_amount || 0,
+    lateFee: 0,
+    totalAmount: payment.amount || 0,
+    paymentMethod: payment.method || 'Razorpay',
+    razorpayOrderId: payment.razorpay_order_id,
+    razorpayPaymentId: payment.razorpay_payment_id,
+    paidAt: payment.payment_date || registration.payment_confirmed_at || new Date()
+  };
+}
+
+// ─── Issue / regenerate ───────────────────────────────────────
+
+/**
+ * Create the receipt for a payment once, numbered with the next number in
+ * its financial year. A repeat call (verify endpoint + webhook) returns the
+ * existing receipt, numbering it first if an earlier attempt could not.
+ */
+async function createReceipt(data) {
+  let receipt;
+  try {
+    receipt = await withTransaction(async (session) => {
+      const inserted = await Receipt.findOneAndUpdate(
+        { sourceKey: data.sourceKey },
+        { $setOnInsert: data },
+        { upsert: true, new: true, session }
+      );
+      return numberReceipt(inserted, session);
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    receipt = await Receipt.findOne({ sourceKey: data.sourceKey });
+  }
+
+  if (!receipt.receiptNumber) {
+    receipt = await withTransaction(session => numberReceipt(receipt, session));
+  }
+  return receipt;
+}
+
+// Give a receipt the next number of its financial year unless it has one.
+// In a transaction the counter and the receipt are written together, so a
+// failure leaves neither (no unnumbered receipts, no gaps).
+async function numberReceipt(receipt, session) {
+  if (receipt.receiptNumber) return receipt;
+
+  const financialYear = getFinancialYear(receipt.paidAt || receipt.issuedAt);
+  const sequence = await Counter.next(`receipt:${financialYear}`, { session });
+
+  const numbered = await Receipt.findOneAndUpdate(
+    { _id: receipt._id, receiptNumber: null },
+    { $set: { financialYear, sequence, receiptNumber: formatReceiptNumber(financialYear, sequence) } },
+    { new: true, session }
+  );
+  return numbered || Receipt.findById(receipt._id).session(session);
+}
+
+// Point fee records at the receipt that covers them
+async function linkFeeRecords(receipt, feeRecordIds) {
+  const ids = (feeRecordIds || []).filter(Boolean);
+  if (!ids.length) return receipt;
+
+  await FeeRecord.updateMany({ _id: { $in: ids } }, { $set: { receiptId: receipt._id } });
+  return Receipt.findByIdAndUpdate(
+    receipt._id,
+    { $addToSet: { feeRecordIds: { $each: ids } } },
+    { new: true }
+  );
+}
+
+/**
+ * Receipt for one paid month. Returns the covering receipt instead if the
+ * month was paid as part of a household or enrollment payment.
+ */
+async function issueFeeReceipt(feeRecord) {
+  if (feeRecord.receiptId) {
+    const existing = await Receipt.findById(feeRecord.receiptId);
+    if (existing) return existing;
+  }
+  const receipt = await createReceipt(await buildFeeReceipt(feeRecord));
+  return linkFeeRecords(receipt, [feeRecord._id]);
+}
+
+/**
+ * One receipt listing every child/month of a household payment
+ */
+async function issueHouseholdReceipt(householdPayment) {
+  return createReceipt(await buildHouseholdReceipt(householdPayment));
+}
+
+/**
+ * Receipt for the admission payment (first month + kit)
+ */
+async function issueEnrollmentReceipt(student) {
+  const data = await buildEnrollmentReceipt(student);
+  const receipt = await createReceipt(data);
+  return linkFeeRecords(receipt, data.feeRecordIds);
+}
+
+/**
+ * Receipt for a paid workshop registration
+ */
+async function issueSpecialCourseReceipt(registration) {
+  return createReceipt(await buildSpecialCourseReceipt(registration));
+}
+
+/**
+ * Rebuild a receipt's snapshot from its source record (e.g. after a
+ * name or amount correction). The receipt number never changes.
+ */
+async function regenerateReceipt(receipt) {
+  const [kind, id] = receipt.sourceKey.split(/:(.+)/);
+  let data = null;
+
+  if (kind === 'fee') {
+    const feeRecord = await FeeRecord.findById(id);
+    if (feeRecord) data = await buildFeeReceipt(feeRecord);
+  } else if (kind === 'household') {
+    const householdPayment = await HouseholdPayment.findById(id);
+    if (householdPayment) data = await buildHouseholdReceipt(householdPayment);
+  } else if (kind === 'enrollment') {
+    const student = await Student.findById(id);
+    if (student) data = await buildEnrollmentReceipt(student);
+  } else if (kind === 'special_course') {
+    const registration = await SpecialCourse.findOne({ registrationId: id });
+    if (registration) data = await buildSpecialCourseReceipt(registration);
+  }
+
+  if (!data) return null;
+
+  // Keep links added after issue (e.g. household months)
+  const feeRecordIds = [...new Set([...receipt.feeRecordIds, ...data.feeRecordIds].map(String))];
+  delete data.sourceKey;
+  delete data.type;
+
+  return Receipt.findByIdAndUpdate(
+    receipt._id,
+    {
+      $set: { ...data, feeRecordIds, regeneratedAt: new Date() },
+      $inc: { regenerationCount: 1 }
+    },
+    { new: true }
+  );
+}
+
+// ─── PDF ──────────────────────────────────────────────────────
+
+// Standard PDF fonts have no ₹ glyph
+const money = (amount) => `Rs. ${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Render a receipt as a single-page A4 PDF
+ *
+ * @returns {Promise<Buffer>}
+ */
+function renderReceiptPdf(receipt) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Receipt ${receipt.receiptNumber}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = 50;
+    const right = doc.page.width - 50;
+    const width = right - left;
+
+    // Header
+    doc.fillColor('#9C29B2').font('Helvetica-Bold').fontSize(18).text(ACADEMY.name, left, 50);
+    doc.fillColor('#555555').font('Helvetica').fontSize(9)
+      .text(ACADEMY.address, { width })
+      .text(ACADEMY.contact);
+
+    doc.moveDown(1.5);
+    doc.fillColor('#111111').font('Helvetica-Bold').fontSize(14).text('PAYMENT RECEIPT', { align: 'center' });
+    doc.moveDown(1);
+
+    // Receipt meta & billed to
+    const metaTop = doc.y;
+    const paidOn = receipt.paidAt
+      ? new Date(receipt.paidAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })
+      : '-';
+    doc.font('Helvetica-Bold').fontSize(10).text('Receipt No:', left, metaTop)
+      .font('Helvetica').text(receipt.receiptNumber || '-', left + 90, metaTop);
+    doc.font('Helvetica-Bold').text('Date:', left, metaTop + 16)
+      .font('Helvetica').text(paidOn, left + 90, metaTop + 16);
+    doc.font('Helvetica-Bold').text('Financial Year:', left, metaTop + 32)
+      .font('Helvetica').text(receipt.financialYear || '-', left + 90, metaTop + 32);
+
+    const billedX = left + width / 2;
+    doc.font('Helvetica-Bold').text('Received from:', billedX, metaTop)
+      .font('Helvetica')
+      .text(receipt.billedTo?.name || '-', billedX, metaTop + 16, { width: width / 2 })
+      .text([receipt.billedTo?.phone, receipt.billedTo?.email].filter(Boolean).join(' | '), { width: width / 2 });
+
+    // Line items
+    let y = metaTop + 70;
+    doc.rect(left, y, width, 20).fill('#F3E8F7');
+    doc.fillColor('#111111').font('Helvetica-Bold').fontSize(10)
+      .text('Description', left + 8, y + 6)
+      .text('Student', left + 290, y + 6)
+      .text('Amount', right - 108, y + 6, { width: 100, align: 'right' });
+    y += 26;
+
+    doc.font('Helvetica').fontSize(10);
+    for (const item of receipt.lineItems) {
+      const rowHeight = Math.max(doc.heightOfString(item.description || '', { width: 270 }), 12);
+      doc.text(item.description || '', left + 8, y, { width: 270 })
+        .text(item.studentName || '', left + 290, y, { width: 110 })
+        .text(money(item.amount), right - 108, y, { width: 100, align: 'right' });
+      y += rowHeight + 8;
+    }
+
+    doc.moveTo(left, y).lineTo(right, y).strokeColor('#DDDDDD').stroke();
+    y += 10;
+
+    // Totals
+    const totalRow = (label, amount, bold = false) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 12 : 10)
+        .text(label, right - 300, y, { width: 180, align: 'right' })
+        .text(amount, right - 108, y, { width: 100, align: 'right' });
+      y += bold ? 20 : 16;
+    };
+    totalRow('Subtotal', money(receipt.grossAmount));
+    if (receipt.discountAmount) totalRow('Discount', `- ${money(receipt.discountAmount)}`);
+    if (receipt.lateFee) totalRow('Late fee', money(receipt.lateFee));
+    totalRow('Total Paid', money(receipt.totalAmount), true);
+
+    // Payment details
+    y += 16;
+    doc.font('Helvetica-Bold').fontSize(10).text('Payment details', left, y);
+    doc.font('Helvetica').fontSize(9)
+      .text(`Method: ${receipt.paymentMethod || '-'}`, left, y + 16)
+      .text(`Payment ID: ${receipt.razorpayPaymentId || '-'}`)
+      .text(`Order ID: ${receipt.razorpayOrderId || '-'}`);
+
+    // Footer
+    doc.fillColor('#777777').fontSize(8)
+      .text(
+        `This is a computer-generated receipt and does not require a signature.${receipt.regeneratedAt ? ` Reissued on ${new Date(receipt.regeneratedAt).toLocaleDateString('en-IN')}.` : ''}`,
+        left, doc.page.height - 90, { width, align: 'center' }
+      );
+
+    doc.end();
+  });
+}
+
+const receiptFilename = (receipt) =>
+  `Receipt-${String(receipt.receiptNumber || receipt._id).replace(/\//g, '-')}.pdf`;
+
+/**
+ * Nodemailer attachment for a receipt
+ */
+async function getReceiptAttachment(receipt) {
+  return {
+    filename: receiptFilename(receipt),
+    content: await renderReceiptPdf(receipt),
+    contentType: 'application/pdf'
+  };
+}
+
+module.exports = {
+  ACADEMY,
+  getFinancialYear,
+  issueFeeReceipt,
+  issueHouseholdReceipt,
+  issueEnrollmentReceipt,
+  issueSpecialCourseReceipt,
+  linkFeeRecords,
+  regenerateReceipt,
+  renderReceiptPdf,
+  receiptFilename,
+  getReceiptAttachment
+};
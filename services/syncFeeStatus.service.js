@@ -1,5 +1,8 @@
 const Student = require('../models/student.model');
 const FeeRecord = require('../models/FeeRecord.model');
+const { priceMonthlyFee } = require('./discount.service');
+const { getOverduePolicy, getDueDate } = require('./overdue.service');
+const { getHolidayDiscount } = require('./holiday.service');
 
 // Month ordering helper for chronological comparisons
 const MONTH_INDEX = {
@@ -62,6 +65,8 @@ async function ensureMonthlyFeeRecords({ month, year, studentId } = {}) {
   if (studentId) query._id = studentId;
   const students = await Student.find(query);
 
+  const policy = await getOverduePolicy();
+
   let created = 0;
   for (const student of students) {
     // Skip students who weren't enrolled yet in the target month
@@ -74,10 +79,18 @@ async function ensureMonthlyFeeRecords({ month, year, studentId } = {}) {
     });
     if (existing) continue;
 
-    const baseFee = student.classType === 'offline' ? 2500 : 2200;
+    const pricing = await priceMonthlyFee(student, { month: targetMonth, year: targetYear });
     const isEnrollmentMonth = targetValue === getStudentStartValue(student);
     const isPaid = isEnrollmentMonth && student.paymentStatus === 'Completed';
 
+    // Classes cancelled by a pro-rating holiday come off an unpaid month
+    const holidayDiscount = isPaid ? null : await getHolidayDiscount(student, { month: targetMonth, year: targetYear }, pricing.amount);
+    if (holidayDiscount) {
+      pricing.amount -= holidayDiscount.amount;
+      pricing.discountAmount = (pricing.discountAmount || 0) + holidayDiscount.amount;
+      pricing.discounts = [...(pricing.discounts || []), holidayDiscount];
+    }
+
     await FeeRecord.create({
       studentId: student._id,
       enrollmentId: student.enrollmentId,
@@ -87,8 +100,13 @@ async function ensureMonthlyFeeRecords({ month, year, studentId } = {}) {
       contact1: student.contact1,
       month: targetMonth,
       year: targetYear,
-      amount: baseFee,
+      amount: pricing.amount,
+      grossAmount: pricing.grossAmount,
+      discountAmount: pricing.discountAmount,
+      discounts: pricing.discounts,
+      feePlanId: pricing.feePlan ? pricing.feePlan._id : null,
       status: isPaid ? 'Paid' : 'Pending',
+      dueDate: getDueDate(targetMonth, targetYear, policy, now),
       paymentMethod: isPaid ? (student.paymentMethod || 'Razorpay') : null,
       paidAt: isPaid ? new Date() : null,
       razorpayOrderId: isPaid ? (student.razorpayOrderId || null) : null,
@@ -0,0 +1,289 @@
+const Config = require('../models/config.model');
+const Student = require('../models/student.model');
+const AttendanceRecord = require('../models/AttendanceRecord.model');
+const CompensationToken = require('../models/CompensationToken.model');
+
+// Every make-up token is issued and spent through here, so the rules live in
+// one place: expiry per reason, monthly and carry-over limits, unexcused
+// absence limits and per-level overrides. Each decision carries a rule id and
+// a parent-readable message, stored with the token (or with the absence when
+// no token was issued) and shown in the portal.
+
+const POLICY_KEY = 'TOKEN_POLICY';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOKEN_REASONS = ['absence', 'admin_granted', 'credit_transfer', 'holiday'];
+const LIMIT_FIELDS = ['maxTokensPerMonth', 'maxAvailableTokens', 'unexcusedAbsenceLimit'];
+
+// Stored in Config under TOKEN_POLICY; anything missing falls back to these.
+// The defaults are the rules that used to be hard-coded: one token per
+// absence, 30 days to use it, oldest token spent first, no limits.
+const DEFAULT_TOKEN_POLICY = {
+  expiryDays: { absence: 30, admin_granted: 30, credit_transfer: 30, holiday: 30 },
+  maxTokensPerMonth: null,       // absence tokens earned per calendar month
+  maxAvailableTokens: null,      // unused tokens a student can carry at once
+  unexcusedAbsenceLimit: null,   // unexcused absences per month that still earn a token
+  consumptionOrder: 'oldest',    // 'oldest' (FIFO) or 'expiring' (soonest expiry first)
+  adminGrantsBypassLimits: true, // admin grants ignore the monthly and carry-over limits
+  levels: {}                     // per currentLevel overrides, e.g. { "1": { maxTokensPerMonth: 2 } }
+};
+
+const isLimit = (value) => value === null || (Number.isInteger(value) && value >= 0);
+
+// First day (YYYY-MM-DD) of the month a date falls in, and of the month after
+const monthBounds = (date) => {
+  const [year, month] = date.split('-').map(Number);
+  const next = new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 10);
+  return { first: `${date.slice(0, 7)}-01`, next };
+};
+
+/**
+ * The active token policy (Config merged over the defaults)
+ */
+async function getTokenPolicy() {
+  const config = await Config.findOne({ key: POLICY_KEY });
+  const stored = (config && config.value) || {};
+
+  return {
+    ...DEFAULT_TOKEN_POLICY,
+    ...stored,
+    expiryDays: { ...DEFAULT_TOKEN_POLICY.expiryDays, ...(stored.expiryDays || {}) },
+    levels: stored.levels || {}
+  };
+}
+
+/**
+ * Validate and store changes to the token policy. `levels` is replaced as a
+ * whole; tokens already issued keep their expiry.
+ *
+ * @returns {Promise<{policy: object} | {error: string}>}
+ */
+async function saveTokenPolicy(changes = {}) {
+  const current = await getTokenPolicy();
+  const policy = {
+    ...current,
+    ...changes,
+    expiryDays: { ...current.expiryDays, ...(changes.expiryDays || {}) },
+    levels: changes.levels !== undefined ? changes.levels : current.levels
+  };
+
+  const expiryError = (expiryDays) => {
+    for (const [reason, days] of Object.entries(expiryDays || {})) {
+      if (!TOKEN_REASONS.includes(reason)) return `Unknown token reason "${reason}"`;
+      if (!Number.isInteger(days) || days < 1) return `expiryDays.${reason} must be at least 1`;
+    }
+    return null;
+  };
+
+  const error = expiryError(policy.expiryDays);
+  if (error) return { error };
+  for (const field of LIMIT_FIELDS) {
+    if (!isLimit(policy[field])) return { error: `${field} must be a whole number or null (no limit)` };
+  }
+  if (!['oldest', 'expiring'].includes(policy.consumptionOrder)) {
+    return { error: 'consumptionOrder must be oldest or expiring' };
+  }
+  if (typeof policy.adminGrantsBypassLimits !== 'boolean') {
+    return { error: 'adminGrantsBypassLimits must be true or false' };
+  }
+  if (!policy.levels || typeof policy.levels !== 'object' || Array.isArray(policy.levels)) {
+    return { error: 'levels must be an object keyed by level number' };
+  }
+  for (const [level, overrides] of Object.entries(policy.levels)) {
+    if (!/^\d+$/.test(level)) return { error: `levels key "${level}" must be a level number` };
+    for (const [field, value] of Object.entries(overrides || {})) {
+      if (field === 'expiryDays') {
+        const levelError = expiryError(value);
+        if (levelError) return { error: `Level ${level}: ${levelError}` };
+      } else if (!LIMIT_FIELDS.includes(field)) {
+        return { error: `Level ${level}: "${field}" cannot be set per level` };
+      } else if (!isLimit(value)) {
+        return { error: `Level ${level}: ${field} must be a whole number or null` };
+      }
+    }
+  }
+
+  await Config.findOneAndUpdate(
+    { key: POLICY_KEY },
+    { $set: { value: policy } },
+    { upsert: true }
+  );
+  return { policy };
+}
+
+/**
+ * The policy as it applies to one student (level overrides merged in)
+ */
+function policyForStudent(policy, student) {
+  const overrides = (student && policy.levels[String(student.currentLevel)]) || {};
+  return {
+    ...policy,
+    ...overrides,
+    expiryDays: { ...policy.expiryDays, ...(overrides.expiryDays || {}) },
+    level: student ? student.currentLevel : null
+  };
+}
+
+/**
+ * Decide whether a student gets a token.
+ *
+ * @param {object} student
+ * @param {{reason: string, date?: string, policy: object}} options date is the class date for absences
+ * @returns {Promise<{issue: boolean, rule: string, message: string, expiryDate?: Date}>}
+ */
+async function evaluateTokenIssue(student, { reason, date, policy }) {
+  const rules = policyForStudent(policy, student);
+  const expiryDays = rules.expiryDays[reason] || DEFAULT_TOKEN_POLICY.expiryDays.absence;
+  const allow = (message) => ({
+    issue: true,
+    rule: 'issued',
+    message,
+    expiryDate: new Date(Date.now() + expiryDays * DAY_MS)
+  });
+  const deny = (rule, message) => ({ issue: false, rule, message });
+
+  // The academy cancelled the class or moved credit: only expiry applies
+  if (reason === 'holiday' || reason === 'credit_transfer') {
+    return allow(`Issued for a cancelled class; valid for ${expiryDays} days`);
+  }
+  const limited = reason === 'absence' || !rules.adminGrantsBypassLimits;
+
+  if (reason === 'absence') {
+    const existing = await CompensationToken.exists({
+      studentId: student._id,
+      generatedDate: new Date(date),
+      status: { $in: ['available', 'used'] }
+    });
+    if (existing) return deny('already_issued', `A token was already issued for ${date}`);
+
+    if (rules.unexcusedAbsenceLimit !== null) {
+      const { first } = monthBounds(date);
+      const unexcused = await AttendanceRecord.countDocuments({
+        studentId: student._id,
+        date: { $gte: first, $lte: date },
+        status: 'A',
+        excused: { $ne: true },
+        source: { $ne: 'makeup' }
+      });
+      const excusedToday = await AttendanceRecord.exists({ studentId: student._id, date, status: 'A', excused: true });
+      if (!excusedToday && unexcused > rules.unexcusedAbsenceLimit) {
+        return deny('unexcused_limit',
+          `No token: only ${rules.unexcusedAbsenceLimit} unexcused absence(s) a month earn a token. Let the academy know before a class to have an absence excused.`);
+      }
+    }
+  }
+
+  if (limited && rules.maxTokensPerMonth !== null) {
+    const monthOf = date || new Date().toISOString().slice(0, 10);
+    const { first, next } = monthBounds(monthOf);
+    const earned = await CompensationToken.countDocuments({
+      studentId: student._id,
+      reason,
+      generatedDate: { $gte: new Date(first), $lt: new Date(next) }
+    });
+    if (earned >= rules.maxTokensPerMonth) {
+      return deny('monthly_limit', `No token: the limit of ${rules.maxTokensPerMonth} token(s) a month has been reached`);
+    }
+  }
+
+  if (limited && rules.maxAvailableTokens !== null) {
+    const available = await CompensationToken.countDocuments({
+      studentId: student._id,
+      status: 'available',
+      expiryDate: { $gt: new Date() }
+    });
+    if (available >= rules.maxAvailableTokens) {
+      return deny('carry_over_limit',
+        `No token: ${available} unused token(s) already held (at most ${rules.maxAvailableTokens}). Book a make-up class to use one.`);
+    }
+  }
+
+  return allow(reason === 'absence'
+    ? `Issued for the absence on ${date}; valid for ${expiryDays} days`
+    : `Granted by the academy; valid for ${expiryDays} days`);
+}
+
+/**
+ * Issue a token if the policy allows it.
+ *
+ * @param {string} studentId
+ * @param {{reason?: string, date?: string, generatedFrom?, notes?: string, session?}} [options]
+ * @returns {Promise<{token: Document|null, decision: object}>}
+ */
+async function issueToken(studentId, { reason = 'absence', date, generatedFrom, notes, session = null } = {}) {
+  const [student, policy] = await Promise.all([
+    Student.findById(studentId).select('currentLevel').session(session),
+    getTokenPolicy()
+  ]);
+  const decision = await evaluateTokenIssue(student || { _id: studentId }, { reason, date, policy });
+  if (!decision.issue) return { token: null, decision };
+
+  const token = new CompensationToken({
+    studentId,
+    generatedFrom,
+    generatedDate: date ? new Date(date) : new Date(),
+    status: 'available',
+    reason,
+    expiryDate: decision.expiryDate,
+    notes,
+    policyNote: decision.message
+  });
+  await token.save({ session });
+  return { token, decision };
+}
+
+/**
+ * Atomically spend one of a student's tokens, in the policy's order
+ *
+ * @returns {Promise<Document|null>} the token, or null when none is available
+ */
+async function claimToken(studentId, { consumedBy, session = null } = {}) {
+  const { consumptionOrder } = await getTokenPolicy();
+  return CompensationToken.findOneAndUpdate(
+    {
+      studentId,
+      status: 'available',
+      expiryDate: { $gt: new Date() }
+    },
+    { $set: { status: 'used', consumedBy, consumedAt: new Date() } },
+    {
+      sort: consumptionOrder === 'expiring' ? { expiryDate: 1 } : { generatedDate: 1 },
+      new: true,
+      session
+    }
+  );
+}
+
+/**
+ * The rules that apply to a student, in plain sentences for the portal
+ */
+function describeTokenPolicy(policy, student) {
+  const rules = policyForStudent(policy, student);
+  const lines = [`A missed class earns a make-up token, valid for ${rules.expiryDays.absence} days.`];
+
+  if (rules.unexcusedAbsenceLimit !== null) {
+    lines.push(`Only the first ${rules.unexcusedAbsenceLimit} unexcused absence(s) each month earn a token; absences the academy is told about in advance are excused.`);
+  }
+  if (rules.maxTokensPerMonth !== null) {
+    lines.push(`At most ${rules.maxTokensPerMonth} token(s) can be earned each month.`);
+  }
+  if (rules.maxAvailableTokens !== null) {
+    lines.push(`At most ${rules.maxAvailableTokens} unused token(s) can be held at once.`);
+  }
+  lines.push(rules.consumptionOrder === 'expiring'
+    ? 'Booking a make-up class uses the token that expires soonest.'
+    : 'Booking a make-up class uses the oldest token first.');
+  lines.push(`Tokens for classes the academy cancels are valid for ${rules.expiryDays.holiday} days and never count towards the limits.`);
+  return lines;
+}
+
+module.exports = {
+  TOKEN_REASONS,
+  DEFAULT_TOKEN_POLICY,
+  getTokenPolicy,
+  saveTokenPolicy,
+  policyForStudent,
+  evaluateTokenIssue,
+  issueToken,
+  claimToken,
+  describeTokenPolicy
+};
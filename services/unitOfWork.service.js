@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Flows that make several dependent writes (enrollment, fee payments,
+// make-up bookings) run them as one unit of work, so a failure half-way
+// rolls everything back instead of leaving e.g. a used token with no record.
+
+// MongoDB refuses transactions on a standalone server (local development)
+const TRANSACTIONS_UNSUPPORTED = 20;
+
+let transactionsSupported = true;
+
+/**
+ * Run `work(session)` in a MongoDB transaction and return what it returns.
+ * Every read and write inside must pass `{ session }`. The transaction is
+ * retried on transient errors, so `work` must be safe to run again, and
+ * side effects (emails, receipts) belong after withTransaction resolves.
+ *
+ * Without replica set support the work runs once with a null session.
+ */
+async function withTransaction(work) {
+  if (!transactionsSupported) return work(null);
+
+  try {
+    return await mongoose.connection.transaction(session => work(session));
+  } catch (error) {
+    if (error.code !== TRANSACTIONS_UNSUPPORTED || !/replica set|Transaction numbers/i.test(error.message)) {
+      throw error;
+    }
+    transactionsSupported = false;
+    console.warn('⚠️ MongoDB transactions are not supported by this server — writes will not be atomic. Use a replica set in production.');
+    return work(null);
+  }
+}
+
+module.exports = {
+  withTransaction
+};
@@ -0,0 +1,153 @@
+const Workshop = require('../models/Workshop.model');
+
+// Fee, capacity, registration prefix, dates and batches of each workshop for
+// the SpecialCourse flow, read from the Workshop collection and cached by
+// name. Admin changes invalidate the cache straight away; the TTL only bounds
+// how stale another server instance can be.
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null; // { configs: Map<name, config>, loadedAt }
+let loading = null;
+let generation = 0;
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+// Batch value the generated registration page submits, e.g.
+// "Magic Clay Day 🎨 ⏰ 11:00 AM - 1:00 PM"
+const buildBatchLabel = ({ name, emoji, timeStart, timeEnd }) =>
+  [String(name || '').trim(), String(emoji || '').trim()].filter(Boolean).join(' ') +
+  ` ⏰ ${String(timeStart || '11:00 AM').trim()} - ${String(timeEnd || '1:00 PM').trim()}`;
+
+// Build a short registration prefix from the slug, e.g.
+// "magic-clay-day" -> "LS-MCD26" (year of `date`)
+const buildPrefix = (slug, date = new Date()) => {
+  const words = String(slug || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .split(/[\s-]+/)
+    .filter(Boolean);
+
+  let letters = '';
+  if (words.length >= 1) {
+    letters = words.slice(0, 3).map((w) => w.charAt(0).toUpperCase()).join('');
+  }
+  if (letters.length < 2) {
+    letters = 'WS';
+  }
+
+  const year = new Date(date).getFullYear().toString().slice(-2);
+  return `LS-${letters}${year}`;
+};
+
+/**
+ * Bookable sessions of a workshop: its `sessions`, or for older workshops one
+ * per date (date + additionalDates) and batch at the workshop's price/capacity.
+ *
+ * @returns {Array<{id, date: string, batch, timeStart, timeEnd, capacity, fee}>}
+ */
+const getWorkshopSessions = (workshop) => {
+  const fee = Number(workshop.price) || 0;
+  const capacity = Number(workshop.capacity) || 30;
+
+  if (workshop.sessions && workshop.sessions.length) {
+    return workshop.sessions
+      .map((session) => ({
+        id: session._id ? String(session._id) : null,
+        date: toDateString(session.date),
+        batch: session.label || buildBatchLabel({ name: workshop.name, emoji: workshop.emoji, timeStart: session.timeStart, timeEnd: session.timeEnd }),
+        timeStart: session.timeStart,
+        timeEnd: session.timeEnd,
+        capacity: Number(session.capacity) || capacity,
+        fee: session.price !== undefined && session.price !== null ? Number(session.price) : fee
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date) || a.batch.localeCompare(b.batch));
+  }
+
+  const dates = [...new Set([workshop.date, ...(workshop.additionalDates || [])].filter(Boolean).map(toDateString))].sort();
+  // The generated registration page always submits the derived label
+  const batches = [...new Set([buildBatchLabel(workshop), ...(workshop.batches || [])])];
+
+  return dates.flatMap((date) => batches.map((batch) => ({
+    id: null,
+    date,
+    batch,
+    timeStart: workshop.timeStart,
+    timeEnd: workshop.timeEnd,
+    capacity,
+    fee
+  })));
+};
+
+const toConfig = (workshop) => {
+  const sessions = getWorkshopSessions(workshop);
+
+  return {
+    workshopId: workshop._id,
+    name: workshop.name,
+    status: workshop.status,
+    fee: Number(workshop.price) || 0,
+    capacity: Number(workshop.capacity) || 30,
+    prefix: workshop.registrationPrefix || buildPrefix(workshop.slug || workshop.name, workshop.createdAt),
+    sessions,
+    dates: [...new Set(sessions.map((s) => s.date))],
+    batches: [...new Set(sessions.map((s) => s.batch))]
+  };
+};
+
+/**
+ * The session a registration is for (by date and batch value), or null
+ */
+const findSession = (config, date, batch) => {
+  if (!config || !config.sessions || !date) return null;
+  const dateString = date instanceof Date ? toDateString(date) : String(date).split('T')[0];
+  const batchValue = String(batch || '').trim();
+  return config.sessions.find((s) => s.date === dateString && s.batch === batchValue) || null;
+};
+
+async function loadConfigs() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.configs;
+
+  if (!loading) {
+    const loadGeneration = generation;
+    // Oldest first, so a newer workshop reusing a name wins
+    const promise = Workshop.find({}).sort({ createdAt: 1 }).lean()
+      .then((workshops) => {
+        const configs = new Map(workshops.map((w) => [w.name, toConfig(w)]));
+        if (loadGeneration === generation) cache = { configs, loadedAt: Date.now() };
+        return configs;
+      })
+      .finally(() => {
+        if (loading === promise) loading = null;
+      });
+    loading = promise;
+  }
+  return loading;
+}
+
+/**
+ * Config for a workshop by name (SpecialCourse.carnivalName), or null if
+ * there is no such workshop
+ */
+async function getWorkshopConfig(name) {
+  const configs = await loadConfigs();
+  return configs.get(name) || null;
+}
+
+/**
+ * Drop the cache after a workshop is created, updated or deleted
+ */
+function invalidate() {
+  generation++;
+  cache = null;
+  loading = null;
+}
+
+module.exports = {
+  getWorkshopConfig,
+  invalidate,
+  toConfig,
+  getWorkshopSessions,
+  findSession,
+  buildPrefix,
+  buildBatchLabel
+};
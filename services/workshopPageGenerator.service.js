@@ -14,7 +14,11 @@ const fs = require('fs');
 const os = require('os');
 const crypto = require('crypto');
 const ftp = require('basic-ftp');
-const workshopRuntimeConfig = require('./workshopRuntimeConfig.service');
+const {
+  buildBatchLabel,
+  getWorkshopSessions,
+  invalidate: invalidateWorkshopConfig
+} = require('./workshopConfig.service');
 
 // ==================== HELPERS ====================
 
@@ -65,13 +69,59 @@ const normalizeWorkshop = (w) => {
   const dateNumber = date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
   const dateId = `date-${dateString}`;
 
-  const batchValue = [name, emoji].filter(Boolean).join(' ') + ` ⏰ ${timeStart} - ${timeEnd}`;
+  const batchValue = buildBatchLabel({ name, emoji, timeStart, timeEnd });
+
+  // Sessions offered on the page. Older workshops get one per date at the
+  // workshop time (their extra `batches` only exist for past registrations).
+  const hasSessions = Array.isArray(w.sessions) && w.sessions.length > 0;
+  let pageSessions = getWorkshopSessions({
+    name, emoji, price, capacity, timeStart, timeEnd, date,
+    sessions: hasSessions ? w.sessions : [],
+    additionalDates: w.additionalDates || []
+  });
+  if (!hasSessions) pageSessions = pageSessions.filter((s) => s.batch === batchValue);
+
+  // Kept in the Workshop schema's shape so normalizing twice gives the same result
+  const sessions = pageSessions.map((s) => ({
+    _id: s.id,
+    date: s.date,
+    timeStart: s.timeStart,
+    timeEnd: s.timeEnd,
+    capacity: s.capacity,
+    price: s.fee,
+    label: s.batch
+  }));
+
+  const sessionDates = [...new Set(sessions.map((s) => s.date))].map((day) => {
+    const d = new Date(day);
+    const daySessions = sessions.filter((s) => s.date === day);
+    const times = [...new Set(daySessions.map((s) => `${s.timeStart} - ${s.timeEnd}`))];
+    return {
+      dateString: day,
+      dateId: `date-${day}`,
+      weekday: d.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' }),
+      dateNumber: d.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' }),
+      timeText: times.length === 1 ? times[0] : `${times.length} time slots`,
+      sessions: daySessions
+    };
+  });
+
+  const fees = sessions.map((s) => s.price);
+  const minPrice = fees.length ? Math.min(...fees) : price;
+  const priceText = new Set(fees).size > 1 ? `from ₹${minPrice}` : `₹${minPrice}`;
+  const seatsPerSession = sessions.length ? Math.max(...sessions.map((s) => s.capacity)) : capacity;
+  const allTimes = [...new Set(sessions.map((s) => `${s.timeStart} - ${s.timeEnd}`))];
+  const timeText = allTimes.length > 1 ? 'Multiple time slots' : (allTimes[0] || `${timeStart} - ${timeEnd}`);
+  const dateText = sessionDates.length > 1
+    ? `${sessionDates[0].dateNumber} – ${sessionDates[sessionDates.length - 1].dateNumber}`
+    : (sessionDates[0] ? sessionDates[0].dateNumber : dateNumber);
 
   return {
     name, slug, emoji, price, date, dateString, weekday, dateNumber, dateId,
     timeStart, timeEnd, duration, capacity, ageMin, ageMax, badge,
     shortDescription, description, highlights, features,
-    registrationPageUrl, jsFileName, batchValue
+    registrationPageUrl, jsFileName, batchValue,
+    sessions, sessionDates, minPrice, priceText, seatsPerSession, timeText, dateText
   };
 };
 
@@ -96,6 +146,30 @@ const renderFeatureItem = (h) => {
 const renderExpectItem = (feature) => `
                   <li class="expect-item">${escapeHtml(feature)}</li>`;
 
+const renderDateOption = (day, index, count) => `
+                    <div class="date-option"${count === 1 ? ' style="width: 100%;"' : ''}>
+                      <input
+                        type="radio"
+                        name="selectedDate"
+                        id="${day.dateId}"
+                        value="${day.dateString}"
+                        class="date-radio"
+                        required${index === 0 ? `
+                        checked` : ''}
+                      />
+                      <label for="${day.dateId}" class="date-label">
+                        <span class="date-day">${day.weekday}</span>
+                        <span class="date-number">${day.dateNumber}</span>
+                        <span class="date-month">${escapeHtml(day.timeText)}</span>
+                      </label>
+                    </div>`;
+
+// The JS rebuilds these when another date is picked
+const renderBatchOption = (session, index) => `
+                    <option value="${escapeHtml(session.label)}"${index === 0 ? ' selected' : ''}>
+                      ${escapeHtml(session.label)}
+                    </option>`;
+
 // ==================== HTML TEMPLATE ====================
 
 const generateHtml = (workshop) => {
@@ -103,7 +177,7 @@ const generateHtml = (workshop) => {
 
   const defaultHighlights = [
     { icon: w.emoji || '🎨', title: w.name, description: w.shortDescription || 'Kids create their very own masterpiece with expert guidance.' },
-    { icon: '💰', title: `Price: Only ₹${w.price}`, description: 'All materials included! High-quality clay, tools, and expert guidance.' },
+    { icon: '💰', title: `Price: Only ${w.priceText}`, description: 'All materials included! High-quality clay, tools, and expert guidance.' },
     { icon: '🎒', title: 'Certificate Included', description: 'Every participant gets a certificate from Lil Sculpr Clay Academy!' }
   ];
 
@@ -120,7 +194,16 @@ const generateHtml = (workshop) => {
 
   const expectItems = (w.features.length ? w.features : defaultExpect).map(renderExpectItem).join('');
 
-  const metaDescription = `${w.shortDescription || w.description} Ages ${w.ageMin}-${w.ageMax}. All materials included! Rs. ${w.price} only.`;
+  const firstDate = w.sessionDates[0];
+  const firstPrice = firstDate ? firstDate.sessions[0].price : w.price;
+  const dateOptions = w.sessionDates
+    .map((day, index) => renderDateOption(day, index, w.sessionDates.length))
+    .join('');
+  const batchOptions = (firstDate ? firstDate.sessions : [{ label: w.batchValue }])
+    .map(renderBatchOption)
+    .join('');
+
+  const metaDescription = `${w.shortDescription || w.description} Ages ${w.ageMin}-${w.ageMax}. All materials included! ${w.priceText.replace('₹', 'Rs. ')} only.`;
   const pageTitle = `${w.name}${w.emoji ? ' ' + w.emoji : ''} | Lil Sculpr`;
   const breadcrumbTitle = `${w.name}${w.emoji ? ' ' + w.emoji : ''}`;
   const formSubtitle = w.shortDescription || w.description;
@@ -990,7 +1073,7 @@ const generateHtml = (workshop) => {
                 <span
                   class="badge bg-soft-saffron text-saffron px-3 py-1 rounded-pill mb-1 bouncy"
                 >
-                  ${escapeHtml(w.emoji + ' ' + w.badge)} — Only ${w.capacity} Seats!
+                  ${escapeHtml(w.emoji + ' ' + w.badge)} — Only ${w.seatsPerSession} Seats${w.sessions.length > 1 ? ' per Session' : ''}!
                 </span>
                 <h2 class="form-title h4 mb-1">${escapeHtml(breadcrumbTitle)}</h2>
                 <p class="text-muted small mb-0">
@@ -1082,23 +1165,7 @@ const generateHtml = (workshop) => {
                     <i class="fas fa-calendar-alt me-2 text-saffron"></i>Workshop Date
                   </label>
 
-                  <div class="date-selection">
-                    <div class="date-option" style="width: 100%;">
-                      <input
-                        type="radio"
-                        name="selectedDate"
-                        id="${w.dateId}"
-                        value="${w.dateString}"
-                        class="date-radio"
-                        required
-                        checked
-                      />
-                      <label for="${w.dateId}" class="date-label">
-                        <span class="date-day">${w.weekday}</span>
-                        <span class="date-number">${w.dateNumber}</span>
-                        <span class="date-month">${w.timeStart} - ${w.timeEnd}</span>
-                      </label>
-                    </div>
+                  <div class="date-selection">${dateOptions}
                   </div>
                   <div
                     id="date-error"
@@ -1111,7 +1178,7 @@ const generateHtml = (workshop) => {
                 <div class="form-group col-12 mb-3" style="display: none;">
                   <div id="slotIndicator" class="slot-indicator p-3 rounded text-center" style="background: #f0fdf4; border: 1px solid #86efac;">
                     <div style="font-size: 14px; font-weight: 600; color: #166534;">
-                      <span id="slotCount">—</span> / <span id="slotCapacity">${w.capacity}</span> slots remaining
+                      <span id="slotCount">—</span> / <span id="slotCapacity">${firstDate ? firstDate.sessions[0].capacity : w.capacity}</span> slots remaining
                     </div>
                     <div class="slot-bar mt-2" style="height: 6px; background: #dcfce7; border-radius: 3px; overflow: hidden;">
                       <div id="slotFill" style="height: 100%; width: 0%; background: #22c55e; border-radius: 3px; transition: width 0.5s ease;"></div>
@@ -1131,9 +1198,7 @@ const generateHtml = (workshop) => {
                     class="form-select style2"
                     required
                   >
-                    <option value="${escapeHtml(w.batchValue)}" selected>
-                      ${escapeHtml(w.batchValue)}
-                    </option>
+${batchOptions}
                   </select>
                   <div
                     id="batch-error"
@@ -1157,7 +1222,7 @@ const generateHtml = (workshop) => {
                         required
                       />
                       <label class="form-check-label small" for="paymentConfirm">
-                        I understand that payment of <strong>₹${w.price}</strong> is required to confirm registration.
+                        I understand that payment of <strong id="confirmPrice">₹${firstPrice}</strong> is required to confirm registration.
                         All materials and certificate are included.
                       </label>
                     </div>
@@ -1167,7 +1232,7 @@ const generateHtml = (workshop) => {
                 <!-- Submit Button -->
                 <div class="col-12 text-center">
                   <button type="submit" class="vs-btn wave-btn w-100" id="submitBtn">
-                    <span class="btn-text">💰 Pay ₹${w.price} & Register Now</span>
+                    <span class="btn-text">💰 Pay <span id="payBtnText">₹${firstPrice}</span> & Register Now</span>
                     <span class="button-loader"></span>
                   </button>
                 </div>
@@ -1188,16 +1253,16 @@ const generateHtml = (workshop) => {
 
               <div class="info-tags mb-4">
                 <span class="info-tag"
-                  ><i class="fas fa-calendar-alt"></i> ${w.dateNumber}</span
+                  ><i class="fas fa-calendar-alt"></i> ${w.dateText}</span
                 >
                 <span class="info-tag"
-                  ><i class="fas fa-money-bill-wave"></i> ₹${w.price} Only</span
+                  ><i class="fas fa-money-bill-wave"></i> ${w.priceText} Only</span
                 >
                 <span class="info-tag"
-                  ><i class="fas fa-clock"></i> ${w.timeStart} - ${w.timeEnd}</span
+                  ><i class="fas fa-clock"></i> ${w.timeText}</span
                 >
                 <span class="info-tag"
-                  ><i class="fas fa-users"></i> ${w.capacity} Slots Only</span
+                  ><i class="fas fa-users"></i> ${w.seatsPerSession} Slots${w.sessions.length > 1 ? ' per Session' : ' Only'}</span
                 >
               </div>
 
@@ -1214,7 +1279,7 @@ const generateHtml = (workshop) => {
 
               <div class="mt-4 text-center">
                 <p class="small text-muted mb-0">
-                  ${w.emoji ? escapeHtml(w.emoji) + ' ' : ''}Limited to ${w.capacity} seats — secure your child's spot today!${w.emoji ? ' ' + escapeHtml(w.emoji) : ''}
+                  ${w.emoji ? escapeHtml(w.emoji) + ' ' : ''}Limited to ${w.seatsPerSession} seats${w.sessions.length > 1 ? ' per session' : ''} — secure your child's spot today!${w.emoji ? ' ' + escapeHtml(w.emoji) : ''}
                 </p>
               </div>
             </div>
@@ -1244,7 +1309,7 @@ const generateHtml = (workshop) => {
             </div>
             <div class="detail-row">
               <span class="detail-label">Date &amp; Time</span>
-              <span class="detail-value">${w.dateNumber} &#183; ${w.timeStart} - ${w.timeEnd}</span>
+              <span class="detail-value" id="successDateTime">${firstDate ? firstDate.dateNumber : w.dateNumber} &#183; ${firstDate ? firstDate.timeText : w.timeStart + ' - ' + w.timeEnd}</span>
             </div>
           </div>
           <button class="modal-btn success-btn" id="successModalBtn">Continue</button>
@@ -1391,16 +1456,24 @@ const generateHtml = (workshop) => {
 const generateJs = (workshop) => {
   const w = normalizeWorkshop(workshop);
   const nameJson = JSON.stringify(w.name);
-  const batchJson = JSON.stringify(w.batchValue);
-  const dateJson = JSON.stringify(w.dateString);
+  const sessionsJson = JSON.stringify(w.sessionDates.map((day) => ({
+    date: day.dateString,
+    label: day.dateNumber,
+    sessions: day.sessions.map((session) => ({
+      batch: session.label,
+      time: session.timeStart + ' - ' + session.timeEnd,
+      price: session.price,
+      capacity: session.capacity
+    }))
+  })));
 
   return `(function() {
   'use strict';
 const API_BASE = 'https://backend.lilsculpr.com/api/special-course';
   // const API_BASE = 'http://localhost:5000/api/special-course';
   const WORKSHOP_NAME = ${nameJson};
-  const WORKSHOP_PRICE = ${w.price};
-  const WORKSHOP_DATE = ${dateJson};
+  // Sessions by date: { date, label, sessions: [{ batch, time, price, capacity }] }
+  const SESSIONS = ${sessionsJson};
 
   const form = document.getElementById('workshopForm');
   const submitBtn = document.getElementById('submitBtn');
@@ -1411,28 +1484,81 @@ const API_BASE = 'https://backend.lilsculpr.com/api/special-course';
   const successWorkshop = document.getElementById('successWorkshop');
   const failureMessage = document.getElementById('failureMessage');
 
+  const batchSelect = document.getElementById('selectedBatch');
+  const confirmPrice = document.getElementById('confirmPrice');
+  const payBtnText = document.getElementById('payBtnText');
+  const successDateTime = document.getElementById('successDateTime');
+
+  function getSelectedDate() {
+    const checked = document.querySelector('input[name="selectedDate"]:checked');
+    return checked ? checked.value : (SESSIONS[0] ? SESSIONS[0].date : '');
+  }
+
+  function getDay(date) {
+    return SESSIONS.find(function(day) { return day.date === date; }) || null;
+  }
+
+  function getSelectedSession() {
+    const day = getDay(getSelectedDate());
+    if (!day) return null;
+    return day.sessions.find(function(session) { return session.batch === batchSelect.value; }) || null;
+  }
+
+  // Price shown in the terms and on the pay button follows the chosen session
+  function updatePrice() {
+    const session = getSelectedSession();
+    if (!session) return;
+    const text = '₹' + session.price;
+    if (confirmPrice) confirmPrice.textContent = text;
+    if (payBtnText) payBtnText.textContent = text;
+  }
+
+  function renderBatches() {
+    const day = getDay(getSelectedDate());
+    batchSelect.innerHTML = '';
+    (day ? day.sessions : []).forEach(function(session, index) {
+      const option = document.createElement('option');
+      option.value = session.batch;
+      option.textContent = session.batch;
+      if (index === 0) option.selected = true;
+      batchSelect.appendChild(option);
+    });
+    updatePrice();
+  }
+
   async function checkSlotAvailability() {
     try {
-      const params = new URLSearchParams({
+      const response = await axios.post(API_BASE + '/check-multiple-slots', {
         carnivalName: WORKSHOP_NAME,
-        batch: ${batchJson},
-        date: WORKSHOP_DATE
+        date: getSelectedDate()
       });
-      const response = await axios.get(API_BASE + '/check-slots?' + params);
       const data = response.data;
       if (data.success) {
-        const avail = data.data.availableSlots;
-        const cap = data.data.capacity;
-
-        console.log('Slots: ' + avail + ' / ' + cap + ' remaining');
+        const slots = data.data.slots || [];
+
+        slots.forEach(function(slot) {
+          const option = Array.prototype.find.call(batchSelect.options, function(o) { return o.value === slot.batch; });
+          if (!option) return;
+          option.disabled = slot.isFull;
+          option.textContent = slot.batch + (slot.isFull ? ' (Full)' : '');
+          console.log(slot.batch + ': ' + slot.availableSlots + ' / ' + slot.capacity + ' remaining');
+        });
+
+        // Move off a full session if another one on the day has seats
+        const selected = batchSelect.options[batchSelect.selectedIndex];
+        if (selected && selected.disabled) {
+          const open = Array.prototype.find.call(batchSelect.options, function(o) { return !o.disabled; });
+          if (open) open.selected = true;
+          updatePrice();
+        }
 
-        if (avail === 0) {
+        if (!data.data.hasAvailableSlots) {
           submitBtn.disabled = true;
           submitBtn.title = 'No slots available';
-          console.log('❌ Workshop is full!');
-        } else if (avail <= 5) {
-          console.log('⚠️ Only ' + avail + ' slot' + (avail > 1 ? 's' : '') + ' remaining!');
+          console.log('❌ All sessions on this date are full!');
         } else {
+          submitBtn.disabled = false;
+          submitBtn.title = '';
           console.log('✅ Slots available — register now!');
         }
       }
@@ -1442,6 +1568,15 @@ const API_BASE = 'https://backend.lilsculpr.com/api/special-course';
     }
   }
 
+  document.querySelectorAll('input[name="selectedDate"]').forEach(function(radio) {
+    radio.addEventListener('change', function() {
+      renderBatches();
+      checkSlotAvailability();
+    });
+  });
+
+  batchSelect.addEventListener('change', updatePrice);
+
   function showStatus(message, type) {
     paymentStatus.className = 'payment-status ' + (type || 'info');
     paymentStatus.textContent = message;
@@ -1466,6 +1601,9 @@ const API_BASE = 'https://backend.lilsculpr.com/api/special-course';
   function showSuccessModal() {
     if (!successModal) return;
     if (successWorkshop) successWorkshop.textContent = WORKSHOP_NAME;
+    const day = getDay(getSelectedDate());
+    const session = getSelectedSession();
+    if (successDateTime && day && session) successDateTime.textContent = day.label + ' · ' + session.time;
     successModal.classList.add('active');
     document.body.style.overflow = 'hidden';
   }
@@ -1508,8 +1646,8 @@ const API_BASE = 'https://backend.lilsculpr.com/api/special-course';
       phone: document.getElementById('phone').value.trim(),
       childName: document.getElementById('childName').value.trim(),
       childAge: document.getElementById('childAge').value.trim(),
-      selectedDate: WORKSHOP_DATE,
-      selectedBatch: document.getElementById('selectedBatch').value,
+      selectedDate: getSelectedDate(),
+      selectedBatch: batchSelect.value,
       carnivalName: WORKSHOP_NAME,
       materialType: document.getElementById('materialTypeHidden').value === 'true'
     };
@@ -1558,6 +1696,18 @@ const API_BASE = 'https://backend.lilsculpr.com/api/special-course';
     }
   }
 
+  async function joinWaitlist(data) {
+    try {
+      const response = await axios.post(API_BASE + '/waitlist', data);
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        throw error.response.data;
+      }
+      throw { message: 'Network error. Please check your connection.' };
+    }
+  }
+
   async function createPaymentOrder(registrationId) {
     try {
       const response = await axios.post(API_BASE + '/create-order', {
@@ -1670,6 +1820,7 @@ const API_BASE = 'https://backend.lilsculpr.com/api/special-course';
         showSuccessModal();
         form.reset();
         document.getElementById('paymentConfirm').checked = false;
+        renderBatches();
         checkSlotAvailability();
       } else {
         throw { message: verifyResult.message || 'Payment verification failed' };
@@ -1678,6 +1829,19 @@ const API_BASE = 'https://backend.lilsculpr.com/api/special-course';
     } catch (error) {
       console.error('Workshop registration error:', error);
       setLoading(false);
+
+      // Full session: offer a place on the waitlist instead
+      if (error.data && error.data.waitlistAvailable &&
+          window.confirm('This session is full. Join the waitlist? We will email you if a seat frees up.')) {
+        try {
+          const waitlistResult = await joinWaitlist(formData);
+          showStatus('📋 ' + waitlistResult.message + '. Please check your email.', 'success');
+        } catch (waitlistError) {
+          showFailureModal(waitlistError.message || 'Could not join the waitlist. Please try again.');
+        }
+        return;
+      }
+
       showFailureModal(error.message || 'Something went wrong. Please try again.');
     } finally {
       setLoading(false);
@@ -1698,6 +1862,7 @@ const API_BASE = 'https://backend.lilsculpr.com/api/special-course';
   });
 
   console.log('✅ ' + WORKSHOP_NAME + ' registration form initialized');
+  renderBatches();
   checkSlotAvailability();
 })();
 `;
@@ -1846,8 +2011,9 @@ const generateAndUpload = async (workshop) => {
   return result;
 };
 
-// Register the workshop config so special-course payments use the correct fee/capacity
-const registerConfig = (workshop) => workshopRuntimeConfig.register(workshop);
+// Special-course payments read fee/capacity from the Workshop collection;
+// drop the cached copy so a created/updated workshop is picked up at once
+const refreshConfig = () => invalidateWorkshopConfig();
 
 module.exports = {
   generateHtml,
@@ -1856,6 +2022,6 @@ module.exports = {
   uploadToFTP,
   generateAndUpload,
   deleteWorkshopFiles,
-  registerConfig,
+  refreshConfig,
   getFtpConfig
 };
\ No newline at end of file
@@ -0,0 +1,391 @@
+const crypto = require('crypto');
+const Config = require('../models/config.model');
+const SpecialCourse = require('../models/SpecialCourse.model');
+const SpecialCoursePayment = require('../models/SpecialCoursePayment.model');
+const razorpayService = require('./razorpay.service');
+const emailService = require('./email.service');
+const workshopWaitlistService = require('./workshopWaitlist.service');
+
+const POLICY_KEY = 'WORKSHOP_CANCELLATION_POLICY';
+const MAX_REFUND_ATTEMPTS = 5;
+const HOUR_MS = 60 * 60 * 1000;
+const IST_OFFSET_MS = 5.5 * HOUR_MS;
+
+// Stored in Config under WORKSHOP_CANCELLATION_POLICY; anything missing falls back to these
+const DEFAULT_CANCELLATION_POLICY = {
+  fullRefundHours: 48,        // cancel at least this long before the workshop → full refund
+  partialRefundHours: 24,     // ...at least this long → partialRefundPercent
+  partialRefundPercent: 50,
+  allowParentRequests: true
+};
+
+/**
+ * The active cancellation policy (Config merged over the defaults)
+ */
+async function getCancellationPolicy() {
+  const config = await Config.findOne({ key: POLICY_KEY });
+  return { ...DEFAULT_CANCELLATION_POLICY, ...((config && config.value) || {}) };
+}
+
+/**
+ * Validate and store changes to the cancellation policy.
+ *
+ * @returns {Promise<{policy: object} | {error: string}>}
+ */
+async function saveCancellationPolicy(changes = {}) {
+  const policy = { ...(await getCancellationPolicy()), ...changes };
+
+  if (!(policy.fullRefundHours >= 0) || !(policy.partialRefundHours >= 0)) {
+    return { error: 'Refund windows cannot be negative' };
+  }
+  if (policy.partialRefundHours > policy.fullRefundHours) {
+    return { error: 'partialRefundHours cannot be longer than fullRefundHours' };
+  }
+  if (!(policy.partialRefundPercent >= 0 && policy.partialRefundPercent <= 100)) {
+    return { error: 'partialRefundPercent must be between 0 and 100' };
+  }
+  policy.allowParentRequests = Boolean(policy.allowParentRequests);
+
+  await Config.findOneAndUpdate(
+    { key: POLICY_KEY },
+    { $set: { value: policy } },
+    { upsert: true }
+  );
+  return { policy };
+}
+
+/**
+ * When the workshop starts. selectedDate is stored as UTC midnight of the
+ * workshop day and batch times ("10:30 AM - 12:30 PM") are Indian time.
+ */
+function getWorkshopStart(registration) {
+  if (!registration.selectedDate) return null;
+  const day = new Date(registration.selectedDate);
+  const match = String(registration.batchTime || registration.selectedBatch || '')
+    .match(/(\d{1,2})(?::(\d{2}))?\s*(AM|PM)/i);
+
+  let minutes = 0;
+  if (match) {
+    const hours = (Number(match[1]) % 12) + (match[3].toUpperCase() === 'PM' ? 12 : 0);
+    minutes = hours * 60 + Number(match[2] || 0);
+  }
+
+  return new Date(
+    Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()) + minutes * 60 * 1000 - IST_OFFSET_MS
+  );
+}
+
+/**
+ * Secret a parent needs to request a cancellation. It is signed from the
+ * registration ID, so nothing is stored, and only ever sent to the registrant
+ * (payment confirmation and confirmation email).
+ */
+function getCancellationToken(registration) {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`workshop-cancel:${registration.registrationId}`)
+    .digest('hex');
+}
+
+function verifyCancellationToken(registration, token) {
+  const expected = Buffer.from(getCancellationToken(registration));
+  const given = Buffer.from(String(token || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+const getRefundableAmount = (registration) =>
+  Math.max(0, (registration.payment?.amount || 0) - (registration.refunded_amount || 0));
+
+/**
+ * What a cancellation made on `date` is entitled to under the policy
+ *
+ * @returns {{ hoursBeforeStart, window: 'full'|'partial'|'none', percent, amount }}
+ */
+function getRefundQuote(registration, policy, date = new Date()) {
+  const start = getWorkshopStart(registration);
+  const hoursBeforeStart = start ? (start.getTime() - date.getTime()) / HOUR_MS : 0;
+
+  let window = 'none';
+  let percent = 0;
+  if (hoursBeforeStart >= policy.fullRefundHours) {
+    window = 'full';
+    percent = 100;
+  } else if (hoursBeforeStart >= policy.partialRefundHours) {
+    window = 'partial';
+    percent = policy.partialRefundPercent;
+  }
+
+  const amount = Math.min(
+    getRefundableAmount(registration),
+    Math.round(((registration.payment?.amount || 0) * percent) / 100)
+  );
+
+  return { hoursBeforeStart: Math.floor(hoursBeforeStart), window, percent, amount };
+}
+
+// Payment log row for the registration's payment (legacy registrations may not have one)
+async function getPaymentLog(registration) {
+  let paymentId = registration.payment?.razorpay_payment_id;
+  if (!paymentId || paymentId === 'direct_payment') {
+    paymentId = `direct_payment_${registration.registrationId}`;
+  }
+  const existing = await SpecialCoursePayment.findOne({ razorpay_payment_id: paymentId });
+  if (existing) return existing;
+
+  return SpecialCoursePayment.create({
+    registrationId: registration.registrationId,
+    razorpay_payment_id: paymentId,
+    razorpay_order_id: registration.payment?.razorpay_order_id,
+    amount: registration.payment?.amount || 0,
+    status: 'captured',
+    method: registration.payment?.method
+  });
+}
+
+/**
+ * Refund a paid registration, in full or in part, and optionally cancel it.
+ *
+ * With no amount the policy decides: the amount quoted when the parent asked
+ * to cancel, otherwise what the policy allows right now. The refunded total is
+ * reserved on the registration before calling Razorpay, so two admins cannot
+ * refund more than was paid. `manual` records a refund paid outside Razorpay
+ * (and is implied for legacy direct payments).
+ *
+ * @returns {Promise<{registration, refund} | {error: string, status: number}>}
+ */
+async function refundRegistration(registrationId, {
+  amount,
+  reason,
+  cancel = true,
+  manual = false,
+  initiatedBy
+} = {}) {
+  const registration = await SpecialCourse.findOne({ registrationId });
+  if (!registration) return { error: 'Registration not found', status: 404 };
+  if (registration.payment_status !== 'paid') {
+    return { error: `Cannot refund a registration with payment status: ${registration.payment_status}`, status: 400 };
+  }
+
+  const refundable = getRefundableAmount(registration);
+  let refundAmount;
+  if (amount !== undefined && amount !== null && amount !== '') {
+    refundAmount = Number(amount);
+  } else if (registration.cancellation?.status === 'requested') {
+    refundAmount = registration.cancellation.quoted_refund_amount || 0;
+  } else {
+    refundAmount = getRefundQuote(registration, await getCancellationPolicy()).amount;
+  }
+
+  if (!(refundAmount >= 0) || refundAmount > refundable) {
+    return { error: `Refund amount must be between 0 and ₹${refundable}`, status: 400 };
+  }
+  if (refundAmount === 0 && !cancel) {
+    return { error: 'Nothing to refund', status: 400 };
+  }
+
+  const paidAmount = registration.payment.amount || 0;
+  const paymentId = registration.payment.razorpay_payment_id;
+  const method = manual || !paymentId || paymentId === 'direct_payment' ? 'manual' : 'razorpay';
+  const now = new Date();
+
+  // Reserve the amount (fails if a concurrent refund already took it)
+  const reserved = await SpecialCourse.findOneAndUpdate(
+    {
+      _id: registration._id,
+      payment_status: 'paid',
+      refunded_amount: { $not: { $gt: paidAmount - refundAmount } }
+    },
+    { $inc: { refunded_amount: refundAmount } },
+    { new: true }
+  );
+  if (!reserved) {
+    return { error: 'Registration was refunded by another request. Please reload.', status: 409 };
+  }
+
+  const paymentLog = await getPaymentLog(registration);
+  const refundEntry = {
+    amount: refundAmount,
+    reason: reason || '',
+    method,
+    initiated_by: initiatedBy || null,
+    status: method === 'manual' ? 'processed' : 'pending',
+    processed_at: method === 'manual' ? now : null
+  };
+
+  if (refundAmount > 0 && method === 'razorpay') {
+    const result = await razorpayService.refundPayment(paymentId, refundAmount, {
+      registrationId,
+      reason: (reason || '').slice(0, 250)
+    });
+
+    if (!result.success) {
+      await SpecialCourse.updateOne({ _id: registration._id }, { $inc: { refunded_amount: -refundAmount } });
+      paymentLog.refunds.push({ ...refundEntry, status: 'failed', error: result.error });
+      await paymentLog.save();
+      return { error: `Razorpay refund failed: ${result.error}`, status: 502 };
+    }
+
+    refundEntry.razorpay_refund_id = result.refund.id;
+    if (result.refund.status === 'processed') {
+      refundEntry.status = 'processed';
+      refundEntry.processed_at = now;
+    }
+  }
+
+  const fullyRefunded = reserved.refunded_amount >= paidAmount;
+
+  if (refundAmount > 0) {
+    paymentLog.refunds.push(refundEntry);
+    paymentLog.amount_refunded = (paymentLog.amount_refunded || 0) + refundAmount;
+    paymentLog.status = fullyRefunded ? 'refunded' : 'partially_refunded';
+    await paymentLog.save();
+  }
+
+  // A full refund always gives the seat back; a partial one only when cancelling
+  if (refundAmount > 0) reserved.refunded_at = now;
+  if (fullyRefunded) {
+    reserved.payment_status = 'refunded';
+    reserved.payment.status = 'refunded';
+  }
+  if (cancel || fullyRefunded) {
+    reserved.status = fullyRefunded ? 'refunded' : 'cancelled';
+    reserved.cancelled_at = now;
+    reserved.cancellation = {
+      ...(reserved.cancellation?.toObject ? reserved.cancellation.toObject() : reserved.cancellation),
+      status: 'approved',
+      requested_by: reserved.cancellation?.requested_by || 'admin',
+      requested_at: reserved.cancellation?.requested_at || now,
+      reason: reserved.cancellation?.reason || reason || '',
+      reviewed_at: now,
+      reviewed_by: initiatedBy || null,
+      review_note: reason || ''
+    };
+  }
+  await reserved.save();
+
+  emailService.sendWorkshopRefundEmail(reserved, { amount: refundAmount, cancelled: cancel || fullyRefunded })
+    .catch(err => console.warn('⚠️ Failed to send refund email:', err.message));
+
+  if (cancel || fullyRefunded) {
+    workshopWaitlistService.offerFreedSeats(reserved)
+      .catch(err => console.warn('⚠️ Could not offer released seat to the waitlist:', err.message));
+  }
+
+  console.log(`💸 Refunded ₹${refundAmount} (${method}) for ${registrationId}${cancel || fullyRefunded ? ' — seat released' : ''}`);
+
+  return {
+    registration: reserved,
+    refund: {
+      amount: refundAmount,
+      method,
+      status: refundEntry.status,
+      razorpayRefundId: refundEntry.razorpay_refund_id || null,
+      fullyRefunded
+    }
+  };
+}
+
+/**
+ * Record a Razorpay refund.processed / refund.failed event against the payment
+ * log. A failed refund on a registration that is still active gives its amount
+ * back so the admin can retry it. If the registration was cancelled its seat
+ * may already be with the waitlist, so it stays cancelled, the amount stays
+ * owed and the refund is queued for retryFailedRefunds.
+ *
+ * @returns {Promise<object|null>} the payment log, or null for refunds not made from here
+ */
+async function updateRefundStatus(refund, status) {
+  const paymentLog = await SpecialCoursePayment.findOne({ 'refunds.razorpay_refund_id': refund.id });
+  if (!paymentLog) return null;
+
+  const entry = paymentLog.refunds.find(r => r.razorpay_refund_id === refund.id);
+  if (entry.status === status) return paymentLog;
+
+  entry.status = status;
+  if (status === 'processed') entry.processed_at = new Date();
+
+  if (status === 'failed') {
+    entry.error = refund.error_description || 'Refund failed';
+
+    const registration = await SpecialCourse.findOne({ registrationId: paymentLog.registrationId });
+    if (registration && ['cancelled', 'refunded'].includes(registration.status)) {
+      entry.needs_retry = (entry.attempts || 1) < MAX_REFUND_ATTEMPTS;
+      console.warn(`⚠️ Refund ${refund.id} failed for cancelled registration ${paymentLog.registrationId} — ${entry.needs_retry ? 'queued for retry' : 'needs an admin'}`);
+    } else {
+      paymentLog.amount_refunded = Math.max(0, (paymentLog.amount_refunded || 0) - entry.amount);
+      paymentLog.status = paymentLog.amount_refunded > 0 ? 'partially_refunded' : 'captured';
+
+      await SpecialCourse.updateOne(
+        { registrationId: paymentLog.registrationId },
+        {
+          $inc: { refunded_amount: -entry.amount },
+          $set: { payment_status: 'paid', 'payment.status': 'paid' }
+        }
+      );
+      console.warn(`⚠️ Refund ${refund.id} failed for ${paymentLog.registrationId}`);
+    }
+  }
+
+  await paymentLog.save();
+  return paymentLog;
+}
+
+/**
+ * Retry refunds queued by updateRefundStatus. Each retry is a new Razorpay
+ * refund; its id replaces the failed one so the webhook settles the same
+ * entry. After MAX_REFUND_ATTEMPTS the entry is left failed for an admin.
+ *
+ * @returns {Promise<{retried: number, failed: number}>}
+ */
+async function retryFailedRefunds() {
+  const paymentLogs = await SpecialCoursePayment.find({
+    refunds: { $elemMatch: { status: 'failed', needs_retry: true } }
+  });
+
+  let retried = 0;
+  let failed = 0;
+  for (const paymentLog of paymentLogs) {
+    for (const entry of paymentLog.refunds) {
+      if (entry.status !== 'failed' || !entry.needs_retry) continue;
+
+      const result = await razorpayService.refundPayment(paymentLog.razorpay_payment_id, entry.amount, {
+        registrationId: paymentLog.registrationId,
+        reason: (entry.reason || '').slice(0, 250)
+      });
+      entry.attempts = (entry.attempts || 1) + 1;
+
+      if (result.success) {
+        entry.razorpay_refund_id = result.refund.id;
+        entry.status = result.refund.status === 'processed' ? 'processed' : 'pending';
+        if (entry.status === 'processed') entry.processed_at = new Date();
+        entry.error = undefined;
+        entry.needs_retry = false;
+        retried++;
+      } else {
+        entry.error = result.error;
+        entry.needs_retry = entry.attempts < MAX_REFUND_ATTEMPTS;
+        failed++;
+        if (!entry.needs_retry) {
+          console.warn(`⚠️ Refund of ₹${entry.amount} for ${paymentLog.registrationId} failed ${entry.attempts} times — needs an admin`);
+        }
+      }
+    }
+    await paymentLog.save();
+  }
+
+  return { retried, failed };
+}
+
+module.exports = {
+  DEFAULT_CANCELLATION_POLICY,
+  getCancellationPolicy,
+  saveCancellationPolicy,
+  getWorkshopStart,
+  getCancellationToken,
+  verifyCancellationToken,
+  getRefundableAmount,
+  getRefundQuote,
+  refundRegistration,
+  updateRefundStatus,
+  retryFailedRefunds
+};
@@ -0,0 +1,369 @@
+const crypto = require('crypto');
+const Config = require('../models/config.model');
+const Counter = require('../models/Counter.model');
+const SpecialCourse = require('../models/SpecialCourse.model');
+const WorkshopWaitlist = require('../models/WorkshopWaitlist.model');
+const workshopConfigService = require('./workshopConfig.service');
+const emailService = require('./email.service');
+const { withTransaction } = require('./unitOfWork.service');
+
+const POLICY_KEY = 'WORKSHOP_WAITLIST_POLICY';
+const MINUTE_MS = 60 * 1000;
+// Unpaid registrations hold their seat this long, then SpecialCourse.controller deletes them
+const PENDING_HOLD_MINUTES = 10;
+
+// Stored in Config under WORKSHOP_WAITLIST_POLICY; anything missing falls back to these
+const DEFAULT_WAITLIST_POLICY = {
+  enabled: true,
+  offerMinutes: 60,        // how long an offered seat is held for the family
+  maxWaitingPerSession: 20 // 0 = no limit
+};
+
+/**
+ * The active waitlist policy (Config merged over the defaults)
+ */
+async function getWaitlistPolicy() {
+  const config = await Config.findOne({ key: POLICY_KEY });
+  return { ...DEFAULT_WAITLIST_POLICY, ...((config && config.value) || {}) };
+}
+
+/**
+ * Validate and store changes to the waitlist policy.
+ *
+ * @returns {Promise<{policy: object} | {error: string}>}
+ */
+async function saveWaitlistPolicy(changes = {}) {
+  const policy = { ...(await getWaitlistPolicy()), ...changes };
+
+  if (!(policy.offerMinutes >= 5 && policy.offerMinutes <= 24 * 60)) {
+    return { error: 'offerMinutes must be between 5 and 1440' };
+  }
+  if (!(policy.maxWaitingPerSession >= 0)) {
+    return { error: 'maxWaitingPerSession cannot be negative' };
+  }
+  policy.enabled = Boolean(policy.enabled);
+
+  await Config.findOneAndUpdate(
+    { key: POLICY_KEY },
+    { $set: { value: policy } },
+    { upsert: true }
+  );
+  return { policy };
+}
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const sessionQuery = ({ carnivalName, selectedDate, selectedBatch }) => ({
+  carnivalName,
+  selectedDate,
+  selectedBatch
+});
+
+const offerUrl = (entry) =>
+  `${process.env.WEBSITE_URL || 'https://www.lilsculpr.com'}/workshop-offer.html?token=${entry.token}`;
+
+/**
+ * Seats the waitlist currently holds in a session (open, unexpired offers)
+ */
+async function countActiveOffers(session, now = new Date(), txn = null) {
+  return WorkshopWaitlist.countDocuments({
+    ...sessionQuery(session),
+    status: 'offered',
+    offer_expires_at: { $gt: now }
+  }).session(txn);
+}
+
+/**
+ * Families still waiting for a seat in a session. Free seats are theirs until
+ * the waitlist job offers them, so availability counts them as taken (none
+ * when the waitlist is switched off, as they would never be offered one).
+ */
+async function countWaiting(session) {
+  const policy = await getWaitlistPolicy();
+  if (!policy.enabled) return 0;
+  return WorkshopWaitlist.countDocuments({ ...sessionQuery(session), status: 'waiting' });
+}
+
+// Paid registrations, unpaid ones still inside their hold and open offers
+// (the same rule checkSlotAvailability uses)
+async function countTakenSeats(session, now = new Date(), txn = null) {
+  const pendingSince = new Date(now.getTime() - PENDING_HOLD_MINUTES * MINUTE_MS);
+  const [paid, pending, offers] = await Promise.all([
+    SpecialCourse.countDocuments({ ...sessionQuery(session), status: 'registered', payment_status: 'paid' }).session(txn),
+    SpecialCourse.countDocuments({
+      ...sessionQuery(session),
+      status: 'pending_payment',
+      payment_status: 'pending',
+      createdAt: { $gte: pendingSince }
+    }).session(txn),
+    countActiveOffers(session, now, txn)
+  ]);
+  return paid + pending + offers;
+}
+
+// Per-session counter bumped by every offer run (see offerFreedSeats)
+const offerCounterName = (session) =>
+  `waitlist-offers:${session.carnivalName}|${new Date(session.selectedDate).toISOString().slice(0, 10)}|${session.selectedBatch}`;
+
+/**
+ * Capacity and fee of a session, or null when the workshop is not taking
+ * registrations (unknown, inactive, online or already past)
+ */
+async function getSessionDetails(session) {
+  const config = await workshopConfigService.getWorkshopConfig(session.carnivalName);
+  if (!config || config.status !== 'active' || session.carnivalName.includes('Online')) return null;
+
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  if (new Date(session.selectedDate) < today) return null;
+
+  const configSession = workshopConfigService.findSession(config, session.selectedDate, session.selectedBatch);
+  return {
+    capacity: configSession ? configSession.capacity : config.capacity,
+    fee: configSession ? configSession.fee : config.fee
+  };
+}
+
+/**
+ * Position of a waiting entry in its session's queue (1 = next to be offered)
+ */
+async function getPosition(entry) {
+  if (entry.status !== 'waiting') return null;
+  const ahead = await WorkshopWaitlist.countDocuments({
+    ...sessionQuery(entry),
+    status: 'waiting',
+    createdAt: { $lt: entry.createdAt }
+  });
+  return ahead + 1;
+}
+
+/**
+ * Put a child on the waitlist of a full session.
+ *
+ * @param {object} data { carnivalName, selectedDate (Date), selectedBatch, parentName, email, phone, childName, childAge, materialType }
+ * @returns {Promise<{entry, position, alreadyWaiting: boolean} | {error: string, status: number}>}
+ */
+async function joinWaitlist(data) {
+  const policy = await getWaitlistPolicy();
+  if (!policy.enabled) {
+    return { error: 'The waitlist is not open for this workshop', status: 403 };
+  }
+
+  const session = sessionQuery(data);
+  const existing = await WorkshopWaitlist.findOne({
+    ...session,
+    childName: { $regex: new RegExp(`^${escapeRegex(data.childName.trim())}$`, 'i') },
+    email: data.email.toLowerCase().trim(),
+    status: { $in: ['waiting', 'offered'] }
+  });
+  if (existing) {
+    return { entry: existing, position: await getPosition(existing), alreadyWaiting: true };
+  }
+
+  if (policy.maxWaitingPerSession > 0) {
+    const waiting = await WorkshopWaitlist.countDocuments({ ...session, status: 'waiting' });
+    if (waiting >= policy.maxWaitingPerSession) {
+      return { error: 'The waitlist for this session is full. Please choose another session.', status: 409 };
+    }
+  }
+
+  const entry = await WorkshopWaitlist.create({
+    ...session,
+    parentName: data.parentName,
+    email: data.email,
+    phone: data.phone,
+    childName: data.childName,
+    childAge: data.childAge,
+    materialType: Boolean(data.materialType),
+    token: crypto.randomBytes(24).toString('hex')
+  });
+
+  const position = await getPosition(entry);
+  emailService.sendWaitlistJoinedEmail(entry, { position })
+    .catch(err => console.warn('⚠️ Failed to send waitlist email:', err.message));
+
+  console.log(`📋 ${entry.childName} joined the waitlist for ${entry.carnivalName} (${entry.selectedBatch}) at #${position}`);
+  return { entry, position, alreadyWaiting: false };
+}
+
+/**
+ * Offer every free seat in a session to the families waiting for it, oldest
+ * first. Called whenever a seat may have been freed (expired payment,
+ * cancellation, refund, expired offer) and by the cleanup job.
+ *
+ * Runs for the same session are serialised: each bumps the session's offer
+ * counter inside its transaction, so a concurrent run conflicts, retries
+ * once this one has committed and then counts its offers as taken seats.
+ * Emails go out after the commit.
+ *
+ * @returns {Promise<number>} offers made
+ */
+async function offerFreedSeats(session) {
+  const waiting = await WorkshopWaitlist.countDocuments({ ...sessionQuery(session), status: 'waiting' });
+  if (waiting === 0) return 0;
+
+  const policy = await getWaitlistPolicy();
+  if (!policy.enabled) return 0;
+
+  const details = await getSessionDetails(session);
+  if (!details) return 0;
+
+  const offers = await withTransaction(async (txn) => {
+    await Counter.updateOne(
+      { _id: offerCounterName(session) },
+      { $inc: { seq: 1 } },
+      { upsert: true, session: txn }
+    );
+
+    const made = [];
+    let freeSeats = details.capacity - (await countTakenSeats(session, new Date(), txn));
+    while (freeSeats > 0) {
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + policy.offerMinutes * MINUTE_MS);
+
+      const entry = await WorkshopWaitlist.findOneAndUpdate(
+        { ...sessionQuery(session), status: 'waiting' },
+        { $set: { status: 'offered', offered_at: now, offer_expires_at: expiresAt } },
+        { sort: { createdAt: 1 }, new: true, session: txn }
+      );
+      if (!entry) break;
+
+      made.push({ entry, expiresAt });
+      freeSeats--;
+    }
+    return made;
+  });
+
+  for (const { entry, expiresAt } of offers) {
+    emailService.sendWaitlistOfferEmail(entry, {
+      offerUrl: offerUrl(entry),
+      expiresAt,
+      offerMinutes: policy.offerMinutes,
+      amount: details.fee
+    }).catch(err => console.warn('⚠️ Failed to send waitlist offer email:', err.message));
+
+    console.log(`🎟️ Seat offered to ${entry.childName} for ${entry.carnivalName} (${entry.selectedBatch}) until ${expiresAt.toLocaleTimeString()}`);
+  }
+
+  return offers.length;
+}
+
+/**
+ * Expire lapsed offers and offer free seats in every session that has a
+ * queue. Run by the special-course cleanup job.
+ *
+ * @returns {Promise<{expired: number, offered: number}>}
+ */
+async function processWaitlist() {
+  const now = new Date();
+  const expired = await WorkshopWaitlist.updateMany(
+    { status: 'offered', offer_expires_at: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+
+  const sessions = await WorkshopWaitlist.aggregate([
+    { $match: { status: 'waiting' } },
+    { $group: { _id: { carnivalName: '$carnivalName', selectedDate: '$selectedDate', selectedBatch: '$selectedBatch' } } }
+  ]);
+
+  let offered = 0;
+  for (const { _id: session } of sessions) {
+    try {
+      offered += await offerFreedSeats(session);
+    } catch (error) {
+      console.error(`❌ Waitlist offer failed for ${session.carnivalName} (${session.selectedBatch}):`, error.message);
+    }
+  }
+
+  if (expired.modifiedCount || offered) {
+    console.log(`📋 Waitlist: ${expired.modifiedCount} offer(s) expired, ${offered} seat(s) offered`);
+  }
+  return { expired: expired.modifiedCount, offered };
+}
+
+/**
+ * An offer by its token, with how long it is still held for
+ *
+ * @returns {Promise<{entry, expired: boolean, amount: number|null} | null>}
+ */
+async function getOffer(token) {
+  const entry = await WorkshopWaitlist.findOne({ token });
+  if (!entry) return null;
+
+  const expired = entry.status === 'expired' ||
+    (entry.status === 'offered' && entry.offer_expires_at <= new Date());
+  const details = await getSessionDetails(entry);
+  return { entry, expired, amount: details ? details.fee : null };
+}
+
+/**
+ * Take up an offer: moves it to 'accepted' so the seat can pass to a pending
+ * registration. Only one request can claim an offer.
+ *
+ * @returns {Promise<{entry} | {error: string, status: number}>}
+ */
+async function claimOffer(token) {
+  const now = new Date();
+  const entry = await WorkshopWaitlist.findOneAndUpdate(
+    { token, status: 'offered', offer_expires_at: { $gt: now } },
+    { $set: { status: 'accepted', accepted_at: now } },
+    { new: true }
+  );
+  if (entry) return { entry };
+
+  const existing = await WorkshopWaitlist.findOne({ token });
+  if (!existing) return { error: 'Offer not found', status: 404 };
+  if (existing.status === 'accepted') {
+    return { error: 'This offer has already been accepted', status: 409, entry: existing };
+  }
+  if (existing.status === 'waiting') {
+    return { error: 'No seat has been offered yet. We will email you as soon as one frees up.', status: 400 };
+  }
+  return { error: 'This offer has expired', status: 410 };
+}
+
+// Put a claimed offer back (e.g. the registration could not be created)
+async function releaseClaim(entry) {
+  await WorkshopWaitlist.updateOne(
+    { _id: entry._id, status: 'accepted', registrationId: null },
+    { $set: { status: 'offered' }, $unset: { accepted_at: 1 } }
+  );
+}
+
+/**
+ * Leave the waitlist (or turn down an offer, which passes the seat on)
+ *
+ * @returns {Promise<object|null>} the entry, or null when not found / already done
+ */
+async function leaveWaitlist(token) {
+  const entry = await WorkshopWaitlist.findOneAndUpdate(
+    { token, status: { $in: ['waiting', 'offered'] } },
+    { $set: { status: 'cancelled', cancelled_at: new Date() } },
+    { new: false }
+  );
+  if (!entry) return null;
+
+  if (entry.status === 'offered') {
+    offerFreedSeats(entry)
+      .catch(err => console.warn('⚠️ Could not pass on declined offer:', err.message));
+  }
+  entry.status = 'cancelled';
+  return entry;
+}
+
+module.exports = {
+  PENDING_HOLD_MINUTES,
+  DEFAULT_WAITLIST_POLICY,
+  getWaitlistPolicy,
+  saveWaitlistPolicy,
+  countActiveOffers,
+  countWaiting,
+  getPosition,
+  joinWaitlist,
+  offerFreedSeats,
+  processWaitlist,
+  getOffer,
+  claimOffer,
+  releaseClaim,
+  leaveWaitlist
+};
@@ -0,0 +1,128 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { query } = require('./helpers');
+
+const AttendanceSession = require('../models/AttendanceSession.model');
+const CompensationRecord = require('../models/CompensationRecord.model');
+const TrialBooking = require('../models/TrialBooking.model');
+const Holiday = require('../models/Holiday.model');
+const Config = require('../models/config.model');
+const { reserveSeat } = require('../services/batchOccupancy.service');
+
+const MONDAY = '2026-10-19';
+const TUESDAY = '2026-10-20';
+
+const batchWith = (fields = {}) => ({
+  _id: 'batch-1',
+  type: 'offline',
+  dayId: 'monfri',
+  time: '4:00 PM',
+  capacity: 6,
+  enrolledStudents: ['s1', 's2', 's3'],
+  ...fields
+});
+
+describe('reserveSeat', () => {
+  let serialised;
+
+  beforeEach((t) => {
+    serialised = [];
+    t.mock.method(AttendanceSession, 'findOneAndUpdate', (filter, update, options) => {
+      serialised.push({ filter, update, options });
+      return query(null);
+    });
+    t.mock.method(Config, 'findOne', () => query(null));
+    t.mock.method(Holiday, 'covering', () => query([]));
+  });
+
+  const occupy = (t, { makeups = 0, trials = 0 } = {}) => {
+    t.mock.method(CompensationRecord, 'countDocuments', () => query(makeups));
+    t.mock.method(TrialBooking, 'countDocuments', () => query(trials));
+  };
+
+  it('takes a seat in a class with room', async (t) => {
+    occupy(t, { makeups: 1, trials: 1 });
+
+    const seat = await reserveSeat(batchWith(), MONDAY, 'trial', 'session-1');
+
+    assert.equal(seat.ok, true);
+    assert.equal(seat.occupancy.total, 5);
+    assert.equal(seat.occupancy.seatsLeft, 1);
+  });
+
+  it('touches the day\'s session first so bookings for the class are serialised', async (t) => {
+    occupy(t);
+
+    await reserveSeat(batchWith(), MONDAY, 'makeup', 'session-1');
+
+    assert.equal(serialised.length, 1);
+    assert.deepEqual(serialised[0].filter, { sessionKey: `${MONDAY}|batch|batch-1` });
+    assert.equal(serialised[0].options.session, 'session-1');
+  });
+
+  it('creates the session when its day has not been generated yet', async (t) => {
+    occupy(t);
+
+    await reserveSeat(batchWith(), MONDAY, 'trial');
+
+    assert.equal(serialised[0].options.upsert, true);
+    assert.deepEqual(serialised[0].update.$setOnInsert, {
+      date: MONDAY,
+      kind: 'batch',
+      batchId: 'batch-1',
+      classType: 'offline',
+      dayId: 'monfri',
+      day: 'Monday',
+      time: '4:00 PM'
+    });
+  });
+
+  it('refuses a date the batch does not meet on', async (t) => {
+    occupy(t);
+
+    const seat = await reserveSeat(batchWith(), TUESDAY, 'trial');
+
+    assert.equal(seat.ok, false);
+    assert.match(seat.error, /does not meet on 2026-10-20/);
+    assert.equal(serialised.length, 0);
+  });
+
+  it('refuses a full class, counting regulars, make-ups and trials', async (t) => {
+    occupy(t, { makeups: 2, trials: 1 });
+
+    const seat = await reserveSeat(batchWith(), MONDAY, 'trial');
+
+    assert.equal(seat.ok, false);
+    assert.equal(seat.error, 'This class is full. Please select another slot.');
+  });
+
+  it('refuses a make-up once the allowance is used even with seats left', async (t) => {
+    occupy(t, { makeups: 1 });
+
+    const seat = await reserveSeat(batchWith({ makeupAllowance: 1 }), MONDAY, 'makeup');
+
+    assert.equal(seat.ok, false);
+    assert.match(seat.error, /No make-up seats left/);
+  });
+
+  it('falls back to the make-up policy\'s default allowance', async (t) => {
+    occupy(t, { makeups: 1 });
+
+    const seat = await reserveSeat(batchWith(), MONDAY, 'makeup');
+
+    assert.equal(seat.ok, true);
+    assert.equal(seat.occupancy.makeupAllowance, 2);
+    assert.equal(seat.occupancy.makeupSeatsLeft, 1);
+  });
+
+  it('refuses a class on a holiday', async (t) => {
+    occupy(t);
+    t.mock.method(Holiday, 'covering', () => query([{ title: 'Diwali' }]));
+
+    const seat = await reserveSeat(batchWith(), MONDAY, 'trial');
+
+    assert.equal(seat.ok, false);
+    assert.equal(seat.error, 'The academy is closed on 2026-10-19 (Diwali)');
+    assert.equal(serialised.length, 0);
+  });
+});
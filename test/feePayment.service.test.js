@@ -0,0 +1,185 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, stubModule, withoutTransactions } = require('./helpers');
+
+// Side effects are stubbed before the service loads them
+const receipts = {
+  issueFeeReceipt: mock.fn(async (feeRecord) => ({ _id: `receipt-${feeRecord._id}` })),
+  issueHouseholdReceipt: mock.fn(async () => ({ _id: 'household-receipt' })),
+  linkFeeRecords: mock.fn(async (receipt) => receipt),
+  getReceiptAttachment: mock.fn(async () => null)
+};
+const discounts = {
+  priceMonthlyFee: mock.fn(async () => ({ amount: 1500, grossAmount: 1500, discountAmount: 0, discounts: [] })),
+  redeemDiscount: mock.fn(async () => null)
+};
+const syncStudentPaymentStatus = mock.fn(async () => {});
+stubModule('services/receipt.service', receipts);
+stubModule('services/discount.service', discounts);
+stubModule('services/syncFeeStatus.service', { syncStudentPaymentStatus });
+stubModule('services/overdue.service', { resumeIfArrearsCleared: async () => {} });
+stubModule('services/email.service', { sendFeePaymentConfirmation: async () => ({ success: true }) });
+
+const Student = require('../models/student.model');
+const FeeRecord = require('../models/FeeRecord.model');
+const HouseholdPayment = require('../models/HouseholdPayment.model');
+const { markFeeRecordPaid, markHouseholdPaymentPaid } = require('../services/feePayment.service');
+
+const students = {
+  s1: { _id: 's1', enrollmentId: 'LS-2026-0001', childName: 'Asha', parentName: 'Meera', contact1: '9000000001' },
+  s2: { _id: 's2', enrollmentId: 'LS-2026-0002', childName: 'Ravi', parentName: 'Meera', contact1: '9000000001' }
+};
+
+// A small in-memory FeeRecord collection behind the mocked statics
+let feeRecords;
+const matches = (record, filter) => Object.entries(filter).every(([field, value]) => {
+  if (value && typeof value === 'object' && '$ne' in value) return record[field] !== value.$ne;
+  return (record[field] ?? null) === value;
+});
+
+beforeEach((t) => {
+  feeRecords = [];
+  for (const fn of [...Object.values(receipts), ...Object.values(discounts), syncStudentPaymentStatus]) {
+    fn.mock.resetCalls();
+  }
+
+  withoutTransactions(t);
+  t.mock.method(Student, 'findById', (id) => query(students[id] || null));
+  t.mock.method(FeeRecord, 'findOne', (filter) => query(feeRecords.find(r => matches(r, filter)) || null));
+  t.mock.method(FeeRecord, 'exists', (filter) => query(feeRecords.some(r => matches(r, filter)) ? { _id: 'x' } : null));
+  t.mock.method(FeeRecord, 'findOneAndUpdate', async (filter, { $set }) => {
+    let record = feeRecords.find(r => matches(r, filter));
+    if (!record) {
+      record = { _id: `fee-${feeRecords.length + 1}` };
+      feeRecords.push(record);
+    }
+    return Object.assign(record, $set);
+  });
+});
+
+describe('markFeeRecordPaid', () => {
+  const payment = {
+    studentId: 's1',
+    month: 'January',
+    year: 2026,
+    amount: 1500,
+    razorpayOrderId: 'order_1',
+    razorpayPaymentId: 'pay_1'
+  };
+
+  it('records the month as paid with the Razorpay ids and issues its receipt', async () => {
+    const result = await markFeeRecordPaid(payment);
+
+    assert.equal(result.alreadyPaid, false);
+    assert.equal(feeRecords.length, 1);
+    assert.equal(feeRecords[0].status, 'Paid');
+    assert.equal(feeRecords[0].amount, 1500);
+    assert.equal(feeRecords[0].razorpayPaymentId, 'pay_1');
+    assert.equal(feeRecords[0].householdPaymentId, null);
+    assert.equal(receipts.issueFeeReceipt.mock.callCount(), 1);
+    assert.equal(syncStudentPaymentStatus.mock.callCount(), 1);
+    assert.deepEqual(result.receipt, { _id: 'receipt-fee-1' });
+  });
+
+  it('pays the pending record at the amount it was billed', async () => {
+    feeRecords.push({ _id: 'fee-pending', studentId: 's1', month: 'January', year: 2026, status: 'Pending', amount: 1200, grossAmount: 1500, discountAmount: 300, discounts: [] });
+
+    await markFeeRecordPaid({ ...payment, amount: undefined });
+
+    assert.equal(feeRecords.length, 1);
+    assert.equal(feeRecords[0].status, 'Paid');
+    assert.equal(feeRecords[0].amount, 1200);
+    assert.equal(feeRecords[0].discountAmount, 300);
+  });
+
+  it('takes the discount recorded on the order', async () => {
+    discounts.redeemDiscount.mock.mockImplementationOnce(async () => ({ grossAmount: 1500, discountAmount: 150, netAmount: 1350, discounts: [{ source: 'coupon', code: 'CLAY10', amount: 150 }] }));
+
+    await markFeeRecordPaid({ ...payment, amount: 1350 });
+
+    assert.equal(feeRecords[0].amount, 1350);
+    assert.equal(feeRecords[0].discounts[0].code, 'CLAY10');
+  });
+
+  it('leaves an already paid month untouched', async () => {
+    feeRecords.push({ _id: 'fee-paid', studentId: 's1', month: 'January', year: 2026, status: 'Paid', razorpayPaymentId: 'pay_1' });
+
+    const result = await markFeeRecordPaid(payment);
+
+    assert.equal(result.alreadyPaid, true);
+    assert.equal(FeeRecord.findOneAndUpdate.mock.callCount(), 0);
+    assert.equal(receipts.issueFeeReceipt.mock.callCount(), 0);
+  });
+
+  it('refuses a payment id that already paid another month', async () => {
+    feeRecords.push({ _id: 'fee-dec', studentId: 's1', month: 'December', year: 2025, status: 'Paid', razorpayPaymentId: 'pay_1', householdPaymentId: null });
+
+    const result = await markFeeRecordPaid(payment);
+
+    assert.equal(result.status, 409);
+    assert.match(result.error, /already been applied to another month/);
+    assert.equal(FeeRecord.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it('returns null for an unknown student', async () => {
+    assert.equal(await markFeeRecordPaid({ ...payment, studentId: 'missing' }), null);
+  });
+});
+
+describe('markHouseholdPaymentPaid', () => {
+  let order;
+
+  beforeEach((t) => {
+    order = {
+      _id: 'hp-1',
+      razorpayOrderId: 'order_h',
+      status: 'created',
+      items: [
+        { studentId: 's1', childName: 'Asha', month: 'January', year: 2026, amount: 1500, grossAmount: 1500, discountAmount: 0 },
+        { studentId: 's2', childName: 'Ravi', month: 'January', year: 2026, amount: 1350, grossAmount: 1500, discountAmount: 150 }
+      ],
+      save: mock.fn(async () => {})
+    };
+    t.mock.method(HouseholdPayment, 'findOne', ({ razorpayOrderId }) =>
+      query(razorpayOrderId === order.razorpayOrderId ? order : null));
+  });
+
+  it('pays every month of the order under one payment and one receipt', async () => {
+    const result = await markHouseholdPaymentPaid({ razorpayOrderId: 'order_h', razorpayPaymentId: 'pay_h' });
+
+    assert.equal(result.alreadyPaid, false);
+    assert.deepEqual(result.results.map(r => r.status), ['paid', 'paid']);
+    assert.deepEqual(feeRecords.map(r => [r.studentId, r.amount, r.razorpayPaymentId, r.householdPaymentId]), [
+      ['s1', 1500, 'pay_h', 'hp-1'],
+      ['s2', 1350, 'pay_h', 'hp-1']
+    ]);
+    assert.equal(order.status, 'paid');
+    assert.equal(order.razorpayPaymentId, 'pay_h');
+    assert.equal(order.save.mock.callCount(), 1);
+    assert.equal(receipts.issueHouseholdReceipt.mock.callCount(), 1);
+    assert.equal(receipts.linkFeeRecords.mock.callCount(), 2);
+    assert.equal(receipts.issueFeeReceipt.mock.callCount(), 0);
+  });
+
+  it('is harmless to repeat', async () => {
+    await markHouseholdPaymentPaid({ razorpayOrderId: 'order_h', razorpayPaymentId: 'pay_h' });
+    const repeat = await markHouseholdPaymentPaid({ razorpayOrderId: 'order_h', razorpayPaymentId: 'pay_h' });
+
+    assert.equal(repeat.alreadyPaid, true);
+    assert.deepEqual(repeat.results.map(r => r.status), ['already_paid', 'already_paid']);
+    assert.equal(feeRecords.length, 2);
+    assert.equal(order.save.mock.callCount(), 1);
+  });
+
+  it('reports a child who no longer exists without failing the rest', async () => {
+    order.items[1].studentId = 'missing';
+
+    const result = await markHouseholdPaymentPaid({ razorpayOrderId: 'order_h', razorpayPaymentId: 'pay_h' });
+
+    assert.deepEqual(result.results.map(r => r.status), ['paid', 'student_not_found']);
+  });
+
+  it('returns null for an unknown order', async () => {
+    assert.equal(await markHouseholdPaymentPaid({ razorpayOrderId: 'order_x', razorpayPaymentId: 'pay_x' }), null);
+  });
+});
@@ -0,0 +1,45 @@
+const path = require('path');
+const mongoose = require('mongoose');
+
+// The services are tested against mocked models: there is no MongoDB here.
+// Model statics are replaced per test with t.mock.method and return query()
+// stand-ins, withTransaction runs its work with a null session, and services
+// with side effects (email, receipts) are replaced before they are loaded.
+
+/**
+ * A stand-in for a mongoose Query: awaitable, and chainable through the
+ * modifiers the services use
+ */
+const query = (value) => {
+  const q = {
+    session: () => q,
+    select: () => q,
+    sort: () => q,
+    populate: () => q,
+    lean: () => q,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return q;
+};
+
+/**
+ * Replace a module's exports before anything requires it
+ *
+ * @param {string} modulePath path from the repository root, e.g. 'services/email.service'
+ */
+const stubModule = (modulePath, exports) => {
+  const id = require.resolve(path.join(__dirname, '..', modulePath));
+  require.cache[id] = { id, filename: id, loaded: true, exports, children: [] };
+};
+
+/**
+ * Run withTransaction's work once with a null session, as on a standalone server
+ */
+const withoutTransactions = (t) =>
+  t.mock.method(mongoose.connection, 'transaction', async (work) => work(null));
+
+module.exports = {
+  query,
+  stubModule,
+  withoutTransactions
+};
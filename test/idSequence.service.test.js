@@ -0,0 +1,131 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { query } = require('./helpers');
+
+const Counter = require('../models/Counter.model');
+const Config = require('../models/config.model');
+const Student = require('../models/student.model');
+const SpecialCourse = require('../models/SpecialCourse.model');
+const { nextId, peekNextId, retryOnDuplicateId } = require('../services/idSequence.service');
+
+// nextId seeds each counter once per process, so every test uses its own year
+// or prefix
+describe('nextId', () => {
+  let counters;
+  let raised;
+
+  beforeEach((t) => {
+    counters = {};
+    raised = [];
+    t.mock.method(Config, 'findOne', () => query(null));
+    t.mock.method(Counter, 'next', async (name) => {
+      counters[name] = (counters[name] || 0) + 1;
+      return counters[name];
+    });
+    t.mock.method(Counter, 'raise', async (name, value) => {
+      raised.push({ name, value });
+      counters[name] = Math.max(counters[name] || 0, value);
+    });
+    t.mock.method(Student, 'distinct', () => query([]));
+    t.mock.method(SpecialCourse, 'distinct', () => query([]));
+  });
+
+  it('formats enrollment IDs with the year and a padded sequence', async () => {
+    const first = await nextId('enrollment', { date: new Date('2030-05-01') });
+    const second = await nextId('enrollment', { date: new Date('2030-05-02') });
+
+    assert.equal(first, 'LS-2030-0001');
+    assert.equal(second, 'LS-2030-0002');
+  });
+
+  it('starts the sequence again each year', async () => {
+    await nextId('enrollment', { date: new Date('2031-12-31') });
+
+    assert.equal(await nextId('enrollment', { date: new Date('2032-01-01') }), 'LS-2032-0001');
+  });
+
+  it('carries on from the highest existing ID of that year, once per process', async () => {
+    Student.distinct.mock.mockImplementation((field, filter) => {
+      assert.equal(field, 'enrollmentId');
+      const ids = ['LS-2033-0041', 'LS-2033-0007', 'LS-2034-0099', 'legacy-12'];
+      return query(ids.filter(id => filter.enrollmentId.test(id)));
+    });
+
+    assert.equal(await nextId('enrollment', { date: new Date('2033-03-01') }), 'LS-2033-0042');
+    assert.equal(await nextId('enrollment', { date: new Date('2033-03-02') }), 'LS-2033-0043');
+
+    assert.deepEqual(raised, [{ name: 'id:enrollment:2033', value: 41 }]);
+    assert.equal(Student.distinct.mock.callCount(), 1);
+  });
+
+  it('keeps a separate sequence per workshop prefix', async () => {
+    assert.equal(await nextId('workshop', { prefix: 'SUMMER' }), 'SUMMER-00001');
+    assert.equal(await nextId('workshop', { prefix: 'CLAYDAY' }), 'CLAYDAY-00001');
+    assert.equal(await nextId('workshop', { prefix: 'SUMMER' }), 'SUMMER-00002');
+  });
+
+  it('counts the year in Indian time', async () => {
+    // 31 Dec 2037, 19:00 UTC is already 1 Jan 2038 in India
+    assert.equal(await nextId('enrollment', { date: new Date('2037-12-31T19:00:00Z') }), 'LS-2038-0001');
+  });
+
+  it('uses a stored format', async () => {
+    Config.findOne.mock.mockImplementation(() => query({
+      value: { enrollment: { pattern: 'ENR{YY}/{SEQ}', padding: 3 } }
+    }));
+
+    assert.equal(await nextId('enrollment', { date: new Date('2035-01-10') }), 'ENR35/001');
+  });
+});
+
+describe('peekNextId', () => {
+  beforeEach((t) => {
+    t.mock.method(Config, 'findOne', () => query(null));
+    t.mock.method(Counter, 'raise', async () => {});
+    t.mock.method(Counter, 'current', async () => 0);
+  });
+
+  it('seeds the counter from existing IDs before reading it', async (t) => {
+    t.mock.method(Student, 'distinct', () => query(['LS-2039-0012']));
+    Counter.raise.mock.mockImplementation(async (name, value) => {
+      Counter.current.mock.mockImplementation(async () => value);
+    });
+
+    assert.equal(await peekNextId('enrollment', { date: new Date('2039-06-01') }), 'LS-2039-0013');
+    assert.deepEqual(Counter.raise.mock.calls[0].arguments, ['id:enrollment:2039', 12]);
+  });
+});
+
+describe('retryOnDuplicateId', () => {
+  beforeEach((t) => {
+    t.mock.method(Config, 'findOne', () => query(null));
+    t.mock.method(Counter, 'raise', async () => {});
+    t.mock.method(Student, 'distinct', () => query([]));
+  });
+
+  const duplicate = (field) => Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern: { [field]: 1 } });
+
+  it('gives the document the next ID and writes again after a duplicate ID', async (t) => {
+    let seq = 5;
+    t.mock.method(Counter, 'next', async () => ++seq);
+    const doc = { enrollmentId: 'LS-2036-0005' };
+    const written = [];
+
+    const result = await retryOnDuplicateId('enrollment', doc, async () => {
+      written.push(doc.enrollmentId);
+      if (written.length === 1) throw duplicate('enrollmentId');
+      return 'saved';
+    }, { date: new Date('2036-02-01') });
+
+    assert.equal(result, 'saved');
+    assert.deepEqual(written, ['LS-2036-0005', 'LS-2036-0006']);
+  });
+
+  it('leaves other duplicate key errors alone', async (t) => {
+    t.mock.method(Counter, 'next', async () => 1);
+    const write = t.mock.fn(async () => { throw duplicate('razorpayOrderId'); });
+
+    await assert.rejects(retryOnDuplicateId('enrollment', {}, write), { code: 11000 });
+    assert.equal(write.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { query } = require('./helpers');
+
+const IdempotencyKey = require('../models/IdempotencyKey.model');
+const { idempotent } = require('../middleware/idempotency.middleware');
+
+// Just enough of Express's req / res for the middleware
+const request = ({ headers = {}, body = {} } = {}) => ({
+  body,
+  get: (name) => headers[name.toLowerCase()]
+});
+
+const response = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+// Run the middleware; resolves with whether it called next()
+const run = async (middleware, req, res) => {
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  return passed;
+};
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+describe('idempotent', () => {
+  let keys;
+
+  beforeEach((t) => {
+    keys = [];
+    t.mock.method(IdempotencyKey, 'create', async (doc) => {
+      if (keys.some(k => k.scope === doc.scope && k.key === doc.key)) throw duplicateKey();
+      const record = { _id: `key-${keys.length + 1}`, status: 'processing', ...doc };
+      keys.push(record);
+      return record;
+    });
+    t.mock.method(IdempotencyKey, 'findOne', ({ scope, key }) =>
+      query(keys.find(k => k.scope === scope && k.key === key) || null));
+    t.mock.method(IdempotencyKey, 'updateOne', async ({ _id }, { $set }) => {
+      Object.assign(keys.find(k => k._id === _id), $set);
+    });
+    t.mock.method(IdempotencyKey, 'deleteOne', async ({ _id }) => {
+      keys = keys.filter(k => k._id !== _id);
+    });
+  });
+
+  // Let the close handler's write settle
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+
+  it('passes requests without a key straight through', async () => {
+    const passed = await run(idempotent('fee-verify'), request(), response());
+
+    assert.equal(passed, true);
+    assert.equal(IdempotencyKey.create.mock.callCount(), 0);
+  });
+
+  it('stores a successful response and replays it for a repeat', async () => {
+    const middleware = idempotent('fee-verify');
+    const body = { razorpay_payment_id: 'pay_1' };
+
+    const first = response();
+    assert.equal(await run(middleware, request({ headers: { 'idempotency-key': 'abc' }, body }), first), true);
+    first.status(200).json({ success: true, receipt: 'LS/2026-27/00001' });
+    first.emit('close');
+    await settle();
+
+    assert.equal(keys[0].status, 'completed');
+    assert.ok(keys[0].expiresAt instanceof Date, 'header keys expire');
+
+    const repeat = response();
+    assert.equal(await run(middleware, request({ headers: { 'idempotency-key': 'abc' }, body }), repeat), false);
+    assert.equal(repeat.statusCode, 200);
+    assert.deepEqual(repeat.body, { success: true, receipt: 'LS/2026-27/00001' });
+    assert.equal(repeat.headers['Idempotent-Replayed'], 'true');
+  });
+
+  it('answers 409 while the first request is still running', async () => {
+    const middleware = idempotent('fee-verify');
+    await run(middleware, request({ headers: { 'idempotency-key': 'abc' } }), response());
+
+    const repeat = response();
+    assert.equal(await run(middleware, request({ headers: { 'idempotency-key': 'abc' } }), repeat), false);
+    assert.equal(repeat.statusCode, 409);
+  });
+
+  it('refuses the same key with a different body', async () => {
+    const middleware = idempotent('fee-verify');
+    await run(middleware, request({ headers: { 'idempotency-key': 'abc' }, body: { amount: 1 } }), response());
+
+    const other = response();
+    await run(middleware, request({ headers: { 'idempotency-key': 'abc' }, body: { amount: 2 } }), other);
+    assert.equal(other.statusCode, 422);
+  });
+
+  it('releases the key when the request fails, so it can be retried', async () => {
+    const middleware = idempotent('fee-verify');
+    const failed = response();
+    await run(middleware, request({ headers: { 'idempotency-key': 'abc' } }), failed);
+    failed.status(400).json({ success: false, error: 'Invalid payment signature' });
+    failed.emit('close');
+    await settle();
+
+    assert.equal(keys.length, 0);
+    assert.equal(await run(middleware, request({ headers: { 'idempotency-key': 'abc' } }), response()), true);
+  });
+
+  it('uses the fallback key when no header is sent', async () => {
+    const middleware = idempotent('fee-verify', { fallbackKey: req => req.body.razorpay_payment_id });
+
+    await run(middleware, request({ body: { razorpay_payment_id: 'pay_9' } }), response());
+    assert.equal(keys[0].key, 'pay_9');
+  });
+
+  it('pins the key to the request and never expires it once completed', async () => {
+    const middleware = idempotent('fee-verify', { key: req => req.body.razorpay_payment_id });
+    const body = { razorpay_payment_id: 'pay_1' };
+
+    const first = response();
+    await run(middleware, request({ headers: { 'idempotency-key': 'one' }, body }), first);
+    first.json({ success: true });
+    first.emit('close');
+    await settle();
+
+    assert.equal(keys[0].key, 'pay_1');
+    assert.equal(keys[0].expiresAt, null);
+
+    // A different header cannot get the same payment verified again
+    const again = response();
+    assert.equal(await run(middleware, request({ headers: { 'idempotency-key': 'two' }, body }), again), false);
+    assert.equal(again.headers['Idempotent-Replayed'], 'true');
+  });
+
+  it('keeps keys separate per endpoint', async () => {
+    await run(idempotent('fee-verify'), request({ headers: { 'idempotency-key': 'abc' } }), response());
+
+    assert.equal(await run(idempotent('household-verify'), request({ headers: { 'idempotency-key': 'abc' } }), response()), true);
+  });
+});
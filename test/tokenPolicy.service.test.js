@@ -0,0 +1,134 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { query } = require('./helpers');
+
+const AttendanceRecord = require('../models/AttendanceRecord.model');
+const CompensationToken = require('../models/CompensationToken.model');
+const { DEFAULT_TOKEN_POLICY, evaluateTokenIssue } = require('../services/tokenPolicy.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const student = { _id: 'student-1', currentLevel: 2 };
+const policyWith = (changes = {}) => ({ ...DEFAULT_TOKEN_POLICY, ...changes });
+
+describe('evaluateTokenIssue', () => {
+  let tokens;
+
+  beforeEach((t) => {
+    tokens = { issuedForDate: false, earnedThisMonth: 0, available: 0 };
+    t.mock.method(CompensationToken, 'exists', () => query(tokens.issuedForDate ? { _id: 'token-1' } : null));
+    t.mock.method(CompensationToken, 'countDocuments', (filter) =>
+      query(filter.status === 'available' ? tokens.available : tokens.earnedThisMonth));
+    t.mock.method(AttendanceRecord, 'countDocuments', () => query(0));
+    t.mock.method(AttendanceRecord, 'exists', () => query(null));
+  });
+
+  it('issues a token for an absence under the default policy, valid for 30 days', async () => {
+    const before = Date.now();
+    const decision = await evaluateTokenIssue(student, { reason: 'absence', date: '2026-10-19', policy: policyWith() });
+
+    assert.equal(decision.issue, true);
+    assert.equal(decision.rule, 'issued');
+    assert.ok(decision.expiryDate.getTime() >= before + 30 * DAY_MS);
+  });
+
+  it('does not issue a second token for the same absence', async () => {
+    tokens.issuedForDate = true;
+
+    const decision = await evaluateTokenIssue(student, { reason: 'absence', date: '2026-10-19', policy: policyWith() });
+
+    assert.equal(decision.issue, false);
+    assert.equal(decision.rule, 'already_issued');
+  });
+
+  it('stops at the monthly limit', async () => {
+    tokens.earnedThisMonth = 2;
+
+    const decision = await evaluateTokenIssue(student, {
+      reason: 'absence',
+      date: '2026-10-19',
+      policy: policyWith({ maxTokensPerMonth: 2 })
+    });
+
+    assert.equal(decision.issue, false);
+    assert.equal(decision.rule, 'monthly_limit');
+  });
+
+  it('counts the month up to the first day of the next one', async () => {
+    const filters = [];
+    CompensationToken.countDocuments.mock.mockImplementation((filter) => {
+      filters.push(filter);
+      return query(0);
+    });
+
+    await evaluateTokenIssue(student, { reason: 'absence', date: '2026-12-31', policy: policyWith({ maxTokensPerMonth: 2 }) });
+
+    assert.deepEqual(filters[0].generatedDate, { $gte: new Date('2026-12-01'), $lt: new Date('2027-01-01') });
+  });
+
+  it('stops when the student already holds the most unused tokens allowed', async () => {
+    tokens.available = 3;
+
+    const decision = await evaluateTokenIssue(student, {
+      reason: 'absence',
+      date: '2026-10-19',
+      policy: policyWith({ maxAvailableTokens: 3 })
+    });
+
+    assert.equal(decision.issue, false);
+    assert.equal(decision.rule, 'carry_over_limit');
+  });
+
+  it('refuses absences past the unexcused limit unless that absence was excused', async (t) => {
+    t.mock.method(AttendanceRecord, 'countDocuments', () => query(2));
+    const options = { reason: 'absence', date: '2026-10-19', policy: policyWith({ unexcusedAbsenceLimit: 1 }) };
+
+    const refused = await evaluateTokenIssue(student, options);
+    assert.equal(refused.issue, false);
+    assert.equal(refused.rule, 'unexcused_limit');
+
+    t.mock.method(AttendanceRecord, 'exists', () => query({ _id: 'record-1' }));
+    const excused = await evaluateTokenIssue(student, options);
+    assert.equal(excused.issue, true);
+  });
+
+  it('lets admin grants bypass the limits unless the policy says otherwise', async () => {
+    tokens.available = 5;
+    const limits = { maxAvailableTokens: 1 };
+
+    const bypassed = await evaluateTokenIssue(student, { reason: 'admin_granted', policy: policyWith(limits) });
+    assert.equal(bypassed.issue, true);
+
+    const limited = await evaluateTokenIssue(student, {
+      reason: 'admin_granted',
+      policy: policyWith({ ...limits, adminGrantsBypassLimits: false })
+    });
+    assert.equal(limited.issue, false);
+    assert.equal(limited.rule, 'carry_over_limit');
+  });
+
+  it('always issues for a cancelled class', async () => {
+    tokens.available = 10;
+
+    const decision = await evaluateTokenIssue(student, {
+      reason: 'holiday',
+      date: '2026-10-19',
+      policy: policyWith({ maxAvailableTokens: 1, maxTokensPerMonth: 0 })
+    });
+
+    assert.equal(decision.issue, true);
+  });
+
+  it('applies the student\'s level overrides', async () => {
+    tokens.earnedThisMonth = 1;
+    const policy = policyWith({
+      maxTokensPerMonth: 4,
+      levels: { 2: { maxTokensPerMonth: 1, expiryDays: { absence: 7 } } }
+    });
+
+    const atLevel = await evaluateTokenIssue(student, { reason: 'absence', date: '2026-10-19', policy });
+    assert.equal(atLevel.rule, 'monthly_limit');
+
+    const otherLevel = await evaluateTokenIssue({ ...student, currentLevel: 3 }, { reason: 'absence', date: '2026-10-19', policy });
+    assert.equal(otherLevel.issue, true);
+  });
+});